@@ -2,6 +2,8 @@
  * Application Configuration
  */
 
+const path = require('path');
+
 // Load environment variables
 require('dotenv').config();
 
@@ -17,7 +19,8 @@ module.exports = {
     clientId: process.env.SF_CLIENT_ID,
     clientSecret: process.env.SF_CLIENT_SECRET,
     redirectUri: process.env.SF_REDIRECT_URI || 'http://localhost:3000/api/auth/callback',
-    loginUrl: process.env.SF_LOGIN_URL || 'https://login.salesforce.com'
+    loginUrl: process.env.SF_LOGIN_URL || 'https://login.salesforce.com',
+    apiVersion: process.env.SF_API_VERSION || '58.0' // Bulk API 2.0 queries need 47.0 or later
   },
   
   // Application settings
@@ -25,6 +28,32 @@ module.exports = {
     cacheEnabled: process.env.CACHE_ENABLED !== 'false',
     maxCacheSize: parseInt(process.env.MAX_CACHE_SIZE || '100', 10),
     maxQueryResults: parseInt(process.env.MAX_QUERY_RESULTS || '10000', 10),
+    bulkQueryThreshold: parseInt(process.env.BULK_QUERY_THRESHOLD || '50000', 10),
+    bulkPollInterval: parseInt(process.env.BULK_POLL_INTERVAL || '2000', 10),
+    bulkQueryTimeout: parseInt(process.env.BULK_QUERY_TIMEOUT || '600000', 10), // 10 minutes
+    fiscalYearStartMonth: parseInt(process.env.FISCAL_YEAR_START_MONTH || '1', 10), // 1 = January
+    maxImportFileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE || '20971520', 10), // 20 MB
+    importDateOrder: process.env.IMPORT_DATE_ORDER || 'MDY', // Day/month order of imported dates like 03/04/2024: 'MDY' or 'DMY'
+    dataSource: process.env.DATA_SOURCE || 'salesforce', // 'salesforce' or 'fixture'
+    fixtureDir: process.env.FIXTURE_DIR || path.join(__dirname, '../fixtures'),
+    syncStoreDir: process.env.SYNC_STORE_DIR || path.join(__dirname, '../../data/sync'),
+    snapshotDir: process.env.SNAPSHOT_DIR || path.join(__dirname, '../../data/snapshots'),
+    modelRegistryDir: process.env.MODEL_REGISTRY_DIR || path.join(__dirname, '../../data/models'),
+    datasetDir: process.env.DATASET_DIR || path.join(__dirname, '../../data/datasets'),
+    maxDatasets: parseInt(process.env.MAX_DATASETS || '50', 10),
+    // Currency assumed for amounts when the data source has no currency information
+    corporateCurrency: process.env.CORPORATE_CURRENCY || 'USD',
+    // Local rate table (same shape as the fixture's currencyRates.json) used for imported datasets
+    currencyRatesFile: process.env.CURRENCY_RATES_FILE || null,
+    // Deal-size band thresholds (Small/Medium/Large/Enterprise) per currency, with a fallback for other currencies
+    dealSizeBands: JSON.parse(process.env.DEAL_SIZE_BANDS || '{"default":[10000,50000,100000]}'),
+    // Related-object fields offered as dimensions: parent fields (Account.Industry) and derived child aggregates (ProductFamilyCount)
+    relatedFields: (process.env.RELATED_FIELDS ||
+      'Account.Industry,Account.Type,Account.NumberOfEmployees,Account.AnnualRevenue,Campaign.Name,Campaign.Type,' +
+      'ProductCount,ProductFamilyCount,PrimaryProductFamily,ContactRoleCount,HasPrimaryContactRole,PrimaryContactRole')
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean),
     defaultOpportunityFields: [
       'Id', 'Name', 'AccountId', 'OwnerId', 'Amount', 'StageName', 
       'CloseDate', 'Probability', 'Type', 'IsWon', 'IsClosed', 'CreatedDate'
@@ -36,6 +65,29 @@ module.exports = {
     minOpportunitiesForAnalysis: parseInt(process.env.MIN_OPPORTUNITIES || '50', 10),
     minOpportunitiesForPrediction: parseInt(process.env.MIN_OPPORTUNITIES_PREDICTION || '100', 10),
     maxLookupTableCombinations: parseInt(process.env.MAX_LOOKUP_COMBINATIONS || '1000', 10),
-    defaultClusterCount: parseInt(process.env.DEFAULT_CLUSTER_COUNT || '3', 10)
+    defaultClusterCount: parseInt(process.env.DEFAULT_CLUSTER_COUNT || '3', 10),
+    // Picklist values seen on fewer opportunities are pooled into an "Other" level in regressions
+    minCategoryLevelCount: parseInt(process.env.MIN_CATEGORY_LEVEL_COUNT || '10', 10),
+    // Regression dimensions above these are reported as collinear
+    maxVarianceInflation: parseFloat(process.env.MAX_VARIANCE_INFLATION || '10'),
+    maxConditionNumber: parseFloat(process.env.MAX_CONDITION_NUMBER || '30'),
+    // Folds used to choose the penalty of regularized prediction models
+    crossValidationFolds: parseInt(process.env.CROSS_VALIDATION_FOLDS || '5', 10),
+    // Calibration of prediction model probabilities: 'platt', 'isotonic' or 'none'
+    calibrationMethod: process.env.CALIBRATION_METHOD || 'platt',
+    // Win probabilities at or above high are High, below low are Low (models may override them)
+    predictionThresholds: {
+      high: parseFloat(process.env.PREDICTION_HIGH_THRESHOLD || '0.7'),
+      low: parseFloat(process.env.PREDICTION_LOW_THRESHOLD || '0.3')
+    },
+    // Drift of open opportunities from a model's training data (PSI) and gaps between realized and
+    // predicted win rates on closed deals that raise drift alerts
+    driftThresholds: {
+      psiWarning: parseFloat(process.env.DRIFT_PSI_WARNING || '0.1'),
+      psiAlert: parseFloat(process.env.DRIFT_PSI_ALERT || '0.25'),
+      calibrationGap: parseFloat(process.env.DRIFT_CALIBRATION_GAP || '0.1'),
+      minClosedOpportunities: parseInt(process.env.DRIFT_MIN_CLOSED_OPPORTUNITIES || '30', 10),
+      significanceLevel: parseFloat(process.env.DRIFT_SIGNIFICANCE_LEVEL || '0.05')
+    }
   }
 };
\ No newline at end of file
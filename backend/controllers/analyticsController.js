@@ -3,112 +3,2060 @@
  * Handles request/response for analytics operations
  */
 
-const { performMultivariateRegression, performDimensionClustering: clusterDimensions, generateWinRateLookupTable } = require('../services/analyticService');
-const { buildPredictionModel, predictWinRate, batchPredictWinRates, generateWinRateFormula } = require('../services/predictionService');
-const { createConnection, fetchOpportunities } = require('../services/salesforceService');
+const { REGRESSION_TYPES, performMultivariateRegression, performDimensionClustering: clusterDimensions, generateWinRateLookupTable: buildLookupTable } = require('../services/analyticService');
+const {
+  REGULARIZATION_TYPES,
+  PENALTY_RULES,
+  VALIDATION_SCHEMES,
+  TREE_MODEL_TYPES,
+  MAX_BATCH_EXPLANATIONS,
+  buildPredictionModel: trainPredictionModel,
+  buildTreeModel: trainTreeModel,
+  predictWinRate: predictOpportunity,
+  batchPredictWinRates: predictOpportunities,
+  generateWinRateFormula: createWinRateFormula
+} = require('../services/predictionService');
+const { resolveDataSource, createDataSource, createAnalysisDataSource, validateRequestFilters } = require('../services/dataSources');
+const { CURRENCY_CONTEXT_FIELDS, isKnownCurrency, normalizeAmounts } = require('../services/currencyService');
+const { analyzeStageFunnel: buildStageFunnel } = require('../services/funnelService');
+const { buildStageModel: trainStageModel, attachStageAges, getDaysInStage } = require('../services/stageModelService');
+const {
+  CHANGE_DIRECTIONS,
+  MAX_ACTION_VALUES,
+  MAX_EVALUATIONS,
+  resolveActions,
+  findCounterfactuals
+} = require('../services/counterfactualService');
+const {
+  isValidModelId,
+  listModels,
+  listModelVersions,
+  getModelVersion,
+  resolveModel,
+  registerModel,
+  promoteModelVersion,
+  archiveModelVersion,
+  deleteModel
+} = require('../services/modelRegistryService');
+const { verifySession } = require('../services/sessionService');
+const { compareModels } = require('../services/modelComparisonService');
+const {
+  resolveDriftThresholds,
+  createTrainingProfile,
+  measureDrift,
+  compareRealizedWinRate,
+  getDriftAlerts
+} = require('../services/driftService');
+const { CALIBRATION_METHODS } = require('../utils/calibrationUtils');
+const { THRESHOLD_OBJECTIVES, getDefaultThresholds } = require('../utils/thresholdUtils');
+const {
+  getSourceFields,
+  createDerivedFeatures,
+  getCategoryLevel,
+  isNumericDimension,
+  OTHER_LEVEL
+} = require('../utils/dataProcessingUtils');
+const { isValidFieldName } = require('../utils/filterUtils');
+const { createRandom, splitOutOfTime } = require('../utils/crossValidationUtils');
 
-// Simple in-memory cache
+// Most models compared at once (a champion and up to four challengers)
+const MAX_COMPARED_MODELS = 5;
+
+// Fewest held-out opportunities a comparison is run on
+const MIN_COMPARISON_OPPORTUNITIES = 30;
+
+// Field predicted probabilities are written back to (see the update-probabilities route)
+const DEFAULT_PROBABILITY_FIELD = 'Predicted_Win_Probability__c';
+
+// History fields needed to reconstruct stage paths
+const STAGE_HISTORY_FIELDS = ['OpportunityId', 'StageName', 'Probability', 'CreatedDate'];
+
+// Simple in-memory cache (trained models are kept in the model registry instead)
 const cache = {
-  models: {},
   regressionResults: {},
   lookupTables: {},
+  funnels: {},
   clearCache: function() {
-    this.models = {};
     this.regressionResults = {};
     this.lookupTables = {};
+    this.funnels = {};
+  }
+};
+
+/**
+ * Describes which data an analysis was based on
+ * @param {Object} queryResult - Result of a data source fetchOpportunities call
+ * @param {Object} dataSource - Data source the opportunities came from
+ * @returns {Object} Source and fetched/available counts
+ */
+const getDataCoverage = (queryResult, dataSource) => ({
+  source: dataSource.type,
+  syncedAt: dataSource.lastSyncAt || null,
+  snapshotId: dataSource.snapshotId || null,
+  fetched: queryResult.fetchedCount,
+  available: queryResult.totalSize,
+  truncated: queryResult.truncated
+});
+
+/**
+ * Gets an opportunity's close date as YYYY-MM-DD
+ * @param {Object} opp - Opportunity record
+ * @returns {String|null} Close date, or null when it has none
+ */
+const getCloseDate = (opp) => (opp.CloseDate ? String(opp.CloseDate).slice(0, 10) : null);
+
+/**
+ * Gets the latest close date of a set of opportunities
+ * @param {Array} opportunities - Opportunity records
+ * @returns {String|null} Latest close date (YYYY-MM-DD), or null when none has one
+ */
+const getLastCloseDate = (opportunities) => opportunities.reduce((latest, opp) => {
+  const closeDate = getCloseDate(opp);
+  return closeDate && (!latest || closeDate > latest) ? closeDate : latest;
+}, null);
+
+/**
+ * Describes the data a model was trained on, for its registry lineage
+ * The latest training close date lets comparisons leave out the deals a model has seen.
+ * @param {Object} req - Express request object
+ * @param {Object} queryResult - Result of the training fetchOpportunities call
+ * @param {Object} dataSource - Data source the opportunities came from
+ * @param {Array} opportunities - Training opportunities
+ * @returns {Object} Data coverage with the dataset ID, training opportunity count and latest close date
+ */
+const getTrainingData = (req, queryResult, dataSource, opportunities) => ({
+  ...getDataCoverage(queryResult, dataSource),
+  datasetId: resolveDataSource(req).datasetId || null,
+  opportunityCount: opportunities.length,
+  lastCloseDate: getLastCloseDate(opportunities)
+});
+
+/**
+ * Gets who made a request, for the model registry: the Salesforce user of the verified session.
+ * Nothing the client sends is trusted, so the registry's audit trail can't be forged
+ * @param {Object} req - Express request object
+ * @returns {Promise<String|null>} User ID, or null without a session
+ */
+const getRequestAuthor = async (req) => {
+  const identity = await verifySession(req);
+  return identity ? identity.userId : null;
+};
+
+/**
+ * Keeps the options that were set
+ * @param {Object} options - Options, some undefined
+ * @returns {Object} Options without the undefined ones
+ */
+const getDefinedOptions = (options) => Object.fromEntries(
+  Object.entries(options).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Converts amounts to one currency and adds derived features such as DealSizeCategory
+ * @param {Array} records - Opportunity records
+ * @param {Object|null} currencyRates - Rate table of the data source
+ * @param {String} currency - Target currency (the corporate currency when omitted)
+ * @returns {Object} Prepared records and a currency summary ({ records, currency })
+ */
+const prepareAnalysisRecords = (records, currencyRates, currency) => {
+  const normalized = normalizeAmounts(records, currencyRates, { currency });
+  
+  return {
+    records: createDerivedFeatures(normalized.records, { currency: normalized.summary.currency }),
+    currency: normalized.summary
+  };
+};
+
+/**
+ * Validates where a built model is registered
+ * @param {Object} options - Request options (modelId, promote)
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateRegistryOptions = ({ modelId, promote }) => {
+  if (!modelId) {
+    return 'Please provide a model ID to register the model under';
+  }
+  
+  if (!isValidModelId(modelId)) {
+    return 'modelId must be 1 to 100 letters, digits, ".", "_" or "-"';
+  }
+  
+  if (promote !== undefined && typeof promote !== 'boolean') {
+    return 'promote must be true or false';
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the categorical encoding options of a regression request
+ * @param {Object} options - Request options ({ referenceLevels, minLevelCount })
+ * @param {Array} dimensions - Requested dimensions
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateEncodingOptions = ({ referenceLevels, minLevelCount }, dimensions) => {
+  if (referenceLevels !== undefined) {
+    if (!referenceLevels || typeof referenceLevels !== 'object' || Array.isArray(referenceLevels)) {
+      return 'referenceLevels must map dimensions to their reference level';
+    }
+    
+    const unknownDimensions = Object.keys(referenceLevels).filter(dimension => !dimensions.includes(dimension));
+    if (unknownDimensions.length > 0) {
+      return `referenceLevels names dimensions that are not analyzed: ${unknownDimensions.join(', ')}`;
+    }
+  }
+  
+  if (minLevelCount !== undefined && (!Number.isInteger(minLevelCount) || minLevelCount < 1)) {
+    return 'minLevelCount must be a positive integer';
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the regularization options of a prediction model request
+ * @param {Object} options - Request options ({ regularization, l1Ratio, penalty, folds, penaltyRule })
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateRegularizationOptions = ({ regularization, l1Ratio, penalty, folds, penaltyRule }) => {
+  if (regularization !== undefined && !REGULARIZATION_TYPES.includes(regularization)) {
+    return `regularization must be one of: ${REGULARIZATION_TYPES.join(', ')}`;
+  }
+  
+  if (l1Ratio !== undefined && (typeof l1Ratio !== 'number' || l1Ratio < 0 || l1Ratio > 1)) {
+    return 'l1Ratio must be a number between 0 and 1';
+  }
+  
+  if (penalty !== undefined && (typeof penalty !== 'number' || !(penalty > 0))) {
+    return 'penalty must be a positive number';
+  }
+  
+  if (folds !== undefined && (!Number.isInteger(folds) || folds < 2 || folds > 20)) {
+    return 'folds must be an integer between 2 and 20';
+  }
+  
+  if (penaltyRule !== undefined && !PENALTY_RULES.includes(penaltyRule)) {
+    return `penaltyRule must be one of: ${PENALTY_RULES.join(', ')}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the validation and calibration options of a prediction model request
+ * @param {Object} options - Request options ({ validation, validationFolds, cutoffDate, seed, calibration })
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateModelValidationOptions = ({ validation, validationFolds, cutoffDate, seed, calibration }) => {
+  if (validation !== undefined && !VALIDATION_SCHEMES.includes(validation)) {
+    return `validation must be one of: ${VALIDATION_SCHEMES.join(', ')}`;
+  }
+  
+  if (validationFolds !== undefined && (!Number.isInteger(validationFolds) || validationFolds < 2 || validationFolds > 20)) {
+    return 'validationFolds must be an integer between 2 and 20';
+  }
+  
+  if (cutoffDate !== undefined) {
+    if (validation !== 'out-of-time') {
+      return "cutoffDate only applies to validation: 'out-of-time'";
+    }
+    
+    if (typeof cutoffDate !== 'string' || Number.isNaN(new Date(cutoffDate).getTime())) {
+      return 'cutoffDate must be a date (YYYY-MM-DD)';
+    }
+  }
+  
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    return 'seed must be an integer';
+  }
+  
+  if (calibration !== undefined && !CALIBRATION_METHODS.includes(calibration)) {
+    return `calibration must be one of: ${CALIBRATION_METHODS.join(', ')}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the High/Low category threshold options of a prediction model request
+ * @param {Object} options - Request options ({ thresholds, thresholdObjective, targetPrecision, dealValue, pursuitCost })
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateThresholdOptions = ({ thresholds, thresholdObjective, targetPrecision, dealValue, pursuitCost }) => {
+  const isProbability = value => typeof value === 'number' && value >= 0 && value <= 1;
+  
+  if (thresholds !== undefined) {
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      return 'thresholds must be an object ({ high, low })';
+    }
+    
+    const unknown = Object.keys(thresholds).filter(key => key !== 'high' && key !== 'low');
+    if (unknown.length > 0) {
+      return `Unknown thresholds: ${unknown.join(', ')}`;
+    }
+    
+    if (Object.values(thresholds).some(value => !isProbability(value))) {
+      return 'thresholds must be probabilities between 0 and 1';
+    }
+    
+    if (thresholds.high !== undefined && thresholds.low !== undefined && thresholds.low > thresholds.high) {
+      return 'thresholds.low cannot be above thresholds.high';
+    }
+  }
+  
+  if (thresholdObjective === undefined || thresholdObjective === 'none') {
+    return null;
+  }
+  
+  if (!THRESHOLD_OBJECTIVES.includes(thresholdObjective)) {
+    return `thresholdObjective must be one of: ${THRESHOLD_OBJECTIVES.join(', ')}`;
+  }
+  
+  if (thresholds && thresholds.high !== undefined) {
+    return 'thresholds.high is chosen by thresholdObjective and cannot also be set';
+  }
+  
+  if (thresholdObjective === 'precision' && (!isProbability(targetPrecision) || targetPrecision === 0)) {
+    return "thresholdObjective 'precision' needs a targetPrecision between 0 and 1";
+  }
+  
+  if (thresholdObjective === 'expected-value') {
+    if (typeof pursuitCost !== 'number' || pursuitCost < 0) {
+      return "thresholdObjective 'expected-value' needs a pursuitCost of 0 or more";
+    }
+    
+    if (dealValue !== undefined && (typeof dealValue !== 'number' || dealValue <= 0)) {
+      return 'dealValue must be a positive number';
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the tree ensemble options of a prediction model request
+ * @param {Object} options - Request options (modelType, trees, maxDepth, minLeafSize, learningRate, subsample,
+ *   and the logistic-only options, which tree models reject)
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateTreeOptions = (options) => {
+  const { modelType, trees, maxDepth, minLeafSize, learningRate, subsample } = options;
+  const isTreeModel = TREE_MODEL_TYPES.includes(modelType);
+  const treeOptions = ['trees', 'maxDepth', 'minLeafSize', 'learningRate', 'subsample'].filter(name => options[name] !== undefined);
+  
+  if (!isTreeModel) {
+    return treeOptions.length > 0 ? `Only tree models (${TREE_MODEL_TYPES.join(', ')}) accept: ${treeOptions.join(', ')}` : null;
+  }
+  
+  const logisticOptions = ['referenceLevels', 'minLevelCount', 'regularization', 'l1Ratio', 'penalty', 'folds', 'penaltyRule']
+    .filter(name => options[name] !== undefined);
+  if (logisticOptions.length > 0) {
+    return `Tree models do not accept: ${logisticOptions.join(', ')}`;
+  }
+  
+  if (trees !== undefined && (!Number.isInteger(trees) || trees < 1 || trees > 500)) {
+    return 'trees must be an integer between 1 and 500';
+  }
+  
+  if (maxDepth !== undefined && (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > 20)) {
+    return 'maxDepth must be an integer between 1 and 20';
+  }
+  
+  if (minLeafSize !== undefined && (!Number.isInteger(minLeafSize) || minLeafSize < 1)) {
+    return 'minLeafSize must be a positive integer';
+  }
+  
+  if (modelType !== 'gradientBoosting' && (learningRate !== undefined || subsample !== undefined)) {
+    return 'learningRate and subsample only apply to gradientBoosting';
+  }
+  
+  if (learningRate !== undefined && (typeof learningRate !== 'number' || !(learningRate > 0) || learningRate > 1)) {
+    return 'learningRate must be a number above 0 and at most 1';
+  }
+  
+  if (subsample !== undefined && (typeof subsample !== 'number' || !(subsample > 0) || subsample > 1)) {
+    return 'subsample must be a number above 0 and at most 1';
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the actionable dimensions and search options of a counterfactual request
+ * Actionable dimensions must feed the model: one of its dimensions, or a field a derived dimension
+ * is computed from (Amount for DealSizeCategory). The values per dimension and the predictions
+ * a search makes are capped so that a request can't block the server.
+ * @param {Object} options - Request options ({ actions, targetProbability, maxChanges, maxResults, maxEvaluations })
+ * @param {Object} model - Model the counterfactuals are searched with
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateCounterfactualOptions = ({ actions, targetProbability, maxChanges, maxResults, maxEvaluations }, model) => {
+  if (!Array.isArray(actions) || actions.length === 0 || actions.length > 10) {
+    return 'actions must list between 1 and 10 actionable dimensions';
+  }
+  
+  const modelFields = [...new Set([...model.dimensions, ...getSourceFields(model.dimensions)])];
+  
+  for (const action of actions) {
+    const dimension = typeof action === 'string' ? action : action && action.dimension;
+    
+    if (typeof dimension !== 'string') {
+      return 'Each action must be a dimension name or an object with a dimension';
+    }
+    
+    const sourceFields = getSourceFields([dimension]);
+    if (sourceFields[0] !== dimension) {
+      return `${dimension} is derived; declare ${sourceFields.join(', ')} as actionable instead`;
+    }
+    
+    if (!modelFields.includes(dimension)) {
+      return `${dimension} is not used by the model`;
+    }
+    
+    if (typeof action === 'string') continue;
+    
+    if (action.values !== undefined && (!Array.isArray(action.values) || action.values.length === 0)) {
+      return `values of ${dimension} must be a non-empty array`;
+    }
+    
+    if (action.values !== undefined && action.values.length > MAX_ACTION_VALUES) {
+      return `values of ${dimension} cannot list more than ${MAX_ACTION_VALUES} values`;
+    }
+    
+    if (['min', 'max', 'step'].some(name => action[name] !== undefined && typeof action[name] !== 'number')) {
+      return `min, max and step of ${dimension} must be numbers`;
+    }
+    
+    if (action.min !== undefined && action.max !== undefined && action.min > action.max) {
+      return `min of ${dimension} cannot be above its max`;
+    }
+    
+    if (action.step !== undefined && !(action.step > 0)) {
+      return `step of ${dimension} must be positive`;
+    }
+    
+    if (action.direction !== undefined && !CHANGE_DIRECTIONS.includes(action.direction)) {
+      return `direction of ${dimension} must be one of: ${CHANGE_DIRECTIONS.join(', ')}`;
+    }
+  }
+  
+  if (targetProbability !== undefined && (typeof targetProbability !== 'number' || !(targetProbability > 0) || targetProbability > 1)) {
+    return 'targetProbability must be a number above 0 and at most 1';
+  }
+  
+  if (maxChanges !== undefined && (!Number.isInteger(maxChanges) || maxChanges < 1 || maxChanges > 3)) {
+    return 'maxChanges must be an integer between 1 and 3';
+  }
+  
+  if (maxResults !== undefined && (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 20)) {
+    return 'maxResults must be an integer between 1 and 20';
+  }
+  
+  if (maxEvaluations !== undefined && (!Number.isInteger(maxEvaluations) || maxEvaluations < 1 || maxEvaluations > MAX_EVALUATIONS)) {
+    return `maxEvaluations must be an integer between 1 and ${MAX_EVALUATIONS}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the models and options of a champion/challenger comparison
+ * @param {Object} options - Request options
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateComparisonOptions = ({ models, segmentBy, maxSegments, bootstrapSamples, significanceLevel, closedAfter, includeTrainingData }) => {
+  if (!Array.isArray(models) || models.length < 2 || models.length > MAX_COMPARED_MODELS) {
+    return `models must list 2 to ${MAX_COMPARED_MODELS} models, the champion first`;
+  }
+  
+  const invalidModel = models.find(model => {
+    if (typeof model === 'string') return false;
+    return !model || typeof model.modelId !== 'string' ||
+      (model.version !== undefined && !(Number.isInteger(model.version) && model.version >= 1));
+  });
+  if (invalidModel !== undefined) {
+    return 'Each model must be a model ID or { modelId, version } with a positive integer version';
+  }
+  
+  if (segmentBy !== undefined && (!Array.isArray(segmentBy) || segmentBy.length > 5 ||
+    !segmentBy.every(field => typeof field === 'string' && isValidFieldName(field)))) {
+    return 'segmentBy must be an array of up to 5 field names';
+  }
+  
+  if (maxSegments !== undefined && !(Number.isInteger(maxSegments) && maxSegments >= 1 && maxSegments <= 50)) {
+    return 'maxSegments must be an integer between 1 and 50';
+  }
+  
+  if (bootstrapSamples !== undefined && !(Number.isInteger(bootstrapSamples) && bootstrapSamples >= 100 && bootstrapSamples <= 10000)) {
+    return 'bootstrapSamples must be an integer between 100 and 10000';
+  }
+  
+  if (significanceLevel !== undefined && !(typeof significanceLevel === 'number' && significanceLevel > 0 && significanceLevel <= 0.5)) {
+    return 'significanceLevel must be a number above 0 and at most 0.5';
+  }
+  
+  if (closedAfter !== undefined && (typeof closedAfter !== 'string' ||
+    !/^\d{4}-\d{2}-\d{2}$/.test(closedAfter) || isNaN(Date.parse(closedAfter)))) {
+    return 'closedAfter must be a date (YYYY-MM-DD)';
+  }
+  
+  if (includeTrainingData !== undefined && typeof includeTrainingData !== 'boolean') {
+    return 'includeTrainingData must be a boolean';
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the options of a drift report
+ * @param {Object} options - Request options
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateDriftOptions = ({ version, probabilityField, closedSince, thresholds }) => {
+  if (version !== undefined && !(Number.isInteger(version) && version >= 1)) {
+    return 'version must be a positive integer';
+  }
+  
+  if (probabilityField !== undefined && (typeof probabilityField !== 'string' || !isValidFieldName(probabilityField))) {
+    return 'probabilityField must be a field name';
+  }
+  
+  if (closedSince !== undefined && (typeof closedSince !== 'string' ||
+    !/^\d{4}-\d{2}-\d{2}$/.test(closedSince) || isNaN(Date.parse(closedSince)))) {
+    return 'closedSince must be a date (YYYY-MM-DD)';
+  }
+  
+  if (thresholds === undefined) {
+    return null;
+  }
+  
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return 'thresholds must be an object';
+  }
+  
+  const { psiWarning, psiAlert, calibrationGap, minClosedOpportunities, significanceLevel } = thresholds;
+  const isPositive = value => value === undefined || (typeof value === 'number' && value > 0);
+  
+  if (!isPositive(psiWarning) || !isPositive(psiAlert)) {
+    return 'thresholds.psiWarning and thresholds.psiAlert must be positive numbers';
+  }
+  
+  const resolved = resolveDriftThresholds(thresholds);
+  if (resolved.psiWarning > resolved.psiAlert) {
+    return 'thresholds.psiWarning must not be above thresholds.psiAlert';
+  }
+  
+  if (calibrationGap !== undefined && !(typeof calibrationGap === 'number' && calibrationGap > 0 && calibrationGap < 1)) {
+    return 'thresholds.calibrationGap must be a number between 0 and 1';
+  }
+  
+  if (minClosedOpportunities !== undefined && !(Number.isInteger(minClosedOpportunities) && minClosedOpportunities >= 1)) {
+    return 'thresholds.minClosedOpportunities must be a positive integer';
+  }
+  
+  if (significanceLevel !== undefined && !(typeof significanceLevel === 'number' && significanceLevel > 0 && significanceLevel <= 0.5)) {
+    return 'thresholds.significanceLevel must be a number above 0 and at most 0.5';
+  }
+  
+  return null;
+};
+
+/**
+ * Checks the interaction terms of a regression request
+ * @param {Object} options - Request options ({ interactions, maxInteractions })
+ * @param {Array} dimensions - Requested dimensions
+ * @returns {String|null} Error message, or null if the options are valid
+ */
+const validateInteractionOptions = ({ interactions, maxInteractions }, dimensions) => {
+  if (interactions !== undefined && interactions !== 'auto') {
+    if (!Array.isArray(interactions)) {
+      return "interactions must be an array of dimension pairs or 'auto'";
+    }
+    
+    const invalidPair = interactions.find(pair => !Array.isArray(pair) || pair.length !== 2 ||
+      pair[0] === pair[1] || !pair.every(dimension => dimensions.includes(dimension)));
+    if (invalidPair) {
+      return `Each interaction must pair two different analyzed dimensions: ${JSON.stringify(invalidPair)}`;
+    }
+  }
+  
+  if (maxInteractions !== undefined && (!Number.isInteger(maxInteractions) || maxInteractions < 1)) {
+    return 'maxInteractions must be a positive integer';
+  }
+  
+  return null;
+};
+
+/**
+ * Finds requested reference levels that none of the opportunities have
+ * @param {Array} opportunities - Opportunity records
+ * @param {Object} referenceLevels - Reference level per dimension
+ * @returns {Array} Descriptions of the missing levels
+ */
+const findMissingReferenceLevels = (opportunities, referenceLevels = {}) => {
+  return Object.entries(referenceLevels)
+    .filter(([dimension, level]) => String(level) !== OTHER_LEVEL &&
+      !opportunities.some(opp => getCategoryLevel(opp[dimension]) === String(level)))
+    .map(([dimension, level]) => `${dimension} = ${level}`);
+};
+
+/**
+ * Analyzes the impact of dimensions on win rates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const analyzeDimensionImpact = async (req, res) => {
+  try {
+    const {
+      dimensions,
+      filters,
+      cacheKey,
+      currency,
+      regressionType = 'linear',
+      confidenceLevel = 0.95,
+      referenceLevels,
+      minLevelCount,
+      interactions,
+      maxInteractions
+    } = req.body;
+    
+    // Validate required parameters
+    if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide an array of dimensions to analyze'
+      });
+    }
+    
+    if (!REGRESSION_TYPES.includes(regressionType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `regressionType must be one of: ${REGRESSION_TYPES.join(', ')}`
+      });
+    }
+    
+    if (typeof confidenceLevel !== 'number' || confidenceLevel <= 0 || confidenceLevel >= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'confidenceLevel must be a number between 0 and 1'
+      });
+    }
+    
+    const encodingError = validateEncodingOptions(req.body, dimensions) || validateInteractionOptions(req.body, dimensions);
+    if (encodingError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: encodingError
+      });
+    }
+    
+    // Check cache if cacheKey provided
+    if (cacheKey && cache.regressionResults[cacheKey]) {
+      return res.json({
+        success: true,
+        data: cache.regressionResults[cacheKey],
+        fromCache: true
+      });
+    }
+    
+    // Read from the sync store if this source has been synced, otherwise query it live
+    const fields = getSourceFields(['Id', 'IsWon', ...dimensions]);
+    const dataSource = createAnalysisDataSource(req, fields);
+    
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
+    }
+    
+    // Amounts are converted to the requested currency (the corporate currency by default)
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (currency && !isKnownCurrency(currencyRates, currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${currency}`
+      });
+    }
+    
+    const queryResult = await dataSource.fetchOpportunities({
+      fields,
+      optionalFields: CURRENCY_CONTEXT_FIELDS,
+      filters,
+      isClosed: true
+    });
+    const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+      queryResult.records,
+      currencyRates,
+      currency
+    );
+    
+    // Check if we have enough data
+    if (opportunities.length < 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient data',
+        message: 'Not enough closed opportunities to perform analysis'
+      });
+    }
+    
+    const missingReferenceLevels = findMissingReferenceLevels(opportunities, referenceLevels);
+    if (missingReferenceLevels.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `Reference levels not found in the data: ${missingReferenceLevels.join(', ')}`
+      });
+    }
+    
+    // Perform regression analysis
+    const regressionResults = performMultivariateRegression(
+      opportunities,
+      dimensions,
+      'IsWon',
+      { regressionType, confidenceLevel, referenceLevels, minLevelCount, interactions, maxInteractions }
+    );
+    
+    // Cache results if cacheKey provided
+    if (cacheKey) {
+      cache.regressionResults[cacheKey] = regressionResults;
+    }
+    
+    res.json({
+      success: true,
+      data: regressionResults,
+      opportunityCount: opportunities.length,
+      dataCoverage: getDataCoverage(queryResult, dataSource),
+      currency: currencySummary,
+      fromCache: false
+    });
+  } catch (error) {
+    console.error('Error in analyzeDimensionImpact:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Performs dimension clustering analysis
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const performDimensionClustering = async (req, res) => {
+  try {
+    const { dimensions, filters, k, cacheKey, currency } = req.body;
+    
+    // Validate required parameters
+    if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide an array of dimensions for clustering'
+      });
+    }
+    
+    // Fetch opportunities from the selected data source
+    const dataSource = createDataSource(req);
+    
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
+    }
+    
+    // Amounts are converted to the requested currency (the corporate currency by default)
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (currency && !isKnownCurrency(currencyRates, currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${currency}`
+      });
+    }
+    
+    const queryResult = await dataSource.fetchOpportunities({
+      fields: getSourceFields(['Id', 'IsWon', ...dimensions]),
+      optionalFields: CURRENCY_CONTEXT_FIELDS,
+      filters
+    });
+    const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+      queryResult.records,
+      currencyRates,
+      currency
+    );
+    
+    // Perform clustering analysis
+    const clusteringResults = clusterDimensions(
+      opportunities,
+      dimensions,
+      k || 3
+    );
+    
+    res.json({
+      success: true,
+      data: clusteringResults,
+      opportunityCount: opportunities.length,
+      dataCoverage: getDataCoverage(queryResult, dataSource)
+    });
+  } catch (error) {
+    console.error('Error in performDimensionClustering:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Builds a stage-conditional prediction model from opportunity stage history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const buildStagePredictionModel = async (req, res) => {
+  const { dimensions = [], filters, modelId, currency, ageBuckets, thresholds, promote } = req.body;
+  
+  // Validate required parameters (dimensions are optional for stage models)
+  if (!Array.isArray(dimensions)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: 'dimensions must be an array'
+    });
+  }
+  
+  const registryError = validateRegistryOptions(req.body);
+  if (registryError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: registryError
+    });
+  }
+  
+  const validAgeBuckets = ageBuckets === undefined || (
+    Array.isArray(ageBuckets) &&
+    ageBuckets[0] === 0 &&
+    ageBuckets.every((days, i) => typeof days === 'number' && (i === 0 || days > ageBuckets[i - 1]))
+  );
+  if (!validAgeBuckets) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: 'ageBuckets must be ascending day counts starting at 0'
+    });
+  }
+  
+  // Stage model metrics are in-sample, so thresholds are set rather than optimized
+  if (req.body.thresholdObjective !== undefined && req.body.thresholdObjective !== 'none') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: 'thresholdObjective is not supported for stage models; set thresholds instead'
+    });
+  }
+  
+  const thresholdsError = validateThresholdOptions({ thresholds });
+  if (thresholdsError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: thresholdsError
+    });
+  }
+  
+  // Stage history is only kept by the source itself, not by the sync store
+  const dataSource = createDataSource(req);
+  
+  // Validate filters against the data source's fields
+  const filterValidation = await validateRequestFilters(dataSource, filters);
+  if (!filterValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid filters',
+      message: filterValidation.errors.join('; ')
+    });
+  }
+  
+  // Amounts are converted to the requested currency (the corporate currency by default)
+  const currencyRates = await dataSource.fetchCurrencyRates();
+  if (currency && !isKnownCurrency(currencyRates, currency)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid currency',
+      message: `No conversion rate is available for ${currency}`
+    });
+  }
+  
+  const queryResult = await dataSource.fetchOpportunities({
+    fields: getSourceFields(['Id', 'IsWon', 'IsClosed', 'StageName', 'CloseDate', ...dimensions]),
+    optionalFields: CURRENCY_CONTEXT_FIELDS,
+    filters,
+    isClosed: true
+  });
+  const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+    queryResult.records,
+    currencyRates,
+    currency
+  );
+  
+  // Check if we have enough data
+  if (opportunities.length < 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'Insufficient data',
+      message: 'Not enough closed opportunities to build a prediction model'
+    });
+  }
+  
+  const [history, fieldMetadata] = await Promise.all([
+    dataSource.fetchOpportunityHistory({
+      opportunityIds: opportunities.map(opp => opp.Id),
+      fields: STAGE_HISTORY_FIELDS
+    }),
+    dataSource.fetchOpportunityFields()
+  ]);
+  
+  if (history.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Insufficient data',
+      message: 'No stage history found for the selected opportunities'
+    });
+  }
+  
+  // Build the stage model
+  const modelResults = trainStageModel(opportunities, history, {
+    dimensions,
+    fieldMetadata,
+    ageBuckets,
+    thresholds
+  });
+  
+  // Register the model with the currency its amounts are in
+  const entry = await registerModel(modelId, { ...modelResults.model, currency: currencySummary.currency }, {
+    author: await getRequestAuthor(req),
+    promote,
+    options: getDefinedOptions({ modelType: 'stage', ageBuckets, thresholds }),
+    metrics: modelResults.metrics,
+    data: getTrainingData(req, queryResult, dataSource, opportunities),
+    filters: filters || null
+  });
+  
+  res.json({
+    success: true,
+    modelId,
+    version: entry.version,
+    status: entry.status,
+    modelType: 'stage',
+    data: {
+      metrics: modelResults.metrics,
+      comparison: modelResults.comparison,
+      markov: modelResults.markov,
+      thresholds: modelResults.model.thresholds
+    },
+    opportunityCount: opportunities.length,
+    dataCoverage: getDataCoverage(queryResult, dataSource),
+    currency: currencySummary
+  });
+};
+
+/**
+ * Builds a win rate prediction model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const buildPredictionModel = async (req, res) => {
+  try {
+    const {
+      dimensions,
+      filters,
+      modelId,
+      currency,
+      modelType = 'logistic',
+      referenceLevels,
+      minLevelCount,
+      regularization,
+      l1Ratio,
+      penalty,
+      folds,
+      penaltyRule,
+      validation,
+      validationFolds,
+      cutoffDate,
+      seed,
+      calibration,
+      thresholds,
+      thresholdObjective,
+      targetPrecision,
+      dealValue,
+      pursuitCost,
+      trees,
+      maxDepth,
+      minLeafSize,
+      learningRate,
+      subsample,
+      promote
+    } = req.body;
+    
+    // Stage models predict from the current stage and need the stage history
+    if (modelType === 'stage') {
+      return await buildStagePredictionModel(req, res);
+    }
+    
+    const isTreeModel = TREE_MODEL_TYPES.includes(modelType);
+    if (modelType !== 'logistic' && !isTreeModel) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `Unknown model type: ${modelType}`
+      });
+    }
+    
+    // Validate required parameters
+    if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide an array of dimensions for the prediction model'
+      });
+    }
+    
+    const optionsError = validateRegistryOptions(req.body) ||
+      validateTreeOptions({ ...req.body, modelType }) ||
+      validateEncodingOptions(req.body, dimensions) ||
+      validateRegularizationOptions(req.body) ||
+      validateModelValidationOptions(req.body) ||
+      validateThresholdOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: optionsError
+      });
+    }
+    
+    // Read from the sync store if this source has been synced, otherwise query it live
+    // (CloseDate orders opportunities for out-of-time validation; Amount values won deals
+    // when the expected-value objective is not given a deal value)
+    const valuesDeals = thresholdObjective === 'expected-value' && dealValue === undefined;
+    const fields = getSourceFields(['Id', 'IsWon', 'CloseDate', ...(valuesDeals ? ['Amount'] : []), ...dimensions]);
+    const dataSource = createAnalysisDataSource(req, fields);
+    
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
+    }
+    
+    // Amounts are converted to the requested currency (the corporate currency by default)
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (currency && !isKnownCurrency(currencyRates, currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${currency}`
+      });
+    }
+    
+    const queryResult = await dataSource.fetchOpportunities({
+      fields,
+      optionalFields: CURRENCY_CONTEXT_FIELDS,
+      filters,
+      isClosed: true
+    });
+    const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+      queryResult.records,
+      currencyRates,
+      currency
+    );
+    
+    // Check if we have enough data
+    if (opportunities.length < 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient data',
+        message: 'Not enough closed opportunities to build a prediction model'
+      });
+    }
+    
+    // The expected-value objective values a win at the average won deal size by default
+    let wonDealValue = dealValue;
+    if (valuesDeals) {
+      const wonAmounts = opportunities
+        .filter(opp => opp.IsWon && typeof opp.Amount === 'number')
+        .map(opp => opp.Amount);
+      
+      if (wonAmounts.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Insufficient data',
+          message: 'No won opportunities have an Amount; provide a dealValue'
+        });
+      }
+      
+      wonDealValue = wonAmounts.reduce((sum, amount) => sum + amount, 0) / wonAmounts.length;
+    }
+    
+    // Out-of-time validation needs opportunities on both sides of the cutoff
+    if (validation === 'out-of-time') {
+      const split = splitOutOfTime(opportunities.map(opp => opp.CloseDate || null), cutoffDate);
+      
+      if (split.trainIndices.length === 0 || split.testIndices.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Insufficient data',
+          message: `No opportunities closed ${split.trainIndices.length === 0 ? 'before' : 'on or after'} the cutoff date ${split.cutoffDate}`
+        });
+      }
+    }
+    
+    const missingReferenceLevels = findMissingReferenceLevels(opportunities, referenceLevels);
+    if (missingReferenceLevels.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `Reference levels not found in the data: ${missingReferenceLevels.join(', ')}`
+      });
+    }
+    
+    const sharedOptions = {
+      validation,
+      validationFolds,
+      cutoffDate,
+      seed,
+      calibration,
+      thresholds,
+      thresholdObjective,
+      targetPrecision,
+      dealValue: wonDealValue,
+      pursuitCost
+    };
+    
+    const modelOptions = isTreeModel
+      ? { ...sharedOptions, modelType, trees, maxDepth, minLeafSize, learningRate, subsample }
+      : { ...sharedOptions, referenceLevels, minLevelCount, regularization, l1Ratio, penalty, folds, penaltyRule };
+    
+    // Build prediction model (tree ensembles take the dimensions as they are, without encoding)
+    const modelResults = isTreeModel
+      ? trainTreeModel(opportunities, dimensions, 'IsWon', modelOptions)
+      : trainPredictionModel(opportunities, dimensions, 'IsWon', modelOptions);
+    
+    // Register the model with the currency its amounts are in
+    const entry = await registerModel(modelId, { ...modelResults.model, currency: currencySummary.currency }, {
+      author: await getRequestAuthor(req),
+      promote,
+      options: getDefinedOptions({ modelType, ...modelOptions }),
+      metrics: modelResults.metrics,
+      data: getTrainingData(req, queryResult, dataSource, opportunities),
+      filters: filters || null,
+      trainingProfile: createTrainingProfile(opportunities, dimensions, modelResults.model.predict)
+    });
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      status: entry.status,
+      modelType,
+      data: {
+        metrics: modelResults.metrics,
+        validation: modelResults.validation,
+        evaluation: modelResults.evaluation,
+        calibration: modelResults.calibration,
+        thresholds: modelResults.thresholds,
+        featureImportance: modelResults.featureImportance,
+        formula: modelResults.formula,
+        training: modelResults.training,
+        regularization: modelResults.regularization,
+        regularizationPath: modelResults.regularizationPath
+      },
+      opportunityCount: opportunities.length,
+      dataCoverage: getDataCoverage(queryResult, dataSource)
+    });
+  } catch (error) {
+    console.error('Error in buildPredictionModel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Predicts win rate for a single opportunity
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const predictWinRate = async (req, res) => {
+  try {
+    const { opportunity, modelId, version, seed } = req.body;
+    
+    // Validate required parameters
+    if (!opportunity) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide opportunity data for prediction'
+      });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'seed must be an integer'
+      });
+    }
+    
+    const resolved = modelId ? resolveModel(modelId, version) : null;
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model not found',
+        message: 'Please build or select a valid prediction model'
+      });
+    }
+    
+    // The requested version, otherwise the production or latest version from the registry
+    const { entry, model } = resolved;
+    const dataSource = createDataSource(req);
+    
+    // Amounts are scored in the currency the model was trained in, as in batch predictions
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    const prepared = prepareAnalysisRecords([opportunity], currencyRates, model.currency);
+    let [scoredOpportunity] = prepared.records;
+    
+    // Stage models need to know how long the opportunity has been in its current stage
+    if (model.type === 'stage' && opportunity.Id && getDaysInStage(opportunity) === null) {
+      const history = await dataSource.fetchOpportunityHistory({
+        opportunityIds: [opportunity.Id],
+        fields: STAGE_HISTORY_FIELDS
+      });
+      [scoredOpportunity] = attachStageAges([scoredOpportunity], history);
+    }
+    
+    // Predict win rate
+    const prediction = predictOpportunity(scoredOpportunity, model, { seed });
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      data: prediction,
+      currency: prepared.currency
+    });
+  } catch (error) {
+    console.error('Error in predictWinRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Batch predicts win rates for multiple opportunities
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const batchPredictWinRates = async (req, res) => {
+  try {
+    const { filters, modelId, version, currency, fetchOpportunities: shouldFetch, explainTop = 0, seed } = req.body;
+    
+    if (!Number.isInteger(explainTop) || explainTop < 0 || explainTop > MAX_BATCH_EXPLANATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `explainTop must be an integer from 0 to ${MAX_BATCH_EXPLANATIONS}`
+      });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'seed must be an integer'
+      });
+    }
+    
+    // Validate required parameters
+    const resolved = modelId ? resolveModel(modelId, version) : null;
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model not found',
+        message: 'Please build or select a valid prediction model'
+      });
+    }
+    
+    // The requested version, otherwise the production or latest version from the registry
+    const { entry, model } = resolved;
+    
+    // Amounts are scored in the currency the model was trained in
+    const targetCurrency = currency || model.currency;
+    
+    let opportunities = [];
+    let dataCoverage = null;
+    let currencySummary = null;
+    
+    if (shouldFetch) {
+      // Fetch opportunities from the selected data source
+      const dataSource = createDataSource(req);
+      
+      // Validate filters against the data source's fields
+      const filterValidation = await validateRequestFilters(dataSource, filters);
+      if (!filterValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid filters',
+          message: filterValidation.errors.join('; ')
+        });
+      }
+      
+      // Amounts are converted to the requested currency (the corporate currency by default)
+      const currencyRates = await dataSource.fetchCurrencyRates();
+      if (targetCurrency && !isKnownCurrency(currencyRates, targetCurrency)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid currency',
+          message: `No conversion rate is available for ${targetCurrency}`
+        });
+      }
+      
+      const isStageModel = model.type === 'stage';
+      const queryResult = await dataSource.fetchOpportunities({
+        fields: getSourceFields(['Id', 'Name', ...(isStageModel ? ['StageName'] : []), ...model.dimensions]),
+        optionalFields: isStageModel ? [...CURRENCY_CONTEXT_FIELDS, 'LastStageChangeDate'] : CURRENCY_CONTEXT_FIELDS,
+        filters,
+        isClosed: false
+      });
+      const prepared = prepareAnalysisRecords(queryResult.records, currencyRates, targetCurrency);
+      opportunities = prepared.records;
+      currencySummary = prepared.currency;
+      dataCoverage = getDataCoverage(queryResult, dataSource);
+      
+      // Stage models score each opportunity by how long it has been in its current stage
+      if (isStageModel && opportunities.length > 0) {
+        const history = await dataSource.fetchOpportunityHistory({
+          opportunityIds: opportunities.map(opp => opp.Id),
+          fields: STAGE_HISTORY_FIELDS
+        });
+        opportunities = attachStageAges(opportunities, history);
+      }
+    } else {
+      // Use provided opportunities, converted like fetched ones
+      const currencyRates = await createDataSource(req).fetchCurrencyRates();
+      const prepared = prepareAnalysisRecords(req.body.opportunities || [], currencyRates, targetCurrency);
+      opportunities = prepared.records;
+      currencySummary = prepared.currency;
+    }
+    
+    // Check if we have opportunities
+    if (opportunities.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No opportunities',
+        message: 'No opportunities found for prediction'
+      });
+    }
+    
+    // Batch predict win rates
+    const predictions = predictOpportunities(opportunities, model, { explainTop, seed });
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      data: predictions,
+      opportunityCount: opportunities.length,
+      dataCoverage,
+      currency: currencySummary
+    });
+  } catch (error) {
+    console.error('Error in batchPredictWinRates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Generates a win rate formula
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const generateWinRateFormula = async (req, res) => {
+  try {
+    const { modelId, version, simplified } = req.body;
+    
+    // Validate required parameters
+    const resolved = modelId ? resolveModel(modelId, version) : null;
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model not found',
+        message: 'Please build or select a valid prediction model'
+      });
+    }
+    
+    // The requested version, otherwise the production or latest version from the registry
+    const { entry, model } = resolved;
+    
+    if (model.type === 'stage') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported model',
+        message: 'Stage models have no formula; use the stage comparison returned when the model was built'
+      });
+    }
+    
+    if (TREE_MODEL_TYPES.includes(model.type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported model',
+        message: 'Tree models have no formula; use the permutation feature importance returned when the model was built'
+      });
+    }
+    
+    // Generate formula
+    const formula = createWinRateFormula(model, simplified !== false);
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      data: formula
+    });
+  } catch (error) {
+    console.error('Error in generateWinRateFormula:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Simulates a win rate formula with different values
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const simulateWinRateFormula = async (req, res) => {
+  try {
+    const { modelId, version, values } = req.body;
+    
+    // Validate required parameters
+    const resolved = modelId ? resolveModel(modelId, version) : null;
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model not found',
+        message: 'Please build or select a valid prediction model'
+      });
+    }
+    
+    if (!values || typeof values !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide values for simulation'
+      });
+    }
+    
+    // The requested version, otherwise the production or latest version from the registry
+    const { entry, model } = resolved;
+    
+    // Create a simulated opportunity with the provided values
+    const simulatedOpportunity = { ...values };
+    
+    // Predict win rate
+    const prediction = predictOpportunity(simulatedOpportunity, model);
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      data: prediction
+    });
+  } catch (error) {
+    console.error('Error in simulateWinRateFormula:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Recommends the smallest changes to an open opportunity's actionable dimensions that would raise
+ * its predicted win probability to a target (the model's High threshold by default)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const recommendCounterfactuals = async (req, res) => {
+  try {
+    const {
+      modelId,
+      version,
+      opportunityId,
+      opportunity: providedOpportunity,
+      actions,
+      targetProbability,
+      maxChanges = 2,
+      maxResults = 5,
+      maxEvaluations,
+      currency
+    } = req.body;
+    
+    // Validate required parameters
+    const resolved = modelId ? resolveModel(modelId, version) : null;
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model not found',
+        message: 'Please build or select a valid prediction model'
+      });
+    }
+    
+    const { entry, model } = resolved;
+    
+    if (model.type === 'stage') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported model',
+        message: 'Counterfactuals need a logistic or tree model; stage models depend on time in stage'
+      });
+    }
+    
+    if (!opportunityId && !providedOpportunity) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide an opportunityId or opportunity data'
+      });
+    }
+    
+    const optionsError = validateCounterfactualOptions(req.body, model);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: optionsError
+      });
+    }
+    
+    const actionSpecs = actions.map(action => (typeof action === 'string' ? { dimension: action } : action));
+    const dataSource = createDataSource(req);
+    
+    // Amounts are compared in the currency the model was trained in
+    const targetCurrency = currency || model.currency;
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (targetCurrency && !isKnownCurrency(currencyRates, targetCurrency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${targetCurrency}`
+      });
+    }
+    
+    // Opportunities bound the numeric ranges and categorical values searched
+    const [queryResult, fieldMetadata] = await Promise.all([
+      dataSource.fetchOpportunities({
+        fields: getSourceFields(['Id', 'IsClosed', ...model.dimensions, ...actionSpecs.map(action => action.dimension)]),
+        optionalFields: CURRENCY_CONTEXT_FIELDS
+      }),
+      dataSource.fetchOpportunityFields()
+    ]);
+    const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+      queryResult.records,
+      currencyRates,
+      targetCurrency
+    );
+    
+    const opportunity = opportunityId
+      ? opportunities.find(opp => opp.Id === opportunityId)
+      : createDerivedFeatures([providedOpportunity], { currency: currencySummary.currency })[0];
+    
+    if (!opportunity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        message: `No opportunity found with ID ${opportunityId}`
+      });
+    }
+    
+    if (opportunity.IsClosed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Counterfactuals are only searched for open opportunities'
+      });
+    }
+    
+    // Derived dimensions follow the fields they are computed from (DealSizeCategory from Amount)
+    const predict = record => model.predict(createDerivedFeatures([record], { currency: currencySummary.currency })[0]);
+    const resolvedActions = resolveActions(actionSpecs, opportunities, fieldMetadata);
+    
+    const result = findCounterfactuals(opportunity, predict, resolvedActions, {
+      targetProbability: targetProbability || (model.thresholds || getDefaultThresholds()).high,
+      maxChanges,
+      maxResults,
+      maxEvaluations
+    });
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      data: {
+        opportunity: opportunity.Id || 'New Opportunity',
+        ...result,
+        actions: resolvedActions
+      },
+      currency: currencySummary
+    });
+  } catch (error) {
+    console.error('Error in recommendCounterfactuals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Compares registered models on the same held-out closed opportunities: the first model is the
+ * champion, the others challengers tested against it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const compareRegisteredModels = async (req, res) => {
+  try {
+    const {
+      models,
+      filters,
+      segmentBy,
+      maxSegments,
+      bootstrapSamples,
+      significanceLevel,
+      closedAfter,
+      includeTrainingData = false,
+      seed
+    } = req.body;
+    
+    const optionsError = validateComparisonOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: optionsError
+      });
+    }
+    
+    // Resolve each model as predictions would: the given version, otherwise production or latest
+    const specs = models.map(model => (typeof model === 'string' ? { modelId: model } : model));
+    const candidates = specs.map(spec => ({ spec, resolved: resolveModel(spec.modelId, spec.version) }));
+    
+    const missing = candidates.find(candidate => !candidate.resolved);
+    if (missing) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model not found',
+        message: `No servable version of ${missing.spec.modelId}${missing.spec.version ? ` (version ${missing.spec.version})` : ''}`
+      });
+    }
+    
+    const entries = candidates.map(candidate => candidate.resolved.entry);
+    if (new Set(entries.map(entry => entry.id)).size < entries.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Each model version can only be compared once'
+      });
+    }
+    
+    if (entries.some(entry => entry.type === 'stage')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported model',
+        message: 'Stage models predict from the current stage, which closed opportunities no longer have'
+      });
+    }
+    
+    const dimensions = [...new Set(entries.flatMap(entry => entry.dimensions))];
+    const fields = getSourceFields(['Id', 'IsWon', 'CloseDate', ...dimensions, ...(segmentBy || [])]);
+    const dataSource = createAnalysisDataSource(req, fields);
+    
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
+    }
+    
+    // Each model scores amounts in the currency it was trained in
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    const currencies = [...new Set(entries.map(entry => entry.currency))];
+    const unknownCurrency = currencies.find(currency => currency && !isKnownCurrency(currencyRates, currency));
+    if (unknownCurrency) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${unknownCurrency}`
+      });
+    }
+    
+    const queryResult = await dataSource.fetchOpportunities({
+      fields,
+      optionalFields: CURRENCY_CONTEXT_FIELDS,
+      filters,
+      isClosed: true
+    });
+    
+    // Deals a model was trained on flatter it, so by default only deals closed after every
+    // model's training data are compared. Models registered without their last training close
+    // date can't be checked.
+    const trainedThrough = entries.map(entry => (entry.lineage.data && entry.lineage.data.lastCloseDate) || null);
+    const lastTrainingCloseDate = trainedThrough.includes(null)
+      ? null
+      : trainedThrough.reduce((latest, date) => (date > latest ? date : latest));
+    
+    const heldOut = queryResult.records.filter(opp => {
+      const closeDate = getCloseDate(opp);
+      if (closedAfter) return closeDate !== null && closeDate >= closedAfter;
+      if (includeTrainingData || lastTrainingCloseDate === null) return true;
+      return closeDate !== null && closeDate > lastTrainingCloseDate;
+    });
+    
+    // Models whose training close dates reach into the compared deals, or are unknown
+    const overlapping = entries.filter((entry, k) => trainedThrough[k] === null ||
+      heldOut.some(opp => getCloseDate(opp) === null || getCloseDate(opp) <= trainedThrough[k]));
+    
+    const recordsByCurrency = new Map(currencies.map(currency => [
+      currency,
+      prepareAnalysisRecords(heldOut, currencyRates, currency).records
+    ]));
+    const opportunities = recordsByCurrency.get(entries[0].currency);
+    const y = opportunities.map(opp => (opp.IsWon ? 1 : 0));
+    
+    const wins = y.filter(outcome => outcome === 1).length;
+    if (y.length < MIN_COMPARISON_OPPORTUNITIES || wins === 0 || wins === y.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient data',
+        message: `Models are compared on at least ${MIN_COMPARISON_OPPORTUNITIES} closed opportunities with both wins and losses` +
+          (!closedAfter && !includeTrainingData && lastTrainingCloseDate
+            ? `; only ${y.length} closed after the models' training data (${lastTrainingCloseDate}). ` +
+              'Pass includeTrainingData to compare them in-sample, without a verdict'
+            : '')
+      });
+    }
+    
+    // Segment by the categorical dimensions every model uses unless segment fields are given
+    const segmentFields = segmentBy || entries[0].dimensions.filter(dimension =>
+      entries.every(entry => entry.dimensions.includes(dimension)) && !isNumericDimension(opportunities, dimension)
+    );
+    
+    const comparison = compareModels(
+      y,
+      candidates.map(({ resolved }) => ({
+        entry: resolved.entry,
+        probabilities: recordsByCurrency.get(resolved.entry.currency).map(opp => resolved.model.predict(opp))
+      })),
+      {
+        segments: segmentFields.map(field => ({ field, values: opportunities.map(opp => opp[field]) })),
+        maxSegments,
+        bootstrapSamples,
+        significanceLevel,
+        random: seed === undefined ? Math.random : createRandom(seed),
+        overlapsTraining: overlapping.length > 0
+      }
+    );
+    
+    const warnings = overlapping.map(entry => {
+      const lastCloseDate = entry.lineage.data && entry.lineage.data.lastCloseDate;
+      return lastCloseDate
+        ? `${entry.modelId} version ${entry.version} was trained on opportunities closed up to ${lastCloseDate}, ` +
+          'which the compared opportunities include; no verdict is given'
+        : `${entry.modelId} version ${entry.version} was registered without its training close dates, so the ` +
+          'compared opportunities may include its training data; rebuild it for a verdict';
+    });
+    const dataCoverage = getDataCoverage(queryResult, dataSource);
+    
+    res.json({
+      success: true,
+      data: comparison,
+      warnings,
+      opportunityCount: y.length,
+      dataCoverage
+    });
+  } catch (error) {
+    console.error('Error in compareRegisteredModels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reports how far the live pipeline has drifted from a registered model's training data, and how
+ * the win probabilities predicted for deals compare with how they closed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDriftReport = async (req, res) => {
+  try {
+    const { modelId, version, filters, probabilityField = DEFAULT_PROBABILITY_FIELD, closedSince, thresholds } = req.body;
+    
+    if (!modelId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide the modelId of a registered model'
+      });
+    }
+    
+    const optionsError = validateDriftOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: optionsError
+      });
+    }
+    
+    const resolved = resolveModel(modelId, version);
+    if (!resolved) {
+      return sendModelNotFound(res, modelId, version);
+    }
+    
+    const { entry, model } = resolved;
+    
+    if (entry.type === 'stage') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported model',
+        message: 'Drift is monitored for logistic and tree models; stage models score stage paths rather than opportunities'
+      });
+    }
+    
+    if (!entry.trainingProfile) {
+      return res.status(400).json({
+        success: false,
+        error: 'Drift baseline unavailable',
+        message: `Version ${entry.version} of ${modelId} was registered without a training profile; rebuild it to monitor drift`
+      });
+    }
+    
+    const fields = getSourceFields(['Id', 'IsWon', 'CloseDate', ...entry.dimensions]);
+    const dataSource = createAnalysisDataSource(req, fields);
+    
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
+    }
+    
+    // Amounts are compared in the currency the model was trained in
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (entry.currency && !isKnownCurrency(currencyRates, entry.currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${entry.currency}`
+      });
+    }
+    
+    const [openResult, closedResult] = await Promise.all([false, true].map(isClosed => dataSource.fetchOpportunities({
+      fields,
+      optionalFields: [...CURRENCY_CONTEXT_FIELDS, probabilityField],
+      filters,
+      isClosed
+    })));
+    const openOpportunities = prepareAnalysisRecords(openResult.records, currencyRates, entry.currency).records;
+    
+    // Deals closed since the model was trained, scored with the probability written back to them
+    // when there is one (a Percent field, so stored as 0-100), otherwise by the model
+    const since = closedSince || entry.createdAt.slice(0, 10);
+    const closedOpportunities = prepareAnalysisRecords(
+      closedResult.records.filter(opp => opp.CloseDate && opp.CloseDate >= since),
+      currencyRates,
+      entry.currency
+    ).records;
+    const outcomes = closedOpportunities.map(opp => {
+      const stored = typeof opp[probabilityField] === 'number' ? opp[probabilityField] : null;
+      return {
+        probability: stored === null ? model.predict(opp) : stored / 100,
+        stored: stored !== null,
+        won: Boolean(opp.IsWon),
+        closeDate: opp.CloseDate
+      };
+    });
+    
+    const driftThresholds = resolveDriftThresholds(thresholds);
+    const drift = measureDrift(entry.trainingProfile, openOpportunities, model.predict);
+    const realized = {
+      closedSince: since,
+      storedCount: outcomes.filter(outcome => outcome.stored).length,
+      ...compareRealizedWinRate(outcomes)
+    };
+    const alerts = getDriftAlerts(drift, realized, driftThresholds);
+    
+    if (alerts.some(alert => alert.severity === 'alert')) {
+      console.warn(`Drift alerts for ${modelId} version ${entry.version}: ${alerts.filter(alert => alert.severity === 'alert').map(alert => alert.message).join('; ')}`);
+    }
+    
+    res.json({
+      success: true,
+      modelId,
+      version: entry.version,
+      data: {
+        model: {
+          status: entry.status,
+          type: entry.type,
+          createdAt: entry.createdAt,
+          trainedOn: entry.lineage.data,
+          trainingOpportunityCount: entry.trainingProfile.opportunityCount,
+          trainingWinRate: entry.trainingProfile.winRate
+        },
+        drift,
+        realized,
+        alerts,
+        thresholds: driftThresholds
+      },
+      dataCoverage: getDataCoverage(openResult, dataSource)
+    });
+  } catch (error) {
+    console.error('Error in getDriftReport:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
   }
 };
 
 /**
- * Analyzes the impact of dimensions on win rates
+ * Generates a win rate lookup table
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const analyzeDimensionImpact = async (req, res) => {
+const generateWinRateLookupTable = async (req, res) => {
   try {
-    const { dimensions, filters, cacheKey } = req.body;
+    const { dimensions, filters, maxCombinations, cacheKey, currency } = req.body;
     
     // Validate required parameters
     if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid parameters',
-        message: 'Please provide an array of dimensions to analyze'
+        message: 'Please provide an array of dimensions for the lookup table'
       });
     }
     
     // Check cache if cacheKey provided
-    if (cacheKey && cache.regressionResults[cacheKey]) {
+    if (cacheKey && cache.lookupTables[cacheKey]) {
       return res.json({
         success: true,
-        data: cache.regressionResults[cacheKey],
+        data: cache.lookupTables[cacheKey],
         fromCache: true
       });
     }
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
+    // Read from the sync store if this source has been synced, otherwise query it live
+    const fields = getSourceFields(['Id', 'IsWon', ...dimensions]);
+    const dataSource = createAnalysisDataSource(req, fields);
     
-    const conn = createConnection(credentials);
-    
-    // Construct where clause from filters
-    let whereClause = '';
-    if (filters && Object.keys(filters).length > 0) {
-      whereClause = Object.entries(filters)
-        .map(([field, value]) => {
-          if (Array.isArray(value)) {
-            return `${field} IN ('${value.join("','")}')`;
-          } else {
-            return `${field} = '${value}'`;
-          }
-        })
-        .join(' AND ');
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
     }
     
-    // Add IsClosed filter to only analyze closed opportunities
-    whereClause = whereClause 
-      ? `${whereClause} AND IsClosed = true` 
-      : 'IsClosed = true';
-    
-    // Fetch opportunities
-    const opportunities = await fetchOpportunities(conn, {
-      fields: ['Id', 'IsWon', ...dimensions],
-      whereClause,
-      limit: 5000
-    });
-    
-    // Check if we have enough data
-    if (opportunities.length < 50) {
+    // Amounts are converted to the requested currency (the corporate currency by default)
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (currency && !isKnownCurrency(currencyRates, currency)) {
       return res.status(400).json({
         success: false,
-        error: 'Insufficient data',
-        message: 'Not enough closed opportunities to perform analysis'
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${currency}`
       });
     }
     
-    // Perform regression analysis
-    const regressionResults = performMultivariateRegression(
+    const queryResult = await dataSource.fetchOpportunities({
+      fields,
+      optionalFields: CURRENCY_CONTEXT_FIELDS,
+      filters,
+      isClosed: true
+    });
+    const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+      queryResult.records,
+      currencyRates,
+      currency
+    );
+    
+    // Generate lookup table
+    const lookupTable = buildLookupTable(
       opportunities,
       dimensions,
-      'IsWon'
+      maxCombinations || 1000
     );
     
     // Cache results if cacheKey provided
     if (cacheKey) {
-      cache.regressionResults[cacheKey] = regressionResults;
+      cache.lookupTables[cacheKey] = lookupTable;
     }
     
     res.json({
       success: true,
-      data: regressionResults,
+      data: lookupTable,
       opportunityCount: opportunities.length,
+      dataCoverage: getDataCoverage(queryResult, dataSource),
+      currency: currencySummary,
       fromCache: false
     });
   } catch (error) {
-    console.error('Error in analyzeDimensionImpact:', error);
+    console.error('Error in generateWinRateLookupTable:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -118,167 +2066,108 @@ const analyzeDimensionImpact = async (req, res) => {
 };
 
 /**
- * Performs dimension clustering analysis
+ * Analyzes the stage funnel from opportunity stage history
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const performDimensionClustering = async (req, res) => {
+const analyzeStageFunnel = async (req, res) => {
   try {
-    const { dimensions, filters, k, cacheKey } = req.body;
+    const { filters, segmentBy, maxSegments, cacheKey, currency } = req.body;
     
-    // Validate required parameters
-    if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
+    // Validate the segment dimension
+    if (segmentBy !== undefined && segmentBy !== null && (typeof segmentBy !== 'string' || !isValidFieldName(segmentBy))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid parameters',
-        message: 'Please provide an array of dimensions for clustering'
+        message: 'segmentBy must be a field name'
       });
     }
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
-    
-    const conn = createConnection(credentials);
-    
-    // Construct where clause from filters
-    let whereClause = '';
-    if (filters && Object.keys(filters).length > 0) {
-      whereClause = Object.entries(filters)
-        .map(([field, value]) => {
-          if (Array.isArray(value)) {
-            return `${field} IN ('${value.join("','")}')`;
-          } else {
-            return `${field} = '${value}'`;
-          }
-        })
-        .join(' AND ');
+    // Check cache if cacheKey provided
+    if (cacheKey && cache.funnels[cacheKey]) {
+      return res.json({
+        success: true,
+        data: cache.funnels[cacheKey],
+        fromCache: true
+      });
     }
     
-    // Fetch opportunities
-    const opportunities = await fetchOpportunities(conn, {
-      fields: ['Id', 'IsWon', ...dimensions],
-      whereClause,
-      limit: 5000
-    });
-    
-    // Perform clustering analysis
-    const clusteringResults = clusterDimensions(
-      opportunities,
-      dimensions,
-      k || 3
-    );
-    
-    res.json({
-      success: true,
-      data: clusteringResults,
-      opportunityCount: opportunities.length
-    });
-  } catch (error) {
-    console.error('Error in performDimensionClustering:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server error',
-      message: error.message
-    });
-  }
-};
-
-/**
- * Builds a win rate prediction model
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- */
-const buildPredictionModel = async (req, res) => {
-  try {
-    const { dimensions, filters, modelId } = req.body;
+    // Stage history is only kept by the source itself, not by the sync store
+    const dataSource = createDataSource(req);
     
-    // Validate required parameters
-    if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
+    // Validate filters against the data source's fields
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid parameters',
-        message: 'Please provide an array of dimensions for the prediction model'
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
       });
     }
     
-    // Validate model ID
-    if (!modelId) {
+    // Amounts are converted to the requested currency (the corporate currency by default)
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    if (currency && !isKnownCurrency(currencyRates, currency)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid parameters',
-        message: 'Please provide a model ID for caching'
+        error: 'Invalid currency',
+        message: `No conversion rate is available for ${currency}`
       });
     }
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
+    // Open opportunities are included so the funnel shows where deals currently sit
+    const queryResult = await dataSource.fetchOpportunities({
+      fields: getSourceFields(['Id', 'StageName', 'IsClosed', 'IsWon', ...(segmentBy ? [segmentBy] : [])]),
+      optionalFields: CURRENCY_CONTEXT_FIELDS,
+      filters
+    });
+    const { records: opportunities, currency: currencySummary } = prepareAnalysisRecords(
+      queryResult.records,
+      currencyRates,
+      currency
+    );
     
-    const conn = createConnection(credentials);
-    
-    // Construct where clause from filters
-    let whereClause = '';
-    if (filters && Object.keys(filters).length > 0) {
-      whereClause = Object.entries(filters)
-        .map(([field, value]) => {
-          if (Array.isArray(value)) {
-            return `${field} IN ('${value.join("','")}')`;
-          } else {
-            return `${field} = '${value}'`;
-          }
+    const [history, fieldMetadata] = await Promise.all([
+      opportunities.length > 0
+        ? dataSource.fetchOpportunityHistory({
+          opportunityIds: opportunities.map(opp => opp.Id),
+          fields: STAGE_HISTORY_FIELDS
         })
-        .join(' AND ');
-    }
+        : [],
+      dataSource.fetchOpportunityFields()
+    ]);
     
-    // Add IsClosed filter to only use closed opportunities for training
-    whereClause = whereClause 
-      ? `${whereClause} AND IsClosed = true` 
-      : 'IsClosed = true';
-    
-    // Fetch opportunities
-    const opportunities = await fetchOpportunities(conn, {
-      fields: ['Id', 'IsWon', ...dimensions],
-      whereClause,
-      limit: 10000
-    });
-    
-    // Check if we have enough data
-    if (opportunities.length < 100) {
+    // Check if we have stage history to analyze
+    if (history.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient data',
-        message: 'Not enough closed opportunities to build a prediction model'
+        message: 'No stage history found for the selected opportunities'
       });
     }
     
-    // Build prediction model
-    const modelResults = buildPredictionModel(
-      opportunities,
-      dimensions,
-      'IsWon'
-    );
+    // Reconstruct stage paths and compute funnel metrics
+    const funnel = buildStageFunnel(opportunities, history, {
+      fieldMetadata,
+      segmentBy,
+      maxSegments: maxSegments || 10
+    });
     
-    // Cache the model
-    cache.models[modelId] = modelResults.model;
+    // Cache results if cacheKey provided
+    if (cacheKey) {
+      cache.funnels[cacheKey] = funnel;
+    }
     
     res.json({
       success: true,
-      modelId,
-      data: {
-        metrics: modelResults.metrics,
-        featureImportance: modelResults.featureImportance,
-        formula: modelResults.formula,
-        training: modelResults.training
-      },
-      opportunityCount: opportunities.length
+      data: funnel,
+      opportunityCount: funnel.opportunityCount,
+      dataCoverage: getDataCoverage(queryResult, dataSource),
+      currency: currencySummary,
+      fromCache: false
     });
   } catch (error) {
-    console.error('Error in buildPredictionModel:', error);
+    console.error('Error in analyzeStageFunnel:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -288,43 +2177,37 @@ const buildPredictionModel = async (req, res) => {
 };
 
 /**
- * Predicts win rate for a single opportunity
+ * Sends a 404 response for a model or model version missing from the registry
+ * @param {Object} res - Express response object
+ * @param {String} modelId - Model ID
+ * @param {String} version - Version number (when a version was requested)
+ */
+const sendModelNotFound = (res, modelId, version) => {
+  res.status(404).json({
+    success: false,
+    error: 'Model not found',
+    message: version === undefined
+      ? `No model registered with ID ${modelId}`
+      : `No version ${version} of model ${modelId}`
+  });
+};
+
+/**
+ * Lists the registered models
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const predictWinRate = async (req, res) => {
+const listRegisteredModels = (req, res) => {
   try {
-    const { opportunity, modelId } = req.body;
-    
-    // Validate required parameters
-    if (!opportunity) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid parameters',
-        message: 'Please provide opportunity data for prediction'
-      });
-    }
-    
-    if (!modelId || !cache.models[modelId]) {
-      return res.status(400).json({
-        success: false,
-        error: 'Model not found',
-        message: 'Please build or select a valid prediction model'
-      });
-    }
-    
-    // Get the model from cache
-    const model = cache.models[modelId];
-    
-    // Predict win rate
-    const prediction = predictWinRate(opportunity, model);
+    const models = listModels();
     
     res.json({
       success: true,
-      data: prediction
+      data: models,
+      count: models.length
     });
   } catch (error) {
-    console.error('Error in predictWinRate:', error);
+    console.error('Error in listRegisteredModels:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -334,86 +2217,25 @@ const predictWinRate = async (req, res) => {
 };
 
 /**
- * Batch predicts win rates for multiple opportunities
+ * Gets the versions of a registered model, newest first
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const batchPredictWinRates = async (req, res) => {
+const getRegisteredModel = (req, res) => {
   try {
-    const { filters, modelId, fetchOpportunities: shouldFetch } = req.body;
-    
-    // Validate required parameters
-    if (!modelId || !cache.models[modelId]) {
-      return res.status(400).json({
-        success: false,
-        error: 'Model not found',
-        message: 'Please build or select a valid prediction model'
-      });
-    }
-    
-    // Get the model from cache
-    const model = cache.models[modelId];
-    
-    let opportunities = [];
-    
-    if (shouldFetch) {
-      // Get Salesforce connection from cookies
-      const credentials = {
-        accessToken: req.cookies.sf_access_token,
-        instanceUrl: req.cookies.sf_instance_url
-      };
-      
-      const conn = createConnection(credentials);
-      
-      // Construct where clause from filters
-      let whereClause = '';
-      if (filters && Object.keys(filters).length > 0) {
-        whereClause = Object.entries(filters)
-          .map(([field, value]) => {
-            if (Array.isArray(value)) {
-              return `${field} IN ('${value.join("','")}')`;
-            } else {
-              return `${field} = '${value}'`;
-            }
-          })
-          .join(' AND ');
-      }
-      
-      // Add IsClosed = false to only predict for open opportunities
-      whereClause = whereClause 
-        ? `${whereClause} AND IsClosed = false` 
-        : 'IsClosed = false';
-      
-      // Fetch opportunities
-      opportunities = await fetchOpportunities(conn, {
-        fields: ['Id', 'Name', ...model.dimensions],
-        whereClause,
-        limit: 1000
-      });
-    } else {
-      // Use provided opportunities
-      opportunities = req.body.opportunities || [];
-    }
+    const versions = listModelVersions(req.params.modelId);
     
-    // Check if we have opportunities
-    if (opportunities.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No opportunities',
-        message: 'No opportunities found for prediction'
-      });
+    if (versions.length === 0) {
+      return sendModelNotFound(res, req.params.modelId);
     }
     
-    // Batch predict win rates
-    const predictions = batchPredictWinRates(opportunities, model);
-    
     res.json({
       success: true,
-      data: predictions,
-      opportunityCount: opportunities.length
+      data: versions,
+      count: versions.length
     });
   } catch (error) {
-    console.error('Error in batchPredictWinRates:', error);
+    console.error('Error in getRegisteredModel:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -423,35 +2245,25 @@ const batchPredictWinRates = async (req, res) => {
 };
 
 /**
- * Generates a win rate formula
+ * Gets one version of a registered model with its lineage and metrics
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const generateWinRateFormula = async (req, res) => {
+const getRegisteredModelVersion = (req, res) => {
   try {
-    const { modelId, simplified } = req.body;
+    const { modelId, version } = req.params;
+    const entry = getModelVersion(modelId, version);
     
-    // Validate required parameters
-    if (!modelId || !cache.models[modelId]) {
-      return res.status(400).json({
-        success: false,
-        error: 'Model not found',
-        message: 'Please build or select a valid prediction model'
-      });
+    if (!entry) {
+      return sendModelNotFound(res, modelId, version);
     }
     
-    // Get the model from cache
-    const model = cache.models[modelId];
-    
-    // Generate formula
-    const formula = generateWinRateFormula(model, simplified !== false);
-    
     res.json({
       success: true,
-      data: formula
+      data: entry
     });
   } catch (error) {
-    console.error('Error in generateWinRateFormula:', error);
+    console.error('Error in getRegisteredModelVersion:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -461,46 +2273,33 @@ const generateWinRateFormula = async (req, res) => {
 };
 
 /**
- * Simulates a win rate formula with different values
+ * Promotes a model version to production, so predictions without a version use it
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const simulateWinRateFormula = async (req, res) => {
+const promoteRegisteredModel = async (req, res) => {
   try {
-    const { modelId, values } = req.body;
+    const { modelId, version } = req.params;
+    const entry = getModelVersion(modelId, version);
     
-    // Validate required parameters
-    if (!modelId || !cache.models[modelId]) {
-      return res.status(400).json({
-        success: false,
-        error: 'Model not found',
-        message: 'Please build or select a valid prediction model'
-      });
+    if (!entry) {
+      return sendModelNotFound(res, modelId, version);
     }
     
-    if (!values || typeof values !== 'object') {
+    if (entry.status === 'archived') {
       return res.status(400).json({
         success: false,
         error: 'Invalid parameters',
-        message: 'Please provide values for simulation'
+        message: `Version ${entry.version} of ${modelId} is archived and can't be promoted`
       });
     }
     
-    // Get the model from cache
-    const model = cache.models[modelId];
-    
-    // Create a simulated opportunity with the provided values
-    const simulatedOpportunity = { ...values };
-    
-    // Predict win rate
-    const prediction = predictWinRate(simulatedOpportunity, model);
-    
     res.json({
       success: true,
-      data: prediction
+      data: await promoteModelVersion(modelId, version, await getRequestAuthor(req))
     });
   } catch (error) {
-    console.error('Error in simulateWinRateFormula:', error);
+    console.error('Error in promoteRegisteredModel:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -510,86 +2309,54 @@ const simulateWinRateFormula = async (req, res) => {
 };
 
 /**
- * Generates a win rate lookup table
+ * Archives a model version so it is no longer used for predictions
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const generateWinRateLookupTable = async (req, res) => {
+const archiveRegisteredModel = async (req, res) => {
   try {
-    const { dimensions, filters, maxCombinations, cacheKey } = req.body;
-    
-    // Validate required parameters
-    if (!dimensions || !Array.isArray(dimensions) || dimensions.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid parameters',
-        message: 'Please provide an array of dimensions for the lookup table'
-      });
-    }
-    
-    // Check cache if cacheKey provided
-    if (cacheKey && cache.lookupTables[cacheKey]) {
-      return res.json({
-        success: true,
-        data: cache.lookupTables[cacheKey],
-        fromCache: true
-      });
-    }
-    
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
+    const { modelId, version } = req.params;
+    const entry = await archiveModelVersion(modelId, version, await getRequestAuthor(req));
     
-    const conn = createConnection(credentials);
-    
-    // Construct where clause from filters
-    let whereClause = '';
-    if (filters && Object.keys(filters).length > 0) {
-      whereClause = Object.entries(filters)
-        .map(([field, value]) => {
-          if (Array.isArray(value)) {
-            return `${field} IN ('${value.join("','")}')`;
-          } else {
-            return `${field} = '${value}'`;
-          }
-        })
-        .join(' AND ');
+    if (!entry) {
+      return sendModelNotFound(res, modelId, version);
     }
     
-    // Add IsClosed filter to only use closed opportunities
-    whereClause = whereClause 
-      ? `${whereClause} AND IsClosed = true` 
-      : 'IsClosed = true';
-    
-    // Fetch opportunities
-    const opportunities = await fetchOpportunities(conn, {
-      fields: ['Id', 'IsWon', ...dimensions],
-      whereClause,
-      limit: 10000
+    res.json({
+      success: true,
+      data: entry
     });
+  } catch (error) {
+    console.error('Error in archiveRegisteredModel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Deletes a registered model version, or every version of a model when no version is given
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRegisteredModel = async (req, res) => {
+  try {
+    const { modelId, version } = req.params;
+    const deletedCount = await deleteModel(modelId, version);
     
-    // Generate lookup table
-    const lookupTable = generateWinRateLookupTable(
-      opportunities,
-      dimensions,
-      maxCombinations || 1000
-    );
-    
-    // Cache results if cacheKey provided
-    if (cacheKey) {
-      cache.lookupTables[cacheKey] = lookupTable;
+    if (deletedCount === 0) {
+      return sendModelNotFound(res, modelId, version);
     }
     
     res.json({
       success: true,
-      data: lookupTable,
-      opportunityCount: opportunities.length,
-      fromCache: false
+      message: version === undefined ? 'Model deleted successfully' : 'Model version deleted successfully',
+      deletedCount
     });
   } catch (error) {
-    console.error('Error in generateWinRateLookupTable:', error);
+    console.error('Error in deleteRegisteredModel:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -629,6 +2396,16 @@ module.exports = {
   batchPredictWinRates,
   generateWinRateFormula,
   simulateWinRateFormula,
+  recommendCounterfactuals,
+  listRegisteredModels,
+  getRegisteredModel,
+  getRegisteredModelVersion,
+  promoteRegisteredModel,
+  archiveRegisteredModel,
+  deleteRegisteredModel,
+  compareRegisteredModels,
+  getDriftReport,
   generateWinRateLookupTable,
+  analyzeStageFunnel,
   clearAnalyticsCache
 };
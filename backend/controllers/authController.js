@@ -7,6 +7,7 @@ const jsforce = require('jsforce');
 
 // Load configuration
 const config = require('../config/config');
+const { forgetSession } = require('../services/sessionService');
 
 /**
  * Redirects to Salesforce login page
@@ -130,6 +131,7 @@ const checkAuth = (req, res) => {
 const logout = (req, res) => {
   try {
     // Clear authentication cookies
+    forgetSession(req);
     res.clearCookie('sf_access_token');
     res.clearCookie('sf_instance_url');
     res.clearCookie('sf_user_id');
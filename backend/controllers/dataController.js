@@ -3,17 +3,38 @@
  * Handles data-related requests
  */
 
-const { 
-  createConnection,
-  fetchOpportunities,
-  fetchOpportunityFields,
-  updateOpportunityProbabilities,
-  fetchOpportunityHistory,
-  fetchUsers
-} = require('../services/salesforceService');
+const config = require('../config/config');
+const {
+  createDataSource,
+  createAnalysisDataSource,
+  getSyncStoreKey,
+  validateRequestFilters
+} = require('../services/dataSources');
+const { isValidFieldName, isValidOrderBy } = require('../utils/filterUtils');
+const { syncOpportunities, getSyncStatus, isSyncRunning } = require('../services/syncService');
+const {
+  isSnapshotOwnedBy,
+  reserveSnapshotName,
+  releaseSnapshotName,
+  getSnapshotSummary,
+  listSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+  diffSnapshots
+} = require('../services/snapshotService');
+const { DATE_ORDERS, parseImportFile, buildOpportunityRecords } = require('../services/importService');
+const { getSessionIdentity } = require('../services/sessionService');
+const {
+  canRegisterDataset,
+  registerDataset,
+  listDatasets,
+  isDatasetOwnedBy,
+  getDatasetSummary,
+  deleteDataset
+} = require('../services/datasetService');
 
 /**
- * Fetches opportunities from Salesforce
+ * Fetches opportunities from the selected data source
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -21,33 +42,88 @@ const fetchOpportunitiesHandler = async (req, res) => {
   try {
     const { 
       whereClause, 
+      filters: filtersParam,
       limit, 
       fields, 
       orderBy, 
-      includeCustomFields 
+      includeCustomFields,
+      queryMethod
     } = req.query;
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
+    // Get the data source for this request (Salesforce, fixture or imported dataset)
+    const dataSource = createDataSource(req);
     
-    const conn = createConnection(credentials);
+    // Validate query method
+    if (queryMethod && !['auto', 'rest', 'bulk'].includes(queryMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'queryMethod must be one of: auto, rest, bulk'
+      });
+    }
+    
+    // Field names and the sort expression end up in the query, so only plain names are accepted
+    const fieldList = fields ? fields.split(',') : undefined;
+    const invalidField = fieldList && fieldList.find(field => !isValidFieldName(field));
+    if (invalidField !== undefined || (orderBy && !isValidOrderBy(orderBy))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: invalidField !== undefined
+          ? `Invalid field name: ${invalidField}`
+          : 'orderBy must be a field name optionally followed by ASC or DESC'
+      });
+    }
+    
+    // Raw SOQL is no longer accepted; filters are validated and escaped instead
+    if (whereClause) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'The whereClause parameter is no longer supported; pass a JSON filters parameter instead'
+      });
+    }
+    
+    // Filters arrive as JSON in the query string
+    let filters;
+    if (filtersParam) {
+      try {
+        filters = JSON.parse(filtersParam);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid filters',
+          message: `filters must be valid JSON: ${parseError.message}`
+        });
+      }
+    }
+    
+    const filterValidation = await validateRequestFilters(dataSource, filters);
+    if (!filterValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterValidation.errors.join('; ')
+      });
+    }
     
     // Fetch opportunities
-    const opportunities = await fetchOpportunities(conn, {
-      whereClause,
+    const queryResult = await dataSource.fetchOpportunities({
+      filters,
       limit: limit ? parseInt(limit, 10) : undefined,
-      fields: fields ? fields.split(',') : undefined,
+      fields: fieldList,
       orderBy,
-      includeCustomFields: includeCustomFields === 'true'
+      includeCustomFields: includeCustomFields === 'true',
+      queryMethod
     });
     
     res.json({
       success: true,
-      data: opportunities,
-      count: opportunities.length
+      data: queryResult.records,
+      count: queryResult.fetchedCount,
+      totalSize: queryResult.totalSize,
+      truncated: queryResult.truncated,
+      queryMethod: queryResult.queryMethod
     });
   } catch (error) {
     console.error('Error in fetchOpportunities:', error);
@@ -60,22 +136,17 @@ const fetchOpportunitiesHandler = async (req, res) => {
 };
 
 /**
- * Fetches opportunity fields metadata from Salesforce
+ * Fetches opportunity fields metadata from the selected data source
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const fetchOpportunityFieldsHandler = async (req, res) => {
   try {
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
-    
-    const conn = createConnection(credentials);
+    // Get the data source for this request (Salesforce, fixture or imported dataset)
+    const dataSource = createDataSource(req);
     
     // Fetch opportunity fields
-    const fields = await fetchOpportunityFields(conn);
+    const fields = await dataSource.fetchOpportunityFields();
     
     // Group fields by type
     const groupedFields = fields.reduce((acc, field) => {
@@ -104,8 +175,59 @@ const fetchOpportunityFieldsHandler = async (req, res) => {
   }
 };
 
+// Field types that can be analyzed as dimensions
+const DIMENSION_FIELD_TYPES = ['picklist', 'boolean', 'int', 'double', 'currency', 'percent', 'string'];
+
+// Fields that record the outcome itself and would leak it into an analysis
+const OUTCOME_FIELDS = ['IsWon', 'IsClosed', 'StageName', 'Probability', 'ForecastCategory', 'ForecastCategoryName'];
+
+// Fields rewritten when amounts are converted to the reporting currency
+const CURRENCY_FIELDS = ['CurrencyIsoCode'];
+
 /**
- * Fetches opportunity history data from Salesforce
+ * Lists the fields that can be used as analysis dimensions, including related-object fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const fetchDimensionsHandler = async (req, res) => {
+  try {
+    // Get the data source for this request (Salesforce, fixture or imported dataset)
+    const dataSource = createDataSource(req);
+    
+    const fields = await dataSource.fetchOpportunityFields();
+    
+    // Free-text Opportunity fields (Name, NextStep, ...) are unique per record, so only
+    // related text fields such as Campaign.Name are offered
+    const dimensions = fields
+      .filter(field => DIMENSION_FIELD_TYPES.includes(field.type) && !OUTCOME_FIELDS.includes(field.name))
+      .filter(field => !CURRENCY_FIELDS.includes(field.name))
+      .filter(field => field.type !== 'string' || field.isRelated)
+      .map(field => ({
+        id: field.name,
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        group: field.group || 'Opportunity',
+        isRelated: Boolean(field.isRelated)
+      }));
+    
+    res.json({
+      success: true,
+      data: dimensions,
+      count: dimensions.length
+    });
+  } catch (error) {
+    console.error('Error in fetchDimensions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Fetches opportunity history data from the selected data source
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -113,13 +235,8 @@ const fetchOpportunityHistoryHandler = async (req, res) => {
   try {
     const { opportunityIds, fields, limit } = req.query;
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
-    
-    const conn = createConnection(credentials);
+    // Get the data source for this request (Salesforce, fixture or imported dataset)
+    const dataSource = createDataSource(req);
     
     // Parse opportunity IDs if provided
     const parsedOpportunityIds = opportunityIds 
@@ -132,7 +249,7 @@ const fetchOpportunityHistoryHandler = async (req, res) => {
       : undefined;
     
     // Fetch opportunity history
-    const history = await fetchOpportunityHistory(conn, {
+    const history = await dataSource.fetchOpportunityHistory({
       opportunityIds: parsedOpportunityIds,
       fields: parsedFields,
       limit: limit ? parseInt(limit, 10) : undefined
@@ -154,7 +271,7 @@ const fetchOpportunityHistoryHandler = async (req, res) => {
 };
 
 /**
- * Fetches users from Salesforce
+ * Fetches users from the selected data source
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -162,13 +279,8 @@ const fetchUsersHandler = async (req, res) => {
   try {
     const { userIds } = req.query;
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
-    
-    const conn = createConnection(credentials);
+    // Get the data source for this request (Salesforce, fixture or imported dataset)
+    const dataSource = createDataSource(req);
     
     // Parse user IDs if provided
     const parsedUserIds = userIds 
@@ -176,7 +288,7 @@ const fetchUsersHandler = async (req, res) => {
       : [];
     
     // Fetch users
-    const users = await fetchUsers(conn, parsedUserIds);
+    const users = await dataSource.fetchUsers(parsedUserIds);
     
     res.json({
       success: true,
@@ -194,7 +306,7 @@ const fetchUsersHandler = async (req, res) => {
 };
 
 /**
- * Updates opportunity probabilities in Salesforce
+ * Updates opportunity probabilities in the selected data source
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -211,17 +323,11 @@ const updateOpportunityProbabilitiesHandler = async (req, res) => {
       });
     }
     
-    // Get Salesforce connection from cookies
-    const credentials = {
-      accessToken: req.cookies.sf_access_token,
-      instanceUrl: req.cookies.sf_instance_url
-    };
-    
-    const conn = createConnection(credentials);
+    // Get the data source for this request (Salesforce, fixture or imported dataset)
+    const dataSource = createDataSource(req);
     
     // Update opportunity probabilities
-    const results = await updateOpportunityProbabilities(
-      conn,
+    const results = await dataSource.updateOpportunityProbabilities(
       updates,
       probabilityField
     );
@@ -240,10 +346,514 @@ const updateOpportunityProbabilitiesHandler = async (req, res) => {
   }
 };
 
+/**
+ * Syncs opportunities from the selected data source into the local sync store
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const syncOpportunitiesHandler = async (req, res) => {
+  try {
+    const { full, fields, background } = req.body;
+    
+    // Imported datasets are already local
+    const storeKey = getSyncStoreKey(req);
+    
+    if (!storeKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid data source',
+        message: 'Only Salesforce and fixture data sources can be synced'
+      });
+    }
+    
+    if (fields !== undefined && !Array.isArray(fields)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'fields must be an array of field names'
+      });
+    }
+    
+    if (isSyncRunning(storeKey)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync in progress',
+        message: 'A sync is already running for this data source',
+        data: getSyncStatus(storeKey)
+      });
+    }
+    
+    const sync = syncOpportunities(createDataSource(req), storeKey, {
+      full: full === true,
+      fields
+    });
+    
+    // Let the client poll the status route instead of waiting
+    if (background === true) {
+      sync.catch(() => {});
+      
+      return res.status(202).json({
+        success: true,
+        data: getSyncStatus(storeKey)
+      });
+    }
+    
+    const status = await sync;
+    
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error in syncOpportunities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Gets the sync status of the selected data source
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSyncStatusHandler = async (req, res) => {
+  try {
+    const storeKey = getSyncStoreKey(req);
+    
+    if (!storeKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid data source',
+        message: 'Only Salesforce and fixture data sources can be synced'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: getSyncStatus(storeKey)
+    });
+  } catch (error) {
+    console.error('Error in getSyncStatus:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Imports opportunities from an uploaded CSV or XLSX export and registers them as a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importOpportunitiesHandler = async (req, res) => {
+  try {
+    const { name, sheetName, columnMapping, dateOrder = config.app.importDateOrder } = req.body;
+    const { organizationId } = getSessionIdentity(req);
+    
+    // Validate uploaded file
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please upload a CSV or XLSX file in the "file" field'
+      });
+    }
+    
+    if (!DATE_ORDERS.includes(dateOrder)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `dateOrder must be one of: ${DATE_ORDERS.join(', ')}`
+      });
+    }
+    
+    if (!canRegisterDataset(organizationId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Dataset limit reached',
+        message: 'The maximum number of datasets is stored; delete one before importing another'
+      });
+    }
+    
+    // Parse explicit column mapping if provided
+    let parsedColumnMapping = {};
+    if (columnMapping) {
+      try {
+        parsedColumnMapping = typeof columnMapping === 'string'
+          ? JSON.parse(columnMapping)
+          : columnMapping;
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: 'columnMapping must be a JSON object mapping column headers to field names'
+        });
+      }
+    }
+    
+    let rows;
+    try {
+      rows = parseImportFile(req.file.buffer, req.file.originalname, { sheetName });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file',
+        message: parseError.message
+      });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file',
+        message: 'The uploaded file does not contain any rows'
+      });
+    }
+    
+    // Map columns, infer types and build opportunity records
+    const imported = buildOpportunityRecords(rows, { columnMapping: parsedColumnMapping, dateOrder });
+    
+    // Register the result as a named dataset
+    const dataset = await registerDataset(
+      name || req.file.originalname,
+      imported,
+      {
+        source: 'import',
+        fileName: req.file.originalname,
+        columnMapping: imported.columnMapping,
+        dateOrder,
+        missingStandardFields: imported.missingStandardFields
+      },
+      organizationId
+    );
+    
+    res.status(201).json({
+      success: true,
+      data: dataset
+    });
+  } catch (error) {
+    console.error('Error in importOpportunities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Lists registered datasets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listDatasetsHandler = (req, res) => {
+  try {
+    const datasets = listDatasets(getSessionIdentity(req).organizationId);
+    
+    res.json({
+      success: true,
+      data: datasets,
+      count: datasets.length
+    });
+  } catch (error) {
+    console.error('Error in listDatasets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Gets a single dataset summary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDatasetHandler = (req, res) => {
+  try {
+    const dataset = isDatasetOwnedBy(req.params.datasetId, getSessionIdentity(req).organizationId)
+      ? getDatasetSummary(req.params.datasetId)
+      : null;
+    
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found',
+        message: `No dataset found with ID ${req.params.datasetId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: dataset
+    });
+  } catch (error) {
+    console.error('Error in getDataset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Deletes a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteDatasetHandler = async (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    
+    if (!isDatasetOwnedBy(datasetId, getSessionIdentity(req).organizationId) || !(await deleteDataset(datasetId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found',
+        message: `No dataset found with ID ${req.params.datasetId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Dataset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteDataset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Creates a named, immutable snapshot of the selected data source
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createSnapshotHandler = async (req, res) => {
+  try {
+    const { name, description, fields, filters, isClosed, snapshotId } = req.body;
+    
+    // Validate required parameters
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'Please provide a name for the snapshot'
+      });
+    }
+    
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'fields must be a non-empty array of field names'
+      });
+    }
+    
+    if (snapshotId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid data source',
+        message: 'Snapshots are already frozen; create a new snapshot from a live source'
+      });
+    }
+    
+    const { organizationId } = getSessionIdentity(req);
+    
+    // Reserve the name up front so a concurrent request can't take it while this one runs
+    if (!reserveSnapshotName(name, organizationId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Snapshot exists',
+        message: `A snapshot named "${name}" already exists`
+      });
+    }
+    
+    try {
+      // Snapshot the sync store if this source has been synced, otherwise query it live
+      const dataSource = createAnalysisDataSource(req, fields || []);
+      
+      const filterValidation = await validateRequestFilters(dataSource, filters);
+      if (!filterValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid filters',
+          message: filterValidation.errors.join('; ')
+        });
+      }
+      
+      // Stage history is only kept by the source itself, not by the sync store
+      const snapshot = await createSnapshot(dataSource, {
+        name,
+        description,
+        fields,
+        filters,
+        isClosed,
+        historySource: createDataSource(req),
+        orgId: organizationId
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: snapshot
+      });
+    } finally {
+      releaseSnapshotName(name, organizationId);
+    }
+  } catch (error) {
+    console.error('Error in createSnapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Lists the snapshots of the session's org
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listSnapshotsHandler = (req, res) => {
+  try {
+    const snapshots = listSnapshots(getSessionIdentity(req).organizationId);
+    
+    res.json({
+      success: true,
+      data: snapshots,
+      count: snapshots.length
+    });
+  } catch (error) {
+    console.error('Error in listSnapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Gets a snapshot summary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSnapshotHandler = (req, res) => {
+  try {
+    if (!isSnapshotOwnedBy(req.params.snapshotId, getSessionIdentity(req).organizationId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        message: `No snapshot found with ID ${req.params.snapshotId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: getSnapshotSummary(req.params.snapshotId)
+    });
+  } catch (error) {
+    console.error('Error in getSnapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Deletes a snapshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSnapshotHandler = async (req, res) => {
+  try {
+    const { snapshotId } = req.params;
+    
+    if (!isSnapshotOwnedBy(snapshotId, getSessionIdentity(req).organizationId) || !await deleteSnapshot(snapshotId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        message: `No snapshot found with ID ${req.params.snapshotId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Snapshot deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteSnapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Compares two snapshots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const diffSnapshotsHandler = (req, res) => {
+  try {
+    const { snapshotId, compareSnapshotId } = req.params;
+    
+    const { organizationId } = getSessionIdentity(req);
+    const missingId = [snapshotId, compareSnapshotId].find(id => !isSnapshotOwnedBy(id, organizationId));
+    
+    if (missingId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        message: `No snapshot found with ID ${missingId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: diffSnapshots(snapshotId, compareSnapshotId)
+    });
+  } catch (error) {
+    console.error('Error in diffSnapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   fetchOpportunities: fetchOpportunitiesHandler,
   fetchOpportunityFields: fetchOpportunityFieldsHandler,
+  fetchDimensions: fetchDimensionsHandler,
   fetchOpportunityHistory: fetchOpportunityHistoryHandler,
   fetchUsers: fetchUsersHandler,
-  updateOpportunityProbabilities: updateOpportunityProbabilitiesHandler
+  updateOpportunityProbabilities: updateOpportunityProbabilitiesHandler,
+  syncOpportunities: syncOpportunitiesHandler,
+  getSyncStatus: getSyncStatusHandler,
+  importOpportunities: importOpportunitiesHandler,
+  listDatasets: listDatasetsHandler,
+  getDataset: getDatasetHandler,
+  deleteDataset: deleteDatasetHandler,
+  createSnapshot: createSnapshotHandler,
+  listSnapshots: listSnapshotsHandler,
+  getSnapshot: getSnapshotHandler,
+  deleteSnapshot: deleteSnapshotHandler,
+  diffSnapshots: diffSnapshotsHandler
 };
\ No newline at end of file
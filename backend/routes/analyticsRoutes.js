@@ -6,17 +6,41 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
+const { validateDataSourceRequest } = require('../services/dataSources');
+const { verifySession } = require('../services/sessionService');
 
-// Middleware to check authentication
+// Middleware to check that the requested data source is available
+// (every source but the bundled fixtures outside production needs a verified session)
 const checkAuth = (req, res, next) => {
-  if (!req.cookies || !req.cookies.sf_access_token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Authentication required',
-      message: 'Please authenticate with Salesforce to access this resource'
-    });
-  }
-  next();
+  validateDataSourceRequest(req)
+    .then(dataSourceError => {
+      if (dataSourceError) {
+        return res.status(dataSourceError.status).json({
+          success: false,
+          error: dataSourceError.error,
+          message: dataSourceError.message
+        });
+      }
+      next();
+    })
+    .catch(next);
+};
+
+// Middleware to require a verified Salesforce session whatever the data source
+// (for the model registry, which isn't tied to one)
+const requireSession = (req, res, next) => {
+  verifySession(req)
+    .then(identity => {
+      if (!identity) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: 'Please authenticate with Salesforce to access this resource'
+        });
+      }
+      next();
+    })
+    .catch(next);
 };
 
 // Dimension impact analysis routes
@@ -27,14 +51,33 @@ router.post('/dimension-clustering', checkAuth, analyticsController.performDimen
 router.post('/build-prediction-model', checkAuth, analyticsController.buildPredictionModel);
 router.post('/predict-win-rate', checkAuth, analyticsController.predictWinRate);
 router.post('/batch-predict', checkAuth, analyticsController.batchPredictWinRates);
+router.post('/counterfactuals', checkAuth, analyticsController.recommendCounterfactuals);
 
 // Win rate formula routes
 router.post('/generate-formula', checkAuth, analyticsController.generateWinRateFormula);
 router.post('/simulate-formula', checkAuth, analyticsController.simulateWinRateFormula);
 
+// Model registry routes (registered models don't depend on a data source)
+router.get('/models', requireSession, analyticsController.listRegisteredModels);
+router.get('/models/:modelId', requireSession, analyticsController.getRegisteredModel);
+router.delete('/models/:modelId', requireSession, analyticsController.deleteRegisteredModel);
+router.get('/models/:modelId/versions/:version', requireSession, analyticsController.getRegisteredModelVersion);
+router.post('/models/:modelId/versions/:version/promote', requireSession, analyticsController.promoteRegisteredModel);
+router.post('/models/:modelId/versions/:version/archive', requireSession, analyticsController.archiveRegisteredModel);
+router.delete('/models/:modelId/versions/:version', requireSession, analyticsController.deleteRegisteredModel);
+
+// Champion/challenger comparison (scores registered models on the selected data source)
+router.post('/models/compare', checkAuth, analyticsController.compareRegisteredModels);
+
+// Drift of the live pipeline from a registered model's training data
+router.post('/drift-report', checkAuth, analyticsController.getDriftReport);
+
 // Lookup table routes
 router.post('/generate-lookup-table', checkAuth, analyticsController.generateWinRateLookupTable);
 
+// Stage funnel routes
+router.post('/stage-funnel', checkAuth, analyticsController.analyzeStageFunnel);
+
 // Cache management routes
 router.post('/clear-cache', checkAuth, analyticsController.clearAnalyticsCache);
 
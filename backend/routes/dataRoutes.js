@@ -4,24 +4,57 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const dataController = require('../controllers/dataController');
+const config = require('../config/config');
+const { validateDataSourceRequest } = require('../services/dataSources');
+const { verifySession } = require('../services/sessionService');
 
-// Middleware to check authentication
+// Uploaded exports are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.app.maxImportFileSize }
+});
+
+// Middleware to check that the requested data source is available
+// (every source but the bundled fixtures outside production needs a verified session)
 const checkAuth = (req, res, next) => {
-  if (!req.cookies || !req.cookies.sf_access_token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Authentication required',
-      message: 'Please authenticate with Salesforce to access this resource'
-    });
-  }
-  next();
+  validateDataSourceRequest(req)
+    .then(dataSourceError => {
+      if (dataSourceError) {
+        return res.status(dataSourceError.status).json({
+          success: false,
+          error: dataSourceError.error,
+          message: dataSourceError.message
+        });
+      }
+      next();
+    })
+    .catch(next);
+};
+
+// Middleware to require a verified Salesforce session whatever the data source
+// (for data kept per org: snapshots and imported datasets)
+const requireSession = (req, res, next) => {
+  verifySession(req)
+    .then(identity => {
+      if (!identity) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: 'Please authenticate with Salesforce to access this resource'
+        });
+      }
+      next();
+    })
+    .catch(next);
 };
 
 // Opportunity data routes
 router.get('/opportunities', checkAuth, dataController.fetchOpportunities);
 router.get('/opportunity-fields', checkAuth, dataController.fetchOpportunityFields);
+router.get('/dimensions', checkAuth, dataController.fetchDimensions);
 router.get('/opportunity-history', checkAuth, dataController.fetchOpportunityHistory);
 
 // User data routes
@@ -30,4 +63,21 @@ router.get('/users', checkAuth, dataController.fetchUsers);
 // Data update routes
 router.post('/update-probabilities', checkAuth, dataController.updateOpportunityProbabilities);
 
+// Sync store routes
+router.post('/sync', checkAuth, dataController.syncOpportunities);
+router.get('/sync/status', checkAuth, dataController.getSyncStatus);
+
+// Offline dataset routes (no Salesforce connection required)
+router.post('/import', requireSession, upload.single('file'), dataController.importOpportunities);
+router.get('/datasets', requireSession, dataController.listDatasets);
+router.get('/datasets/:datasetId', requireSession, dataController.getDataset);
+router.delete('/datasets/:datasetId', requireSession, dataController.deleteDataset);
+
+// Snapshot routes (creating a snapshot reads from the selected data source)
+router.post('/snapshots', requireSession, checkAuth, dataController.createSnapshot);
+router.get('/snapshots', requireSession, dataController.listSnapshots);
+router.get('/snapshots/:snapshotId', requireSession, dataController.getSnapshot);
+router.get('/snapshots/:snapshotId/diff/:compareSnapshotId', requireSession, dataController.diffSnapshots);
+router.delete('/snapshots/:snapshotId', requireSession, dataController.deleteSnapshot);
+
 module.exports = router;
\ No newline at end of file
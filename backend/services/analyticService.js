@@ -5,19 +5,690 @@
 
 const jStat = require('jStat').jStat;
 const math = require('mathjs');
-const { preprocessData, encodeCategories } = require('../utils/dataProcessingUtils');
+const config = require('../config/config');
+const { preprocessData, encodeCategories, getInteractionName } = require('../utils/dataProcessingUtils');
+const {
+  invertMatrix,
+  computeConditionNumber,
+  computeVarianceInflation,
+  sigmoid,
+  fitLogisticRegression,
+  fitLeastSquares,
+  nullLogLikelihood,
+  predictProbabilities
+} = require('../utils/regressionUtils');
+
+// Regression types supported by dimension impact analysis
+const REGRESSION_TYPES = ['linear', 'logistic'];
+
+// Quantiles at which numeric dimensions are shown in interaction plots
+const GRID_QUANTILES = [0.1, 0.25, 0.5, 0.75, 0.9];
+const SERIES_QUANTILES = [0.25, 0.5, 0.75];
+
+/**
+ * Describes which dimension and level each design column belongs to
+ * @param {Object} preprocessedData - Result of preprocessData
+ * @returns {Array} One entry per column, intercept first ({ name, parentDimension, level })
+ */
+const describeColumns = (preprocessedData) => [
+  { name: 'intercept', parentDimension: null, level: null },
+  ...preprocessedData.featureGroups.flatMap(group => {
+    const encoding = preprocessedData.encodingInfo[group.dimension];
+    return encoding.columns.map(column => ({
+      name: column.feature,
+      parentDimension: group.dimension,
+      level: column.level || null
+    }));
+  })
+];
+
+/**
+ * Sets a dimension's columns in a design row and recomputes the interactions it is part of
+ * @param {Array} row - Design row, intercept first
+ * @param {Object} preprocessedData - Result of preprocessData
+ * @param {String} dimension - Dimension to set
+ * @param {Array} values - New values of the dimension's columns
+ * @returns {Array} Updated copy of the row
+ */
+const setDimensionColumns = (row, preprocessedData, dimension, values) => {
+  const { featureGroups, featureNames, encodingInfo } = preprocessedData;
+  const result = [...row];
+  const dimensionGroup = featureGroups.find(group => group.dimension === dimension);
+  
+  // Dimensions dropped as collinear have no columns to set
+  if (!dimensionGroup) {
+    return result;
+  }
+  
+  dimensionGroup.columnIndices.forEach((index, k) => {
+    result[index + 1] = values[k];
+  });
+  
+  featureGroups
+    .filter(group => group.type === 'interaction' && group.dimensions.includes(dimension))
+    .forEach(group => {
+      encodingInfo[group.dimension].columns.forEach((column, k) => {
+        result[group.columnIndices[k] + 1] = column.components.reduce(
+          (product, feature) => product * result[featureNames.indexOf(feature) + 1],
+          1
+        );
+      });
+    });
+  
+  return result;
+};
+
+/**
+ * Computes the average marginal effect of each column on the predicted win rate
+ * Numeric dimensions use the average derivative; a categorical level uses the average
+ * change from the reference level to that level. Interactions are carried along, so a main
+ * effect is averaged over the other dimension rather than read at its reference level.
+ * @param {Array} X - Design matrix, intercept first
+ * @param {Object} preprocessedData - Result of preprocessData
+ * @param {Function} predict - Maps design rows to predicted win rates
+ * @returns {Array} Marginal effect per column (null for the intercept and interaction columns)
+ */
+const computeMarginalEffects = (X, preprocessedData, predict) => {
+  const { featureGroups } = preprocessedData;
+  const effects = Array(X[0].length).fill(null);
+  
+  featureGroups.filter(group => group.type !== 'interaction').forEach(group => {
+    if (group.type === 'numeric') {
+      const index = group.columnIndices[0] + 1;
+      const step = 1e-4 * Math.max(1, jStat.stdev(X.map(row => row[index])));
+      const base = predict(X);
+      const shifted = predict(X.map(row => setDimensionColumns(row, preprocessedData, group.dimension, [row[index] + step])));
+      
+      effects[index] = math.mean(shifted.map((value, i) => (value - base[i]) / step));
+      return;
+    }
+    
+    const zeros = group.columnIndices.map(() => 0);
+    const atReference = predict(X.map(row => setDimensionColumns(row, preprocessedData, group.dimension, zeros)));
+    
+    group.columnIndices.forEach((columnIndex, k) => {
+      const levelValues = zeros.map((_, j) => (j === k ? 1 : 0));
+      const atLevel = predict(X.map(row => setDimensionColumns(row, preprocessedData, group.dimension, levelValues)));
+      
+      effects[columnIndex + 1] = math.mean(atLevel.map((value, i) => value - atReference[i]));
+    });
+  });
+  
+  return effects;
+};
+
+/**
+ * Gets the values of a dimension shown along an interaction plot axis
+ * @param {Array} opportunities - Opportunities the model was fitted on
+ * @param {String} dimension - Dimension name
+ * @param {Object} encoding - Encoding of the dimension
+ * @param {Array} quantiles - Quantiles used for numeric dimensions
+ * @returns {Array} Dimension values
+ */
+const getGridValues = (opportunities, dimension, encoding, quantiles) => {
+  if (encoding.type === 'categorical') {
+    return encoding.levels;
+  }
+  
+  const values = opportunities
+    .map(opp => opp[dimension])
+    .filter(value => typeof value === 'number' || typeof value === 'boolean')
+    .map(Number);
+  
+  return [...new Set(quantiles.map(q => jStat.percentile(values, q)))];
+};
+
+/**
+ * Predicts the win rate across the grid of two interacting dimensions
+ * Other dimensions are held at their sample means. Bands come from the coefficient
+ * covariance (on the log-odds scale for logistic models).
+ * @param {Object} params - Fitted model
+ * @param {Array} params.opportunities - Opportunities the model was fitted on
+ * @param {Object} params.preprocessedData - Result of preprocessData
+ * @param {Array} params.X - Design matrix, intercept first
+ * @param {Array} params.beta - Coefficients
+ * @param {Array|null} params.covariance - Coefficient covariance matrix (null when there are no standard errors)
+ * @param {String} params.regressionType - 'linear' or 'logistic'
+ * @param {Number} params.zCritical - Critical value of the bands
+ * @param {Array} pair - The two interacting dimensions
+ * @returns {Object} Interaction grid ({ xDimension, seriesDimension, xValues, series })
+ */
+const buildInteractionGrid = (params, pair) => {
+  const { opportunities, preprocessedData, X, beta, covariance, regressionType, zCritical } = params;
+  const { encodingInfo, featureGroups } = preprocessedData;
+  const [xDimension, seriesDimension] = pair;
+  
+  const xValues = getGridValues(opportunities, xDimension, encodingInfo[xDimension], GRID_QUANTILES);
+  const seriesValues = getGridValues(opportunities, seriesDimension, encodingInfo[seriesDimension], SERIES_QUANTILES);
+  const meanRow = X[0].map((_, j) => math.mean(X.map(row => row[j])));
+  const transform = regressionType === 'logistic'
+    ? sigmoid
+    : value => Math.min(1, Math.max(0, value));
+  
+  // Observed win rates are only meaningful for cells of two categorical dimensions
+  const bothCategorical = pair.every(dimension => encodingInfo[dimension].type === 'categorical');
+  const encode = (dimension, value) => encodeCategories({ [dimension]: value }, [dimension], encodingInfo);
+  const cellKeys = bothCategorical
+    ? opportunities.map(opp => pair.map(dimension => encodeCategories(opp, [dimension], encodingInfo).join()).join('|'))
+    : [];
+  
+  const series = seriesValues.map(seriesValue => ({
+    value: seriesValue,
+    points: xValues.map(xValue => {
+      let row = setDimensionColumns(meanRow, preprocessedData, xDimension, encode(xDimension, xValue));
+      row = setDimensionColumns(row, preprocessedData, seriesDimension, encode(seriesDimension, seriesValue));
+      
+      const eta = math.dot(row, beta);
+      const se = covariance ? Math.sqrt(Math.max(0, math.dot(row, math.multiply(covariance, row)))) : null;
+      
+      let observedWinRate = null;
+      let sampleSize = null;
+      if (bothCategorical) {
+        const cellKey = `${encode(xDimension, xValue).join()}|${encode(seriesDimension, seriesValue).join()}`;
+        const matches = opportunities.filter((_, i) => cellKeys[i] === cellKey);
+        sampleSize = matches.length;
+        observedWinRate = sampleSize > 0 ? matches.filter(opp => opp.IsWon).length / sampleSize : null;
+      }
+      
+      return {
+        x: xValue,
+        winRate: transform(eta),
+        confidenceInterval: se === null ? null : [transform(eta - zCritical * se), transform(eta + zCritical * se)],
+        observedWinRate,
+        sampleSize
+      };
+    })
+  }));
+  
+  return {
+    xDimension,
+    seriesDimension,
+    xValues,
+    series
+  };
+};
+
+/**
+ * Screens every pair of dimensions for an interaction
+ * Each pair is added on its own to the main-effects model and tested (likelihood ratio for
+ * logistic, F-test for linear regression).
+ * @param {Array} opportunities - Array of opportunity objects
+ * @param {Array} dimensions - Array of dimension names
+ * @param {String} targetVariable - The target variable (usually 'IsWon')
+ * @param {Object} options - Regression options (as for performMultivariateRegression)
+ * @param {Number} options.maxInteractions - Maximum number of interactions to select
+ * @param {Number} options.significanceLevel - Interactions must be significant at this level to be selected
+ * @returns {Object} Screening results ({ candidates, selected })
+ */
+const screenInteractions = (opportunities, dimensions, targetVariable = 'IsWon', options = {}) => {
+  const {
+    regressionType = 'linear',
+    referenceLevels,
+    minLevelCount,
+    maxInteractions = 3,
+    significanceLevel = 0.05
+  } = options;
+  
+  const fitModel = (interactions) => {
+    const data = preprocessData(opportunities, dimensions, targetVariable, {
+      referenceLevels,
+      minLevelCount,
+      interactions,
+      dropCollinear: true
+    });
+    const X = data.X.map(row => [1, ...row]);
+    
+    return {
+      columnCount: X[0].length,
+      fit: regressionType === 'logistic' ? fitLogisticRegression(X, data.y) : fitLeastSquares(X, data.y)
+    };
+  };
+  
+  const base = fitModel([]);
+  const n = opportunities.length;
+  const pairs = dimensions.flatMap((first, i) => dimensions.slice(i + 1).map(second => [first, second]));
+  
+  const candidates = pairs.map(pair => {
+    let extended;
+    
+    // Pairs whose interaction columns duplicate the main effects can't be fitted
+    try {
+      extended = fitModel([pair]);
+    } catch (error) {
+      return { dimensions: pair, statistic: null, degreesOfFreedom: null, pValue: null, error: error.message };
+    }
+    
+    const degreesOfFreedom = extended.columnCount - base.columnCount;
+    
+    if (degreesOfFreedom === 0) {
+      return { dimensions: pair, statistic: null, degreesOfFreedom, pValue: null };
+    }
+    
+    if (regressionType === 'logistic') {
+      const statistic = Math.max(0, 2 * (extended.fit.logLikelihood - base.fit.logLikelihood));
+      return {
+        dimensions: pair,
+        method: 'likelihood-ratio',
+        statistic,
+        degreesOfFreedom,
+        pValue: 1 - jStat.chisquare.cdf(statistic, degreesOfFreedom)
+      };
+    }
+    
+    const residualDegreesOfFreedom = n - extended.columnCount;
+    const statistic = ((base.fit.residualSumOfSquares - extended.fit.residualSumOfSquares) / degreesOfFreedom) /
+      (extended.fit.residualSumOfSquares / residualDegreesOfFreedom);
+    
+    return {
+      dimensions: pair,
+      method: 'F',
+      statistic,
+      degreesOfFreedom,
+      denominatorDegreesOfFreedom: residualDegreesOfFreedom,
+      pValue: 1 - jStat.centralF.cdf(statistic, degreesOfFreedom, residualDegreesOfFreedom)
+    };
+  });
+  
+  // Untestable pairs (no interaction columns) go last
+  candidates.sort((a, b) => (a.pValue === null ? 1 : 0) - (b.pValue === null ? 1 : 0) || a.pValue - b.pValue);
+  
+  // Add significant pairs strongest first, skipping any that can't be fitted alongside those already chosen
+  const selected = [];
+  
+  candidates.forEach(candidate => {
+    candidate.selected = false;
+    
+    if (candidate.pValue === null || candidate.pValue >= significanceLevel || selected.length >= maxInteractions) {
+      return;
+    }
+    
+    try {
+      fitModel([...selected, candidate.dimensions]);
+      selected.push(candidate.dimensions);
+      candidate.selected = true;
+    } catch (error) {
+      candidate.error = error.message;
+    }
+  });
+  
+  return {
+    candidates,
+    selected
+  };
+};
+
+/**
+ * Describes why a column was taken out of the design
+ * @param {Object} column - Entry of preprocessData's collinearColumns
+ * @returns {String} Warning message
+ */
+const describeCollinearColumn = (column) => {
+  if (column.type === 'constant') {
+    return `${column.feature} has the same value for every opportunity and was dropped`;
+  }
+  
+  if (column.action === 'merged') {
+    return `${column.feature} duplicates ${column.aliasedWith[0]} and was merged into it; the coefficient of ${column.aliasedWith[0]} covers both`;
+  }
+  
+  return `${column.feature} is a linear combination of ${column.aliasedWith.join(', ')} and was dropped`;
+};
+
+/**
+ * Computes collinearity diagnostics for a fitted design
+ * VIFs are computed among the main-effect columns (interaction columns are correlated with
+ * their main effects by construction); the condition number covers the whole design.
+ * @param {Array} X - Design matrix, intercept first
+ * @param {Object} preprocessedData - Result of preprocessData
+ * @returns {Object} Diagnostics ({ collinearity, warnings })
+ */
+const diagnoseCollinearity = (X, preprocessedData) => {
+  const { featureGroups, collinearColumns } = preprocessedData;
+  const { maxVarianceInflation, maxConditionNumber } = config.analytics;
+  
+  const mainGroups = featureGroups.filter(group => group.type !== 'interaction');
+  const mainColumnCount = mainGroups.reduce((count, group) => count + group.features.length, 0);
+  const inflation = computeVarianceInflation(
+    X.map(row => row.slice(1, mainColumnCount + 1)),
+    mainGroups.map(group => ({ name: group.dimension, columnIndices: group.columnIndices }))
+  );
+  const conditionNumber = computeConditionNumber(X);
+  
+  const dimensionDiagnostics = mainGroups.map((group, k) => {
+    const { gvif, adjustedGvif } = inflation.groups[k];
+    
+    return {
+      dimension: group.dimension,
+      gvif,
+      adjustedGvif,
+      droppedColumns: collinearColumns.filter(column => column.dimension === group.dimension).map(column => column.feature),
+      // GVIF^(1/(2 df)) is on the scale of the square root of a VIF
+      isCollinear: adjustedGvif * adjustedGvif > maxVarianceInflation
+    };
+  });
+  
+  // Dimensions whose columns were all dropped
+  collinearColumns
+    .filter(column => !featureGroups.some(group => group.dimension === column.dimension))
+    .forEach(column => {
+      const existing = dimensionDiagnostics.find(diagnostic => diagnostic.dimension === column.dimension);
+      
+      if (existing) {
+        existing.droppedColumns.push(column.feature);
+      } else {
+        dimensionDiagnostics.push({
+          dimension: column.dimension,
+          gvif: null,
+          adjustedGvif: null,
+          droppedColumns: [column.feature],
+          isCollinear: true
+        });
+      }
+    });
+  
+  dimensionDiagnostics.forEach(diagnostic => {
+    diagnostic.isCollinear = diagnostic.isCollinear || diagnostic.droppedColumns.length > 0;
+  });
+  
+  const warnings = [
+    ...collinearColumns.map(describeCollinearColumn),
+    ...dimensionDiagnostics
+      .filter(diagnostic => diagnostic.droppedColumns.length === 0 && diagnostic.isCollinear)
+      .map(diagnostic => `${diagnostic.dimension} is highly collinear with other dimensions (GVIF^(1/2df) = ${diagnostic.adjustedGvif.toFixed(2)}); its coefficients are unstable`),
+    ...(conditionNumber > maxConditionNumber
+      ? [`The design is ill-conditioned (condition number ${conditionNumber.toFixed(1)}); coefficient estimates may be unreliable`]
+      : [])
+  ];
+  
+  return {
+    collinearity: {
+      conditionNumber,
+      varianceInflationFactors: mainGroups.flatMap(group => group.features.map((feature, k) => ({
+        feature,
+        dimension: group.dimension,
+        value: inflation.columns[group.columnIndices[k]]
+      }))),
+      dimensions: dimensionDiagnostics,
+      droppedColumns: collinearColumns
+    },
+    warnings
+  };
+};
+
+/**
+ * Computes the Wald statistic for a set of coefficients being jointly zero
+ * @param {Array} beta - Coefficients
+ * @param {Array} covariance - Coefficient covariance matrix
+ * @param {Array} indices - Indices of the tested coefficients
+ * @returns {Number} Wald chi-square statistic
+ */
+const waldStatistic = (beta, covariance, indices) => {
+  const b = indices.map(i => beta[i]);
+  const V = indices.map(i => indices.map(j => covariance[i][j]));
+  return math.dot(b, math.multiply(invertMatrix(V), b));
+};
+
+/**
+ * Groups level coefficients under their parent dimension with a joint significance test
+ * @param {Object} preprocessedData - Result of preprocessData
+ * @param {Array} coefficients - Formatted coefficients, intercept first
+ * @param {Function} jointTest - Tests the coefficients at the given indices
+ * @returns {Array} One entry per dimension
+ */
+const groupCoefficients = (preprocessedData, coefficients, jointTest) => {
+  return preprocessedData.featureGroups.map(group => {
+    const encoding = preprocessedData.encodingInfo[group.dimension];
+    const indices = group.columnIndices.map(i => i + 1); // Skip the intercept
+    
+    return {
+      dimension: group.dimension,
+      type: group.type,
+      dimensions: group.dimensions,
+      referenceLevel: group.referenceLevel,
+      levelCounts: encoding.levelCounts || null,
+      pooledLevels: encoding.pooledLevels || [],
+      coefficients: indices.map(i => coefficients[i]),
+      jointTest: indices.length > 0 ? jointTest(indices) : null
+    };
+  });
+};
+
+/**
+ * Fits a logistic regression of a 0/1 outcome on the dimensions
+ * Coefficients are log-odds with Wald tests from the Fisher information; each coefficient
+ * also gets a likelihood-ratio test against the model without it, an odds ratio and an
+ * average marginal effect on the win probability.
+ * @param {Array} opportunities - Array of opportunity objects
+ * @param {Array} dimensions - Array of dimension names to analyze
+ * @param {String} targetVariable - The target variable (usually 'IsWon')
+ * @param {Object} options - Regression options
+ * @param {Number} options.confidenceLevel - Confidence level of the intervals
+ * @param {Object} options.referenceLevels - Reference level per categorical dimension
+ * @param {Number} options.minLevelCount - Levels seen on fewer opportunities are pooled into "Other"
+ * @param {Array|String} options.interactions - Pairs of dimensions to interact
+ * @returns {Object} Regression analysis results
+ */
+const performLogisticRegression = (opportunities, dimensions, targetVariable = 'IsWon', options = {}) => {
+  try {
+    const { confidenceLevel = 0.95, referenceLevels, minLevelCount, interactions = [] } = options;
+    
+    // Preprocess the data
+    const preprocessedData = preprocessData(opportunities, dimensions, targetVariable, {
+      referenceLevels,
+      minLevelCount,
+      interactions,
+      dropCollinear: true
+    });
+    const X = preprocessedData.X.map(row => [1, ...row]);
+    const y = preprocessedData.y.map(value => (value ? 1 : 0));
+    const n = y.length;
+    const p = X[0].length;
+    
+    const fit = fitLogisticRegression(X, y);
+    const beta = fit.coefficients;
+    
+    // Without a converged fit and an invertible information matrix there are no standard errors;
+    // separated outcomes push the coefficients towards infinity, so their Wald tests mean nothing
+    const hasStandardErrors = fit.converged && !fit.singular && !fit.separated;
+    const covariance = hasStandardErrors ? fit.covariance : null;
+    const se = beta.map((_, i) => (hasStandardErrors ? Math.sqrt(covariance[i][i]) : null));
+    
+    // Wald tests and intervals
+    const zCritical = jStat.normal.inv(1 - (1 - confidenceLevel) / 2, 0, 1);
+    const zValues = beta.map((b, i) => (hasStandardErrors ? b / se[i] : null));
+    const pValues = zValues.map(z => (z === null ? null : 2 * (1 - jStat.normal.cdf(Math.abs(z), 0, 1))));
+    
+    const columns = describeColumns(preprocessedData);
+    const marginalEffects = computeMarginalEffects(X, preprocessedData, rows => predictProbabilities(rows, beta));
+    
+    // Likelihood-ratio test of each coefficient against the model without it
+    const likelihoodRatioTests = beta.map((_, i) => {
+      if (i === 0) return null;
+      
+      let reduced;
+      
+      // Without the column the remaining ones can separate the outcomes, leaving no finite fit
+      try {
+        reduced = fitLogisticRegression(X.map(row => row.filter((__, j) => j !== i)), y);
+      } catch (error) {
+        return null;
+      }
+      
+      const statistic = Math.max(0, 2 * (fit.logLikelihood - reduced.logLikelihood));
+      
+      return {
+        statistic,
+        degreesOfFreedom: 1,
+        pValue: 1 - jStat.chisquare.cdf(statistic, 1)
+      };
+    });
+    
+    const coefficients = columns.map((column, i) => {
+      const confidenceInterval = hasStandardErrors
+        ? [beta[i] - zCritical * se[i], beta[i] + zCritical * se[i]]
+        : null;
+      
+      return {
+        dimension: column.name,
+        parentDimension: column.parentDimension,
+        level: column.level,
+        coefficient: beta[i],
+        standardError: se[i],
+        zValue: zValues[i],
+        pValue: pValues[i],
+        confidenceInterval,
+        oddsRatio: Math.exp(beta[i]),
+        oddsRatioInterval: confidenceInterval ? confidenceInterval.map(Math.exp) : null,
+        marginalEffect: marginalEffects[i],
+        likelihoodRatioTest: likelihoodRatioTests[i],
+        isSignificant: pValues[i] !== null && pValues[i] < 1 - confidenceLevel
+      };
+    });
+    
+    // Overall fit
+    const logLikelihood = fit.logLikelihood;
+    const nullLikelihood = nullLogLikelihood(y);
+    const modelChiSquare = Math.max(0, 2 * (logLikelihood - nullLikelihood));
+    
+    const wins = fit.probabilities.filter((_, i) => y[i] === 1);
+    const losses = fit.probabilities.filter((_, i) => y[i] === 0);
+    
+    // Joint tests of all of a dimension's levels: likelihood ratio, with the Wald test alongside
+    // (only the Wald test when the reduced model can't be fitted)
+    const dimensionGroups = groupCoefficients(preprocessedData, coefficients, indices => {
+      const wald = hasStandardErrors ? waldStatistic(beta, covariance, indices) : null;
+      let reduced;
+      
+      try {
+        reduced = fitLogisticRegression(X.map(row => row.filter((_, j) => !indices.includes(j))), y);
+      } catch (error) {
+        if (wald === null) {
+          return null;
+        }
+        
+        return {
+          method: 'wald',
+          statistic: wald,
+          degreesOfFreedom: indices.length,
+          pValue: 1 - jStat.chisquare.cdf(wald, indices.length)
+        };
+      }
+      
+      const statistic = Math.max(0, 2 * (fit.logLikelihood - reduced.logLikelihood));
+      
+      return {
+        method: 'likelihood-ratio',
+        statistic,
+        degreesOfFreedom: indices.length,
+        pValue: 1 - jStat.chisquare.cdf(statistic, indices.length),
+        wald: wald === null ? null : {
+          statistic: wald,
+          pValue: 1 - jStat.chisquare.cdf(wald, indices.length)
+        }
+      };
+    });
+    
+    // Interactions whose columns were all dropped as collinear are left out
+    const interactionResults = interactions
+      .filter(pair => dimensionGroups.some(group => group.dimension === getInteractionName(pair)))
+      .map(pair => ({
+        dimensions: pair,
+        jointTest: dimensionGroups.find(group => group.dimension === getInteractionName(pair)).jointTest,
+        grid: buildInteractionGrid({
+          opportunities,
+          preprocessedData,
+          X,
+          beta,
+          covariance,
+          regressionType: 'logistic',
+          zCritical
+        }, pair)
+      }));
+    
+    const { collinearity, warnings } = diagnoseCollinearity(X, preprocessedData);
+    
+    if (fit.separated) {
+      warnings.push('The outcomes are (quasi-)completely separated by the dimensions, so some coefficients have no finite estimate; standard errors, p-values and confidence intervals are not reported');
+    } else if (!fit.converged) {
+      warnings.push(`The logistic fit did not converge after ${fit.iterations} iterations; standard errors, p-values and confidence intervals are not reported`);
+    } else if (fit.singular) {
+      warnings.push('The information matrix is (nearly) singular, so the coefficients are not identified; standard errors, p-values and confidence intervals are not reported');
+    }
+    
+    return {
+      regressionType: 'logistic',
+      coefficients,
+      dimensionGroups,
+      interactions: interactionResults,
+      logLikelihood,
+      nullLogLikelihood: nullLikelihood,
+      likelihoodRatioTest: {
+        statistic: modelChiSquare,
+        degreesOfFreedom: p - 1,
+        pValue: 1 - jStat.chisquare.cdf(modelChiSquare, p - 1)
+      },
+      pseudoRSquared: {
+        mcFadden: 1 - logLikelihood / nullLikelihood,
+        adjustedMcFadden: 1 - (logLikelihood - p) / nullLikelihood,
+        tjur: (wins.length > 0 ? math.mean(wins) : 0) - (losses.length > 0 ? math.mean(losses) : 0)
+      },
+      aic: 2 * p - 2 * logLikelihood,
+      observations: n,
+      dimensions: p - 1, // Exclude intercept
+      iterations: fit.iterations,
+      converged: fit.converged,
+      collinearity,
+      warnings,
+      confidenceLevel,
+      targetVariable
+    };
+  } catch (error) {
+    console.error('Error in logistic regression:', error);
+    throw new Error(`Failed to perform regression analysis: ${error.message}`);
+  }
+};
 
 /**
  * Performs multivariate regression analysis on opportunity data
  * @param {Array} opportunities - Array of opportunity objects
  * @param {Array} dimensions - Array of dimension names to analyze
  * @param {String} targetVariable - The target variable (usually 'IsWon')
+ * @param {Object} options - Regression options
+ * @param {String} options.regressionType - 'linear' (least squares) or 'logistic'
+ * @param {Number} options.confidenceLevel - Confidence level of the intervals
+ * @param {Object} options.referenceLevels - Reference level per categorical dimension
+ * @param {Number} options.minLevelCount - Levels seen on fewer opportunities are pooled into "Other"
+ * @param {Array|String} options.interactions - Pairs of dimensions to interact, or 'auto' to screen for them
  * @returns {Object} Regression analysis results
  */
-const performMultivariateRegression = (opportunities, dimensions, targetVariable = 'IsWon') => {
+const performMultivariateRegression = (opportunities, dimensions, targetVariable = 'IsWon', options = {}) => {
+  const { regressionType = 'linear', confidenceLevel = 0.95, referenceLevels, minLevelCount, interactions = [] } = options;
+  
+  // Pick the interactions to fit by screening every pair of dimensions
+  if (interactions === 'auto') {
+    const screening = screenInteractions(opportunities, dimensions, targetVariable, options);
+    
+    return {
+      ...performMultivariateRegression(opportunities, dimensions, targetVariable, {
+        ...options,
+        interactions: screening.selected
+      }),
+      interactionScreening: screening.candidates
+    };
+  }
+  
+  if (regressionType === 'logistic') {
+    return performLogisticRegression(opportunities, dimensions, targetVariable, options);
+  }
+  
   try {
     // Preprocess the data
-    const preprocessedData = preprocessData(opportunities, dimensions, targetVariable);
+    const preprocessedData = preprocessData(opportunities, dimensions, targetVariable, {
+      referenceLevels,
+      minLevelCount,
+      interactions,
+      dropCollinear: true
+    });
     
     // Extract X (features) and y (target) matrices
     const X = preprocessedData.X;
@@ -29,7 +700,7 @@ const performMultivariateRegression = (opportunities, dimensions, targetVariable
     // Calculate the regression coefficients: β = (X'X)^(-1)X'y
     const Xt = math.transpose(Xwith1s);
     const XtX = math.multiply(Xt, Xwith1s);
-    const XtX_inv = math.inv(XtX);
+    const XtX_inv = invertMatrix(XtX);
     const Xty = math.multiply(Xt, y);
     const beta = math.multiply(XtX_inv, Xty);
     
@@ -46,7 +717,7 @@ const performMultivariateRegression = (opportunities, dimensions, targetVariable
     
     // Calculate standard errors
     const n = y.length;
-    const p = dimensions.length + 1; // +1 for intercept
+    const p = Xwith1s[0].length; // Includes the intercept
     const sigma2 = RSS / (n - p);
     const se = math.map(math.diag(XtX_inv), val => Math.sqrt(val * sigma2));
     
@@ -54,32 +725,80 @@ const performMultivariateRegression = (opportunities, dimensions, targetVariable
     const tValues = beta.map((b, i) => b / se[i]);
     const pValues = tValues.map(t => 2 * (1 - jStat.studentt.cdf(Math.abs(t), n - p)));
     
-    // Calculate confidence intervals (95%)
-    const tCritical = jStat.studentt.inv(0.975, n - p);
+    // Calculate confidence intervals
+    const tCritical = jStat.studentt.inv(1 - (1 - confidenceLevel) / 2, n - p);
     const confidenceIntervals = beta.map((b, i) => [
       b - tCritical * se[i],
       b + tCritical * se[i]
     ]);
     
     // Format the results
-    const dimensionsWithIntercept = ['intercept', ...dimensions];
-    const coefficients = dimensionsWithIntercept.map((dim, i) => ({
-      dimension: dim,
+    const marginalEffects = computeMarginalEffects(Xwith1s, preprocessedData, rows => rows.map(row => math.dot(row, beta)));
+    const coefficients = describeColumns(preprocessedData).map((column, i) => ({
+      dimension: column.name,
+      parentDimension: column.parentDimension,
+      level: column.level,
       coefficient: beta[i],
       standardError: se[i],
       tValue: tValues[i],
       pValue: pValues[i],
       confidenceInterval: confidenceIntervals[i],
-      isSignificant: pValues[i] < 0.05
+      marginalEffect: marginalEffects[i],
+      isSignificant: pValues[i] < 1 - confidenceLevel
     }));
     
+    // Joint F-tests of all of a dimension's levels
+    const covariance = math.multiply(XtX_inv, sigma2);
+    const dimensionGroups = groupCoefficients(preprocessedData, coefficients, indices => {
+      const statistic = waldStatistic(beta, covariance, indices) / indices.length;
+      
+      return {
+        method: 'F',
+        statistic,
+        degreesOfFreedom: indices.length,
+        denominatorDegreesOfFreedom: n - p,
+        pValue: 1 - jStat.centralF.cdf(statistic, indices.length, n - p)
+      };
+    });
+    
+    // Overall F-test against the intercept-only model
+    const fValue = ((TSS - RSS) / (p - 1)) / (RSS / (n - p));
+    
+    // Interactions whose columns were all dropped as collinear are left out
+    const interactionResults = interactions
+      .filter(pair => dimensionGroups.some(group => group.dimension === getInteractionName(pair)))
+      .map(pair => ({
+        dimensions: pair,
+        jointTest: dimensionGroups.find(group => group.dimension === getInteractionName(pair)).jointTest,
+        grid: buildInteractionGrid({
+          opportunities,
+          preprocessedData,
+          X: Xwith1s,
+          beta,
+          covariance,
+          regressionType: 'linear',
+          zCritical: tCritical
+        }, pair)
+      }));
+    
     return {
+      regressionType: 'linear',
       coefficients,
+      dimensionGroups,
+      interactions: interactionResults,
+      fStatistic: {
+        value: fValue,
+        degreesOfFreedom: p - 1,
+        denominatorDegreesOfFreedom: n - p,
+        pValue: 1 - jStat.centralF.cdf(fValue, p - 1, n - p)
+      },
       rSquared,
       adjustedRSquared: 1 - ((1 - rSquared) * (n - 1) / (n - p - 1)),
       observations: n,
       dimensions: p - 1, // Exclude intercept
       residualStandardError: Math.sqrt(sigma2),
+      ...diagnoseCollinearity(Xwith1s, preprocessedData),
+      confidenceLevel,
       targetVariable
     };
   } catch (error) {
@@ -183,7 +902,8 @@ const performDimensionClustering = (opportunities, dimensions, k = 3) => {
         !cluster.some(item => item.originalIndex === i)
       );
       
-      const dimensionImportance = dimensions.map((dim, dimIndex) => {
+      // Categorical dimensions are compared level by level
+      const dimensionImportance = data.featureNames.map((dim, dimIndex) => {
         const clusterValues = clusterPoints.map(point => point[dimIndex]);
         const otherValues = otherPoints.map(point => point[dimIndex]);
         
@@ -331,7 +1051,10 @@ const generateWinRateLookupTable = (opportunities, dimensions, maxCombinations =
 };
 
 module.exports = {
+  REGRESSION_TYPES,
   performMultivariateRegression,
+  performLogisticRegression,
+  screenInteractions,
   performDimensionClustering,
   generateWinRateLookupTable
 };
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * Counterfactual Service
+ * Searches for the smallest changes to an open opportunity's actionable dimensions that would
+ * raise its predicted win probability past a target ("what would it take to win")
+ */
+
+// Field types searched as numbers; everything else is searched over its values
+const NUMERIC_FIELD_TYPES = ['currency', 'percent', 'int', 'double', 'long'];
+
+// Number of evenly spaced candidate values across a numeric range
+const NUMERIC_GRID_POINTS = 10;
+
+// Bisection steps used to shrink a numeric change to the smallest one that still reaches the target
+const REFINEMENT_STEPS = 12;
+
+// Directions a numeric dimension may be moved in
+const CHANGE_DIRECTIONS = ['any', 'increase', 'decrease'];
+
+// Most values searched for one categorical dimension; longer picklists keep their most common values
+const MAX_ACTION_VALUES = 50;
+
+// Predictions a search may make by default, and at most when a request asks for more
+const DEFAULT_MAX_EVALUATIONS = 5000;
+const MAX_EVALUATIONS = 50000;
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+/**
+ * Keeps the values seen most often on opportunities, up to MAX_ACTION_VALUES
+ * @param {Array} values - Candidate values
+ * @param {Array} observed - Values seen on opportunities
+ * @returns {Array} The most common values, in their original order
+ */
+const limitValues = (values, observed) => {
+  if (values.length <= MAX_ACTION_VALUES) {
+    return values;
+  }
+  
+  const counts = observed.reduce((acc, value) => acc.set(value, (acc.get(value) || 0) + 1), new Map());
+  const kept = new Set([...values]
+    .sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0))
+    .slice(0, MAX_ACTION_VALUES));
+  
+  return values.filter(value => kept.has(value));
+};
+
+/**
+ * Resolves the values each actionable dimension may take
+ * Picklist dimensions use the field's picklist values, other categorical dimensions the
+ * values seen on opportunities (the MAX_ACTION_VALUES most common ones); numeric dimensions
+ * range over the values seen on opportunities. Explicit values, min, max and step override these.
+ * @param {Array} actions - Actionable dimensions ({ dimension, values, min, max, step, direction })
+ * @param {Array} referenceOpportunities - Opportunities whose values bound the search
+ * @param {Array} fieldMetadata - Opportunity field metadata (from fetchOpportunityFields)
+ * @returns {Array} Resolved actions ({ dimension, type, values } or { dimension, type: 'numeric', min, max, step, direction })
+ */
+const resolveActions = (actions, referenceOpportunities, fieldMetadata = []) => actions.map(action => {
+  const field = fieldMetadata.find(item => item.name === action.dimension);
+  const observed = referenceOpportunities
+    .map(opp => opp[action.dimension])
+    .filter(value => !isBlank(value));
+  const numeric = field
+    ? NUMERIC_FIELD_TYPES.includes(field.type)
+    : observed.length > 0 && observed.every(value => typeof value === 'number');
+  
+  if (field && field.type === 'boolean') {
+    return { dimension: action.dimension, type: 'categorical', values: action.values || [true, false] };
+  }
+  
+  if (!numeric) {
+    const picklist = field && field.picklistValues && field.picklistValues.length > 0
+      ? field.picklistValues.map(item => item.value)
+      : [...new Set(observed)].sort();
+    
+    return { dimension: action.dimension, type: 'categorical', values: action.values || limitValues(picklist, observed) };
+  }
+  
+  return {
+    dimension: action.dimension,
+    type: 'numeric',
+    min: action.min !== undefined ? action.min : (observed.length > 0 ? Math.min(...observed) : null),
+    max: action.max !== undefined ? action.max : (observed.length > 0 ? Math.max(...observed) : null),
+    step: action.step !== undefined ? action.step : (field && field.type === 'int' ? 1 : null),
+    direction: action.direction || 'any'
+  };
+});
+
+/**
+ * Lists the candidate values of a resolved action other than the opportunity's current value
+ * @param {Object} action - Resolved action
+ * @param {*} current - The opportunity's current value
+ * @returns {Array} Candidate values
+ */
+const getCandidates = (action, current) => {
+  if (action.type === 'categorical') {
+    return action.values.filter(value => value !== current);
+  }
+  
+  if (action.min === null || action.max === null) {
+    return [];
+  }
+  
+  const snap = value => (action.step ? Math.round(value / action.step) * action.step : value);
+  const grid = Array.from({ length: NUMERIC_GRID_POINTS + 1 }, (_, k) => snap(action.min + (action.max - action.min) * k / NUMERIC_GRID_POINTS))
+    .filter(value => value >= action.min && value <= action.max);
+  
+  return [...new Set(grid)].filter(value => {
+    if (isBlank(current)) return true;
+    if (action.direction === 'increase') return value > current;
+    if (action.direction === 'decrease') return value < current;
+    return value !== current;
+  });
+};
+
+/**
+ * Measures how large a change is: 1 for a categorical change or filling a missing value, otherwise
+ * the share of the dimension's range moved
+ * @param {Object} action - Resolved action
+ * @param {*} from - Current value
+ * @param {*} to - Proposed value
+ * @returns {Number} Change size
+ */
+const measureChange = (action, from, to) => {
+  if (action.type === 'categorical' || isBlank(from) || action.max === action.min) {
+    return 1;
+  }
+  return Math.abs(to - from) / (action.max - action.min);
+};
+
+/**
+ * Lists every subset of indices of a given size
+ * @param {Number} count - Number of items
+ * @param {Number} size - Subset size
+ * @returns {Array} Subsets (arrays of indices, ascending)
+ */
+const getSubsets = (count, size) => {
+  if (size === 0) return [[]];
+  
+  const subsets = [];
+  for (let first = 0; first <= count - size; first++) {
+    getSubsets(count - first - 1, size - 1).forEach(rest => {
+      subsets.push([first, ...rest.map(index => index + first + 1)]);
+    });
+  }
+  return subsets;
+};
+
+/**
+ * Calls back with each combination of one candidate value per action, one at a time
+ * @param {Array} candidateLists - Candidate values of each action
+ * @param {Function} callback - Called with each combination (an array of values); returning
+ *   false stops the enumeration
+ * @returns {Boolean} False if the callback stopped the enumeration
+ */
+const forEachCombination = (candidateLists, callback) => {
+  if (candidateLists.some(candidates => candidates.length === 0)) {
+    return true;
+  }
+  
+  // Odometer over the candidate positions, the last action turning fastest
+  const positions = candidateLists.map(() => 0);
+  
+  while (true) {
+    if (callback(positions.map((position, k) => candidateLists[k][position])) === false) {
+      return false;
+    }
+    
+    let k = positions.length - 1;
+    while (k >= 0 && positions[k] === candidateLists[k].length - 1) {
+      positions[k] = 0;
+      k--;
+    }
+    
+    if (k < 0) {
+      return true;
+    }
+    positions[k]++;
+  }
+};
+
+/**
+ * Finds the smallest changes to an opportunity's actionable dimensions that raise its predicted
+ * win probability to the target
+ * Changes to fewer dimensions come first, then smaller changes; the search stops after the
+ * first number of changes that reaches the target. Numeric changes are shrunk by bisection to
+ * the smallest move that still reaches it. At most maxEvaluations predictions are made; a search
+ * cut short reports complete: false.
+ * @param {Object} opportunity - Opportunity (with the model's dimensions)
+ * @param {Function} predict - Predicts the win probability of an opportunity
+ * @param {Array} actions - Resolved actions (see resolveActions)
+ * @param {Object} options - Search options
+ * @param {Number} options.targetProbability - Win probability to reach
+ * @param {Number} options.maxChanges - Most dimensions changed at once
+ * @param {Number} options.maxResults - Most recommendations returned
+ * @param {Number} options.maxEvaluations - Most predictions made
+ * @returns {Object} Current probability, whether the target is reachable, the recommendations and,
+ *   when none reach the target, the changes that come closest
+ */
+const findCounterfactuals = (opportunity, predict, actions, options) => {
+  const { targetProbability, maxChanges, maxResults, maxEvaluations = DEFAULT_MAX_EVALUATIONS } = options;
+  const currentProbability = predict(opportunity);
+  const candidateLists = actions.map(action => getCandidates(action, opportunity[action.dimension]));
+  const recommendations = [];
+  const closest = [];
+  const nearestBySet = {};
+  let evaluations = 0;
+  
+  const hasBudget = () => evaluations < maxEvaluations;
+  
+  const evaluate = (indices, values) => {
+    evaluations++;
+    const changed = { ...opportunity };
+    indices.forEach((index, position) => {
+      changed[actions[index].dimension] = values[position];
+    });
+    return predict(changed);
+  };
+  
+  const describe = (indices, values, probability) => {
+    const changes = indices.map((index, position) => ({
+      dimension: actions[index].dimension,
+      type: actions[index].type,
+      from: isBlank(opportunity[actions[index].dimension]) ? null : opportunity[actions[index].dimension],
+      to: values[position],
+      size: measureChange(actions[index], opportunity[actions[index].dimension], values[position])
+    }));
+    
+    return {
+      changes,
+      probability,
+      uplift: (probability - currentProbability) * 100,
+      distance: changes.reduce((sum, change) => sum + change.size, 0)
+    };
+  };
+  
+  // Shrinks each numeric change toward the current value while the target is still reached
+  const refine = (indices, values) => {
+    const refined = [...values];
+    
+    indices.forEach((index, position) => {
+      const action = actions[index];
+      const from = opportunity[action.dimension];
+      if (action.type !== 'numeric' || isBlank(from)) return;
+      
+      let reached = refined[position];
+      let missed = from;
+      for (let step = 0; step < REFINEMENT_STEPS && hasBudget(); step++) {
+        let middle = (reached + missed) / 2;
+        if (action.step) {
+          middle = Math.round(middle / action.step) * action.step;
+          if (middle === reached || middle === missed) break;
+        }
+        
+        const trial = [...refined];
+        trial[position] = middle;
+        if (evaluate(indices, trial) >= targetProbability) {
+          reached = middle;
+        } else {
+          missed = middle;
+        }
+      }
+      refined[position] = reached;
+    });
+    
+    return refined;
+  };
+  
+  let complete = true;
+  
+  for (let size = 1; size <= Math.min(maxChanges, actions.length) && recommendations.length === 0 && complete; size++) {
+    for (const indices of getSubsets(actions.length, size)) {
+      let best = null;
+      let nearest = null;
+      
+      complete = forEachCombination(indices.map(index => candidateLists[index]), values => {
+        if (!hasBudget()) return false;
+        
+        const probability = evaluate(indices, values);
+        const candidate = describe(indices, values, probability);
+        
+        if (probability >= targetProbability && (!best || candidate.distance < best.distance)) {
+          best = candidate;
+        }
+        if (!nearest || probability > nearest.probability) {
+          nearest = candidate;
+        }
+        return true;
+      });
+      
+      if (best) {
+        const refined = refine(indices, best.changes.map(change => change.to));
+        recommendations.push(hasBudget() ? describe(indices, refined, evaluate(indices, refined)) : best);
+      } else if (nearest) {
+        // Only suggest an extra change when it beats every smaller set of these dimensions
+        nearestBySet[indices.join(',')] = nearest.probability;
+        const bestSmaller = Math.max(currentProbability, ...indices.map(
+          (_, position) => nearestBySet[indices.filter((__, other) => other !== position).join(',')] || 0
+        ));
+        if (nearest.probability > bestSmaller) {
+          closest.push(nearest);
+        }
+      }
+      
+      if (!complete) break;
+    }
+  }
+  
+  recommendations.sort((a, b) => a.changes.length - b.changes.length || a.distance - b.distance || b.probability - a.probability);
+  closest.sort((a, b) => b.probability - a.probability || a.distance - b.distance);
+  
+  return {
+    currentProbability,
+    targetProbability,
+    alreadyAtTarget: currentProbability >= targetProbability,
+    reachable: recommendations.length > 0,
+    recommendations: recommendations.slice(0, maxResults),
+    closest: recommendations.length > 0 ? [] : closest.slice(0, maxResults),
+    evaluations,
+    complete
+  };
+};
+
+module.exports = {
+  CHANGE_DIRECTIONS,
+  MAX_ACTION_VALUES,
+  MAX_EVALUATIONS,
+  resolveActions,
+  findCounterfactuals
+};
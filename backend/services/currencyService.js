@@ -0,0 +1,200 @@
+/**
+ * Currency Service
+ * Converts opportunity amounts in multi-currency orgs to a single currency so that
+ * Amount-based dimensions compare like with like
+ *
+ * Rate tables follow Salesforce's CurrencyType/DatedConversionRate model, where a rate
+ * is the number of units of a currency per one unit of the corporate currency:
+ *   {
+ *     corporateCurrency: 'USD',
+ *     currencyTypes: [{ isoCode: 'EUR', conversionRate: 0.92, isCorporate: false }, ...],
+ *     datedRates: [{ isoCode: 'EUR', conversionRate: 0.9, startDate: '2024-01-01', nextStartDate: '2024-04-01' }, ...]
+ *   }
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+
+// Currency fields converted for analysis
+const AMOUNT_FIELDS = ['Amount'];
+
+// Fields needed to convert amounts, fetched only when the object has them
+const CURRENCY_CONTEXT_FIELDS = ['CurrencyIsoCode', 'CloseDate'];
+
+/**
+ * Reads a local rate table (used for fixtures and imported datasets)
+ * @param {String} filePath - Path to a JSON rate table
+ * @returns {Object|null} Rate table, or null if the file doesn't exist
+ */
+const loadCurrencyRatesFile = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  
+  const rates = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  if (!rates.corporateCurrency || !Array.isArray(rates.currencyTypes)) {
+    throw new Error(`Invalid currency rate table ${filePath}: expected corporateCurrency and currencyTypes`);
+  }
+  
+  return {
+    corporateCurrency: rates.corporateCurrency,
+    currencyTypes: rates.currencyTypes,
+    datedRates: rates.datedRates || []
+  };
+};
+
+/**
+ * Gets the conversion rate of a currency on a date
+ * Dated rates win over the static CurrencyType rate, as with advanced currency management
+ * @param {Object} rates - Rate table
+ * @param {String} isoCode - Currency ISO code
+ * @param {String} date - Date the amount applies to (YYYY-MM-DD)
+ * @returns {Number|null} Units of the currency per unit of the corporate currency, or null if unknown
+ */
+const getConversionRate = (rates, isoCode, date) => {
+  if (isoCode === rates.corporateCurrency) {
+    return 1;
+  }
+  
+  if (date) {
+    const day = String(date).slice(0, 10);
+    const dated = rates.datedRates.find(rate => rate.isoCode === isoCode &&
+      rate.startDate <= day && (!rate.nextStartDate || day < rate.nextStartDate));
+    
+    if (dated) {
+      return dated.conversionRate;
+    }
+  }
+  
+  const currencyType = rates.currencyTypes.find(type => type.isoCode === isoCode);
+  return currencyType ? currencyType.conversionRate : null;
+};
+
+/**
+ * Converts an amount between currencies
+ * @param {Number} amount - Amount in the source currency
+ * @param {String} fromCurrency - Source currency ISO code
+ * @param {String} toCurrency - Target currency ISO code
+ * @param {String} date - Date the amount applies to (YYYY-MM-DD)
+ * @param {Object} rates - Rate table
+ * @returns {Number|null} Converted amount, or null if a rate is missing
+ */
+const convertAmount = (amount, fromCurrency, toCurrency, date, rates) => {
+  if (fromCurrency === toCurrency) {
+    return amount;
+  }
+  
+  const fromRate = getConversionRate(rates, fromCurrency, date);
+  const toRate = getConversionRate(rates, toCurrency, date);
+  
+  if (!fromRate || !toRate) {
+    return null;
+  }
+  
+  return (amount / fromRate) * toRate;
+};
+
+/**
+ * Checks whether amounts can be reported in a currency
+ * @param {Object|null} rates - Rate table (null when the source has no currency information)
+ * @param {String} isoCode - Currency ISO code
+ * @returns {Boolean} True if the rate table has a rate for the currency
+ */
+const isKnownCurrency = (rates, isoCode) => {
+  if (!rates) {
+    return isoCode === config.app.corporateCurrency;
+  }
+  
+  return getConversionRate(rates, isoCode) !== null;
+};
+
+/**
+ * Converts opportunity amounts to one currency at each opportunity's close date
+ * Converted records keep the raw value in OriginalAmount/OriginalCurrencyIsoCode and report the
+ * target currency in CurrencyIsoCode. Amounts with no known rate are set to null rather than
+ * mixed in unconverted.
+ * @param {Array} records - Opportunity records
+ * @param {Object|null} rates - Rate table (null when the source has no currency information)
+ * @param {Object} options - Conversion options
+ * @param {String} options.currency - Target currency (defaults to the corporate currency)
+ * @param {Array} options.fields - Currency fields to convert
+ * @param {String} options.dateField - Field holding the conversion date
+ * @returns {Object} Converted records and a summary ({ records, summary })
+ */
+const normalizeAmounts = (records, rates, options = {}) => {
+  const {
+    fields = AMOUNT_FIELDS,
+    dateField = 'CloseDate'
+  } = options;
+  
+  const corporateCurrency = rates ? rates.corporateCurrency : config.app.corporateCurrency;
+  const currency = options.currency || corporateCurrency;
+  
+  const summary = {
+    currency,
+    corporateCurrency,
+    multiCurrency: Boolean(rates && rates.currencyTypes.length > 1),
+    convertedCount: 0,
+    unconvertedCount: 0,
+    missingRates: []
+  };
+  
+  const missingRates = new Set();
+  
+  const converted = records.map(record => {
+    const sourceCurrency = record.CurrencyIsoCode || corporateCurrency;
+    
+    if (sourceCurrency === currency) {
+      return record.CurrencyIsoCode ? record : { ...record, CurrencyIsoCode: currency };
+    }
+    
+    const result = {
+      ...record,
+      CurrencyIsoCode: currency,
+      OriginalCurrencyIsoCode: sourceCurrency
+    };
+    
+    fields.forEach(field => {
+      if (typeof record[field] !== 'number') return;
+      
+      const value = rates
+        ? convertAmount(record[field], sourceCurrency, currency, record[dateField], rates)
+        : null;
+      
+      result[`Original${field}`] = record[field];
+      result[field] = value;
+      
+      if (value === null) {
+        missingRates.add(sourceCurrency);
+        summary.unconvertedCount++;
+      } else {
+        summary.convertedCount++;
+      }
+    });
+    
+    return result;
+  });
+  
+  // A target currency the rate table doesn't know is reported as missing too
+  if (rates && getConversionRate(rates, currency) === null) {
+    missingRates.add(currency);
+  }
+  
+  summary.missingRates = [...missingRates];
+  
+  return {
+    records: converted,
+    summary
+  };
+};
+
+module.exports = {
+  AMOUNT_FIELDS,
+  CURRENCY_CONTEXT_FIELDS,
+  loadCurrencyRatesFile,
+  getConversionRate,
+  isKnownCurrency,
+  convertAmount,
+  normalizeAmounts
+};
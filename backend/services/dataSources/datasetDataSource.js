@@ -0,0 +1,94 @@
+/**
+ * Dataset Data Source
+ * Exposes an imported dataset through the data-source interface
+ */
+
+const config = require('../../config/config');
+const { createLocalDataSource } = require('./localDataSource');
+const { getDatasetRecords, getDatasetSummary, updateDatasetField } = require('../datasetService');
+const { loadCurrencyRatesFile } = require('../currencyService');
+const { DERIVED_FIELDS, isDerivedField, isRelationshipField } = require('../../utils/relatedFieldUtils');
+
+// String fields with at most this many distinct values are described as picklists
+const MAX_PICKLIST_VALUES = 50;
+
+// Maps inferred import types onto Salesforce field types
+const FIELD_TYPE_MAP = {
+  number: 'double',
+  boolean: 'boolean',
+  date: 'date',
+  string: 'string'
+};
+
+/**
+ * Describes dataset fields in the same shape as fetchOpportunityFields
+ * @param {Object} dataset - Dataset summary
+ * @param {Array} records - Dataset records
+ * @returns {Array} Field metadata
+ */
+const describeDatasetFields = (dataset, records) => {
+  return dataset.fields.map(name => {
+    const inferredType = dataset.fieldTypes[name] || 'string';
+    let type = FIELD_TYPE_MAP[inferredType] || 'string';
+    let picklistValues = [];
+    
+    if (inferredType === 'string' && name !== 'Id' && name !== 'Name') {
+      const distinctValues = [...new Set(
+        records.map(record => record[name]).filter(value => value !== null && value !== undefined)
+      )];
+      
+      if (distinctValues.length > 0 && distinctValues.length <= MAX_PICKLIST_VALUES &&
+          distinctValues.length < records.length / 2) {
+        type = 'picklist';
+        picklistValues = distinctValues.sort().map(value => ({
+          value,
+          label: value,
+          isDefault: false
+        }));
+      }
+    }
+    
+    // Imported columns such as Account.Industry or ProductFamilyCount are related-object fields
+    let related = {};
+    if (isRelationshipField(name)) {
+      const relationship = name.split('.')[0];
+      related = { isRelated: true, relationship, group: relationship };
+    } else if (isDerivedField(name)) {
+      const { relationship, group } = DERIVED_FIELDS[name];
+      related = { isRelated: true, relationship, group };
+    }
+    
+    return {
+      name,
+      label: name.replace(/([a-z])([A-Z])/g, '$1 $2').replace('.', ' '),
+      type,
+      isCustom: name.endsWith('__c'),
+      isCalculated: false,
+      picklistValues,
+      isFilterable: true,
+      isSortable: true,
+      isNillable: name !== 'Id',
+      ...related
+    };
+  });
+};
+
+/**
+ * Creates a data source for an imported dataset
+ * @param {String} datasetId - Dataset ID
+ * @returns {Object} Data source
+ */
+const createDatasetDataSource = (datasetId) => {
+  return createLocalDataSource({
+    type: 'dataset',
+    getOpportunities: () => getDatasetRecords(datasetId),
+    getFields: () => describeDatasetFields(getDatasetSummary(datasetId), getDatasetRecords(datasetId)),
+    saveField: (field, valuesById) => updateDatasetField(datasetId, field, valuesById),
+    // Imported files carry no rates, so multi-currency datasets use the local rate table
+    getCurrencyRates: () => loadCurrencyRatesFile(config.app.currencyRatesFile)
+  });
+};
+
+module.exports = {
+  createDatasetDataSource
+};
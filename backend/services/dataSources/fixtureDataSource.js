@@ -0,0 +1,91 @@
+/**
+ * Fixture Data Source
+ * Serves a deterministic local dataset from JSON files for demos and automated tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLocalDataSource } = require('./localDataSource');
+const { prepareOpportunityData } = require('../../utils/dataProcessingUtils');
+const { loadCurrencyRatesFile } = require('../currencyService');
+
+// Fixture file names within the fixture directory
+const FIXTURE_FILES = {
+  opportunities: 'opportunities.json',
+  fields: 'opportunityFields.json',
+  history: 'opportunityHistory.json',
+  users: 'users.json',
+  currencyRates: 'currencyRates.json'
+};
+
+// Loaded fixtures, keyed by directory
+const fixtureCache = {};
+
+/**
+ * Reads a JSON fixture file
+ * @param {String} fixtureDir - Fixture directory
+ * @param {String} fileName - File name
+ * @returns {Array} Parsed contents, or an empty array if the file is missing
+ */
+const readFixture = (fixtureDir, fileName) => {
+  const filePath = path.join(fixtureDir, fileName);
+  
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Loads (and caches) all fixtures from a directory
+ * @param {String} fixtureDir - Fixture directory
+ * @returns {Object} Fixture data
+ */
+const loadFixtures = (fixtureDir) => {
+  if (!fixtureCache[fixtureDir]) {
+    if (!fs.existsSync(path.join(fixtureDir, FIXTURE_FILES.opportunities))) {
+      throw new Error(`No ${FIXTURE_FILES.opportunities} found in fixture directory ${fixtureDir}`);
+    }
+    
+    fixtureCache[fixtureDir] = {
+      opportunities: prepareOpportunityData(readFixture(fixtureDir, FIXTURE_FILES.opportunities)),
+      fields: readFixture(fixtureDir, FIXTURE_FILES.fields),
+      history: readFixture(fixtureDir, FIXTURE_FILES.history),
+      users: readFixture(fixtureDir, FIXTURE_FILES.users),
+      currencyRates: loadCurrencyRatesFile(path.join(fixtureDir, FIXTURE_FILES.currencyRates))
+    };
+  }
+  
+  return fixtureCache[fixtureDir];
+};
+
+/**
+ * Creates a data source backed by JSON fixture files
+ * @param {String} fixtureDir - Directory containing the fixture files
+ * @returns {Object} Data source
+ */
+const createFixtureDataSource = (fixtureDir) => {
+  const fixtures = loadFixtures(fixtureDir);
+  
+  return createLocalDataSource({
+    type: 'fixture',
+    getOpportunities: () => fixtures.opportunities,
+    getFields: () => fixtures.fields,
+    getHistory: () => fixtures.history,
+    getUsers: () => fixtures.users,
+    getCurrencyRates: () => fixtures.currencyRates
+  });
+};
+
+/**
+ * Drops cached fixtures so the next request re-reads the files
+ */
+const resetFixtures = () => {
+  Object.keys(fixtureCache).forEach(key => delete fixtureCache[key]);
+};
+
+module.exports = {
+  createFixtureDataSource,
+  resetFixtures
+};
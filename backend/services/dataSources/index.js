@@ -0,0 +1,222 @@
+/**
+ * Data Sources
+ * Selects the backend that supplies opportunity data for a request
+ *
+ * Every data source exposes the same interface:
+ *   fetchOpportunities(options), fetchOpportunityFields(), fetchOpportunityHistory(options),
+ *   fetchUsers(userIds), fetchDeletedOpportunityIds(since), fetchCurrencyRates(),
+ *   updateOpportunityProbabilities(updates, probabilityField)
+ *
+ * fetchOpportunities resolves to { records, fetchedCount, totalSize, truncated, queryMethod }
+ * so callers can report how many of the matching opportunities were actually used
+ */
+
+const config = require('../../config/config');
+const { isDatasetOwnedBy } = require('../datasetService');
+const { hasSyncedStore, getSyncedFields, getSyncStatus } = require('../syncService');
+const { isSnapshotOwnedBy } = require('../snapshotService');
+const { verifySession, getSessionIdentity } = require('../sessionService');
+const { createSalesforceDataSource } = require('./salesforceDataSource');
+const { createFixtureDataSource } = require('./fixtureDataSource');
+const { createDatasetDataSource } = require('./datasetDataSource');
+const { createSyncedDataSource } = require('./syncedDataSource');
+const { createSnapshotDataSource } = require('./snapshotDataSource');
+const { normalizeFilters, validateFilters } = require('../../utils/filterUtils');
+
+// Data source types that can be selected by name
+const DATA_SOURCE_TYPES = ['salesforce', 'fixture'];
+
+/**
+ * Reads a request parameter from the body or the query string
+ * @param {Object} req - Express request object
+ * @param {String} name - Parameter name
+ * @returns {*} Parameter value
+ */
+const getRequestParam = (req, name) => {
+  if (req.body && req.body[name] !== undefined) {
+    return req.body[name];
+  }
+  
+  return req.query ? req.query[name] : undefined;
+};
+
+/**
+ * Resolves which data source a request targets
+ * @param {Object} req - Express request object
+ * @returns {Object} Data source selection ({ type, snapshotId, datasetId })
+ */
+const resolveDataSource = (req) => {
+  const snapshotId = getRequestParam(req, 'snapshotId');
+  const datasetId = getRequestParam(req, 'datasetId');
+  
+  if (snapshotId) {
+    return { type: 'snapshot', snapshotId };
+  }
+  
+  if (datasetId) {
+    return { type: 'dataset', datasetId };
+  }
+  
+  return { type: getRequestParam(req, 'dataSource') || config.app.dataSource };
+};
+
+/**
+ * Checks whether a data source can be used without a Salesforce session. Only the bundled
+ * fixtures qualify, and only outside production; snapshots and datasets hold org data
+ * @param {String} type - Data source type
+ * @returns {Boolean} True if no session is needed
+ */
+const isPublicDataSource = (type) => type === 'fixture' && config.app.environment !== 'production';
+
+/**
+ * Checks that the data source a request targets is available. Every source except the
+ * public fixtures needs a session that Salesforce's identity service confirms
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Error details ({ status, error, message }), or null if the request can proceed
+ */
+const validateDataSourceRequest = async (req) => {
+  const { type, snapshotId, datasetId } = resolveDataSource(req);
+  
+  if (!isPublicDataSource(type) && !(await verifySession(req))) {
+    return {
+      status: 401,
+      error: 'Authentication required',
+      message: 'Please authenticate with Salesforce to access this resource'
+    };
+  }
+  
+  // Snapshots and datasets are only visible to the org that created them
+  if (type === 'snapshot') {
+    if (!isSnapshotOwnedBy(snapshotId, getSessionIdentity(req).organizationId)) {
+      return {
+        status: 404,
+        error: 'Snapshot not found',
+        message: `No snapshot found with ID ${snapshotId}`
+      };
+    }
+    return null;
+  }
+  
+  if (type === 'dataset') {
+    if (!isDatasetOwnedBy(datasetId, getSessionIdentity(req).organizationId)) {
+      return {
+        status: 404,
+        error: 'Dataset not found',
+        message: `No dataset found with ID ${datasetId}`
+      };
+    }
+    return null;
+  }
+  
+  if (!DATA_SOURCE_TYPES.includes(type)) {
+    return {
+      status: 400,
+      error: 'Invalid data source',
+      message: `Unknown data source "${type}". Expected one of: ${DATA_SOURCE_TYPES.join(', ')}`
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Creates the data source a request targets
+ * @param {Object} req - Express request object
+ * @returns {Object} Data source
+ */
+const createDataSource = (req) => {
+  const { type, snapshotId, datasetId } = resolveDataSource(req);
+  
+  switch (type) {
+    case 'snapshot':
+      return createSnapshotDataSource(snapshotId);
+    case 'dataset':
+      return createDatasetDataSource(datasetId);
+    case 'fixture':
+      return createFixtureDataSource(config.app.fixtureDir);
+    case 'salesforce':
+      return createSalesforceDataSource({
+        accessToken: req.cookies.sf_access_token,
+        instanceUrl: req.cookies.sf_instance_url
+      });
+    default:
+      throw new Error(`Unknown data source: ${type}`);
+  }
+};
+
+/**
+ * Gets the key of the sync store that mirrors a request's data source. Salesforce stores
+ * are kept per org and user, so one user's store never serves records that Salesforce
+ * sharing hides from another
+ * @param {Object} req - Express request object
+ * @returns {String|null} Store key, or null for sources that can't be synced (snapshots, imported datasets)
+ * and for Salesforce requests whose session has not been verified
+ */
+const getSyncStoreKey = (req) => {
+  const { type } = resolveDataSource(req);
+  
+  switch (type) {
+    case 'fixture':
+      return 'fixture';
+    case 'salesforce': {
+      const identity = getSessionIdentity(req);
+      return identity ? `salesforce_${identity.organizationId}_${identity.userId}` : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Creates the data source an analysis should read from: the local sync store when the
+ * request's source has been synced completely and the store holds every field needed,
+ * otherwise the live source. A store whose last sync was cut off at maxQueryResults only
+ * holds the oldest-modified opportunities, so it is skipped rather than analyzed silently.
+ * Pass live=true to always query the live source.
+ * @param {Object} req - Express request object
+ * @param {Array} fields - Fields the analysis needs
+ * @returns {Object} Data source
+ */
+const createAnalysisDataSource = (req, fields = []) => {
+  const storeKey = getSyncStoreKey(req);
+  const live = String(getRequestParam(req, 'live')) === 'true';
+  
+  if (!live && hasSyncedStore(storeKey)) {
+    const { fields: syncedFields } = getSyncedFields(storeKey);
+    const { lastSyncStats } = getSyncStatus(storeKey);
+    const complete = !lastSyncStats || lastSyncStats.complete !== false;
+    
+    if (complete && fields.every(field => syncedFields.includes(field))) {
+      return createSyncedDataSource(storeKey);
+    }
+  }
+  
+  return createDataSource(req);
+};
+
+/**
+ * Validates request filters against the field metadata of the data source they will run on
+ * @param {Object} dataSource - Data source
+ * @param {Object|Array} filters - Filters from the request
+ * @returns {Promise<Object>} Validation result ({ valid, errors })
+ */
+const validateRequestFilters = async (dataSource, filters) => {
+  const filterTree = normalizeFilters(filters);
+  
+  if (!filterTree) {
+    return { valid: true, errors: [] };
+  }
+  
+  return validateFilters(filterTree, await dataSource.fetchOpportunityFields());
+};
+
+module.exports = {
+  DATA_SOURCE_TYPES,
+  resolveDataSource,
+  isPublicDataSource,
+  validateDataSourceRequest,
+  createDataSource,
+  getSyncStoreKey,
+  createAnalysisDataSource,
+  validateRequestFilters
+};
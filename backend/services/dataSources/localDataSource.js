@@ -0,0 +1,205 @@
+/**
+ * Local Data Source
+ * Implements the data-source interface over in-memory records (fixtures, imported datasets)
+ */
+
+const config = require('../../config/config');
+const { queryOpportunityRecords } = require('../../utils/dataProcessingUtils');
+const { getFieldTypes } = require('../../utils/filterUtils');
+
+/**
+ * Creates a data source backed by in-memory records
+ * @param {Object} store - Accessors for the underlying data
+ * @param {String} store.type - Data source type reported to callers
+ * @param {Function} store.getOpportunities - Returns the opportunity records (shared; never written to)
+ * @param {Function} store.getFields - Returns opportunity field metadata
+ * @param {Function} store.getHistory - Returns opportunity history records
+ * @param {Function} store.getUsers - Returns user records
+ * @param {Function} store.getCurrencyRates - Returns the currency rate table, or null
+ * @param {Function} store.saveField - Persists (field, valuesById) and resolves to the updated IDs.
+ * Without it, written values are kept on this data source only and never reach the shared records
+ * @returns {Object} Data source
+ */
+const createLocalDataSource = (store) => {
+  const {
+    type,
+    getOpportunities,
+    getFields,
+    getHistory = () => [],
+    getUsers = () => [],
+    getCurrencyRates = () => null,
+    saveField
+  } = store;
+  
+  // Values written to this data source, keyed by opportunity ID
+  const writtenValues = {};
+  
+  const getRecords = () => {
+    const records = getOpportunities();
+    
+    if (Object.keys(writtenValues).length === 0) {
+      return records;
+    }
+    
+    return records.map(record => (writtenValues[record.Id] ? { ...record, ...writtenValues[record.Id] } : record));
+  };
+  
+  return {
+    type,
+    
+    /**
+     * Fetches opportunities
+     * @param {Object} options - Query options (fields, optionalFields, filters, isClosed, modifiedSince, orderBy, limit)
+     * @returns {Promise<Object>} Query result ({ records, fetchedCount, totalSize, truncated, queryMethod })
+     */
+    fetchOpportunities: async (options = {}) => {
+      const { limit, modifiedSince, fields, optionalFields = [], ...queryOptions } = options;
+      const maxRecords = Math.min(limit || config.app.maxQueryResults, config.app.maxQueryResults);
+      
+      let opportunities = getRecords();
+      
+      if (modifiedSince) {
+        const since = new Date(modifiedSince).getTime();
+        opportunities = opportunities.filter(record => {
+          const modified = record.SystemModstamp || record.LastModifiedDate;
+          return modified && new Date(modified).getTime() >= since;
+        });
+      }
+      
+      const matches = queryOpportunityRecords(opportunities, {
+        ...queryOptions,
+        fields: fields ? [...new Set([...fields, ...optionalFields])] : undefined,
+        fieldTypes: getFieldTypes(await getFields())
+      });
+      const records = matches.slice(0, maxRecords);
+      
+      return {
+        records,
+        fetchedCount: records.length,
+        totalSize: matches.length,
+        truncated: records.length < matches.length,
+        queryMethod: 'memory'
+      };
+    },
+    
+    /**
+     * Fetches opportunity field metadata
+     * @returns {Promise<Array>} Array of field metadata
+     */
+    fetchOpportunityFields: async () => getFields(),
+    
+    /**
+     * Fetches opportunity history records
+     * @param {Object} options - Query options (opportunityIds, fields, limit)
+     * @returns {Promise<Array>} Array of history records
+     */
+    fetchOpportunityHistory: async (options = {}) => {
+      const { opportunityIds = [], fields, limit } = options;
+      
+      let history = getHistory();
+      
+      if (opportunityIds && opportunityIds.length > 0) {
+        const ids = new Set(opportunityIds);
+        history = history.filter(record => ids.has(record.OpportunityId));
+      } else if (limit) {
+        history = history.slice(0, limit);
+      }
+      
+      if (fields && fields.length > 0) {
+        history = history.map(record => {
+          const selected = {};
+          fields.forEach(field => {
+            selected[field] = record[field] !== undefined ? record[field] : null;
+          });
+          return selected;
+        });
+      }
+      
+      return history;
+    },
+    
+    /**
+     * Fetches active users
+     * @param {Array} userIds - Array of user IDs to fetch
+     * @returns {Promise<Array>} Array of user records
+     */
+    fetchUsers: async (userIds = []) => {
+      const users = getUsers().filter(user => user.IsActive !== false);
+      
+      if (userIds && userIds.length > 0) {
+        const ids = new Set(userIds);
+        return users.filter(user => ids.has(user.Id));
+      }
+      
+      return users.slice(0, 1000);
+    },
+    
+    /**
+     * Fetches the IDs of deleted opportunities (local records are never deleted)
+     * @returns {Promise<Array>} Array of deleted opportunity IDs
+     */
+    fetchDeletedOpportunityIds: async () => [],
+    
+    /**
+     * Fetches the currency rate table
+     * @returns {Promise<Object|null>} Rate table, or null when amounts are all in one currency
+     */
+    fetchCurrencyRates: async () => getCurrencyRates(),
+    
+    /**
+     * Writes predicted probabilities through the store, or onto copies of the records
+     * @param {Array} updates - Array of { opportunityId, probability } updates
+     * @param {String} probabilityField - Field to store the probability in
+     * @returns {Promise<Object>} Update results
+     */
+    updateOpportunityProbabilities: async (updates, probabilityField = 'Predicted_Win_Probability__c') => {
+      const knownIds = new Set(getOpportunities().map(record => record.Id));
+      const valuesById = {};
+      
+      updates.forEach(update => {
+        if (knownIds.has(update.opportunityId)) {
+          valuesById[update.opportunityId] = update.probability;
+        }
+      });
+      
+      if (saveField) {
+        await saveField(probabilityField, valuesById);
+      } else {
+        Object.keys(valuesById).forEach(id => {
+          writtenValues[id] = { ...writtenValues[id], [probabilityField]: valuesById[id] };
+        });
+      }
+      
+      const results = {
+        success: [],
+        errors: []
+      };
+      
+      updates.forEach(update => {
+        if (knownIds.has(update.opportunityId)) {
+          results.success.push({
+            id: update.opportunityId,
+            success: true
+          });
+        } else {
+          results.errors.push({
+            id: update.opportunityId,
+            success: false,
+            errors: [{ message: 'Opportunity not found' }]
+          });
+        }
+      });
+      
+      return {
+        totalRecords: updates.length,
+        successCount: results.success.length,
+        errorCount: results.errors.length,
+        results
+      };
+    }
+  };
+};
+
+module.exports = {
+  createLocalDataSource
+};
@@ -0,0 +1,107 @@
+/**
+ * Salesforce Data Source
+ * Implements the data-source interface on top of the Salesforce service
+ */
+
+const {
+  createConnection,
+  fetchOpportunities,
+  fetchOpportunityFields,
+  fetchOpportunityHistory,
+  fetchUsers,
+  fetchDeletedOpportunityIds,
+  fetchCurrencyRates,
+  updateOpportunityProbabilities
+} = require('../salesforceService');
+const {
+  normalizeFilters,
+  validateFilters,
+  getFieldTypes,
+  buildSoqlCondition
+} = require('../../utils/filterUtils');
+
+/**
+ * Formats a date as a SOQL datetime literal (SOQL doesn't accept milliseconds)
+ * @param {String|Date} value - Date to format
+ * @returns {String} SOQL datetime literal, e.g. 2024-01-31T12:00:00Z
+ */
+const toSoqlDateTime = (value) => {
+  const date = new Date(value);
+  
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+};
+
+/**
+ * Creates a data source for a connected Salesforce org
+ * @param {Object} credentials - Salesforce credentials (instanceUrl, accessToken)
+ * @returns {Object} Data source
+ */
+const createSalesforceDataSource = (credentials) => {
+  const conn = createConnection(credentials);
+  
+  return {
+    type: 'salesforce',
+    
+    /**
+     * Fetches opportunities
+     * @param {Object} options - Query options (fields, optionalFields, filters, isClosed, modifiedSince, orderBy, limit, includeCustomFields, queryMethod)
+     * @returns {Promise<Object>} Query result ({ records, fetchedCount, totalSize, truncated, queryMethod })
+     */
+    fetchOpportunities: async (options = {}) => {
+      const { filters, isClosed, modifiedSince, whereClause, ...queryOptions } = options;
+      
+      if (whereClause) {
+        throw new Error('Raw SOQL where clauses are not supported; use filters instead');
+      }
+      
+      const conditions = [];
+      const filterTree = normalizeFilters(filters);
+      
+      // Filters are checked against the org's field metadata before they reach SOQL
+      if (filterTree) {
+        const fieldMetadata = await fetchOpportunityFields(conn);
+        const validation = validateFilters(filterTree, fieldMetadata);
+        
+        if (!validation.valid) {
+          throw new Error(`Invalid filters: ${validation.errors.join('; ')}`);
+        }
+        
+        conditions.push(buildSoqlCondition(filterTree, getFieldTypes(fieldMetadata)));
+      }
+      
+      if (isClosed !== undefined) {
+        conditions.push(`IsClosed = ${Boolean(isClosed)}`);
+      }
+      
+      if (modifiedSince) {
+        conditions.push(`SystemModstamp >= ${toSoqlDateTime(modifiedSince)}`);
+      }
+      
+      return fetchOpportunities(conn, {
+        ...queryOptions,
+        whereClause: conditions.join(' AND ')
+      });
+    },
+    
+    fetchOpportunityFields: () => fetchOpportunityFields(conn),
+    
+    fetchOpportunityHistory: (options = {}) => fetchOpportunityHistory(conn, options),
+    
+    fetchUsers: (userIds = []) => fetchUsers(conn, userIds),
+    
+    fetchDeletedOpportunityIds: (since) => fetchDeletedOpportunityIds(conn, since),
+    
+    fetchCurrencyRates: () => fetchCurrencyRates(conn),
+    
+    updateOpportunityProbabilities: (updates, probabilityField) =>
+      updateOpportunityProbabilities(conn, updates, probabilityField)
+  };
+};
+
+module.exports = {
+  createSalesforceDataSource
+};
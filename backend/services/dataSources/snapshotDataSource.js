@@ -0,0 +1,41 @@
+/**
+ * Snapshot Data Source
+ * Serves the frozen records of a named snapshot
+ */
+
+const { createLocalDataSource } = require('./localDataSource');
+const {
+  getSnapshotRecords,
+  getSnapshotHistory,
+  getSnapshotFieldMetadata,
+  getSnapshotCurrencyRates
+} = require('../snapshotService');
+
+/**
+ * Creates a data source for a snapshot
+ * @param {String} snapshotId - Snapshot ID
+ * @returns {Object} Data source
+ */
+const createSnapshotDataSource = (snapshotId) => {
+  const dataSource = createLocalDataSource({
+    type: 'snapshot',
+    getOpportunities: () => getSnapshotRecords(snapshotId),
+    getHistory: () => getSnapshotHistory(snapshotId),
+    getFields: () => getSnapshotFieldMetadata(snapshotId),
+    getCurrencyRates: () => getSnapshotCurrencyRates(snapshotId)
+  });
+  
+  return {
+    ...dataSource,
+    snapshotId,
+    
+    // Snapshots are immutable
+    updateOpportunityProbabilities: async () => {
+      throw new Error('Snapshots are read-only; predicted probabilities cannot be written to them');
+    }
+  };
+};
+
+module.exports = {
+  createSnapshotDataSource
+};
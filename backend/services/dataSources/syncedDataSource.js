@@ -0,0 +1,28 @@
+/**
+ * Synced Data Source
+ * Serves opportunities from the local sync store instead of querying the org
+ */
+
+const { createLocalDataSource } = require('./localDataSource');
+const { getSyncedRecords, getSyncedFields, getSyncedCurrencyRates, getSyncStatus } = require('../syncService');
+
+/**
+ * Creates a data source backed by a sync store
+ * @param {String} storeKey - Store key
+ * @returns {Object} Data source
+ */
+const createSyncedDataSource = (storeKey) => {
+  return {
+    ...createLocalDataSource({
+      type: 'sync-store',
+      getOpportunities: () => getSyncedRecords(storeKey),
+      getFields: () => getSyncedFields(storeKey).fieldMetadata,
+      getCurrencyRates: () => getSyncedCurrencyRates(storeKey)
+    }),
+    lastSyncAt: getSyncStatus(storeKey).lastSyncAt
+  };
+};
+
+module.exports = {
+  createSyncedDataSource
+};
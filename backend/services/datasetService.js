@@ -0,0 +1,226 @@
+/**
+ * Dataset Service
+ * Keeps named opportunity datasets (e.g. imported exports) that analytics can target instead of the org.
+ * Datasets are persisted as plain JSON so they (and model lineage pointing at them) survive restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { queryOpportunityRecords } = require('../utils/dataProcessingUtils');
+
+// Dataset metadata without records, keyed by dataset ID (records are loaded on demand)
+let datasetIndex = null;
+
+// Loaded dataset records, keyed by dataset ID
+const datasetRecords = {};
+
+/**
+ * Gets the files a dataset is persisted to
+ * @param {String} id - Dataset ID
+ * @returns {Object} File paths ({ meta, records })
+ */
+const getDatasetPaths = (id) => ({
+  meta: path.join(config.app.datasetDir, `${id}.meta.json`),
+  records: path.join(config.app.datasetDir, `${id}.records.json`)
+});
+
+/**
+ * Loads the metadata of all datasets on disk
+ * @returns {Object} Dataset metadata keyed by ID
+ */
+const loadDatasetIndex = () => {
+  if (!datasetIndex) {
+    datasetIndex = {};
+    
+    if (fs.existsSync(config.app.datasetDir)) {
+      fs.readdirSync(config.app.datasetDir)
+        .filter(file => file.endsWith('.meta.json'))
+        .forEach(file => {
+          const meta = JSON.parse(fs.readFileSync(path.join(config.app.datasetDir, file), 'utf8'));
+          datasetIndex[meta.id] = meta;
+        });
+    }
+  }
+  
+  return datasetIndex;
+};
+
+/**
+ * Checks whether a dataset belongs to an org
+ * @param {String} id - Dataset ID
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Boolean} True if the dataset exists and was imported by the org
+ */
+const isDatasetOwnedBy = (id, orgId) => Boolean(orgId && hasDataset(id) && loadDatasetIndex()[id].orgId === orgId);
+
+/**
+ * Checks whether an org can register another dataset
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Boolean} True while the org stores fewer than the configured maximum
+ */
+const canRegisterDataset = (orgId) => {
+  return Object.keys(loadDatasetIndex()).filter(id => isDatasetOwnedBy(id, orgId)).length < config.app.maxDatasets;
+};
+
+/**
+ * Registers a new dataset and persists it
+ * @param {String} name - Display name of the dataset
+ * @param {Object} data - Dataset contents
+ * @param {Array} data.records - Opportunity records
+ * @param {Array} data.fields - Field names present on the records
+ * @param {Object} data.fieldTypes - Mapping of field name to inferred type
+ * @param {Object} metadata - Additional metadata (source file, column mapping, ...)
+ * @param {String} orgId - Salesforce organization the dataset belongs to
+ * @returns {Promise<Object>} Dataset summary
+ */
+const registerDataset = async (name, data, metadata = {}, orgId) => {
+  if (!orgId) {
+    throw new Error('A dataset must belong to an org');
+  }
+  
+  if (!canRegisterDataset(orgId)) {
+    throw new Error(`At most ${config.app.maxDatasets} datasets can be stored; delete one first`);
+  }
+  
+  const id = `ds_${crypto.randomBytes(6).toString('hex')}`;
+  const { records } = data;
+  
+  const meta = {
+    id,
+    name: name || id,
+    orgId,
+    fields: data.fields,
+    fieldTypes: data.fieldTypes,
+    metadata,
+    createdAt: new Date().toISOString(),
+    recordCount: records.length,
+    closedCount: records.filter(record => record.IsClosed).length,
+    wonCount: records.filter(record => record.IsWon).length
+  };
+  
+  // Write the records first so the dataset only appears once it's complete
+  const paths = getDatasetPaths(id);
+  await fs.promises.mkdir(config.app.datasetDir, { recursive: true });
+  await fs.promises.writeFile(paths.records, JSON.stringify(records));
+  await fs.promises.writeFile(paths.meta, JSON.stringify(meta, null, 2));
+  
+  loadDatasetIndex()[id] = meta;
+  datasetRecords[id] = records;
+  
+  return getDatasetSummary(id);
+};
+
+/**
+ * Checks whether a dataset exists
+ * @param {String} id - Dataset ID
+ * @returns {Boolean} True if the dataset is registered
+ */
+const hasDataset = (id) => Boolean(id && loadDatasetIndex()[id]);
+
+/**
+ * Gets a dataset summary without its records
+ * @param {String} id - Dataset ID
+ * @returns {Object|null} Dataset summary
+ */
+const getDatasetSummary = (id) => (hasDataset(id) ? { ...loadDatasetIndex()[id] } : null);
+
+/**
+ * Lists an org's datasets
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Array} Dataset summaries
+ */
+const listDatasets = (orgId) => Object.keys(loadDatasetIndex()).filter(id => isDatasetOwnedBy(id, orgId)).map(getDatasetSummary);
+
+/**
+ * Removes a dataset
+ * @param {String} id - Dataset ID
+ * @returns {Promise<Boolean>} True if a dataset was removed
+ */
+const deleteDataset = async (id) => {
+  if (!hasDataset(id)) return false;
+  
+  const paths = getDatasetPaths(id);
+  await fs.promises.rm(paths.meta, { force: true });
+  await fs.promises.rm(paths.records, { force: true });
+  
+  delete loadDatasetIndex()[id];
+  delete datasetRecords[id];
+  
+  return true;
+};
+
+/**
+ * Gets the records of a dataset
+ * @param {String} id - Dataset ID
+ * @returns {Array} Dataset records (the stored array, not a copy)
+ */
+const getDatasetRecords = (id) => {
+  if (!hasDataset(id)) {
+    throw new Error(`Dataset not found: ${id}`);
+  }
+  
+  if (!datasetRecords[id]) {
+    datasetRecords[id] = JSON.parse(fs.readFileSync(getDatasetPaths(id).records, 'utf8'));
+  }
+  
+  return datasetRecords[id];
+};
+
+/**
+ * Sets one field on some of a dataset's records and persists them. The changed records are
+ * copies, so record arrays already handed out to other requests are left untouched
+ * @param {String} id - Dataset ID
+ * @param {String} field - Field to set
+ * @param {Object} valuesById - New values keyed by opportunity ID
+ * @returns {Promise<Array>} IDs of the records that were updated
+ */
+const updateDatasetField = async (id, field, valuesById) => {
+  const updatedIds = [];
+  const records = getDatasetRecords(id).map(record => {
+    if (!Object.prototype.hasOwnProperty.call(valuesById, record.Id)) {
+      return record;
+    }
+    
+    updatedIds.push(record.Id);
+    return { ...record, [field]: valuesById[record.Id] };
+  });
+  
+  const paths = getDatasetPaths(id);
+  const meta = loadDatasetIndex()[id];
+  const updatedMeta = meta.fields.includes(field) ? meta : {
+    ...meta,
+    fields: [...meta.fields, field],
+    fieldTypes: { ...meta.fieldTypes, [field]: 'number' }
+  };
+  
+  await fs.promises.writeFile(paths.records, JSON.stringify(records));
+  await fs.promises.writeFile(paths.meta, JSON.stringify(updatedMeta, null, 2));
+  
+  loadDatasetIndex()[id] = updatedMeta;
+  datasetRecords[id] = records;
+  
+  return updatedIds;
+};
+
+/**
+ * Queries opportunities from a dataset, mirroring the options of fetchOpportunities
+ * @param {String} id - Dataset ID
+ * @param {Object} options - Query options (fields, filters, isClosed, orderBy, limit)
+ * @returns {Array} Matching opportunities
+ */
+const queryDataset = (id, options = {}) => queryOpportunityRecords(getDatasetRecords(id), options);
+
+module.exports = {
+  canRegisterDataset,
+  registerDataset,
+  hasDataset,
+  isDatasetOwnedBy,
+  getDatasetSummary,
+  listDatasets,
+  deleteDataset,
+  queryDataset,
+  getDatasetRecords,
+  updateDatasetField
+};
@@ -0,0 +1,329 @@
+/**
+ * Drift Service
+ * Monitors whether the live pipeline still resembles the data a model was trained on: a training
+ * profile (binned distribution of each dimension and of the predicted win probability) is stored
+ * with each model version, open opportunities are compared against it by population stability
+ * index, and the probabilities predicted for deals are checked against how those deals closed
+ */
+
+const jStat = require('jStat').jStat;
+const config = require('../config/config');
+const { getCategoryLevel, OTHER_LEVEL } = require('../utils/dataProcessingUtils');
+
+// Quantile bins per numeric dimension (and for predicted probabilities)
+const NUMERIC_BINS = 10;
+
+// Most frequent levels profiled per categorical dimension; the rest are pooled as Other
+const MAX_PROFILE_LEVELS = 20;
+
+// Smallest share used in the PSI, so empty bins don't make it infinite
+const PSI_FLOOR = 0.0001;
+
+// Most unseen levels listed per categorical dimension
+const MAX_UNSEEN_LEVELS = 10;
+
+const isBlank = value => value === null || value === undefined || value === '' ||
+  (typeof value === 'number' && Number.isNaN(value));
+
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Describes the distribution of a dimension (or of predicted probabilities) in the training data
+ * Numeric values are binned at their deciles, with an overflow bin above the last edge; other
+ * values by level, with the rarer levels pooled as Other. Missing values get their own share.
+ * @param {Array} values - Values of each training opportunity
+ * @returns {Object} Feature profile ({ type: 'numeric', edges, shares, missingShare, mean } or
+ *   { type: 'categorical', levels, shares, missingShare }), shares having one more entry than
+ *   edges or levels
+ */
+const profileValues = (values) => {
+  const present = values.filter(value => !isBlank(value));
+  const missingShare = values.length > 0 ? (values.length - present.length) / values.length : 0;
+  
+  if (present.length > 0 && present.every(value => typeof value === 'number')) {
+    const sorted = [...present].sort((a, b) => a - b);
+    const edges = [...new Set(Array.from({ length: NUMERIC_BINS - 1 }, (_, k) =>
+      sorted[Math.floor((k + 1) * (sorted.length - 1) / NUMERIC_BINS)]
+    ))];
+    const feature = { type: 'numeric', edges };
+    
+    return { ...feature, shares: getShares(feature, values), missingShare, mean: mean(present) };
+  }
+  
+  const counts = {};
+  present.forEach(value => {
+    const level = getCategoryLevel(value);
+    counts[level] = (counts[level] || 0) + 1;
+  });
+  const levels = Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .slice(0, MAX_PROFILE_LEVELS);
+  const feature = { type: 'categorical', levels };
+  
+  return { ...feature, shares: getShares(feature, values), missingShare };
+};
+
+/**
+ * Gets the bin of a present value under a feature profile
+ * @param {Object} feature - Feature profile
+ * @param {*} value - Value
+ * @returns {Number} Bin index (the last bin holds values above the edges, or unprofiled levels)
+ */
+const getBin = (feature, value) => {
+  if (feature.type === 'categorical') {
+    const index = feature.levels.indexOf(getCategoryLevel(value));
+    return index === -1 ? feature.levels.length : index;
+  }
+  
+  const index = feature.edges.findIndex(edge => Number(value) <= edge);
+  return index === -1 ? feature.edges.length : index;
+};
+
+/**
+ * Gets the share of present values in each bin of a feature profile
+ * @param {Object} feature - Feature profile
+ * @param {Array} values - Values
+ * @returns {Array} Share of all values (missing ones included) in each bin
+ */
+const getShares = (feature, values) => {
+  const binCount = (feature.type === 'categorical' ? feature.levels.length : feature.edges.length) + 1;
+  const counts = new Array(binCount).fill(0);
+  
+  values.forEach(value => {
+    if (!isBlank(value)) counts[getBin(feature, value)]++;
+  });
+  return counts.map(count => (values.length > 0 ? count / values.length : 0));
+};
+
+/**
+ * Labels the bins of a feature profile
+ * @param {Object} feature - Feature profile
+ * @returns {Array} Bin labels
+ */
+const getBinLabels = (feature) => {
+  if (feature.type === 'categorical') {
+    return [...feature.levels, OTHER_LEVEL];
+  }
+  
+  const format = value => Number(value.toPrecision(4));
+  return [
+    ...feature.edges.map((edge, k) => (k === 0 ? `<= ${format(edge)}` : `${format(feature.edges[k - 1])} - ${format(edge)}`)),
+    `> ${format(feature.edges[feature.edges.length - 1])}`
+  ];
+};
+
+/**
+ * Calculates the population stability index between two distributions over the same bins
+ * @param {Array} expected - Training shares
+ * @param {Array} actual - Current shares
+ * @returns {Number} PSI (under 0.1 is usually read as stable, over 0.25 as a major shift)
+ */
+const computePsi = (expected, actual) => expected.reduce((sum, share, k) => {
+  const e = Math.max(share, PSI_FLOOR);
+  const a = Math.max(actual[k], PSI_FLOOR);
+  return sum + (a - e) * Math.log(a / e);
+}, 0);
+
+/**
+ * Profiles the training opportunities of a model, as the baseline drift is measured against
+ * @param {Array} records - Training opportunities (prepared as the model was trained on them)
+ * @param {Array} dimensions - Model dimensions
+ * @param {Function} predict - Predicts the win probability of an opportunity
+ * @returns {Object} Training profile ({ opportunityCount, winRate, score, dimensions })
+ */
+const createTrainingProfile = (records, dimensions, predict) => ({
+  opportunityCount: records.length,
+  winRate: mean(records.map(record => (record.IsWon ? 1 : 0))),
+  score: profileValues(records.map(record => predict(record))),
+  dimensions: dimensions.map(dimension => ({
+    dimension,
+    ...profileValues(records.map(record => record[dimension]))
+  }))
+});
+
+/**
+ * Compares values against a feature profile
+ * @param {Object} feature - Feature profile
+ * @param {Array} values - Current values
+ * @returns {Object} PSI (missing values counted as their own bin) and the shares of each bin
+ */
+const compareToProfile = (feature, values) => {
+  const shares = getShares(feature, values);
+  const missingShare = values.length > 0 ? values.filter(isBlank).length / values.length : 0;
+  const labels = getBinLabels(feature);
+  
+  return {
+    psi: computePsi([...feature.shares, feature.missingShare], [...shares, missingShare]),
+    missing: { expected: feature.missingShare, actual: missingShare },
+    bins: labels.map((label, k) => ({ label, expected: feature.shares[k], actual: shares[k] }))
+  };
+};
+
+/**
+ * Measures how far current opportunities have drifted from a model's training profile
+ * @param {Object} profile - Training profile (see createTrainingProfile)
+ * @param {Array} records - Current open opportunities (prepared as for scoring)
+ * @param {Function} predict - Predicts the win probability of an opportunity
+ * @returns {Object} Drift of the predicted probabilities and of each dimension, most drifted first
+ */
+const measureDrift = (profile, records, predict) => {
+  const scores = records.map(record => predict(record));
+  
+  return {
+    opportunityCount: records.length,
+    score: {
+      ...compareToProfile(profile.score, scores),
+      expectedMean: profile.score.mean,
+      actualMean: mean(scores)
+    },
+    dimensions: profile.dimensions
+      .map(feature => {
+        const values = records.map(record => record[feature.dimension]);
+        const drift = { dimension: feature.dimension, type: feature.type, ...compareToProfile(feature, values) };
+        
+        if (feature.type === 'numeric') {
+          return { ...drift, expectedMean: feature.mean, actualMean: mean(values.filter(value => !isBlank(value)).map(Number)) };
+        }
+        
+        // Levels the model never saw in training fall into Other
+        const unseen = {};
+        values
+          .filter(value => !isBlank(value) && !feature.levels.includes(getCategoryLevel(value)))
+          .forEach(value => {
+            unseen[getCategoryLevel(value)] = (unseen[getCategoryLevel(value)] || 0) + 1;
+          });
+        
+        return {
+          ...drift,
+          unseenLevels: Object.entries(unseen)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_UNSEEN_LEVELS)
+            .map(([level, count]) => ({ level, count }))
+        };
+      })
+      .sort((a, b) => b.psi - a.psi)
+  };
+};
+
+/**
+ * Compares the win probabilities predicted for deals with how they closed
+ * The z-test treats each deal as a Bernoulli trial at its predicted probability, so a significant
+ * result means the model is over- or under-forecasting wins overall.
+ * @param {Array} outcomes - Closed deals ({ probability, won, closeDate })
+ * @returns {Object} Predicted and realized win rates, their z-test, and the same by probability
+ *   band and by close month
+ */
+const compareRealizedWinRate = (outcomes) => {
+  if (outcomes.length === 0) {
+    return { count: 0, predictedWinRate: null, realizedWinRate: null, difference: null, z: null, pValue: null, bands: [], byMonth: [] };
+  }
+  
+  const summarize = group => ({
+    count: group.length,
+    predictedWinRate: mean(group.map(outcome => outcome.probability)),
+    realizedWinRate: mean(group.map(outcome => (outcome.won ? 1 : 0)))
+  });
+  
+  const overall = summarize(outcomes);
+  const variance = outcomes.reduce((sum, outcome) => sum + outcome.probability * (1 - outcome.probability), 0);
+  const z = variance > 0
+    ? (overall.realizedWinRate - overall.predictedWinRate) * outcomes.length / Math.sqrt(variance)
+    : null;
+  
+  const bands = Array.from({ length: NUMERIC_BINS }, (_, k) => {
+    const lower = k / NUMERIC_BINS;
+    const upper = (k + 1) / NUMERIC_BINS;
+    const group = outcomes.filter(outcome => outcome.probability >= lower &&
+      (outcome.probability < upper || (k === NUMERIC_BINS - 1 && outcome.probability <= upper)));
+    return { lower, upper, ...summarize(group) };
+  }).filter(band => band.count > 0);
+  
+  const months = {};
+  outcomes.forEach(outcome => {
+    const month = outcome.closeDate ? String(outcome.closeDate).slice(0, 7) : null;
+    if (!month) return;
+    if (!months[month]) months[month] = [];
+    months[month].push(outcome);
+  });
+  
+  return {
+    ...overall,
+    difference: overall.realizedWinRate - overall.predictedWinRate,
+    z,
+    pValue: z === null ? null : 2 * (1 - jStat.normal.cdf(Math.abs(z), 0, 1)),
+    bands,
+    byMonth: Object.keys(months).sort().map(month => ({ month, ...summarize(months[month]) }))
+  };
+};
+
+/**
+ * Fills in the alert thresholds a request doesn't set from the configured defaults
+ * @param {Object} overrides - Thresholds given with the request
+ * @returns {Object} Alert thresholds
+ */
+const resolveDriftThresholds = (overrides = {}) => Object.fromEntries(
+  Object.entries(config.analytics.driftThresholds)
+    .map(([name, value]) => [name, overrides[name] !== undefined ? overrides[name] : value])
+);
+
+/**
+ * Raises alerts where drift or the realized win rate exceed their thresholds
+ * @param {Object} drift - Drift of open opportunities (see measureDrift)
+ * @param {Object} realized - Realized win rate comparison (see compareRealizedWinRate)
+ * @param {Object} thresholds - Alert thresholds
+ * @param {Number} thresholds.psiWarning - PSI at which a shift is flagged as a warning
+ * @param {Number} thresholds.psiAlert - PSI at which a shift is flagged as an alert
+ * @param {Number} thresholds.calibrationGap - Gap between realized and predicted win rates flagged
+ *   when significant
+ * @param {Number} thresholds.minClosedOpportunities - Fewest closed deals before the gap is checked
+ * @param {Number} thresholds.significanceLevel - Largest p-value counted as a real gap
+ * @returns {Array} Alerts ({ severity: 'alert' | 'warning', type, dimension, value, threshold, message }),
+ *   alerts first
+ */
+const getDriftAlerts = (drift, realized, thresholds) => {
+  const { psiWarning, psiAlert, calibrationGap, minClosedOpportunities, significanceLevel } = thresholds;
+  const alerts = [];
+  
+  const checkPsi = (type, dimension, psi, subject) => {
+    if (psi < psiWarning) return;
+    const severity = psi >= psiAlert ? 'alert' : 'warning';
+    
+    alerts.push({
+      severity,
+      type,
+      dimension,
+      value: psi,
+      threshold: severity === 'alert' ? psiAlert : psiWarning,
+      message: `${subject} has shifted since training (PSI ${psi.toFixed(3)})`
+    });
+  };
+  
+  if (drift.opportunityCount > 0) {
+    checkPsi('score-drift', null, drift.score.psi, 'The predicted win probability distribution');
+    drift.dimensions.forEach(dimension => checkPsi('dimension-drift', dimension.dimension, dimension.psi, dimension.dimension));
+  }
+  
+  if (realized.count >= minClosedOpportunities && realized.pValue !== null &&
+    realized.pValue < significanceLevel && Math.abs(realized.difference) >= calibrationGap) {
+    alerts.push({
+      severity: 'alert',
+      type: 'calibration',
+      dimension: null,
+      value: realized.difference,
+      threshold: calibrationGap,
+      message: `Closed deals won ${(realized.realizedWinRate * 100).toFixed(1)}% of the time against ` +
+        `${(realized.predictedWinRate * 100).toFixed(1)}% predicted (${realized.count} deals, p = ${realized.pValue.toPrecision(2)})`
+    });
+  }
+  
+  return alerts.sort((a, b) => (a.severity === b.severity ? Math.abs(b.value) - Math.abs(a.value) : a.severity === 'alert' ? -1 : 1));
+};
+
+module.exports = {
+  computePsi,
+  resolveDriftThresholds,
+  createTrainingProfile,
+  measureDrift,
+  compareRealizedWinRate,
+  getDriftAlerts
+};
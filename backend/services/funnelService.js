@@ -0,0 +1,418 @@
+/**
+ * Funnel Service
+ * Reconstructs each opportunity's stage path from OpportunityHistory and measures
+ * stage-to-stage conversion, drop-off, time in stage and skip/regression patterns
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculates a win rate with a 95% confidence interval, as in the lookup table
+ * @param {Number} wins - Number of won opportunities
+ * @param {Number} total - Number of closed opportunities
+ * @returns {Object} Win rate in percent ({ winRate, sampleSize, confidenceInterval })
+ */
+const calculateWinRate = (wins, total) => {
+  if (total === 0) {
+    return { winRate: null, sampleSize: 0, confidenceInterval: null };
+  }
+  
+  const winRate = (wins / total) * 100;
+  const error = 1.96 * Math.sqrt((winRate / 100 * (1 - winRate / 100)) / total);
+  
+  return {
+    winRate,
+    sampleSize: total,
+    confidenceInterval: [
+      Math.max(0, winRate - error * 100),
+      Math.min(100, winRate + error * 100)
+    ]
+  };
+};
+
+/**
+ * Calculates the mean and median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {Object} Summary ({ average, median })
+ */
+const summarizeDurations = (values) => {
+  if (values.length === 0) {
+    return { average: null, median: null };
+  }
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  
+  return {
+    average: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  };
+};
+
+/**
+ * Determines the order of the open stages and which stages close an opportunity
+ * Open stages follow the StageName picklist (the sales process order); stages missing from
+ * the picklist are placed by their average probability in the history.
+ * @param {Array} opportunities - Opportunity records (Id, StageName, IsClosed, IsWon)
+ * @param {Array} history - OpportunityHistory records
+ * @param {Array} fieldMetadata - Opportunity field metadata
+ * @returns {Object} Stages ({ openStages, wonStages, lostStages })
+ */
+const getStageOrder = (opportunities, history, fieldMetadata = []) => {
+  const wonStages = new Set();
+  const lostStages = new Set();
+  
+  opportunities.forEach(opp => {
+    if (opp.IsClosed && opp.StageName) {
+      (opp.IsWon ? wonStages : lostStages).add(opp.StageName);
+    }
+  });
+  
+  const isClosedStage = stage => wonStages.has(stage) || lostStages.has(stage);
+  
+  const stageField = fieldMetadata.find(field => field.name === 'StageName');
+  const picklistStages = stageField && stageField.picklistValues
+    ? stageField.picklistValues.map(value => value.value)
+    : [];
+  
+  // Average probability of each stage seen in the history
+  const probabilities = {};
+  history.forEach(record => {
+    if (!record.StageName) return;
+    
+    if (!probabilities[record.StageName]) {
+      probabilities[record.StageName] = { sum: 0, count: 0 };
+    }
+    
+    if (typeof record.Probability === 'number') {
+      probabilities[record.StageName].sum += record.Probability;
+      probabilities[record.StageName].count++;
+    }
+  });
+  
+  const averageProbability = stage => {
+    const entry = probabilities[stage];
+    return entry && entry.count > 0 ? entry.sum / entry.count : 0;
+  };
+  
+  const openStages = picklistStages.filter(stage => !isClosedStage(stage));
+  const unlistedStages = Object.keys(probabilities)
+    .filter(stage => !isClosedStage(stage) && !openStages.includes(stage))
+    .sort((a, b) => averageProbability(a) - averageProbability(b));
+  
+  unlistedStages.forEach(stage => {
+    const position = openStages.findIndex(listed => averageProbability(listed) > averageProbability(stage));
+    openStages.splice(position === -1 ? openStages.length : position, 0, stage);
+  });
+  
+  return {
+    openStages,
+    wonStages: [...wonStages],
+    lostStages: [...lostStages]
+  };
+};
+
+/**
+ * Reconstructs the stage path of each opportunity
+ * History rows are also written for amount and close date changes, so consecutive rows in
+ * the same stage are collapsed into one visit.
+ * @param {Array} opportunities - Opportunity records
+ * @param {Array} history - OpportunityHistory records
+ * @returns {Map} Stage visits keyed by opportunity ID ([{ stage, enteredAt, exitedAt }])
+ */
+const buildStagePaths = (opportunities, history) => {
+  const ids = new Set(opportunities.map(opp => opp.Id));
+  const rowsById = new Map();
+  
+  history.forEach(record => {
+    if (!ids.has(record.OpportunityId) || !record.StageName) return;
+    
+    if (!rowsById.has(record.OpportunityId)) {
+      rowsById.set(record.OpportunityId, []);
+    }
+    rowsById.get(record.OpportunityId).push(record);
+  });
+  
+  const paths = new Map();
+  
+  rowsById.forEach((rows, id) => {
+    const visits = [];
+    
+    rows
+      .sort((a, b) => new Date(a.CreatedDate) - new Date(b.CreatedDate))
+      .forEach(row => {
+        const last = visits[visits.length - 1];
+        if (last && last.stage === row.StageName) return;
+        
+        if (last) {
+          last.exitedAt = row.CreatedDate;
+        }
+        visits.push({ stage: row.StageName, enteredAt: row.CreatedDate, exitedAt: null });
+      });
+    
+    paths.set(id, visits);
+  });
+  
+  return paths;
+};
+
+/**
+ * Classifies a move between two stages
+ * @param {String} from - Stage left
+ * @param {String} to - Stage entered
+ * @param {Object} stageOrder - Stage order from getStageOrder
+ * @returns {String} 'advance', 'skip', 'regression', 'won', 'lost' or 'other'
+ */
+const classifyTransition = (from, to, stageOrder) => {
+  if (stageOrder.wonStages.includes(to)) return 'won';
+  if (stageOrder.lostStages.includes(to)) return 'lost';
+  
+  const fromIndex = stageOrder.openStages.indexOf(from);
+  const toIndex = stageOrder.openStages.indexOf(to);
+  
+  if (fromIndex === -1 || toIndex === -1) return 'other';
+  if (toIndex < fromIndex) return 'regression';
+  
+  return toIndex - fromIndex > 1 ? 'skip' : 'advance';
+};
+
+/**
+ * Computes funnel metrics for each open stage
+ * An opportunity that reached a stage has converted once it later reaches a further stage or is
+ * won, and has dropped off there if that stage was the furthest it got before being lost.
+ * Conversion and drop-off rates exclude open opportunities that haven't moved past the stage.
+ * @param {Array} entries - Opportunities with their stage paths ({ opportunity, visits })
+ * @param {Object} stageOrder - Stage order from getStageOrder
+ * @param {Date} now - Reference time for open opportunities
+ * @returns {Array} Metrics per open stage
+ */
+const computeStageMetrics = (entries, stageOrder, now) => {
+  const { openStages } = stageOrder;
+  const stageIndex = stage => openStages.indexOf(stage);
+  
+  return openStages.map((stage, index) => {
+    const reached = entries.filter(entry => entry.visits.some(visit => visit.stage === stage));
+    
+    let advanced = 0;
+    let droppedOff = 0;
+    let pending = 0;
+    const durations = [];
+    const pendingAges = [];
+    
+    reached.forEach(({ opportunity, visits }) => {
+      const furthest = Math.max(...visits.map(visit => stageIndex(visit.stage)));
+      const current = visits[visits.length - 1];
+      
+      if (furthest > index || opportunity.IsWon) {
+        advanced++;
+      } else if (opportunity.IsClosed) {
+        droppedOff++;
+      } else {
+        pending++;
+      }
+      
+      visits
+        .filter(visit => visit.stage === stage)
+        .forEach(visit => {
+          if (visit.exitedAt) {
+            durations.push((new Date(visit.exitedAt) - new Date(visit.enteredAt)) / MS_PER_DAY);
+          } else if (visit === current && !opportunity.IsClosed) {
+            // Time spent so far by open opportunities is reported separately so it doesn't skew durations
+            pendingAges.push((now - new Date(visit.enteredAt)) / MS_PER_DAY);
+          }
+        });
+    });
+    
+    const resolved = advanced + droppedOff;
+    const closed = reached.filter(entry => entry.opportunity.IsClosed);
+    const daysInStage = summarizeDurations(durations);
+    
+    return {
+      stage,
+      order: index + 1,
+      reachedCount: reached.length,
+      // Share of all opportunities that reached the stage
+      reachedRate: entries.length > 0 ? (reached.length / entries.length) * 100 : null,
+      advancedCount: advanced,
+      droppedOffCount: droppedOff,
+      pendingCount: pending,
+      conversionRate: resolved > 0 ? (advanced / resolved) * 100 : null,
+      dropOffRate: resolved > 0 ? (droppedOff / resolved) * 100 : null,
+      averageDaysInStage: daysInStage.average,
+      medianDaysInStage: daysInStage.median,
+      averageDaysPending: summarizeDurations(pendingAges).average,
+      // Win rate of closed opportunities that reached this stage
+      winRateFromStage: calculateWinRate(closed.filter(entry => entry.opportunity.IsWon).length, closed.length)
+    };
+  });
+};
+
+/**
+ * Counts stage transitions and skip/regression patterns
+ * @param {Array} entries - Opportunities with their stage paths ({ opportunity, visits })
+ * @param {Object} stageOrder - Stage order from getStageOrder
+ * @returns {Object} Transitions and pattern summary ({ transitions, patterns })
+ */
+const computeTransitions = (entries, stageOrder) => {
+  const counts = {};
+  const withPattern = { skip: new Set(), regression: new Set() };
+  
+  entries.forEach(({ opportunity, visits }) => {
+    for (let i = 1; i < visits.length; i++) {
+      const from = visits[i - 1].stage;
+      const to = visits[i].stage;
+      const key = `${from}\u0000${to}`;
+      
+      if (!counts[key]) {
+        counts[key] = { from, to, type: classifyTransition(from, to, stageOrder), count: 0 };
+      }
+      counts[key].count++;
+      
+      if (withPattern[counts[key].type]) {
+        withPattern[counts[key].type].add(opportunity.Id);
+      }
+    }
+  });
+  
+  const transitions = Object.values(counts).sort((a, b) => b.count - a.count);
+  
+  // Win rate of closed opportunities with and without a pattern
+  const closed = entries.filter(entry => entry.opportunity.IsClosed);
+  const summarize = (type) => {
+    const ids = withPattern[type];
+    const matching = closed.filter(entry => ids.has(entry.opportunity.Id));
+    const others = closed.filter(entry => !ids.has(entry.opportunity.Id));
+    
+    return {
+      opportunityCount: ids.size,
+      transitionCount: transitions
+        .filter(transition => transition.type === type)
+        .reduce((sum, transition) => sum + transition.count, 0),
+      winRateWith: calculateWinRate(matching.filter(entry => entry.opportunity.IsWon).length, matching.length),
+      winRateWithout: calculateWinRate(others.filter(entry => entry.opportunity.IsWon).length, others.length)
+    };
+  };
+  
+  return {
+    transitions,
+    patterns: {
+      skips: summarize('skip'),
+      regressions: summarize('regression')
+    }
+  };
+};
+
+/**
+ * Finds the most common stage paths
+ * @param {Array} entries - Opportunities with their stage paths ({ opportunity, visits })
+ * @param {Number} limit - Number of paths to return
+ * @returns {Array} Paths with counts and win rates
+ */
+const computeTopPaths = (entries, limit = 10) => {
+  const paths = {};
+  
+  entries.forEach(({ opportunity, visits }) => {
+    const stages = visits.map(visit => visit.stage);
+    const key = stages.join('\u0000');
+    
+    if (!paths[key]) {
+      paths[key] = { path: stages, count: 0, closedCount: 0, wonCount: 0 };
+    }
+    
+    paths[key].count++;
+    if (opportunity.IsClosed) paths[key].closedCount++;
+    if (opportunity.IsWon) paths[key].wonCount++;
+  });
+  
+  return Object.values(paths)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ closedCount, wonCount, ...path }) => ({
+      ...path,
+      ...calculateWinRate(wonCount, closedCount)
+    }));
+};
+
+/**
+ * Analyzes the stage funnel of a set of opportunities
+ * @param {Array} opportunities - Opportunity records (Id, StageName, IsClosed, IsWon and the segment field)
+ * @param {Array} history - OpportunityHistory records (OpportunityId, StageName, Probability, CreatedDate)
+ * @param {Object} options - Analysis options
+ * @param {Array} options.fieldMetadata - Opportunity field metadata (for the stage order)
+ * @param {String} options.segmentBy - Dimension to segment the funnel by
+ * @param {Number} options.maxSegments - Largest segments to report; the rest are grouped as 'Other'
+ * @param {Date} options.now - Reference time for open opportunities
+ * @returns {Object} Funnel analysis
+ */
+const analyzeStageFunnel = (opportunities, history, options = {}) => {
+  try {
+    const { fieldMetadata = [], segmentBy, maxSegments = 10, now = new Date() } = options;
+    
+    const stageOrder = getStageOrder(opportunities, history, fieldMetadata);
+    const paths = buildStagePaths(opportunities, history);
+    
+    const entries = opportunities
+      .filter(opportunity => paths.has(opportunity.Id))
+      .map(opportunity => ({ opportunity, visits: paths.get(opportunity.Id) }));
+    
+    const closed = entries.filter(entry => entry.opportunity.IsClosed);
+    const { transitions, patterns } = computeTransitions(entries, stageOrder);
+    
+    let segments = null;
+    
+    if (segmentBy) {
+      const groups = new Map();
+      entries.forEach(entry => {
+        const value = entry.opportunity[segmentBy];
+        const key = value === null || value === undefined || value === '' ? 'Unknown' : String(value);
+        
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      });
+      
+      const sorted = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+      const kept = sorted.slice(0, maxSegments);
+      const rest = sorted.slice(maxSegments).flatMap(([, group]) => group);
+      
+      if (rest.length > 0) {
+        kept.push(['Other', rest]);
+      }
+      
+      segments = kept.map(([value, group]) => {
+        const groupClosed = group.filter(entry => entry.opportunity.IsClosed);
+        
+        return {
+          value,
+          opportunityCount: group.length,
+          ...calculateWinRate(groupClosed.filter(entry => entry.opportunity.IsWon).length, groupClosed.length),
+          funnel: computeStageMetrics(group, stageOrder, now)
+        };
+      });
+    }
+    
+    return {
+      stages: stageOrder.openStages,
+      wonStages: stageOrder.wonStages,
+      lostStages: stageOrder.lostStages,
+      opportunityCount: entries.length,
+      withoutHistoryCount: opportunities.length - entries.length,
+      overall: calculateWinRate(closed.filter(entry => entry.opportunity.IsWon).length, closed.length),
+      funnel: computeStageMetrics(entries, stageOrder, now),
+      transitions,
+      patterns,
+      topPaths: computeTopPaths(entries),
+      segmentBy: segmentBy || null,
+      segments
+    };
+  } catch (error) {
+    console.error('Error analyzing stage funnel:', error);
+    throw new Error(`Failed to analyze stage funnel: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getStageOrder,
+  buildStagePaths,
+  classifyTransition,
+  analyzeStageFunnel
+};
@@ -0,0 +1,423 @@
+/**
+ * Import Service
+ * Parses offline opportunity exports (CSV/XLSX) into analyzable records
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const XLSX = require('xlsx');
+const config = require('../config/config');
+const { prepareOpportunityData } = require('../utils/dataProcessingUtils');
+
+// Known types for standard opportunity fields
+const STANDARD_FIELD_TYPES = {
+  Id: 'string',
+  Name: 'string',
+  AccountId: 'string',
+  OwnerId: 'string',
+  Amount: 'number',
+  StageName: 'string',
+  CloseDate: 'date',
+  Probability: 'number',
+  Type: 'string',
+  IsWon: 'boolean',
+  IsClosed: 'boolean',
+  CreatedDate: 'date'
+};
+
+// Common export column headers that don't match the API name
+// (name columns map to the related record's name, never to its ID)
+const COLUMN_SYNONYMS = {
+  opportunityid: 'Id',
+  opportunityname: 'Name',
+  accountname: 'Account.Name',
+  owner: 'OwnerId',
+  opportunityowner: 'Owner.Name',
+  ownername: 'Owner.Name',
+  stage: 'StageName',
+  won: 'IsWon',
+  closed: 'IsClosed',
+  opportunitytype: 'Type',
+  probabilitypercent: 'Probability',
+  created: 'CreatedDate'
+};
+
+// Accepted values of the dateOrder import option
+const DATE_ORDERS = ['MDY', 'DMY'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', 'won'];
+const FALSE_VALUES = ['false', 'no', 'n', 'lost'];
+
+/**
+ * Normalizes a column header for matching
+ * @param {String} header - Column header
+ * @returns {String} Lowercase alphanumeric key
+ */
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Converts an arbitrary column header into a field-like name (e.g. "Lead Source" -> "LeadSource")
+ * @param {String} header - Column header
+ * @returns {String} Field name
+ */
+const toFieldName = (header) => {
+  const words = String(header).trim().split(/[^A-Za-z0-9_]+/).filter(Boolean);
+  const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  return /^[0-9]/.test(name) ? `Field${name}` : name;
+};
+
+/**
+ * Parses an uploaded file into an array of row objects keyed by column header
+ * @param {Buffer} buffer - File contents
+ * @param {String} filename - Original file name, used to detect the format
+ * @param {Object} options - Parse options
+ * @param {String} options.sheetName - Worksheet to read from XLSX files (defaults to the first)
+ * @returns {Array} Parsed rows
+ */
+const parseImportFile = (buffer, filename, options = {}) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  
+  if (extension === '.csv' || extension === '.txt') {
+    return parse(buffer, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+  }
+  
+  if (extension === '.xlsx' || extension === '.xls') {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const sheetName = options.sheetName || workbook.SheetNames[0];
+    const sheet = workbook.Sheets[sheetName];
+    
+    if (!sheet) {
+      throw new Error(`Worksheet '${sheetName}' not found in workbook`);
+    }
+    
+    return XLSX.utils.sheet_to_json(sheet, { defval: null, raw: true });
+  }
+  
+  throw new Error(`Unsupported file type '${extension || 'unknown'}'. Please upload a CSV or XLSX file.`);
+};
+
+/**
+ * Maps file columns onto opportunity field names
+ * @param {Array} headers - Column headers found in the file
+ * @param {Object} overrides - Explicit header to field mapping supplied by the user
+ * @returns {Object} Mapping of column header to field name
+ */
+const mapColumns = (headers, overrides = {}) => {
+  const knownFields = {};
+  config.app.defaultOpportunityFields.forEach(field => {
+    knownFields[normalizeHeader(field)] = field;
+  });
+  
+  const mapping = {};
+  const usedFields = new Set();
+  
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    let field = overrides[header]
+      || knownFields[key]
+      || COLUMN_SYNONYMS[key]
+      || toFieldName(header);
+    
+    // Never map two columns onto the same field
+    if (usedFields.has(field)) {
+      field = toFieldName(header);
+      if (usedFields.has(field)) return;
+    }
+    
+    if (field) {
+      mapping[header] = field;
+      usedFields.add(field);
+    }
+  });
+  
+  return mapping;
+};
+
+/**
+ * Parses a boolean-like cell value
+ * @param {*} value - Raw cell value
+ * @returns {Boolean|null} Parsed boolean or null if not boolean-like
+ */
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text) || text === '1') return true;
+  if (FALSE_VALUES.includes(text) || text === '0') return false;
+  return null;
+};
+
+/**
+ * Parses a numeric cell value, tolerating currency symbols, percent signs and separators
+ * @param {*} value - Raw cell value
+ * @returns {Number|null} Parsed number or null if not numeric
+ */
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(/[$€£¥%\s,]/g, '');
+  if (text === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+  return parseFloat(text);
+};
+
+/**
+ * Converts a 12-hour clock hour to 24 hours
+ * @param {String} hours - Hour (1-12)
+ * @param {String} meridiem - AM or PM
+ * @returns {Number} Hour (0-23), or NaN if the hour isn't on a 12-hour clock
+ */
+const to24Hour = (hours, meridiem) => {
+  const hour = parseInt(hours, 10);
+  
+  if (!meridiem) return hour;
+  if (hour < 1 || hour > 12) return NaN;
+  
+  return (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+};
+
+/**
+ * Parses a UTC offset such as Z, +01:00 or -0530
+ * @param {String} zone - Offset text
+ * @returns {Number} Offset in minutes
+ */
+const parseUtcOffset = (zone) => {
+  if (!zone || zone.toUpperCase() === 'Z') return 0;
+  
+  const [, sign, hours, minutes] = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10));
+};
+
+// Date formats accepted in imported files, tried in order. Each turns a match into date parts;
+// the day/month order of numeric dates such as 03/04/2024 is set by the dateOrder import
+// option, never by the server's locale
+const DATE_FORMATS = [
+  // 2024-03-04, 2024-03-04T10:15:00, 2024-03-04T10:15:00.000Z, 2024-03-04 10:15+01:00
+  {
+    pattern: /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i,
+    toParts: ([, year, month, day, hours, minutes, seconds, fraction, zone]) => ({
+      year, month, day, hours, minutes, seconds,
+      milliseconds: fraction ? fraction.padEnd(3, '0') : 0,
+      offsetMinutes: parseUtcOffset(zone)
+    })
+  },
+  // 2024/03/04, 2024.03.04
+  {
+    pattern: /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/,
+    toParts: ([, year, month, day]) => ({ year, month, day })
+  },
+  // 03/04/2024, 03.04.2024, 03-04-2024, optionally followed by a time such as 10:15 or 10:15 AM
+  {
+    pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AP]M))?)?$/i,
+    toParts: ([, first, second, year, hours, minutes, seconds, meridiem], dateOrder) => ({
+      year,
+      month: dateOrder === 'DMY' ? second : first,
+      day: dateOrder === 'DMY' ? first : second,
+      hours: hours === undefined ? undefined : to24Hour(hours, meridiem),
+      minutes,
+      seconds
+    })
+  }
+];
+
+/**
+ * Builds a date or date-time string from its parts, rejecting impossible dates (e.g. 2024-02-30)
+ * @param {Object} parts - Date parts (year, month, day, and optionally hours, minutes, seconds,
+ *   milliseconds and offsetMinutes), as numbers or digit strings
+ * @returns {String|null} YYYY-MM-DD for dates without a time, an ISO string in UTC for date-times
+ * (without an offset the time is taken as UTC), or null if the parts aren't a valid date
+ */
+const formatDateParts = (parts) => {
+  const [year, month, day, hours, minutes, seconds, milliseconds] = [
+    parts.year, parts.month, parts.day, parts.hours, parts.minutes || 0, parts.seconds || 0, parts.milliseconds || 0
+  ].map(part => (part === undefined ? undefined : Number(part)));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  
+  if (hours === undefined) {
+    return date.toISOString().slice(0, 10);
+  }
+  
+  if (!(hours >= 0 && hours <= 23) || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+  return new Date(time - (parts.offsetMinutes || 0) * 60000).toISOString();
+};
+
+/**
+ * Parses a date cell value using the formats in DATE_FORMATS
+ * @param {*} value - Raw cell value
+ * @param {String} dateOrder - Day/month order of numeric dates ('MDY' or 'DMY')
+ * @returns {String|null} YYYY-MM-DD for dates, an ISO string for date-times, or null if not a date
+ */
+const parseDate = (value, dateOrder = config.app.importDateOrder) => {
+  // Spreadsheet dates carry no time zone, and SheetJS builds them in local time
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    
+    const hasTime = value.getHours() || value.getMinutes() || value.getSeconds() || value.getMilliseconds();
+    return formatDateParts({
+      year: value.getFullYear(),
+      month: value.getMonth() + 1,
+      day: value.getDate(),
+      hours: hasTime ? value.getHours() : undefined,
+      minutes: value.getMinutes(),
+      seconds: value.getSeconds(),
+      milliseconds: value.getMilliseconds()
+    });
+  }
+  
+  const text = String(value).trim();
+  const format = DATE_FORMATS.find(({ pattern }) => pattern.test(text));
+  
+  return format ? formatDateParts(format.toParts(text.match(format.pattern), dateOrder)) : null;
+};
+
+/**
+ * Infers the type of each field from its non-empty values
+ * @param {Array} rows - Rows keyed by field name
+ * @param {Array} fields - Field names to inspect
+ * @param {String} dateOrder - Day/month order of numeric dates ('MDY' or 'DMY')
+ * @returns {Object} Mapping of field name to 'boolean', 'number', 'date' or 'string'
+ */
+const inferFieldTypes = (rows, fields, dateOrder = config.app.importDateOrder) => {
+  const types = {};
+  
+  fields.forEach(field => {
+    if (STANDARD_FIELD_TYPES[field]) {
+      types[field] = STANDARD_FIELD_TYPES[field];
+      return;
+    }
+    
+    const values = rows
+      .map(row => row[field])
+      .filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+    
+    if (values.length === 0) {
+      types[field] = 'string';
+    } else if (values.every(value => typeof value === 'boolean' ||
+        [...TRUE_VALUES, ...FALSE_VALUES].includes(String(value).trim().toLowerCase()))) {
+      types[field] = 'boolean';
+    } else if (values.every(value => parseNumber(value) !== null)) {
+      types[field] = 'number';
+    } else if (values.every(value => parseDate(value, dateOrder) !== null)) {
+      types[field] = 'date';
+    } else {
+      types[field] = 'string';
+    }
+  });
+  
+  return types;
+};
+
+/**
+ * Converts a raw cell value to the given field type
+ * @param {*} value - Raw cell value
+ * @param {String} type - Target type
+ * @param {String} dateOrder - Day/month order of numeric dates ('MDY' or 'DMY')
+ * @returns {*} Converted value, or null when empty or unparseable
+ */
+const coerceValue = (value, type, dateOrder) => {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  
+  switch (type) {
+    case 'boolean':
+      return parseBoolean(value);
+    case 'number':
+      return parseNumber(value);
+    case 'date':
+      return parseDate(value, dateOrder);
+    default:
+      return value instanceof Date ? value.toISOString() : String(value).trim();
+  }
+};
+
+/**
+ * Converts parsed file rows into opportunity records
+ * @param {Array} rows - Parsed rows keyed by column header
+ * @param {Object} options - Import options
+ * @param {Object} options.columnMapping - Explicit header to field mapping overrides
+ * @param {String} options.dateOrder - Day/month order of numeric dates ('MDY' or 'DMY')
+ * @returns {Object} Records, fields, inferred types and the column mapping used
+ */
+const buildOpportunityRecords = (rows, options = {}) => {
+  const { columnMapping: overrides = {}, dateOrder = config.app.importDateOrder } = options;
+  
+  if (!rows || rows.length === 0) {
+    throw new Error('The uploaded file does not contain any rows');
+  }
+  
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const columnMapping = mapColumns(headers, overrides);
+  
+  // Rename columns to field names
+  const mappedRows = rows.map(row => {
+    const mapped = {};
+    Object.entries(columnMapping).forEach(([header, field]) => {
+      mapped[field] = row[header];
+    });
+    return mapped;
+  });
+  
+  const fields = Object.values(columnMapping);
+  const fieldTypes = inferFieldTypes(mappedRows, fields, dateOrder);
+  
+  const records = mappedRows.map((row, index) => {
+    const record = {};
+    fields.forEach(field => {
+      record[field] = coerceValue(row[field], fieldTypes[field], dateOrder);
+    });
+    
+    // Exports often only carry the stage, so derive outcome flags from it
+    if (record.IsClosed === null || record.IsClosed === undefined) {
+      record.IsClosed = typeof record.StageName === 'string'
+        ? /^closed/i.test(record.StageName)
+        : null;
+    }
+    if (record.IsWon === null || record.IsWon === undefined) {
+      record.IsWon = typeof record.StageName === 'string'
+        ? /won/i.test(record.StageName)
+        : null;
+    }
+    
+    if (!record.Id) {
+      record.Id = `IMP-${String(index + 1).padStart(6, '0')}`;
+    }
+    
+    return record;
+  });
+  
+  const allFields = [...new Set(['Id', ...fields, 'IsWon', 'IsClosed'])];
+  allFields.forEach(field => {
+    if (!fieldTypes[field]) {
+      fieldTypes[field] = STANDARD_FIELD_TYPES[field] || 'string';
+    }
+  });
+  
+  return {
+    records: prepareOpportunityData(records, allFields),
+    fields: allFields,
+    fieldTypes,
+    columnMapping,
+    missingStandardFields: config.app.defaultOpportunityFields.filter(field => !allFields.includes(field))
+  };
+};
+
+module.exports = {
+  DATE_ORDERS,
+  parseImportFile,
+  parseDate,
+  mapColumns,
+  inferFieldTypes,
+  buildOpportunityRecords
+};
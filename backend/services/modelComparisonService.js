@@ -0,0 +1,195 @@
+/**
+ * Model Comparison Service
+ * Champion/challenger comparison of registered models scored on the same held-out opportunities:
+ * threshold-free scores, calibration and lift of each model, paired tests of each challenger
+ * against the champion (DeLong for AUC, bootstrap for log loss), and the segments where each
+ * model does best
+ */
+
+const {
+  evaluateProbabilities,
+  computeLogLoss,
+  computeDeLongTest,
+  bootstrapMetricDifference
+} = require('../utils/evaluationUtils');
+const { getCategoryLevel, OTHER_LEVEL } = require('../utils/dataProcessingUtils');
+const { scoreHeldOut } = require('./predictionService');
+
+const DEFAULT_BOOTSTRAP_SAMPLES = 1000;
+const DEFAULT_SIGNIFICANCE_LEVEL = 0.05;
+const DEFAULT_MAX_SEGMENTS = 10;
+
+/**
+ * Identifies a compared model version
+ * @param {Object} entry - Registry entry
+ * @returns {Object} Label ({ modelId, version })
+ */
+const getModelLabel = (entry) => ({ modelId: entry.modelId, version: entry.version });
+
+/**
+ * Decides which model the paired tests favor
+ * @param {Object|null} auc - DeLong test (difference = challenger - champion; higher is better)
+ * @param {Object} logLoss - Bootstrap test (difference = challenger - champion; lower is better)
+ * @param {Number} significanceLevel - Largest p-value counted as a difference
+ * @returns {String} 'challenger-better', 'champion-better', 'mixed' (the tests disagree) or
+ *   'no-significant-difference'
+ */
+const getVerdict = (auc, logLoss, significanceLevel) => {
+  const favored = [];
+  
+  if (auc && auc.pValue < significanceLevel) {
+    favored.push(auc.difference > 0 ? 'challenger' : 'champion');
+  }
+  if (logLoss.pValue < significanceLevel) {
+    favored.push(logLoss.difference < 0 ? 'challenger' : 'champion');
+  }
+  
+  if (favored.length === 0) return 'no-significant-difference';
+  return favored.every(side => side === favored[0]) ? `${favored[0]}-better` : 'mixed';
+};
+
+/**
+ * Groups records by their level of a segment field; the largest levels are kept and the rest
+ * are pooled as Other
+ * @param {Array} values - Segment field value of each record
+ * @param {Number} maxSegments - Largest levels to keep
+ * @returns {Array} Segments ({ value, indices }), largest first
+ */
+const groupSegments = (values, maxSegments) => {
+  const groups = new Map();
+  values.forEach((value, i) => {
+    const level = getCategoryLevel(value);
+    if (!groups.has(level)) groups.set(level, []);
+    groups.get(level).push(i);
+  });
+  
+  const sorted = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+  const kept = sorted.slice(0, maxSegments).map(([value, indices]) => ({ value, indices }));
+  const rest = sorted.slice(maxSegments).flatMap(([, indices]) => indices);
+  
+  if (rest.length > 0) {
+    kept.push({ value: OTHER_LEVEL, indices: rest });
+  }
+  return kept;
+};
+
+/**
+ * Finds the model with the best score in a segment
+ * @param {Array} scores - Each model's scores
+ * @param {String} metric - Score to compare
+ * @param {Boolean} higherIsBetter - Whether higher scores are better
+ * @returns {Number|null} Index of the best model, or null when no model has the score
+ */
+const findBest = (scores, metric, higherIsBetter) => scores.reduce((best, score, index) => {
+  if (score[metric] === null) return best;
+  if (best === null) return index;
+  const better = higherIsBetter ? score[metric] > scores[best][metric] : score[metric] < scores[best][metric];
+  return better ? index : best;
+}, null);
+
+/**
+ * Compares models scored on the same held-out opportunities; the first model is the champion
+ * and every other model a challenger tested against it
+ * @param {Array} y - 0/1 outcomes of the held-out opportunities
+ * @param {Array} candidates - Compared models ({ entry, probabilities }), entry being the registry
+ *   entry and probabilities the model's calibrated predictions, in opportunity order
+ * @param {Object} options - Comparison options
+ * @param {Array} options.segments - Segment fields ({ field, values }), values in opportunity order
+ * @param {Number} options.maxSegments - Largest levels reported per segment field
+ * @param {Number} options.bootstrapSamples - Resamples for the log loss test
+ * @param {Number} options.significanceLevel - Largest p-value counted as a difference
+ * @param {Function} options.random - Random number generator for the bootstrap
+ * @param {Boolean} options.overlapsTraining - The opportunities include deals a model was trained
+ *   on; its scores are then optimistic, so the tests get no verdict
+ * @returns {Object} Per-model evaluation, paired tests against the champion and segment breakdowns
+ */
+const compareModels = (y, candidates, options = {}) => {
+  const {
+    segments = [],
+    maxSegments = DEFAULT_MAX_SEGMENTS,
+    bootstrapSamples = DEFAULT_BOOTSTRAP_SAMPLES,
+    significanceLevel = DEFAULT_SIGNIFICANCE_LEVEL,
+    random = Math.random,
+    overlapsTraining = false
+  } = options;
+  const [champion, ...challengers] = candidates;
+  
+  const models = candidates.map((candidate, index) => ({
+    ...getModelLabel(candidate.entry),
+    type: candidate.entry.type,
+    status: candidate.entry.status,
+    role: index === 0 ? 'champion' : 'challenger',
+    evaluation: evaluateProbabilities(y, candidate.probabilities)
+  }));
+  
+  const comparisons = challengers.map((challenger, k) => {
+    const auc = computeDeLongTest(y, champion.probabilities, challenger.probabilities);
+    const logLoss = bootstrapMetricDifference(y, champion.probabilities, challenger.probabilities, computeLogLoss, {
+      samples: bootstrapSamples,
+      confidenceLevel: 1 - significanceLevel,
+      random
+    });
+    const championEvaluation = models[0].evaluation;
+    const challengerEvaluation = models[k + 1].evaluation;
+    
+    return {
+      champion: getModelLabel(champion.entry),
+      challenger: getModelLabel(challenger.entry),
+      auc,
+      logLoss,
+      brierScoreDifference: challengerEvaluation.brierScore - championEvaluation.brierScore,
+      calibrationErrorDifference: challengerEvaluation.expectedCalibrationError - championEvaluation.expectedCalibrationError,
+      verdict: overlapsTraining ? null : getVerdict(auc, logLoss, significanceLevel)
+    };
+  });
+  
+  // Where each model wins: scores of every model on each level of each segment field
+  const segmentBreakdowns = segments.map(({ field, values }) => {
+    const levels = groupSegments(values, maxSegments).map(({ value, indices }) => {
+      const segmentY = indices.map(i => y[i]);
+      const scores = candidates.map(candidate => {
+        const { auc, logLoss, brierScore } = scoreHeldOut(segmentY, indices.map(i => candidate.probabilities[i]));
+        return { ...getModelLabel(candidate.entry), auc, logLoss, brierScore };
+      });
+      const bestByLogLoss = findBest(scores, 'logLoss', false);
+      const bestByAuc = findBest(scores, 'auc', true);
+      
+      return {
+        value,
+        count: indices.length,
+        winRate: segmentY.reduce((sum, outcome) => sum + outcome, 0) / indices.length,
+        scores,
+        bestByLogLoss: getModelLabel(candidates[bestByLogLoss].entry),
+        bestByAuc: bestByAuc === null ? null : getModelLabel(candidates[bestByAuc].entry)
+      };
+    });
+    
+    return {
+      field,
+      levels,
+      wins: candidates.map(candidate => {
+        const isModel = label => label !== null && label.modelId === candidate.entry.modelId && label.version === candidate.entry.version;
+        return {
+          ...getModelLabel(candidate.entry),
+          byLogLoss: levels.filter(level => isModel(level.bestByLogLoss)).length,
+          byAuc: levels.filter(level => isModel(level.bestByAuc)).length
+        };
+      })
+    };
+  });
+  
+  return {
+    opportunityCount: y.length,
+    winRate: y.reduce((sum, outcome) => sum + outcome, 0) / y.length,
+    significanceLevel,
+    overlapsTraining,
+    champion: getModelLabel(champion.entry),
+    models,
+    comparisons,
+    segments: segmentBreakdowns
+  };
+};
+
+module.exports = {
+  compareModels
+};
@@ -0,0 +1,300 @@
+/**
+ * Model Registry Service
+ * Persists trained prediction models as plain JSON so they survive restarts. Every build under a
+ * model ID adds a numbered version that records what it was trained on (data source, snapshot or
+ * dataset, filters, dimensions, options, distributions), who trained it and how well it validated.
+ * New versions are candidates; one version per model ID can be promoted to production and is then
+ * the one predictions use, and archived versions are kept for their lineage but never served.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { attachPredictors } = require('./predictionService');
+
+// Model IDs become part of URLs, so they are kept to a safe character set
+const MODEL_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Version entries (metadata without the model itself), keyed by entry ID
+let registryIndex = null;
+
+// Models loaded from disk with their predict functions reattached, keyed by entry ID
+const loadedModels = {};
+
+/**
+ * Gets the files a model version is persisted to
+ * @param {String} id - Entry ID
+ * @returns {Object} File paths ({ meta, model })
+ */
+const getEntryPaths = (id) => ({
+  meta: path.join(config.app.modelRegistryDir, `${id}.meta.json`),
+  model: path.join(config.app.modelRegistryDir, `${id}.model.json`)
+});
+
+/**
+ * Loads the entries of all model versions on disk
+ * @returns {Object} Entries keyed by entry ID
+ */
+const loadRegistryIndex = () => {
+  if (!registryIndex) {
+    registryIndex = {};
+    
+    if (fs.existsSync(config.app.modelRegistryDir)) {
+      fs.readdirSync(config.app.modelRegistryDir)
+        .filter(file => file.endsWith('.meta.json'))
+        .forEach(file => {
+          const entry = JSON.parse(fs.readFileSync(path.join(config.app.modelRegistryDir, file), 'utf8'));
+          registryIndex[entry.id] = entry;
+        });
+    }
+  }
+  
+  return registryIndex;
+};
+
+/**
+ * Writes a version entry to disk
+ * @param {Object} entry - Version entry
+ * @returns {Promise<void>}
+ */
+const saveEntry = async (entry) => {
+  await fs.promises.writeFile(getEntryPaths(entry.id).meta, JSON.stringify(entry, null, 2));
+};
+
+/**
+ * Checks whether a model ID can be registered
+ * @param {*} modelId - Model ID
+ * @returns {Boolean} True for 1-100 letters, digits, '.', '_' or '-'
+ */
+const isValidModelId = (modelId) => typeof modelId === 'string' && MODEL_ID_PATTERN.test(modelId);
+
+/**
+ * Lists the versions of a model, newest first
+ * @param {String} modelId - Model ID
+ * @returns {Array} Version entries (empty when the model ID is unknown)
+ */
+const listModelVersions = (modelId) => {
+  return Object.values(loadRegistryIndex())
+    .filter(entry => entry.modelId === modelId)
+    .sort((a, b) => b.version - a.version);
+};
+
+/**
+ * Lists the registered models with their latest and production versions
+ * @returns {Array} Model summaries, most recently trained first
+ */
+const listModels = () => {
+  const modelIds = [...new Set(Object.values(loadRegistryIndex()).map(entry => entry.modelId))];
+  
+  return modelIds
+    .map(modelId => {
+      const versions = listModelVersions(modelId);
+      const production = versions.find(entry => entry.status === 'production');
+      
+      return {
+        modelId,
+        type: versions[0].type,
+        versionCount: versions.length,
+        latestVersion: versions[0].version,
+        productionVersion: production ? production.version : null,
+        activeVersionCount: versions.filter(entry => entry.status !== 'archived').length,
+        updatedAt: versions[0].createdAt
+      };
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Gets one version of a model
+ * @param {String} modelId - Model ID
+ * @param {Number|String} version - Version number
+ * @returns {Object|null} Version entry
+ */
+const getModelVersion = (modelId, version) => {
+  return listModelVersions(modelId).find(entry => entry.version === Number(version)) || null;
+};
+
+/**
+ * Resolves the model version a prediction should use: the requested version, otherwise the
+ * production version, otherwise the latest version that isn't archived
+ * @param {String} modelId - Model ID
+ * @param {Number|String} version - Version number (optional)
+ * @returns {Object|null} { entry, model } with the model's predict functions reattached, or null
+ *   when no servable version exists
+ */
+const resolveModel = (modelId, version) => {
+  const versions = listModelVersions(modelId).filter(entry => entry.status !== 'archived');
+  const entry = version !== undefined && version !== null
+    ? versions.find(candidate => candidate.version === Number(version))
+    : versions.find(candidate => candidate.status === 'production') || versions[0];
+  
+  if (!entry) return null;
+  
+  if (!loadedModels[entry.id]) {
+    loadedModels[entry.id] = attachPredictors(JSON.parse(fs.readFileSync(getEntryPaths(entry.id).model, 'utf8')));
+  }
+  
+  return { entry, model: loadedModels[entry.id] };
+};
+
+/**
+ * Registers a trained model as the next version of a model ID
+ * The model is stored without its predict functions, which are rebuilt when it is loaded.
+ * @param {String} modelId - Model ID
+ * @param {Object} model - Trained model (logistic, tree or stage)
+ * @param {Object} metadata - What the model was trained on and how it performed
+ * @param {String} metadata.author - Who trained it
+ * @param {Boolean} metadata.promote - Promote the new version to production straight away
+ * @param {Object} metadata.options - Training options as requested
+ * @param {Object} metadata.metrics - Validation metrics
+ * @param {Object} metadata.data - Data the model was trained on (source, snapshotId, datasetId, counts)
+ * @param {Object} metadata.filters - Filters applied to the training opportunities
+ * @param {Object} metadata.trainingProfile - Distributions of the training opportunities, the
+ *   baseline drift is measured against
+ * @returns {Promise<Object>} Version entry
+ */
+const registerModel = async (modelId, model, metadata = {}) => {
+  const {
+    author = null,
+    promote = false,
+    options = {},
+    metrics = null,
+    data = null,
+    filters = null,
+    trainingProfile = null
+  } = metadata;
+  const previous = listModelVersions(modelId);
+  const createdAt = new Date().toISOString();
+  const id = `mdl_${crypto.randomBytes(6).toString('hex')}`;
+  
+  // JSON drops the predict functions, leaving coefficients, encodings, trees, calibration and thresholds
+  const storedModel = JSON.parse(JSON.stringify(model));
+  
+  const entry = {
+    id,
+    modelId,
+    version: previous.length > 0 ? previous[0].version + 1 : 1,
+    type: storedModel.type,
+    status: 'candidate',
+    createdAt,
+    author,
+    dimensions: storedModel.dimensions,
+    currency: storedModel.currency || null,
+    options,
+    metrics,
+    thresholds: storedModel.thresholds || null,
+    calibration: storedModel.calibration ? storedModel.calibration.method : 'none',
+    lineage: {
+      parentVersion: previous.length > 0 ? previous[0].version : null,
+      data,
+      filters
+    },
+    trainingProfile,
+    statusHistory: [{ status: 'candidate', at: createdAt, by: author }]
+  };
+  
+  // Reserve the version number before writing so concurrent builds get distinct versions
+  loadRegistryIndex()[id] = entry;
+  loadedModels[id] = attachPredictors(storedModel);
+  
+  try {
+    // Write the model first so the version only appears on disk once it's complete
+    await fs.promises.mkdir(config.app.modelRegistryDir, { recursive: true });
+    await fs.promises.writeFile(getEntryPaths(id).model, JSON.stringify(storedModel));
+    await saveEntry(entry);
+  } catch (error) {
+    delete loadRegistryIndex()[id];
+    delete loadedModels[id];
+    throw error;
+  }
+  
+  return promote ? promoteModelVersion(modelId, entry.version, author) : entry;
+};
+
+/**
+ * Changes the status of a version entry and records the change
+ * @param {Object} entry - Version entry
+ * @param {String} status - New status
+ * @param {String} author - Who made the change
+ * @returns {Promise<Object>} Updated entry
+ */
+const setStatus = async (entry, status, author) => {
+  entry.status = status;
+  entry.statusHistory.push({ status, at: new Date().toISOString(), by: author || null });
+  await saveEntry(entry);
+  return entry;
+};
+
+/**
+ * Promotes a version to production; the previous production version becomes a candidate again
+ * @param {String} modelId - Model ID
+ * @param {Number|String} version - Version number
+ * @param {String} author - Who promoted it
+ * @returns {Promise<Object|null>} Promoted entry, or null when the version doesn't exist
+ */
+const promoteModelVersion = async (modelId, version, author = null) => {
+  const entry = getModelVersion(modelId, version);
+  if (!entry) return null;
+  
+  if (entry.status === 'archived') {
+    throw new Error(`Version ${entry.version} of ${modelId} is archived and can't be promoted`);
+  }
+  
+  const current = listModelVersions(modelId).find(candidate => candidate.status === 'production');
+  if (current && current.id !== entry.id) {
+    await setStatus(current, 'candidate', author);
+  }
+  
+  return entry.status === 'production' ? entry : setStatus(entry, 'production', author);
+};
+
+/**
+ * Archives a version so it is no longer served (it stays listed, with its lineage)
+ * @param {String} modelId - Model ID
+ * @param {Number|String} version - Version number
+ * @param {String} author - Who archived it
+ * @returns {Promise<Object|null>} Archived entry, or null when the version doesn't exist
+ */
+const archiveModelVersion = async (modelId, version, author = null) => {
+  const entry = getModelVersion(modelId, version);
+  if (!entry) return null;
+  
+  delete loadedModels[entry.id];
+  return entry.status === 'archived' ? entry : setStatus(entry, 'archived', author);
+};
+
+/**
+ * Deletes versions of a model
+ * @param {String} modelId - Model ID
+ * @param {Number|String} version - Version number (every version when omitted)
+ * @returns {Promise<Number>} Number of versions removed
+ */
+const deleteModel = async (modelId, version) => {
+  const entries = version === undefined
+    ? listModelVersions(modelId)
+    : [getModelVersion(modelId, version)].filter(Boolean);
+  
+  for (const entry of entries) {
+    const paths = getEntryPaths(entry.id);
+    await fs.promises.rm(paths.meta, { force: true });
+    await fs.promises.rm(paths.model, { force: true });
+    
+    delete loadRegistryIndex()[entry.id];
+    delete loadedModels[entry.id];
+  }
+  
+  return entries.length;
+};
+
+module.exports = {
+  isValidModelId,
+  listModels,
+  listModelVersions,
+  getModelVersion,
+  resolveModel,
+  registerModel,
+  promoteModelVersion,
+  archiveModelVersion,
+  deleteModel
+};
@@ -4,46 +4,440 @@
  */
 
 const math = require('mathjs');
-const { preprocessData, encodeCategories } = require('../utils/dataProcessingUtils');
+const config = require('../config/config');
+const { preprocessData, encodeCategories, splitTrainingTestingData } = require('../utils/dataProcessingUtils');
+const {
+  computeMaxPenalty,
+  fitElasticNetPath,
+  predictProbabilities,
+  sigmoid,
+  standardizeColumns
+} = require('../utils/regressionUtils');
+const {
+  createRandom,
+  createStratifiedFolds,
+  splitOutOfTime,
+  summarizeFolds,
+  binomialDeviance
+} = require('../utils/crossValidationUtils');
+const {
+  computeRocCurve,
+  computePrecisionRecallCurve,
+  computeLogLoss,
+  computeBrierScore,
+  evaluateProbabilities,
+  computePermutationImportance
+} = require('../utils/evaluationUtils');
+const { fitCalibration, applyCalibration, crossFitCalibration } = require('../utils/calibrationUtils');
+const { getDefaultThresholds, categorizeProbability, optimizeThreshold } = require('../utils/thresholdUtils');
+const {
+  TREE_MODEL_TYPES,
+  fitRandomForest,
+  fitGradientBoosting,
+  predictTreeEnsemble,
+  expectTreeEnsemble,
+  summarizeEnsemble
+} = require('../utils/treeUtils');
+const { computeShapleyValues, describeContributions } = require('../utils/explanationUtils');
+const { attachStagePredictor, predictStageWinRate } = require('./stageModelService');
+
+// Penalties supported by the prediction model, and the L1 share each implies
+const REGULARIZATION_TYPES = ['none', 'ridge', 'lasso', 'elastic-net'];
+const L1_RATIOS = { ridge: 0, lasso: 1 };
+
+// Rules for picking the penalty from the cross-validation curve: the lowest deviance, or the
+// largest penalty within one standard error of it (a sparser model that is about as good)
+const PENALTY_RULES = ['min', '1se'];
+
+// Ways of estimating out-of-sample metrics
+const VALIDATION_SCHEMES = ['stratified-kfold', 'holdout', 'out-of-time'];
+
+// Number of penalties on the regularization path
+const PATH_LENGTH = 30;
+
+// Most opportunities a batch prediction explains; each explanation evaluates up to 2^d coalitions
+const MAX_BATCH_EXPLANATIONS = 20;
+
+/**
+ * Fits a penalized logistic regression, choosing the penalty by k-fold cross-validation
+ * @param {Array} X - Training predictors (without the intercept column)
+ * @param {Array} y - Training outcomes
+ * @param {Object} preprocessedData - Result of preprocessData (for feature and dimension names)
+ * @param {Object} options - Regularization options
+ * @param {String} options.regularization - 'ridge', 'lasso' or 'elastic-net'
+ * @param {Number} options.l1Ratio - L1 share of the elastic-net penalty
+ * @param {Number} options.penalty - Fixed penalty (skips cross-validation)
+ * @param {Number} options.folds - Number of cross-validation folds
+ * @param {String} options.penaltyRule - 'min' or '1se'
+ * @param {Function} options.random - Random number generator for the folds
+ * @returns {Object} Fit ({ coefficients, regularization, path })
+ */
+const fitRegularizedModel = (X, y, preprocessedData, options) => {
+  const {
+    regularization,
+    penalty: fixedPenalty,
+    folds = config.analytics.crossValidationFolds,
+    penaltyRule = 'min',
+    random = Math.random
+  } = options;
+  const l1Ratio = L1_RATIOS[regularization] !== undefined ? L1_RATIOS[regularization] : (options.l1Ratio ?? 0.5);
+  const { featureNames, featureGroups } = preprocessedData;
+  
+  // Log-spaced penalties from the one that zeroes every coefficient down
+  const maxPenalty = computeMaxPenalty(X, y, l1Ratio);
+  const minRatio = X.length > featureNames.length ? 1e-4 : 1e-2;
+  const penalties = Array.from({ length: PATH_LENGTH }, (_, k) => maxPenalty * Math.pow(minRatio, k / (PATH_LENGTH - 1)));
+  
+  let crossValidation = null;
+  let chosenPenalty = fixedPenalty;
+  
+  if (fixedPenalty === undefined) {
+    // Out-of-fold deviance of every penalty, fold by fold
+    const foldDeviances = createStratifiedFolds(y, folds, random).map(heldOut => {
+      const held = new Set(heldOut);
+      const trainIndices = X.map((_, i) => i).filter(i => !held.has(i));
+      const path = fitElasticNetPath(trainIndices.map(i => X[i]), trainIndices.map(i => y[i]), { penalties, l1Ratio });
+      const heldX = heldOut.map(i => [1, ...X[i]]);
+      const heldY = heldOut.map(i => y[i]);
+      
+      return path.map(coefficients => binomialDeviance(heldY, predictProbabilities(heldX, coefficients)));
+    });
+    
+    const curve = penalties.map((penalty, k) => {
+      const deviances = foldDeviances.map(fold => fold[k]);
+      const mean = math.mean(deviances);
+      
+      return {
+        penalty,
+        meanDeviance: mean,
+        standardError: folds > 1 ? math.std(deviances) / Math.sqrt(folds) : 0
+      };
+    });
+    
+    const best = curve.reduce((min, point) => (point.meanDeviance < min.meanDeviance ? point : min), curve[0]);
+    const withinOneError = curve.find(point => point.meanDeviance <= best.meanDeviance + best.standardError);
+    
+    crossValidation = {
+      folds,
+      rule: penaltyRule,
+      curve,
+      minPenalty: best.penalty,
+      oneStandardErrorPenalty: withinOneError.penalty
+    };
+    chosenPenalty = penaltyRule === '1se' ? withinOneError.penalty : best.penalty;
+  }
+  
+  // Fit the path on all of the training data (with a fixed penalty slotted into it)
+  const pathPenalties = penalties.includes(chosenPenalty)
+    ? penalties
+    : [...penalties, chosenPenalty].sort((a, b) => b - a);
+  const fullPath = fitElasticNetPath(X, y, { penalties: pathPenalties, l1Ratio });
+  const coefficients = fullPath[pathPenalties.indexOf(chosenPenalty)];
+  
+  if (crossValidation) {
+    crossValidation.curve.forEach(point => {
+      point.nonzeroCount = fullPath[pathPenalties.indexOf(point.penalty)].slice(1).filter(value => value !== 0).length;
+    });
+  }
+  
+  // A dimension leaves the model above the largest penalty at which it still has a nonzero coefficient
+  const dimensionDropOrder = featureGroups
+    .map(group => {
+      const lastNonzero = pathPenalties.find((_, k) => group.columnIndices.some(index => fullPath[k][index + 1] !== 0));
+      
+      return {
+        dimension: group.dimension,
+        dropsOutAbove: lastNonzero === undefined ? null : lastNonzero,
+        selected: group.columnIndices.some(index => coefficients[index + 1] !== 0)
+      };
+    })
+    .sort((a, b) => (a.dropsOutAbove ?? -1) - (b.dropsOutAbove ?? -1));
+  
+  return {
+    coefficients,
+    regularization: {
+      type: regularization,
+      l1Ratio,
+      penalty: chosenPenalty,
+      crossValidation,
+      nonzeroCount: coefficients.slice(1).filter(value => value !== 0).length
+    },
+    path: {
+      penalties: pathPenalties,
+      coefficients: featureGroups.flatMap(group => group.features.map((feature, k) => ({
+        feature,
+        dimension: group.dimension,
+        values: fullPath.map(pathCoefficients => pathCoefficients[group.columnIndices[k] + 1])
+      }))),
+      dimensionDropOrder
+    }
+  };
+};
+
+/**
+ * Splits records into training and test sets for the chosen validation scheme
+ * @param {Array} opportunities - Opportunities (for close dates)
+ * @param {Array} y - 0/1 outcomes
+ * @param {Object} options - Validation options (as for buildPredictionModel)
+ * @returns {Array} Splits ({ trainIndices, testIndices, cutoffDate })
+ */
+const createValidationSplits = (opportunities, y, options) => {
+  const { validation, validationFolds = config.analytics.crossValidationFolds, cutoffDate, random } = options;
+  
+  if (validation === 'out-of-time') {
+    return [splitOutOfTime(opportunities.map(opp => opp.CloseDate || null), cutoffDate)];
+  }
+  
+  if (validation === 'holdout') {
+    const records = y.map((outcome, index) => ({ index, IsWon: outcome === 1 }));
+    const { training, testing } = splitTrainingTestingData(records, 0.2, true, 'IsWon', random);
+    
+    return [{
+      trainIndices: training.map(record => record.index),
+      testIndices: testing.map(record => record.index)
+    }];
+  }
+  
+  // Stratified k-fold: each fold is the test set once
+  const folds = createStratifiedFolds(y, validationFolds, random);
+  return folds.map((testIndices, k) => ({
+    trainIndices: folds.filter((_, other) => other !== k).flat(),
+    testIndices
+  }));
+};
+
+/**
+ * Scores held-out predictions: classification metrics at a 0.5 threshold and threshold-free scores
+ * @param {Array} actuals - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Object} Metrics
+ */
+const scoreHeldOut = (actuals, probabilities) => {
+  let truePositives = 0;
+  let trueNegatives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  
+  actuals.forEach((actual, position) => {
+    const predicted = probabilities[position] >= 0.5 ? 1 : 0;
+    
+    if (predicted === 1 && actual === 1) truePositives++;
+    if (predicted === 0 && actual === 0) trueNegatives++;
+    if (predicted === 1 && actual === 0) falsePositives++;
+    if (predicted === 0 && actual === 1) falseNegatives++;
+  });
+  
+  const accuracy = (truePositives + trueNegatives) / actuals.length;
+  const precision = truePositives / (truePositives + falsePositives) || 0;
+  const recall = truePositives / (truePositives + falseNegatives) || 0;
+  const f1Score = 2 * precision * recall / (precision + recall) || 0;
+  
+  return {
+    accuracy,
+    precision,
+    recall,
+    f1Score,
+    auc: computeRocCurve(actuals, probabilities).auc,
+    averagePrecision: computePrecisionRecallCurve(actuals, probabilities).averagePrecision,
+    logLoss: computeLogLoss(actuals, probabilities),
+    brierScore: computeBrierScore(actuals, probabilities),
+    confusionMatrix: {
+      truePositives,
+      trueNegatives,
+      falsePositives,
+      falseNegatives
+    }
+  };
+};
+
+/**
+ * Trains and scores a learner on each validation split
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} splits - Validation splits ({ trainIndices, testIndices })
+ * @param {Function} fitAndPredict - (trainIndices, testIndices) => { probabilities, ...details }, the
+ *   probabilities being the test records' predictions; other details are kept on the fold
+ * @returns {Object} Per-fold results, their aggregate, the pooled confusion matrix and the pooled
+ *   out-of-sample predictions ({ folds, aggregate, confusionMatrix, outOfSample: { indices, y, probabilities } })
+ */
+const validateLearner = (y, splits, fitAndPredict) => {
+  const outOfSample = { indices: [], y: [], probabilities: [] };
+  const folds = splits.map((split, k) => {
+    const { probabilities, ...details } = fitAndPredict(split.trainIndices, split.testIndices);
+    const actuals = split.testIndices.map(i => y[i]);
+    outOfSample.indices.push(...split.testIndices);
+    outOfSample.y.push(...actuals);
+    outOfSample.probabilities.push(...probabilities);
+    
+    return {
+      fold: k + 1,
+      trainingCount: split.trainIndices.length,
+      testCount: split.testIndices.length,
+      testWinRate: actuals.reduce((sum, actual) => sum + actual, 0) / actuals.length,
+      metrics: scoreHeldOut(actuals, probabilities),
+      ...details
+    };
+  });
+  
+  // AUC and average precision are undefined on a fold without both wins and losses
+  const aggregate = Object.fromEntries(
+    ['accuracy', 'precision', 'recall', 'f1Score', 'auc', 'averagePrecision', 'logLoss', 'brierScore'].map(metric => {
+      const values = folds.map(fold => fold.metrics[metric]).filter(value => value !== null);
+      return [metric, values.length > 0 ? summarizeFolds(values) : null];
+    })
+  );
+  const confusionMatrix = Object.fromEntries(['truePositives', 'trueNegatives', 'falsePositives', 'falseNegatives'].map(cell => [
+    cell,
+    folds.reduce((sum, fold) => sum + fold.metrics.confusionMatrix[cell], 0)
+  ]));
+  
+  return { folds, aggregate, confusionMatrix, outOfSample };
+};
+
+/**
+ * Evaluates the pooled out-of-sample predictions, fits the calibrator and sets the category thresholds
+ * @param {Array} outOfSampleY - Outcomes of the held-out records
+ * @param {Array} outOfSampleProbabilities - Their uncalibrated predictions
+ * @param {Object} options - Model options (calibration, thresholds, thresholdObjective, targetPrecision,
+ *   dealValue, pursuitCost)
+ * @param {Function} random - Random number generator for cross-fitting the calibrator
+ * @returns {Object} Evaluation, calibrator and thresholds
+ *   ({ evaluation, calibrator, calibrationSummary, modelThresholds, thresholdSummary })
+ */
+const calibrateAndCategorize = (outOfSampleY, outOfSampleProbabilities, options, random) => {
+  const {
+    calibration,
+    thresholds,
+    thresholdObjective = 'none',
+    targetPrecision,
+    dealValue,
+    pursuitCost
+  } = options;
+  
+  // Calibrate on the held-out predictions; the calibrated scores are cross-fitted so the
+  // reported improvement is measured on predictions the calibrator did not see
+  const evaluation = evaluateProbabilities(outOfSampleY, outOfSampleProbabilities);
+  const calibrator = fitCalibration(calibration, outOfSampleProbabilities, outOfSampleY);
+  let calibrationSummary = null;
+  let reportedProbabilities = outOfSampleProbabilities;
+  
+  if (calibrator) {
+    reportedProbabilities = crossFitCalibration(
+      calibration,
+      outOfSampleProbabilities,
+      outOfSampleY,
+      config.analytics.crossValidationFolds,
+      random
+    );
+    const calibratedEvaluation = evaluateProbabilities(outOfSampleY, reportedProbabilities);
+    const describe = result => ({
+      expectedCalibrationError: result.expectedCalibrationError,
+      maximumCalibrationError: result.maximumCalibrationError,
+      brierScore: result.brierScore,
+      logLoss: result.logLoss,
+      reliability: result.reliability
+    });
+    
+    calibrationSummary = {
+      method: calibration,
+      fittedOn: outOfSampleY.length,
+      calibrator,
+      uncalibrated: describe(evaluation),
+      calibrated: describe(calibratedEvaluation)
+    };
+  }
+  
+  // Category thresholds; an objective picks the High threshold on the held-out predictions,
+  // calibrated as the model will report them
+  const thresholdOptimization = thresholdObjective === 'none'
+    ? null
+    : optimizeThreshold(outOfSampleY, reportedProbabilities, {
+      objective: thresholdObjective,
+      targetPrecision,
+      dealValue,
+      pursuitCost
+    });
+  const requestedThresholds = { ...getDefaultThresholds(), ...thresholds };
+  const modelThresholds = thresholdOptimization
+    ? {
+      high: thresholdOptimization.threshold,
+      low: Math.min(requestedThresholds.low, thresholdOptimization.threshold)
+    }
+    : requestedThresholds;
+  const heldOutCategories = reportedProbabilities.map(p => categorizeProbability(p, modelThresholds));
+  const thresholdSummary = {
+    ...modelThresholds,
+    source: thresholdOptimization ? 'optimized' : (thresholds ? 'model' : 'default'),
+    optimization: thresholdOptimization,
+    // How the held-out opportunities fall into the categories, and how often each category won
+    categories: ['High', 'Medium', 'Low'].map(category => {
+      const members = heldOutCategories
+        .map((assigned, position) => (assigned === category ? outOfSampleY[position] : null))
+        .filter(outcome => outcome !== null);
+      
+      return {
+        category,
+        count: members.length,
+        winRate: members.length > 0 ? members.reduce((sum, outcome) => sum + outcome, 0) / members.length : null
+      };
+    })
+  };
+  
+  return { evaluation, calibrator, calibrationSummary, modelThresholds, thresholdSummary };
+};
 
 /**
  * Builds a logistic regression model for win prediction
+ * Metrics come from the validation scheme (stratified k-fold by default, a stratified 80/20
+ * holdout, or out-of-time: trained before a close-date cutoff, tested after it); the returned
+ * model is then refitted on all of the opportunities. Its probabilities are calibrated by a
+ * calibrator fitted to the held-out predictions of the validation models.
  * @param {Array} opportunities - Training data (opportunities)
  * @param {Array} dimensions - Dimensions to use as features
  * @param {String} targetVariable - Target variable (usually 'IsWon')
+ * @param {Object} options - Model options
+ * @param {Object} options.referenceLevels - Reference level per categorical dimension
+ * @param {Number} options.minLevelCount - Levels seen on fewer opportunities are pooled into "Other"
+ * @param {String} options.regularization - 'none' (gradient descent), 'ridge', 'lasso' or 'elastic-net'
+ * @param {Number} options.l1Ratio - L1 share of the elastic-net penalty (default 0.5)
+ * @param {Number} options.penalty - Fixed penalty instead of one chosen by cross-validation
+ * @param {Number} options.folds - Number of cross-validation folds used to choose the penalty
+ * @param {String} options.penaltyRule - 'min' (lowest deviance) or '1se' (sparsest within one standard error)
+ * @param {String} options.validation - 'stratified-kfold', 'holdout' or 'out-of-time'
+ * @param {Number} options.validationFolds - Number of folds for stratified k-fold validation
+ * @param {String} options.cutoffDate - Close-date cutoff for out-of-time validation
+ * @param {Number} options.seed - Seed for reproducible folds and splits
+ * @param {String} options.calibration - 'platt', 'isotonic' or 'none'
+ * @param {Object} options.thresholds - High/Low category thresholds ({ high, low }), defaulting to the configured ones
+ * @param {String} options.thresholdObjective - Sets the High threshold: 'none', 'f1', 'precision' or 'expected-value'
+ * @param {Number} options.targetPrecision - Required precision for the 'precision' objective
+ * @param {Number} options.dealValue - Value of a won deal for the 'expected-value' objective
+ * @param {Number} options.pursuitCost - Cost of pursuing a deal for the 'expected-value' objective
  * @returns {Object} Trained model and metrics
  */
-const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon') => {
+const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon', options = {}) => {
   try {
-    // Preprocess and prepare data
-    const preprocessedData = preprocessData(opportunities, dimensions, targetVariable);
+    const {
+      referenceLevels,
+      minLevelCount,
+      regularization = 'none',
+      validation = 'stratified-kfold',
+      seed,
+      calibration = config.analytics.calibrationMethod
+    } = options;
+    const random = seed === undefined ? Math.random : createRandom(seed);
+    
+    // Preprocess and prepare data (categorical dimensions become one column per non-reference level)
+    const preprocessedData = preprocessData(opportunities, dimensions, targetVariable, { referenceLevels, minLevelCount });
     const X = preprocessedData.X;
     const y = preprocessedData.y;
     const encodingInfo = preprocessedData.encodingInfo;
-    
-    // Split data into training (80%) and validation (20%) sets
-    const trainSize = Math.floor(X.length * 0.8);
-    const indices = Array.from({ length: X.length }, (_, i) => i);
-    const shuffledIndices = indices.sort(() => Math.random() - 0.5);
-    
-    const trainIndices = shuffledIndices.slice(0, trainSize);
-    const validIndices = shuffledIndices.slice(trainSize);
-    
-    const X_train = trainIndices.map(i => X[i]);
-    const y_train = trainIndices.map(i => y[i]);
-    const X_valid = validIndices.map(i => X[i]);
-    const y_valid = validIndices.map(i => y[i]);
-    
-    // Initialize model parameters (coefficients)
-    let coefficients = Array(X_train[0].length + 1).fill(0); // +1 for intercept
-    
-    // Sigmoid function
-    const sigmoid = z => 1 / (1 + Math.exp(-z));
+    const featureNames = preprocessedData.featureNames;
+    const featureDimensions = preprocessedData.featureGroups.flatMap(group => group.features.map(() => group.dimension));
     
     // Predict probability using logistic regression
-    const predict = (features) => {
+    const predictWith = (coef, features) => {
       const Xwith1 = [1, ...features]; // Add intercept
-      const z = math.dot(coefficients, Xwith1);
+      const z = math.dot(coef, Xwith1);
       return sigmoid(z);
     };
     
@@ -51,9 +445,7 @@ const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon
     const computeCost = (X, y, coef) => {
       let cost = 0;
       for (let i = 0; i < X.length; i++) {
-        const Xwith1 = [1, ...X[i]]; // Add intercept
-        const z = math.dot(coef, Xwith1);
-        const h = sigmoid(z);
+        const h = predictWith(coef, X[i]);
         cost += -y[i] * Math.log(h) - (1 - y[i]) * Math.log(1 - h + 1e-10);
       }
       return cost / X.length;
@@ -64,52 +456,118 @@ const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon
     const MAX_ITERATIONS = 500;
     const CONVERGENCE_THRESHOLD = 0.0001;
     
-    let prevCost = Infinity;
-    let iteration = 0;
-    let costs = [];
-    
-    while (iteration < MAX_ITERATIONS) {
-      // Initialize gradients
-      const gradients = Array(coefficients.length).fill(0);
+    // Fits the coefficients on a subset of the records
+    const train = (indices) => {
+      const X_train = indices.map(i => X[i]);
+      const y_train = indices.map(i => y[i]);
       
-      // Calculate gradients
-      for (let i = 0; i < X_train.length; i++) {
-        const Xwith1 = [1, ...X_train[i]]; // Add intercept
-        const predicted = predict(X_train[i]);
-        const error = predicted - y_train[i];
+      // Penalized models are fitted by coordinate descent with the penalty chosen by cross-validation
+      if (regularization !== 'none') {
+        const regularized = fitRegularizedModel(X_train, y_train, preprocessedData, { ...options, random });
+        const finalCost = computeCost(X_train, y_train, regularized.coefficients);
         
-        // Update each gradient component
-        for (let j = 0; j < gradients.length; j++) {
-          gradients[j] += error * Xwith1[j];
-        }
+        return {
+          coefficients: regularized.coefficients,
+          regularized,
+          training: {
+            method: 'coordinate-descent',
+            iterations: 0,
+            convergence: true,
+            costHistory: [finalCost],
+            finalCost
+          }
+        };
       }
       
-      // Normalize gradients
-      for (let j = 0; j < gradients.length; j++) {
-        gradients[j] /= X_train.length;
-      }
+      // Descend on standardized columns so that a fixed step suits Amount and 0/1 indicators alike
+      const { Z, means, scales } = standardizeColumns(X_train);
       
-      // Update coefficients using gradients
-      for (let j = 0; j < coefficients.length; j++) {
-        coefficients[j] -= LEARNING_RATE * gradients[j];
-      }
+      // Initialize model parameters (coefficients)
+      const coefficients = Array(X[0].length + 1).fill(0); // +1 for intercept
       
-      // Calculate cost and check convergence
-      const currentCost = computeCost(X_train, y_train, coefficients);
-      costs.push(currentCost);
+      let prevCost = Infinity;
+      let iteration = 0;
+      const costs = [];
       
-      if (Math.abs(prevCost - currentCost) < CONVERGENCE_THRESHOLD) {
-        break;
+      while (iteration < MAX_ITERATIONS) {
+        // Initialize gradients
+        const gradients = Array(coefficients.length).fill(0);
+        
+        // Calculate gradients
+        for (let i = 0; i < Z.length; i++) {
+          const Xwith1 = [1, ...Z[i]]; // Add intercept
+          const predicted = predictWith(coefficients, Z[i]);
+          const error = predicted - y_train[i];
+          
+          // Update each gradient component
+          for (let j = 0; j < gradients.length; j++) {
+            gradients[j] += error * Xwith1[j];
+          }
+        }
+        
+        // Normalize gradients
+        for (let j = 0; j < gradients.length; j++) {
+          gradients[j] /= X_train.length;
+        }
+        
+        // Update coefficients using gradients
+        for (let j = 0; j < coefficients.length; j++) {
+          coefficients[j] -= LEARNING_RATE * gradients[j];
+        }
+        
+        // Calculate cost and check convergence
+        const currentCost = computeCost(Z, y_train, coefficients);
+        costs.push(currentCost);
+        
+        if (Math.abs(prevCost - currentCost) < CONVERGENCE_THRESHOLD) {
+          break;
+        }
+        
+        prevCost = currentCost;
+        iteration++;
       }
       
-      prevCost = currentCost;
-      iteration++;
-    }
+      // Map the coefficients back to the units of the raw columns
+      const featureCoefficients = coefficients.slice(1).map((coef, j) => coef / scales[j]);
+      const intercept = coefficients[0] - featureCoefficients.reduce((sum, coef, j) => sum + coef * means[j], 0);
+      
+      return {
+        coefficients: [intercept, ...featureCoefficients],
+        regularized: null,
+        training: {
+          method: 'gradient-descent',
+          standardized: true,
+          iterations: iteration,
+          convergence: iteration < MAX_ITERATIONS,
+          costHistory: costs,
+          finalCost: costs[costs.length - 1]
+        }
+      };
+    };
+    
+    // Validate: train on each split's training records and score its test records
+    const splits = createValidationSplits(opportunities, y, { ...options, validation, random });
+    const { folds, aggregate, confusionMatrix, outOfSample } = validateLearner(
+      y,
+      splits,
+      (trainIndices, testIndices) => {
+        const { coefficients: foldCoefficients } = train(trainIndices);
+        return { probabilities: testIndices.map(i => predictWith(foldCoefficients, X[i])) };
+      }
+    );
+    
+    const { evaluation, calibrator, calibrationSummary, modelThresholds, thresholdSummary } =
+      calibrateAndCategorize(outOfSample.y, outOfSample.probabilities, { ...options, calibration }, random);
+    
+    // Final model on all of the records
+    const final = train(X.map((_, i) => i));
+    const { coefficients, regularized } = final;
     
     // Calculate feature importance
-    const featureImportance = dimensions.map((dimension, index) => {
+    const featureImportance = featureNames.map((feature, index) => {
       return {
-        feature: dimension,
+        feature,
+        dimension: featureDimensions[index],
         coefficient: coefficients[index + 1], // Skip intercept
         absoluteImportance: Math.abs(coefficients[index + 1]),
         normalizedImportance: 0 // Will be calculated below
@@ -130,48 +588,11 @@ const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon
     // Sort by importance
     featureImportance.sort((a, b) => b.absoluteImportance - a.absoluteImportance);
     
-    // Evaluate model on validation set
-    const validateModel = () => {
-      let truePositives = 0;
-      let trueNegatives = 0;
-      let falsePositives = 0;
-      let falseNegatives = 0;
-      
-      for (let i = 0; i < X_valid.length; i++) {
-        const probability = predict(X_valid[i]);
-        const predicted = probability >= 0.5 ? 1 : 0;
-        const actual = y_valid[i];
-        
-        if (predicted === 1 && actual === 1) truePositives++;
-        if (predicted === 0 && actual === 0) trueNegatives++;
-        if (predicted === 1 && actual === 0) falsePositives++;
-        if (predicted === 0 && actual === 1) falseNegatives++;
-      }
-      
-      const accuracy = (truePositives + trueNegatives) / X_valid.length;
-      const precision = truePositives / (truePositives + falsePositives) || 0;
-      const recall = truePositives / (truePositives + falseNegatives) || 0;
-      const f1Score = 2 * precision * recall / (precision + recall) || 0;
-      
-      return {
-        accuracy,
-        precision,
-        recall,
-        f1Score,
-        confusionMatrix: {
-          truePositives,
-          trueNegatives,
-          falsePositives,
-          falseNegatives
-        }
-      };
-    };
-    
     // Generate simplified formula
     const generateFormula = () => {
       let formula = `Win Probability = 1 / (1 + e^-(${coefficients[0].toFixed(3)}`;
       
-      dimensions.forEach((dim, index) => {
+      featureNames.forEach((dim, index) => {
         const coef = coefficients[index + 1];
         if (coef !== 0) {
           formula += ` ${coef > 0 ? '+' : '-'} ${Math.abs(coef).toFixed(3)} × ${dim}`;
@@ -183,39 +604,55 @@ const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon
       return formula;
     };
     
-    // Model performance metrics
-    const validationMetrics = validateModel();
+    const validationSummary = {
+      scheme: validation,
+      folds: folds.length,
+      stratified: validation !== 'out-of-time',
+      cutoffDate: validation === 'out-of-time' ? splits[0].cutoffDate : null,
+      seed: seed === undefined ? null : seed,
+      finalModel: 'refitted on all opportunities'
+    };
     
     // Return the model and metrics
     return {
-      model: {
+      model: attachPredictors({
+        type: 'logistic',
         coefficients,
         intercept: coefficients[0],
         featureCoefficients: coefficients.slice(1),
         dimensions,
+        featureNames,
+        featureGroups: preprocessedData.featureGroups,
+        // The average opportunity, which explanations start from
+        featureMeans: featureNames.map((_, j) => X.reduce((sum, row) => sum + row[j], 0) / X.length),
         encodingInfo,
-        predict: (features) => {
-          // Encode categorical features
-          const encodedFeatures = dimensions.map((dim, i) => {
-            const value = features[dim];
-            if (encodingInfo[dim]) {
-              return encodingInfo[dim][value] || 0;
-            }
-            return value;
-          });
-          
-          return predict(encodedFeatures);
-        }
+        regularization: regularized ? regularized.regularization : null,
+        validation: validationSummary,
+        calibration: calibrator,
+        thresholds: modelThresholds
+      }),
+      // Mean of the per-fold metrics, with the confusion matrix pooled over the test sets
+      metrics: {
+        ...Object.fromEntries(Object.entries(aggregate).map(([metric, summary]) => [metric, summary ? summary.mean : null])),
+        expectedCalibrationError: calibrationSummary
+          ? calibrationSummary.calibrated.expectedCalibrationError
+          : evaluation.expectedCalibrationError,
+        confusionMatrix
+      },
+      // Curves, lift table and scores of the pooled out-of-sample predictions (before calibration)
+      evaluation,
+      calibration: calibrationSummary,
+      thresholds: thresholdSummary,
+      validation: {
+        ...validationSummary,
+        perFold: folds,
+        aggregate
       },
-      metrics: validationMetrics,
       featureImportance,
       formula: generateFormula(),
-      training: {
-        iterations: iteration,
-        convergence: iteration < MAX_ITERATIONS,
-        costHistory: costs,
-        finalCost: costs[costs.length - 1]
-      }
+      training: final.training,
+      regularization: regularized ? regularized.regularization : null,
+      regularizationPath: regularized ? regularized.path : null
     };
   } catch (error) {
     console.error('Error building prediction model:', error);
@@ -223,69 +660,283 @@ const buildPredictionModel = (opportunities, dimensions, targetVariable = 'IsWon
   }
 };
 
+/**
+ * Builds a tree ensemble (random forest or gradient boosting) for win prediction
+ * Dimensions are used as they are: trees split categorical levels into groups and send missing
+ * values down a learned branch. Validation, calibration and thresholds work as for
+ * buildPredictionModel; feature importance is the loss of held-out AUC when a dimension's values
+ * are shuffled, averaged over the validation folds.
+ * @param {Array} opportunities - Training data (opportunities)
+ * @param {Array} dimensions - Dimensions to use as features
+ * @param {String} targetVariable - Target variable (usually 'IsWon')
+ * @param {Object} options - Model options
+ * @param {String} options.modelType - 'randomForest' or 'gradientBoosting'
+ * @param {Number} options.trees - Number of trees
+ * @param {Number} options.maxDepth - Maximum tree depth
+ * @param {Number} options.minLeafSize - Minimum opportunities per leaf
+ * @param {Number} options.learningRate - Shrinkage of each boosted tree (gradient boosting)
+ * @param {Number} options.subsample - Share of opportunities each boosted tree is grown on (gradient boosting)
+ * @param {String} options.validation - 'stratified-kfold', 'holdout' or 'out-of-time'
+ * @param {Number} options.validationFolds - Number of folds for stratified k-fold validation
+ * @param {String} options.cutoffDate - Close-date cutoff for out-of-time validation
+ * @param {Number} options.seed - Seed for reproducible folds, samples and splits
+ * @param {String} options.calibration - 'platt', 'isotonic' or 'none'
+ * @param {Object} options.thresholds - High/Low category thresholds ({ high, low })
+ * @param {String} options.thresholdObjective - Sets the High threshold: 'none', 'f1', 'precision' or 'expected-value'
+ * @returns {Object} Trained model and metrics
+ */
+const buildTreeModel = (opportunities, dimensions, targetVariable = 'IsWon', options = {}) => {
+  try {
+    const {
+      modelType,
+      trees,
+      maxDepth,
+      minLeafSize,
+      learningRate,
+      subsample,
+      validation = 'stratified-kfold',
+      seed,
+      calibration = config.analytics.calibrationMethod
+    } = options;
+    
+    if (!TREE_MODEL_TYPES.includes(modelType)) {
+      throw new Error(`Unknown tree model type: ${modelType}`);
+    }
+    
+    const random = seed === undefined ? Math.random : createRandom(seed);
+    const rows = opportunities.map(opp => dimensions.map(dim => opp[dim]));
+    const y = opportunities.map(opp => (opp[targetVariable] ? 1 : 0));
+    const settings = Object.fromEntries(
+      Object.entries({ trees, maxDepth, minLeafSize, learningRate, subsample }).filter(([, value]) => value !== undefined)
+    );
+    const fit = indices => (modelType === 'randomForest' ? fitRandomForest : fitGradientBoosting)(
+      indices.map(i => rows[i]),
+      indices.map(i => y[i]),
+      dimensions,
+      settings,
+      random
+    );
+    
+    // Validate: grow the ensemble on each split's training records, then score and permute its test records
+    const splits = createValidationSplits(opportunities, y, { ...options, validation, random });
+    const { folds, aggregate, confusionMatrix, outOfSample } = validateLearner(
+      y,
+      splits,
+      (trainIndices, testIndices) => {
+        const foldEnsemble = fit(trainIndices);
+        const predictRow = row => predictTreeEnsemble(foldEnsemble, row);
+        
+        return {
+          probabilities: testIndices.map(i => predictRow(rows[i])),
+          permutationImportance: computePermutationImportance(
+            predictRow,
+            testIndices.map(i => rows[i]),
+            testIndices.map(i => y[i]),
+            dimensions,
+            { random }
+          )
+        };
+      }
+    );
+    
+    const { evaluation, calibrator, calibrationSummary, modelThresholds, thresholdSummary } =
+      calibrateAndCategorize(outOfSample.y, outOfSample.probabilities, { ...options, calibration }, random);
+    
+    // Final model on all of the records
+    const ensemble = fit(rows.map((_, i) => i));
+    
+    // Permutation importance over the folds, ranked by the AUC lost (log loss when no fold has an AUC)
+    const featureImportance = dimensions.map((dimension, j) => {
+      const aucDecreases = folds.map(fold => fold.permutationImportance[j].aucDecrease).filter(value => value !== null);
+      const logLossIncreases = folds.map(fold => fold.permutationImportance[j].logLossIncrease);
+      const aucDecrease = aucDecreases.length > 0 ? summarizeFolds(aucDecreases) : null;
+      const logLossIncrease = summarizeFolds(logLossIncreases);
+      const importance = aucDecrease ? aucDecrease.mean : logLossIncrease.mean;
+      
+      return {
+        feature: dimension,
+        dimension,
+        method: 'permutation',
+        aucDecrease,
+        logLossIncrease,
+        importance,
+        absoluteImportance: Math.max(0, importance),
+        normalizedImportance: 0 // Will be calculated below
+      };
+    });
+    
+    const totalImportance = featureImportance.reduce((sum, feature) => sum + feature.absoluteImportance, 0);
+    featureImportance.forEach(feature => {
+      feature.normalizedImportance = totalImportance > 0
+        ? feature.absoluteImportance / totalImportance
+        : 0;
+    });
+    featureImportance.sort((a, b) => b.importance - a.importance);
+    
+    const validationSummary = {
+      scheme: validation,
+      folds: folds.length,
+      stratified: validation !== 'out-of-time',
+      cutoffDate: validation === 'out-of-time' ? splits[0].cutoffDate : null,
+      seed: seed === undefined ? null : seed,
+      finalModel: 'refitted on all opportunities'
+    };
+    
+    return {
+      model: attachPredictors({
+        type: modelType,
+        dimensions,
+        ensemble,
+        validation: validationSummary,
+        calibration: calibrator,
+        thresholds: modelThresholds
+      }),
+      metrics: {
+        ...Object.fromEntries(Object.entries(aggregate).map(([metric, summary]) => [metric, summary ? summary.mean : null])),
+        expectedCalibrationError: calibrationSummary
+          ? calibrationSummary.calibrated.expectedCalibrationError
+          : evaluation.expectedCalibrationError,
+        confusionMatrix
+      },
+      evaluation,
+      calibration: calibrationSummary,
+      thresholds: thresholdSummary,
+      validation: {
+        ...validationSummary,
+        perFold: folds,
+        aggregate
+      },
+      featureImportance,
+      formula: null,
+      training: {
+        method: modelType === 'randomForest' ? 'random-forest' : 'gradient-boosting',
+        settings: ensemble.settings,
+        ...summarizeEnsemble(ensemble)
+      },
+      regularization: null,
+      regularizationPath: null
+    };
+  } catch (error) {
+    console.error('Error building tree model:', error);
+    throw new Error(`Failed to build tree model: ${error.message}`);
+  }
+};
+
+/**
+ * Adds the predict functions to a model, on training or when it is loaded from plain JSON (the
+ * functions themselves can't be stored): predict(features) gives the calibrated win probability
+ * from the opportunity's dimension values and predictUncalibrated(features) the model's own
+ * @param {Object} model - Logistic, tree or stage model without functions
+ * @returns {Object} Model with predict (and predictUncalibrated for logistic and tree models)
+ */
+const attachPredictors = (model) => {
+  if (model.type === 'stage') {
+    return attachStagePredictor(model);
+  }
+  
+  const predictUncalibrated = TREE_MODEL_TYPES.includes(model.type)
+    ? (features) => predictTreeEnsemble(model.ensemble, model.dimensions.map(dim => features[dim]))
+    // Categorical features are encoded the same way as the training data
+    : (features) => sigmoid(math.dot(model.coefficients, [1, ...encodeCategories(features, model.dimensions, model.encodingInfo)]));
+  
+  return {
+    ...model,
+    predict: (features) => applyCalibration(model.calibration, predictUncalibrated(features)),
+    predictUncalibrated
+  };
+};
+
+/**
+ * Creates the value function explanations are computed from: the model's calibrated prediction
+ * for an opportunity when only some of its dimensions are known
+ * Logistic models replace unknown dimensions by the average opportunity's encoded columns (so
+ * their attributions are exact Shapley values against that reference); tree ensembles average
+ * over the branches unknown dimensions would take, weighted by training counts (as TreeSHAP does).
+ * @param {Object} model - Trained logistic or tree model
+ * @param {Object} opportunityFeatures - The opportunity's dimension values
+ * @returns {Function} (known: Array of Booleans in dimension order) => win probability
+ */
+const createValueFunction = (model, opportunityFeatures) => {
+  if (TREE_MODEL_TYPES.includes(model.type)) {
+    const row = model.dimensions.map(dim => opportunityFeatures[dim]);
+    return known => applyCalibration(model.calibration, expectTreeEnsemble(model.ensemble, row, known));
+  }
+  
+  const encodedFeatures = encodeCategories(opportunityFeatures, model.dimensions, model.encodingInfo);
+  const columnDimensions = new Array(encodedFeatures.length).fill(-1);
+  model.featureGroups.forEach(group => {
+    group.columnIndices.forEach(index => {
+      columnDimensions[index] = model.dimensions.indexOf(group.dimension);
+    });
+  });
+  
+  return known => applyCalibration(model.calibration, sigmoid(encodedFeatures.reduce(
+    (z, value, index) => z + model.coefficients[index + 1] * (known[columnDimensions[index]] ? value : model.featureMeans[index]),
+    model.coefficients[0]
+  )));
+};
+
 /**
  * Predicts win probability for a single opportunity
+ * Contributions are Shapley values in percentage points of win probability: starting from the
+ * baseline (the prediction for the average opportunity), they add up to the predicted probability.
+ * Without an explanation, contributions, baselineContribution, explanation and the top factors are null.
  * @param {Object} opportunity - Opportunity data
  * @param {Object} model - Trained prediction model
+ * @param {Object} options - Prediction options
+ * @param {Boolean} options.explain - Whether to compute the Shapley contributions (default true)
+ * @param {Number} options.seed - Seed of the sampled orders when there are too many dimensions to enumerate
  * @returns {Object} Prediction results
  */
-const predictWinRate = (opportunity, model) => {
+const predictWinRate = (opportunity, model, options = {}) => {
+  const { explain = true, seed } = options;
+  
   try {
+    // Stage models condition on the opportunity's current stage instead of a regression
+    if (model.type === 'stage') {
+      return predictStageWinRate(opportunity, model, { explain, seed });
+    }
+    
     // Extract features needed by the model
     const opportunityFeatures = {};
     model.dimensions.forEach(dim => {
       opportunityFeatures[dim] = opportunity[dim];
     });
     
-    // Make prediction
+    // Make prediction (calibrated when the model has a calibrator)
     const probability = model.predict(opportunityFeatures);
+    const uncalibratedProbability = model.calibration ? model.predictUncalibrated(opportunityFeatures) : probability;
     
-    // Get feature contributions
-    const contributions = [];
-    model.dimensions.forEach((dim, index) => {
-      const coefficient = model.coefficients[index + 1]; // Skip intercept
-      const value = opportunityFeatures[dim];
-      
-      // Encode value if necessary
-      let encodedValue = value;
-      if (model.encodingInfo && model.encodingInfo[dim]) {
-        encodedValue = model.encodingInfo[dim][value] || 0;
-      }
-      
-      // Calculate contribution
-      const contribution = coefficient * encodedValue;
-      
-      contributions.push({
-        dimension: dim,
-        coefficient,
-        value,
-        encodedValue,
-        contribution,
-        absoluteContribution: Math.abs(contribution)
-      });
-    });
-    
-    // Sort by absolute contribution
-    contributions.sort((a, b) => b.absoluteContribution - a.absoluteContribution);
+    // Shapley contributions in probability points, relative to the average opportunity
+    const explanation = explain
+      ? computeShapleyValues(createValueFunction(model, opportunityFeatures), model.dimensions.length, { seed })
+      : null;
+    const contributions = explanation ? describeContributions(model.dimensions, opportunityFeatures, explanation) : null;
     
-    // Calculate prediction category
-    let category = 'Medium';
-    if (probability >= 0.75) category = 'High';
-    if (probability < 0.25) category = 'Low';
+    // Calculate prediction category with the model's thresholds
+    const category = categorizeProbability(probability, model.thresholds);
     
     return {
       opportunity: opportunity.Id || 'New Opportunity',
       probability,
+      uncalibratedProbability,
+      calibration: model.calibration ? model.calibration.method : 'none',
       winProbabilityPercent: (probability * 100).toFixed(2),
       category,
       contributions,
-      baselineContribution: model.intercept,
-      topPositiveFactors: contributions
+      baselineContribution: explanation ? explanation.baseline * 100 : null,
+      explanation: explanation ? {
+        method: explanation.method,
+        samples: explanation.samples,
+        baselineProbability: explanation.baseline,
+        units: 'probability points'
+      } : null,
+      topPositiveFactors: contributions ? contributions
         .filter(c => c.contribution > 0)
-        .slice(0, 3),
-      topNegativeFactors: contributions
+        .slice(0, 3) : null,
+      topNegativeFactors: contributions ? contributions
         .filter(c => c.contribution < 0)
-        .slice(0, 3)
+        .slice(0, 3) : null
     };
   } catch (error) {
     console.error('Error predicting win rate:', error);
@@ -295,16 +946,31 @@ const predictWinRate = (opportunity, model) => {
 
 /**
  * Batch predicts win probabilities for multiple opportunities
+ * Explanations are opt-in: only the explainTop opportunities with the highest predicted
+ * probability are explained, the others come back without contributions.
  * @param {Array} opportunities - Array of opportunities
  * @param {Object} model - Trained prediction model
+ * @param {Object} options - Prediction options
+ * @param {Number} options.explainTop - Number of opportunities to explain (default 0, at most MAX_BATCH_EXPLANATIONS)
+ * @param {Number} options.seed - Seed of the sampled orders of the explanations
  * @returns {Array} Array of prediction results
  */
-const batchPredictWinRates = (opportunities, model) => {
+const batchPredictWinRates = (opportunities, model, options = {}) => {
+  const { explainTop = 0, seed } = options;
+  
   try {
-    const predictions = opportunities.map(opportunity => 
-      predictWinRate(opportunity, model)
+    const predictions = opportunities.map(opportunity =>
+      predictWinRate(opportunity, model, { explain: false })
     );
     
+    predictions
+      .map((prediction, index) => ({ probability: prediction.probability, index }))
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, Math.min(explainTop, MAX_BATCH_EXPLANATIONS))
+      .forEach(({ index }) => {
+        predictions[index] = predictWinRate(opportunities[index], model, { seed });
+      });
+    
     return {
       predictions,
       summary: {
@@ -312,7 +978,9 @@ const batchPredictWinRates = (opportunities, model) => {
         highProbabilityCount: predictions.filter(p => p.category === 'High').length,
         mediumProbabilityCount: predictions.filter(p => p.category === 'Medium').length,
         lowProbabilityCount: predictions.filter(p => p.category === 'Low').length,
-        averageProbability: math.mean(predictions.map(p => p.probability))
+        averageProbability: math.mean(predictions.map(p => p.probability)),
+        explainedCount: predictions.filter(p => p.contributions).length,
+        thresholds: model.thresholds || getDefaultThresholds()
       }
     };
   } catch (error) {
@@ -330,7 +998,7 @@ const batchPredictWinRates = (opportunities, model) => {
 const generateWinRateFormula = (model, simplified = true) => {
   try {
     // Sort features by importance
-    const featuresByImportance = [...model.dimensions]
+    const featuresByImportance = [...model.featureNames]
       .map((dim, i) => ({
         dimension: dim,
         coefficient: model.coefficients[i + 1],
@@ -391,7 +1059,15 @@ const generateWinRateFormula = (model, simplified = true) => {
 };
 
 module.exports = {
+  REGULARIZATION_TYPES,
+  PENALTY_RULES,
+  VALIDATION_SCHEMES,
+  TREE_MODEL_TYPES,
+  MAX_BATCH_EXPLANATIONS,
+  scoreHeldOut,
   buildPredictionModel,
+  buildTreeModel,
+  attachPredictors,
   predictWinRate,
   batchPredictWinRates,
   generateWinRateFormula
@@ -4,7 +4,21 @@
  */
 
 const jsforce = require('jsforce');
+const { parse } = require('csv-parse/sync');
+const config = require('../config/config');
 const { prepareOpportunityData } = require('../utils/dataProcessingUtils');
+const { isValidFieldName, isValidOrderBy, escapeSoqlString } = require('../utils/filterUtils');
+const {
+  isDerivedField,
+  isRelationshipField,
+  splitRelatedFields,
+  buildChildSubqueries,
+  applyDerivedFields,
+  getDerivedFieldMetadata
+} = require('../utils/relatedFieldUtils');
+
+// Salesforce field types returned as strings in Bulk API CSV results
+const NUMERIC_FIELD_TYPES = ['int', 'double', 'currency', 'percent', 'long'];
 
 /**
  * Creates a new Salesforce connection
@@ -21,7 +35,8 @@ const createConnection = (credentials) => {
     
     const conn = new jsforce.Connection({
       instanceUrl,
-      accessToken
+      accessToken,
+      version: config.salesforce.apiVersion
     });
     
     return conn;
@@ -31,11 +46,278 @@ const createConnection = (credentials) => {
   }
 };
 
+/**
+ * Fetches the org and user a connection's session belongs to from the identity service
+ * @param {Object} conn - jsforce connection
+ * @returns {Promise<Object>} Identity ({ organizationId, userId, username })
+ */
+const fetchIdentity = async (conn) => {
+  const identity = await conn.identity();
+  
+  if (!identity || !identity.organization_id || !identity.user_id) {
+    throw new Error('Salesforce identity response is missing the organization or user ID');
+  }
+  
+  return {
+    organizationId: identity.organization_id,
+    userId: identity.user_id,
+    username: identity.username || null
+  };
+};
+
+/**
+ * Runs a SOQL query through the REST API, following queryMore locators
+ * until every record is fetched or maxRecords is reached
+ * @param {Object} conn - jsforce connection
+ * @param {String} soql - SOQL query
+ * @param {Object} options - Query options
+ * @param {Number} options.maxRecords - Maximum number of records to fetch
+ * @param {Function} options.onBatch - Called with each batch of raw records, and awaited
+ * @param {Object} options.firstPage - Already fetched first page of the query
+ * @returns {Promise<Object>} Query summary ({ fetchedCount, totalSize, truncated })
+ */
+const queryAllRecords = async (conn, soql, options = {}) => {
+  const { maxRecords = config.app.maxQueryResults, onBatch, firstPage } = options;
+  
+  let page = firstPage || await conn.query(soql);
+  const totalSize = page.totalSize;
+  let fetchedCount = 0;
+  
+  while (true) {
+    const batch = page.records.slice(0, maxRecords - fetchedCount);
+    fetchedCount += batch.length;
+    
+    if (batch.length > 0) {
+      await onBatch(batch);
+    }
+    
+    if (page.done || !page.nextRecordsUrl || fetchedCount >= maxRecords) {
+      break;
+    }
+    
+    page = await conn.queryMore(page.nextRecordsUrl);
+  }
+  
+  return {
+    fetchedCount,
+    totalSize,
+    truncated: fetchedCount < totalSize
+  };
+};
+
+/**
+ * Sends a request to the Bulk API 2.0 query endpoints
+ * @param {Object} conn - jsforce connection
+ * @param {String} path - Path relative to /jobs/query
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} fetch response
+ */
+const bulkQueryRequest = async (conn, path, options = {}) => {
+  const url = `${conn.instanceUrl}/services/data/v${conn.version}/jobs/query${path}`;
+  
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${conn.accessToken}`,
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+  
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Bulk API request failed (${response.status}): ${body}`);
+  }
+  
+  return response;
+};
+
+/**
+ * Converts a Bulk API CSV row into a typed record
+ * @param {Object} row - CSV row keyed by field name
+ * @param {Object} fieldTypes - Field name to Salesforce type
+ * @returns {Object} Typed record
+ */
+const parseBulkRecord = (row, fieldTypes) => {
+  const record = {};
+  
+  Object.entries(row).forEach(([field, value]) => {
+    const type = fieldTypes[field];
+    
+    if (value === '') {
+      record[field] = null;
+    } else if (type === 'boolean') {
+      record[field] = value === 'true';
+    } else if (NUMERIC_FIELD_TYPES.includes(type)) {
+      record[field] = Number(value);
+    } else {
+      record[field] = value;
+    }
+  });
+  
+  return record;
+};
+
+/**
+ * Runs a SOQL query as a Bulk API 2.0 query job and pages through its CSV results
+ * Bulk results come back in no particular order
+ * @param {Object} conn - jsforce connection
+ * @param {String} soql - SOQL query (without ORDER BY or LIMIT)
+ * @param {Object} options - Query options
+ * @param {Number} options.maxRecords - Maximum number of records to fetch
+ * @param {Object} options.fieldTypes - Field name to Salesforce type, used to convert CSV values
+ * @param {Function} options.onBatch - Called with each batch of typed records
+ * @returns {Promise<Object>} Query summary ({ fetchedCount, totalSize, truncated })
+ */
+const bulkQueryRecords = async (conn, soql, options = {}) => {
+  const { maxRecords = config.app.maxQueryResults, fieldTypes = {}, onBatch } = options;
+  const { bulkPollInterval, bulkQueryTimeout } = config.app;
+  
+  // Create the query job
+  const createResponse = await bulkQueryRequest(conn, '', {
+    method: 'POST',
+    body: JSON.stringify({ operation: 'query', query: soql })
+  });
+  let job = await createResponse.json();
+  
+  // Wait for the job to finish
+  const startedAt = Date.now();
+  
+  while (job.state !== 'JobComplete') {
+    if (job.state === 'Failed' || job.state === 'Aborted') {
+      throw new Error(`Bulk query job ${job.id} ${job.state.toLowerCase()}: ${job.errorMessage || 'no details'}`);
+    }
+    
+    if (Date.now() - startedAt > bulkQueryTimeout) {
+      throw new Error(`Bulk query job ${job.id} did not complete within ${bulkQueryTimeout} ms`);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, bulkPollInterval));
+    
+    const statusResponse = await bulkQueryRequest(conn, `/${job.id}`);
+    job = await statusResponse.json();
+  }
+  
+  // Page through the results
+  let fetchedCount = 0;
+  let locator = null;
+  
+  do {
+    const params = new URLSearchParams({ maxRecords: String(Math.min(50000, maxRecords - fetchedCount)) });
+    if (locator) {
+      params.set('locator', locator);
+    }
+    
+    const resultsResponse = await bulkQueryRequest(conn, `/${job.id}/results?${params}`, {
+      headers: { Accept: 'text/csv' }
+    });
+    
+    const rows = parse(await resultsResponse.text(), {
+      columns: true,
+      skip_empty_lines: true
+    });
+    
+    fetchedCount += rows.length;
+    
+    if (rows.length > 0) {
+      await onBatch(rows.map(row => parseBulkRecord(row, fieldTypes)));
+    }
+    
+    locator = resultsResponse.headers.get('Sforce-Locator');
+  } while (locator && locator !== 'null' && fetchedCount < maxRecords);
+  
+  return {
+    fetchedCount,
+    totalSize: job.numberRecordsProcessed,
+    truncated: fetchedCount < job.numberRecordsProcessed
+  };
+};
+
+/**
+ * Converts a describe result field into field metadata
+ * @param {Object} field - Field from a describe call
+ * @returns {Object} Field metadata
+ */
+const toFieldMetadata = (field) => ({
+  name: field.name,
+  label: field.label,
+  type: field.type,
+  length: field.length,
+  precision: field.precision,
+  scale: field.scale,
+  isCustom: field.custom,
+  isCalculated: field.calculated,
+  picklistValues: field.type === 'picklist' || field.type === 'multipicklist' 
+    ? field.picklistValues.map(item => ({
+        value: item.value,
+        label: item.label,
+        isDefault: item.defaultValue
+      }))
+    : [],
+  isFilterable: field.filterable,
+  isSortable: field.sortable,
+  isNillable: field.nillable
+});
+
+/**
+ * Describes the configured parent relationship fields (e.g. Account.Industry)
+ * @param {Object} conn - jsforce connection
+ * @param {Array} opportunityFields - Opportunity fields from the describe call
+ * @param {Array} paths - Relationship paths
+ * @returns {Promise<Array>} Field metadata with dotted names
+ */
+const describeRelationshipFields = async (conn, opportunityFields, paths) => {
+  // Group the requested fields by relationship (only direct parents are described)
+  const pathsByRelationship = paths
+    .filter(fieldPath => fieldPath.split('.').length === 2)
+    .reduce((acc, fieldPath) => {
+      const [relationship, fieldName] = fieldPath.split('.');
+      acc[relationship] = [...(acc[relationship] || []), fieldName];
+      return acc;
+    }, {});
+  
+  const described = await Promise.all(Object.entries(pathsByRelationship).map(async ([relationship, fieldNames]) => {
+    const lookup = opportunityFields.find(field => field.relationshipName === relationship);
+    
+    if (!lookup || !lookup.referenceTo || lookup.referenceTo.length === 0) {
+      console.warn(`Opportunity has no ${relationship} relationship; skipping its fields`);
+      return [];
+    }
+    
+    try {
+      const parent = await conn.describe(lookup.referenceTo[0]);
+      
+      return fieldNames
+        .map(fieldName => parent.fields.find(field => field.name === fieldName))
+        .filter(Boolean)
+        .map(field => ({
+          ...toFieldMetadata(field),
+          name: `${relationship}.${field.name}`,
+          label: field.label.startsWith(parent.label) ? field.label : `${parent.label} ${field.label}`,
+          isRelated: true,
+          relationship,
+          group: relationship
+        }));
+    } catch (error) {
+      // Objects such as Campaign may not be enabled in every org
+      console.warn(`Could not describe ${lookup.referenceTo[0]}:`, error.message);
+      return [];
+    }
+  }));
+  
+  return described.flat();
+};
+
 /**
  * Fetches opportunities from Salesforce
+ * Pages through the full result set with queryMore, switching to a Bulk API 2.0
+ * job when every matching record is wanted and there are more than
+ * config.app.bulkQueryThreshold of them. Records are prepared batch by batch.
  * @param {Object} conn - jsforce connection
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of opportunities
+ * @param {Array} options.optionalFields - Fields to include only if the object has them (e.g. CurrencyIsoCode)
+ * @param {String} options.queryMethod - 'auto', 'rest' or 'bulk'
+ * @returns {Promise<Object>} Query result ({ records, fetchedCount, totalSize, truncated, queryMethod })
  */
 const fetchOpportunities = async (conn, options = {}) => {
   try {
@@ -43,51 +325,113 @@ const fetchOpportunities = async (conn, options = {}) => {
       fields = ['Id', 'Name', 'AccountId', 'OwnerId', 'Amount', 'StageName', 
                 'CloseDate', 'Probability', 'Type', 'IsWon', 'IsClosed', 'CreatedDate'],
       whereClause = '',
-      limit = 5000,
+      limit,
       orderBy = 'CreatedDate DESC',
-      includeCustomFields = true
+      optionalFields = [],
+      includeCustomFields = true,
+      queryMethod = 'auto'
     } = options;
     
-    // Fetch all fields including custom fields if requested
-    let allFields = [...fields];
+    // Never fetch more than the configured maximum
+    const maxRecords = Math.min(limit || config.app.maxQueryResults, config.app.maxQueryResults);
+    
+    // Describe opportunity object to get field names and types
+    let metadataFields = [];
+    
+    try {
+      const metadata = await conn.describe('Opportunity');
+      metadataFields = metadata.fields;
+    } catch (error) {
+      console.warn('Could not describe Opportunity:', error.message);
+      // Continue with the requested fields only
+    }
+    
+    // Fetch all fields including custom fields if requested, and optional fields the object has
+    let allFields = [...new Set([
+      ...fields,
+      ...optionalFields.filter(field => metadataFields.some(metadataField => metadataField.name === field))
+    ])];
     
     if (includeCustomFields) {
-      try {
-        // Describe opportunity object to get all field names
-        const metadata = await conn.describe('Opportunity');
-        const customFields = metadata.fields
-          .filter(field => field.custom)
-          .map(field => field.name);
-        
-        allFields = [...new Set([...allFields, ...customFields])];
-      } catch (error) {
-        console.warn('Could not fetch custom fields:', error.message);
-        // Continue with standard fields only
-      }
+      const customFields = metadataFields
+        .filter(field => field.custom)
+        .map(field => field.name);
+      
+      allFields = [...new Set([...allFields, ...customFields])];
     }
     
-    // Construct SOQL query
-    let soql = `SELECT ${allFields.join(', ')} FROM Opportunity`;
+    // Only plain field names and sort expressions may be placed in the query
+    const invalidField = allFields.find(field => !isValidFieldName(field));
+    if (invalidField !== undefined) {
+      throw new Error(`Invalid field name: ${invalidField}`);
+    }
     
-    if (whereClause) {
-      soql += ` WHERE ${whereClause}`;
+    if (orderBy && !isValidOrderBy(orderBy)) {
+      throw new Error(`Invalid orderBy: ${orderBy}`);
     }
     
-    if (orderBy) {
-      soql += ` ORDER BY ${orderBy}`;
+    // Derived fields (ProductFamilyCount, ...) are computed from child subqueries
+    const { selectFields, derivedFields } = splitRelatedFields(allFields);
+    
+    if (derivedFields.length > 0 && queryMethod === 'bulk') {
+      throw new Error(`Bulk queries do not support child subqueries, needed for: ${derivedFields.join(', ')}`);
     }
     
-    if (limit) {
-      soql += ` LIMIT ${limit}`;
+    // Construct SOQL query (no LIMIT so that totalSize reports every matching record)
+    let soql = `SELECT ${[...selectFields, ...buildChildSubqueries(derivedFields)].join(', ')} FROM Opportunity`;
+    
+    if (whereClause) {
+      soql += ` WHERE ${whereClause}`;
     }
     
-    // Execute query
-    const result = await conn.query(soql);
+    const restSoql = orderBy ? `${soql} ORDER BY ${orderBy}` : soql;
     
-    // Prepare data for analysis
-    const opportunities = prepareOpportunityData(result.records, allFields);
+    // Prepare each batch as it arrives
+    const records = [];
+    const onBatch = async batch => {
+      prepareOpportunityData(await applyDerivedFields(conn, batch, derivedFields), allFields)
+        .forEach(record => records.push(record));
+    };
+    
+    // The first REST page tells us how many records match
+    const firstPage = queryMethod === 'bulk' ? null : await conn.query(restSoql);
+    
+    const useBulk = queryMethod === 'bulk' || (
+      queryMethod === 'auto' &&
+      derivedFields.length === 0 &&
+      firstPage.totalSize > config.app.bulkQueryThreshold &&
+      firstPage.totalSize <= maxRecords
+    );
+    
+    let summary;
+    
+    if (useBulk) {
+      // Relationship columns (Account.Industry) need their parent's types too
+      const relationshipFields = await describeRelationshipFields(
+        conn,
+        metadataFields,
+        selectFields.filter(isRelationshipField)
+      );
+      
+      const fieldTypes = [...metadataFields, ...relationshipFields].reduce((types, field) => {
+        types[field.name] = field.type;
+        return types;
+      }, {});
+      
+      summary = await bulkQueryRecords(conn, soql, { maxRecords, fieldTypes, onBatch });
+    } else {
+      summary = await queryAllRecords(conn, restSoql, { maxRecords, onBatch, firstPage });
+    }
+    
+    if (summary.truncated) {
+      console.warn(`Fetched ${summary.fetchedCount} of ${summary.totalSize} opportunities (maxQueryResults is ${config.app.maxQueryResults})`);
+    }
     
-    return opportunities;
+    return {
+      records,
+      ...summary,
+      queryMethod: useBulk ? 'bulk' : 'rest'
+    };
   } catch (error) {
     console.error('Error fetching opportunities:', error);
     throw new Error(`Failed to fetch opportunities: ${error.message}`);
@@ -96,6 +440,7 @@ const fetchOpportunities = async (conn, options = {}) => {
 
 /**
  * Fetches opportunity fields metadata from Salesforce
+ * Includes the configured related fields (config.app.relatedFields) that exist in the org
  * @param {Object} conn - jsforce connection
  * @returns {Promise<Array>} Array of field metadata
  */
@@ -105,28 +450,20 @@ const fetchOpportunityFields = async (conn) => {
     const metadata = await conn.describe('Opportunity');
     
     // Extract relevant field information
-    const fields = metadata.fields.map(field => ({
-      name: field.name,
-      label: field.label,
-      type: field.type,
-      length: field.length,
-      precision: field.precision,
-      scale: field.scale,
-      isCustom: field.custom,
-      isCalculated: field.calculated,
-      picklistValues: field.type === 'picklist' || field.type === 'multipicklist' 
-        ? field.picklistValues.map(item => ({
-            value: item.value,
-            label: item.label,
-            isDefault: item.defaultValue
-          }))
-        : [],
-      isFilterable: field.filterable,
-      isSortable: field.sortable,
-      isNillable: field.nillable
-    }));
+    const fields = metadata.fields.map(toFieldMetadata);
+    
+    // Add parent fields and fields derived from child records
+    const relationshipFields = await describeRelationshipFields(
+      conn,
+      metadata.fields,
+      config.app.relatedFields.filter(isRelationshipField)
+    );
     
-    return fields;
+    const childRelationships = (metadata.childRelationships || []).map(child => child.relationshipName);
+    const derivedFields = getDerivedFieldMetadata(config.app.relatedFields.filter(isDerivedField))
+      .filter(field => childRelationships.length === 0 || childRelationships.includes(field.relationship));
+    
+    return [...fields, ...relationshipFields, ...derivedFields];
   } catch (error) {
     console.error('Error fetching opportunity fields:', error);
     throw new Error(`Failed to fetch opportunity fields: ${error.message}`);
@@ -259,47 +596,51 @@ const updateOpportunityProbabilities = async (conn, updates, probabilityField =
 
 /**
  * Fetches opportunity history data for temporal analysis
+ * OpportunityHistory holds a row per change of stage, amount, probability or close date;
+ * individual field changes (Field/OldValue/NewValue) live in OpportunityFieldHistory instead.
  * @param {Object} conn - jsforce connection
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of opportunity history records
+ * @returns {Promise<Array>} Array of opportunity history records, ordered by opportunity and date
  */
 const fetchOpportunityHistory = async (conn, options = {}) => {
   try {
     const {
       opportunityIds = [],
-      fields = ['OpportunityId', 'Field', 'OldValue', 'NewValue', 'CreatedDate'],
+      fields = ['Id', 'OpportunityId', 'StageName', 'Amount', 'Probability', 'CloseDate', 'CreatedDate'],
       limit = 10000
     } = options;
     
+    const invalidFields = fields.filter(field => !isValidFieldName(field));
+    if (invalidFields.length > 0) {
+      throw new Error(`Invalid field names: ${invalidFields.join(', ')}`);
+    }
+    
     // Construct SOQL query
-    let soql = `SELECT ${fields.join(', ')} FROM OpportunityHistory`;
+    const soql = `SELECT ${fields.join(', ')} FROM OpportunityHistory`;
+    const orderBy = 'ORDER BY OpportunityId, CreatedDate';
+    
+    const records = [];
+    const onBatch = batch => records.push(...batch);
     
-    // Add WHERE clause for specific opportunities
+    // Fetch the history of specific opportunities
     if (opportunityIds && opportunityIds.length > 0) {
-      // Handle Salesforce's limit on number of IDs in IN clause
-      if (opportunityIds.length <= 200) {
-        soql += ` WHERE OpportunityId IN ('${opportunityIds.join("','")}')`;
-      } else {
-        // If more than 200 IDs, use multiple queries
-        const results = [];
-        for (let i = 0; i < opportunityIds.length; i += 200) {
-          const batchIds = opportunityIds.slice(i, i + 200);
-          const batchSoql = `${soql} WHERE OpportunityId IN ('${batchIds.join("','")}')`;
-          const batchResult = await conn.query(batchSoql);
-          results.push(...batchResult.records);
-        }
-        return results;
+      // Handle Salesforce's limit on the length of IN clauses by querying 200 IDs at a time
+      for (let i = 0; i < opportunityIds.length; i += 200) {
+        const batchIds = opportunityIds.slice(i, i + 200).map(id => `'${escapeSoqlString(id)}'`);
+        await queryAllRecords(conn, `${soql} WHERE OpportunityId IN (${batchIds.join(', ')}) ${orderBy}`, {
+          maxRecords: Infinity,
+          onBatch
+        });
       }
+      
+      return records;
     }
     
     // Add LIMIT clause
-    if (limit) {
-      soql += ` LIMIT ${limit}`;
-    }
+    const maxRecords = Number.isInteger(limit) && limit > 0 ? limit : config.app.maxQueryResults;
+    await queryAllRecords(conn, `${soql} ${orderBy} LIMIT ${maxRecords}`, { maxRecords, onBatch });
     
-    // Execute query
-    const result = await conn.query(soql);
-    return result.records;
+    return records;
   } catch (error) {
     console.error('Error fetching opportunity history:', error);
     throw new Error(`Failed to fetch opportunity history: ${error.message}`);
@@ -358,11 +699,92 @@ const fetchUsers = async (conn, userIds = []) => {
   }
 };
 
+/**
+ * Fetches the org's currency conversion rates
+ * Multi-currency orgs return their CurrencyType rates (and DatedConversionRate rates when advanced
+ * currency management is on); single-currency orgs return their one currency
+ * @param {Object} conn - jsforce connection
+ * @returns {Promise<Object>} Rate table ({ corporateCurrency, currencyTypes, datedRates })
+ */
+const fetchCurrencyRates = async (conn) => {
+  let currencyTypes;
+  
+  try {
+    const result = await conn.query('SELECT IsoCode, ConversionRate, IsCorporate FROM CurrencyType WHERE IsActive = true');
+    currencyTypes = result.records.map(record => ({
+      isoCode: record.IsoCode,
+      conversionRate: record.ConversionRate,
+      isCorporate: record.IsCorporate
+    }));
+  } catch (error) {
+    // CurrencyType only exists once multiple currencies are enabled
+    try {
+      const organization = await conn.query('SELECT DefaultCurrencyIsoCode FROM Organization');
+      const isoCode = organization.records[0].DefaultCurrencyIsoCode;
+      
+      return {
+        corporateCurrency: isoCode,
+        currencyTypes: [{ isoCode, conversionRate: 1, isCorporate: true }],
+        datedRates: []
+      };
+    } catch (orgError) {
+      console.error('Error fetching currency rates:', orgError);
+      throw new Error(`Failed to fetch currency rates: ${orgError.message}`);
+    }
+  }
+  
+  const datedRates = [];
+  
+  try {
+    await queryAllRecords(conn, 'SELECT IsoCode, ConversionRate, StartDate, NextStartDate FROM DatedConversionRate', {
+      onBatch: batch => batch.forEach(record => datedRates.push({
+        isoCode: record.IsoCode,
+        conversionRate: record.ConversionRate,
+        startDate: record.StartDate,
+        nextStartDate: record.NextStartDate
+      }))
+    });
+  } catch (error) {
+    // Without advanced currency management there are no dated rates
+    console.warn('Could not fetch dated conversion rates:', error.message);
+  }
+  
+  const corporate = currencyTypes.find(type => type.isCorporate);
+  
+  return {
+    corporateCurrency: corporate ? corporate.isoCode : config.app.corporateCurrency,
+    currencyTypes,
+    datedRates
+  };
+};
+
+/**
+ * Fetches the IDs of opportunities deleted since a given time
+ * Salesforce only keeps deletion records for about 15 days
+ * @param {Object} conn - jsforce connection
+ * @param {String|Date} since - Start of the window
+ * @returns {Promise<Array>} Array of deleted opportunity IDs
+ */
+const fetchDeletedOpportunityIds = async (conn, since) => {
+  try {
+    const result = await conn.sobject('Opportunity').deleted(new Date(since), new Date());
+    return (result.deletedRecords || []).map(record => record.id);
+  } catch (error) {
+    console.error('Error fetching deleted opportunities:', error);
+    throw new Error(`Failed to fetch deleted opportunities: ${error.message}`);
+  }
+};
+
 module.exports = {
   createConnection,
+  fetchIdentity,
+  queryAllRecords,
+  bulkQueryRecords,
   fetchOpportunities,
   fetchOpportunityFields,
   updateOpportunityProbabilities,
   fetchOpportunityHistory,
-  fetchUsers
+  fetchUsers,
+  fetchDeletedOpportunityIds,
+  fetchCurrencyRates
 };
\ No newline at end of file
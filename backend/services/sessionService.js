@@ -0,0 +1,106 @@
+/**
+ * Session Service
+ * Verifies the Salesforce session behind a request's cookies
+ *
+ * The cookies are set by the client, so the org and user they belong to are
+ * taken from Salesforce's identity service rather than from the cookies themselves
+ */
+
+const { createConnection, fetchIdentity } = require('./salesforceService');
+
+// How long a verified session is trusted before it is checked with Salesforce again
+const SESSION_VERIFY_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Hosts an instance URL may point to
+const SALESFORCE_HOST_PATTERN = /(^|\.)(salesforce\.com|salesforce\.mil)$/i;
+
+// Verified identities, keyed by instance URL and access token
+const verifiedSessions = {};
+
+/**
+ * Checks that an instance URL points to a Salesforce org over HTTPS
+ * @param {String} instanceUrl - Instance URL
+ * @returns {Boolean} Whether the URL is a Salesforce instance URL
+ */
+const isSalesforceInstanceUrl = (instanceUrl) => {
+  try {
+    const { protocol, hostname } = new URL(instanceUrl);
+    return protocol === 'https:' && SALESFORCE_HOST_PATTERN.test(hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Gets the key a request's session is cached under
+ * @param {Object} req - Express request object
+ * @returns {String} Session key
+ */
+const getSessionKey = (req) => `${req.cookies.sf_instance_url} ${req.cookies.sf_access_token}`;
+
+/**
+ * Verifies a request's Salesforce session and records its identity on the request
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Identity ({ organizationId, userId, username }), or null
+ * if the request has no valid session
+ */
+const verifySession = async (req) => {
+  if (req.salesforceIdentity !== undefined) {
+    return req.salesforceIdentity;
+  }
+  
+  const accessToken = req.cookies && req.cookies.sf_access_token;
+  const instanceUrl = req.cookies && req.cookies.sf_instance_url;
+  
+  req.salesforceIdentity = null;
+  
+  if (!accessToken || !isSalesforceInstanceUrl(instanceUrl)) {
+    return null;
+  }
+  
+  const sessionKey = getSessionKey(req);
+  const cached = verifiedSessions[sessionKey];
+  
+  if (cached && cached.expiresAt > Date.now()) {
+    req.salesforceIdentity = cached.identity;
+    return cached.identity;
+  }
+  
+  delete verifiedSessions[sessionKey];
+  
+  try {
+    const identity = await fetchIdentity(createConnection({ accessToken, instanceUrl }));
+    
+    verifiedSessions[sessionKey] = { identity, expiresAt: Date.now() + SESSION_VERIFY_TTL };
+    req.salesforceIdentity = identity;
+    
+    return identity;
+  } catch (error) {
+    console.warn('Salesforce session could not be verified:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Gets the verified identity of a request's Salesforce session
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Identity recorded by verifySession, or null if none was verified
+ */
+const getSessionIdentity = (req) => req.salesforceIdentity || null;
+
+/**
+ * Forgets a request's verified session, so it is checked with Salesforce again if reused
+ * @param {Object} req - Express request object
+ */
+const forgetSession = (req) => {
+  if (req.cookies && req.cookies.sf_access_token) {
+    delete verifiedSessions[getSessionKey(req)];
+  }
+};
+
+module.exports = {
+  isSalesforceInstanceUrl,
+  verifySession,
+  getSessionIdentity,
+  forgetSession
+};
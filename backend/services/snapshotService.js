@@ -0,0 +1,445 @@
+/**
+ * Snapshot Service
+ * Freezes opportunity data into named, immutable snapshots so analyses can be
+ * re-run on exactly the same rows and compared over time
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Snapshot summaries, keyed by snapshot ID (records are loaded on demand)
+let snapshotIndex = null;
+
+// Loaded snapshot records, keyed by snapshot ID
+const snapshotRecords = {};
+
+// Org-qualified names of snapshots being created, so two concurrent creates can't both take a name
+const reservedNames = new Set();
+
+/**
+ * Gets the files a snapshot is persisted to
+ * @param {String} id - Snapshot ID
+ * @returns {Object} File paths ({ meta, records })
+ */
+const getSnapshotPaths = (id) => ({
+  meta: path.join(config.app.snapshotDir, `${id}.meta.json`),
+  records: path.join(config.app.snapshotDir, `${id}.records.json`)
+});
+
+/**
+ * Loads the summaries of all snapshots on disk
+ * @returns {Object} Snapshot summaries keyed by ID
+ */
+const loadSnapshotIndex = () => {
+  if (!snapshotIndex) {
+    snapshotIndex = {};
+    
+    if (fs.existsSync(config.app.snapshotDir)) {
+      fs.readdirSync(config.app.snapshotDir)
+        .filter(file => file.endsWith('.meta.json'))
+        .forEach(file => {
+          const meta = JSON.parse(fs.readFileSync(path.join(config.app.snapshotDir, file), 'utf8'));
+          snapshotIndex[meta.id] = meta;
+        });
+    }
+  }
+  
+  return snapshotIndex;
+};
+
+/**
+ * Serializes a value with object keys in sorted order
+ * @param {*} value - Value to serialize
+ * @returns {String} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hashes a record so changes between snapshots can be detected
+ * @param {Object} record - Opportunity record
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRecord = (record) => {
+  return crypto.createHash('sha256').update(canonicalJson(record)).digest('hex');
+};
+
+/**
+ * Hashes the row hashes of a snapshot as a whole
+ * @param {Object} rowHashes - Row hashes keyed by opportunity ID
+ * @returns {String} SHA-256 hex digest
+ */
+const hashContent = (rowHashes) => {
+  return crypto.createHash('sha256')
+    .update(Object.keys(rowHashes).sort().map(id => `${id}:${rowHashes[id]}`).join('\n'))
+    .digest('hex');
+};
+
+/**
+ * Gets the outcome of an opportunity
+ * @param {Object} record - Opportunity record
+ * @returns {String} 'won', 'lost' or 'open'
+ */
+const getOutcome = (record) => {
+  if (!record.IsClosed) return 'open';
+  return record.IsWon ? 'won' : 'lost';
+};
+
+/**
+ * Checks whether a snapshot exists
+ * @param {String} id - Snapshot ID
+ * @returns {Boolean} True if the snapshot exists
+ */
+const hasSnapshot = (id) => Boolean(id && loadSnapshotIndex()[id]);
+
+/**
+ * Checks whether a snapshot belongs to an org
+ * @param {String} id - Snapshot ID
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Boolean} True if the snapshot exists and was created by the org
+ */
+const isSnapshotOwnedBy = (id, orgId) => Boolean(orgId && hasSnapshot(id) && loadSnapshotIndex()[id].orgId === orgId);
+
+/**
+ * Finds one of an org's snapshots by name
+ * @param {String} name - Snapshot name
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Object|null} Snapshot summary
+ */
+const findSnapshotByName = (name, orgId) => {
+  return Object.values(loadSnapshotIndex()).find(snapshot => snapshot.name === name && snapshot.orgId === orgId) || null;
+};
+
+/**
+ * Reserves a snapshot name within an org until the snapshot is created (see releaseSnapshotName)
+ * @param {String} name - Snapshot name
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Boolean} True if the name was free and is now reserved
+ */
+const reserveSnapshotName = (name, orgId) => {
+  if (reservedNames.has(`${orgId}/${name}`) || findSnapshotByName(name, orgId)) {
+    return false;
+  }
+  
+  reservedNames.add(`${orgId}/${name}`);
+  return true;
+};
+
+/**
+ * Releases a reserved snapshot name
+ * @param {String} name - Snapshot name
+ * @param {String} orgId - Salesforce organization ID
+ */
+const releaseSnapshotName = (name, orgId) => {
+  reservedNames.delete(`${orgId}/${name}`);
+};
+
+/**
+ * Gets a snapshot summary without its records, field metadata or currency rates
+ * @param {String} id - Snapshot ID
+ * @returns {Object|null} Snapshot summary
+ */
+const getSnapshotSummary = (id) => {
+  const meta = loadSnapshotIndex()[id];
+  if (!meta) return null;
+  
+  const { fieldMetadata, currencyRates, ...summary } = meta;
+  return summary;
+};
+
+/**
+ * Lists an org's snapshots, newest first
+ * @param {String} orgId - Salesforce organization ID
+ * @returns {Array} Snapshot summaries
+ */
+const listSnapshots = (orgId) => {
+  return Object.keys(loadSnapshotIndex())
+    .filter(id => isSnapshotOwnedBy(id, orgId))
+    .map(getSnapshotSummary)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Gets the field metadata captured with a snapshot
+ * @param {String} id - Snapshot ID
+ * @returns {Array} Field metadata
+ */
+const getSnapshotFieldMetadata = (id) => {
+  if (!hasSnapshot(id)) {
+    throw new Error(`Snapshot not found: ${id}`);
+  }
+  
+  return loadSnapshotIndex()[id].fieldMetadata;
+};
+
+/**
+ * Gets the currency rates captured with a snapshot
+ * @param {String} id - Snapshot ID
+ * @returns {Object|null} Rate table
+ */
+const getSnapshotCurrencyRates = (id) => {
+  if (!hasSnapshot(id)) {
+    throw new Error(`Snapshot not found: ${id}`);
+  }
+  
+  return loadSnapshotIndex()[id].currencyRates || null;
+};
+
+/**
+ * Checks that snapshot contents read from disk are the ones that were captured
+ * @param {Object} meta - Snapshot metadata
+ * @param {Object} contents - Snapshot contents ({ records, rowHashes, history })
+ * @throws {Error} When a record, the set of records or the stage history has changed
+ */
+const verifySnapshotContents = (meta, contents) => {
+  const { records, rowHashes, history } = contents;
+  
+  const changed = records.find(record => hashRecord(record) !== rowHashes[record.Id]);
+  if (changed || records.length !== Object.keys(rowHashes).length) {
+    throw new Error(`Snapshot ${meta.id} failed its integrity check: ${changed ? `record ${changed.Id} has changed` : 'records are missing'}`);
+  }
+  
+  if (hashContent(rowHashes) !== meta.contentHash) {
+    throw new Error(`Snapshot ${meta.id} failed its integrity check: the row hashes don't match the snapshot`);
+  }
+  
+  if (meta.historyHash && hashRecord(history || null) !== meta.historyHash) {
+    throw new Error(`Snapshot ${meta.id} failed its integrity check: the stage history has changed`);
+  }
+};
+
+/**
+ * Gets the records, row hashes and stage history of a snapshot, verified against its hashes
+ * when first read from disk
+ * @param {String} id - Snapshot ID
+ * @returns {Object} Snapshot contents ({ records, rowHashes, history })
+ */
+const getSnapshotContents = (id) => {
+  if (!hasSnapshot(id)) {
+    throw new Error(`Snapshot not found: ${id}`);
+  }
+  
+  if (!snapshotRecords[id]) {
+    const contents = JSON.parse(fs.readFileSync(getSnapshotPaths(id).records, 'utf8'));
+    verifySnapshotContents(loadSnapshotIndex()[id], contents);
+    snapshotRecords[id] = contents;
+  }
+  
+  return snapshotRecords[id];
+};
+
+/**
+ * Gets the records of a snapshot
+ * @param {String} id - Snapshot ID
+ * @returns {Array} Opportunity records (the stored array, not a copy)
+ */
+const getSnapshotRecords = (id) => getSnapshotContents(id).records;
+
+/**
+ * Gets the stage history captured with a snapshot
+ * @param {String} id - Snapshot ID
+ * @returns {Array} OpportunityHistory records (empty for snapshots taken without history)
+ */
+const getSnapshotHistory = (id) => getSnapshotContents(id).history || [];
+
+/**
+ * Creates an immutable snapshot from a data source, with the stage history of its opportunities
+ * so stage funnels and stage models can run on it
+ * @param {Object} dataSource - Data source to snapshot
+ * @param {Object} options - Snapshot options
+ * @param {String} options.name - Unique snapshot name (reserve it first with reserveSnapshotName)
+ * @param {String} options.description - Free-text description
+ * @param {Array} options.fields - Fields to capture (all available fields when omitted)
+ * @param {Object} options.filters - Filters (see utils/filterUtils)
+ * @param {Boolean} options.isClosed - Restrict to closed (true) or open (false) opportunities
+ * @param {Object} options.historySource - Data source to read stage history from (the sync store
+ *   keeps none, so this is the live source when dataSource is a sync store)
+ * @param {String} options.orgId - Salesforce organization the snapshot belongs to
+ * @returns {Promise<Object>} Snapshot summary
+ */
+const createSnapshot = async (dataSource, options = {}) => {
+  const { name, description = '', fields, filters = {}, isClosed, historySource = dataSource, orgId } = options;
+  
+  if (!orgId) {
+    throw new Error('A snapshot must belong to an org');
+  }
+  
+  if (findSnapshotByName(name, orgId)) {
+    throw new Error(`A snapshot named "${name}" already exists`);
+  }
+  
+  const [queryResult, fieldMetadata, currencyRates] = await Promise.all([
+    dataSource.fetchOpportunities({ fields, filters, isClosed, orderBy: 'Id ASC' }),
+    dataSource.fetchOpportunityFields(),
+    dataSource.fetchCurrencyRates()
+  ]);
+  
+  const { records } = queryResult;
+  
+  // A snapshot without history still serves everything but stage analyses
+  let history = null;
+  if (records.length > 0) {
+    try {
+      history = await historySource.fetchOpportunityHistory({ opportunityIds: records.map(record => record.Id) });
+    } catch (error) {
+      console.warn('Could not capture stage history for snapshot:', error.message);
+    }
+  }
+  
+  const capturedFields = fields || [...new Set(records.flatMap(record => Object.keys(record)))];
+  
+  // Hash every row, then the sorted row hashes for the snapshot as a whole
+  const rowHashes = {};
+  records.forEach(record => {
+    rowHashes[record.Id] = hashRecord(record);
+  });
+  
+  const contentHash = hashContent(rowHashes);
+  
+  const id = `snap_${crypto.randomBytes(6).toString('hex')}`;
+  
+  const meta = {
+    id,
+    name,
+    description,
+    orgId,
+    createdAt: new Date().toISOString(),
+    source: {
+      type: dataSource.type,
+      syncedAt: dataSource.lastSyncAt || null
+    },
+    filters,
+    isClosed: isClosed === undefined ? null : isClosed,
+    fields: capturedFields,
+    fieldMetadata: fieldMetadata.filter(field => capturedFields.includes(field.name)),
+    currencyRates,
+    recordCount: records.length,
+    availableCount: queryResult.totalSize,
+    truncated: queryResult.truncated,
+    closedCount: records.filter(record => record.IsClosed).length,
+    wonCount: records.filter(record => record.IsWon).length,
+    historyCount: history ? history.length : null,
+    contentHash,
+    historyHash: hashRecord(history)
+  };
+  
+  // Write the records first so the snapshot only appears once it's complete
+  const paths = getSnapshotPaths(id);
+  await fs.promises.mkdir(config.app.snapshotDir, { recursive: true });
+  await fs.promises.writeFile(paths.records, JSON.stringify({ records, rowHashes, history }));
+  await fs.promises.writeFile(paths.meta, JSON.stringify(meta, null, 2));
+  
+  loadSnapshotIndex()[id] = meta;
+  
+  return getSnapshotSummary(id);
+};
+
+/**
+ * Deletes a snapshot
+ * @param {String} id - Snapshot ID
+ * @returns {Promise<Boolean>} True if a snapshot was removed
+ */
+const deleteSnapshot = async (id) => {
+  if (!hasSnapshot(id)) return false;
+  
+  const paths = getSnapshotPaths(id);
+  await fs.promises.rm(paths.meta, { force: true });
+  await fs.promises.rm(paths.records, { force: true });
+  
+  delete loadSnapshotIndex()[id];
+  delete snapshotRecords[id];
+  
+  return true;
+};
+
+/**
+ * Compares two snapshots
+ * @param {String} baseId - Earlier snapshot ID
+ * @param {String} compareId - Later snapshot ID
+ * @returns {Object} Added, removed, outcome-changed and otherwise changed opportunities
+ */
+const diffSnapshots = (baseId, compareId) => {
+  const base = getSnapshotContents(baseId);
+  const compare = getSnapshotContents(compareId);
+  
+  const baseById = new Map(base.records.map(record => [record.Id, record]));
+  const compareById = new Map(compare.records.map(record => [record.Id, record]));
+  
+  const added = compare.records
+    .filter(record => !baseById.has(record.Id))
+    .map(record => ({ id: record.Id, name: record.Name || null, outcome: getOutcome(record) }));
+  
+  const removed = base.records
+    .filter(record => !compareById.has(record.Id))
+    .map(record => ({ id: record.Id, name: record.Name || null, outcome: getOutcome(record) }));
+  
+  const outcomeChanged = [];
+  const changed = [];
+  let unchangedCount = 0;
+  
+  compare.records.forEach(record => {
+    const previous = baseById.get(record.Id);
+    if (!previous) return;
+    
+    if (base.rowHashes[record.Id] === compare.rowHashes[record.Id]) {
+      unchangedCount++;
+      return;
+    }
+    
+    const changedFields = [...new Set([...Object.keys(previous), ...Object.keys(record)])]
+      .filter(field => canonicalJson(previous[field]) !== canonicalJson(record[field]));
+    
+    const from = getOutcome(previous);
+    const to = getOutcome(record);
+    
+    if (from !== to) {
+      outcomeChanged.push({ id: record.Id, name: record.Name || null, from, to, changedFields });
+    } else {
+      changed.push({ id: record.Id, name: record.Name || null, changedFields });
+    }
+  });
+  
+  return {
+    base: getSnapshotSummary(baseId),
+    compare: getSnapshotSummary(compareId),
+    summary: {
+      addedCount: added.length,
+      removedCount: removed.length,
+      outcomeChangedCount: outcomeChanged.length,
+      changedCount: changed.length,
+      unchangedCount
+    },
+    added,
+    removed,
+    outcomeChanged,
+    changed
+  };
+};
+
+module.exports = {
+  hasSnapshot,
+  isSnapshotOwnedBy,
+  findSnapshotByName,
+  reserveSnapshotName,
+  releaseSnapshotName,
+  getSnapshotSummary,
+  listSnapshots,
+  getSnapshotRecords,
+  getSnapshotHistory,
+  getSnapshotFieldMetadata,
+  getSnapshotCurrencyRates,
+  createSnapshot,
+  deleteSnapshot,
+  diffSnapshots
+};
@@ -0,0 +1,544 @@
+/**
+ * Stage Model Service
+ * Estimates the win probability of open opportunities from where they are in the sales process:
+ * P(win | current stage, days in stage, dimensions), learned from the stage history of closed
+ * opportunities and compared against Salesforce's default stage probabilities
+ */
+
+const math = require('mathjs');
+const { computeLogLoss, computeBrierScore } = require('../utils/evaluationUtils');
+const { getDefaultThresholds, categorizeProbability } = require('../utils/thresholdUtils');
+const { computeShapleyValues } = require('../utils/explanationUtils');
+const { getStageOrder, buildStagePaths } = require('./funnelService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Lower bounds (in days) of the days-in-stage buckets
+const DEFAULT_AGE_BUCKETS = [0, 14, 30, 60, 90, 180];
+
+// Weight of the prior when shrinking small-sample rates (in pseudo-observations)
+const DEFAULT_PRIOR_STRENGTH = 10;
+
+// Keeps probabilities away from 0 and 1 so log-odds stay finite
+const clampProbability = p => Math.min(1 - 1e-6, Math.max(1e-6, p));
+const logit = p => Math.log(clampProbability(p) / (1 - clampProbability(p)));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Shrinks an observed rate toward a prior rate
+ * @param {Number} wins - Observed wins
+ * @param {Number} total - Observations
+ * @param {Number} prior - Prior rate
+ * @param {Number} strength - Prior weight in pseudo-observations
+ * @returns {Number} Smoothed rate
+ */
+const smoothRate = (wins, total, prior, strength) => (wins + strength * prior) / (total + strength);
+
+/**
+ * Finds the bucket a number of days in stage falls into
+ * @param {Number} days - Days in stage
+ * @param {Array} ageBuckets - Bucket lower bounds, ascending
+ * @returns {Number} Bucket index
+ */
+const getAgeBucket = (days, ageBuckets) => {
+  let bucket = 0;
+  ageBuckets.forEach((lowerBound, index) => {
+    if (days >= lowerBound) bucket = index;
+  });
+  return bucket;
+};
+
+/**
+ * Describes a days-in-stage bucket
+ * @param {Number} index - Bucket index
+ * @param {Array} ageBuckets - Bucket lower bounds
+ * @returns {String} Label, e.g. '30-59 days' or '180+ days'
+ */
+const getAgeBucketLabel = (index, ageBuckets) => {
+  const next = ageBuckets[index + 1];
+  return next === undefined ? `${ageBuckets[index]}+ days` : `${ageBuckets[index]}-${next - 1} days`;
+};
+
+/**
+ * Builds the value bins of the model dimensions
+ * Numeric dimensions are split at their quartiles; other dimensions keep their values.
+ * @param {Array} opportunities - Training opportunities
+ * @param {Array} dimensions - Dimension names
+ * @returns {Object} Quartile cut points of numeric dimensions, keyed by dimension
+ */
+const buildDimensionBins = (opportunities, dimensions) => {
+  const bins = {};
+  
+  dimensions.forEach(dimension => {
+    const values = opportunities.map(opp => opp[dimension]);
+    const numbers = values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+    
+    // Treat a dimension as numeric when most of its values are numbers with enough distinct values
+    if (numbers.length > values.length / 2 && new Set(numbers).size > 4) {
+      bins[dimension] = [0.25, 0.5, 0.75].map(q => numbers[Math.floor(q * (numbers.length - 1))]);
+    }
+  });
+  
+  return bins;
+};
+
+/**
+ * Gets the level of a dimension value used by the model
+ * @param {*} value - Raw value
+ * @param {Array} cutPoints - Quartile cut points (numeric dimensions only)
+ * @returns {String} Level
+ */
+const getDimensionLevel = (value, cutPoints) => {
+  if (value === null || value === undefined || value === '') return 'Unknown';
+  if (!cutPoints) return String(value);
+  
+  const number = Number(value);
+  if (isNaN(number)) return 'Unknown';
+  
+  const quartile = cutPoints.filter(cut => number > cut).length;
+  return `Q${quartile + 1}`;
+};
+
+/**
+ * Computes absorption probabilities of the stage transition chain
+ * Open stages are transient states and won/lost are absorbing, so the probability of eventually
+ * winning from each stage is B = (I - Q)^-1 R.
+ * @param {Array} paths - Stage paths of closed opportunities ({ stages, isWon })
+ * @param {Array} openStages - Open stages in order
+ * @returns {Object} Markov chain ({ transitionMatrix, winProbability })
+ */
+const buildMarkovChain = (paths, openStages) => {
+  const n = openStages.length;
+  const counts = openStages.map(() => Array(n + 2).fill(0));
+  const index = stage => openStages.indexOf(stage);
+  
+  paths.forEach(({ stages, isWon }) => {
+    for (let i = 0; i < stages.length; i++) {
+      const from = index(stages[i]);
+      if (from === -1) continue;
+      
+      // Moves to an open stage, otherwise the deal closed (columns n and n + 1 are won and lost)
+      const nextOpen = i + 1 < stages.length ? index(stages[i + 1]) : -1;
+      const to = nextOpen !== -1 ? nextOpen : (isWon ? n : n + 1);
+      counts[from][to]++;
+    }
+  });
+  
+  const transitionMatrix = counts.map(row => {
+    const total = row.reduce((sum, count) => sum + count, 0);
+    return total > 0 ? row.map(count => count / total) : row.map((_, j) => (j === n + 1 ? 1 : 0));
+  });
+  
+  const winProbability = {};
+  
+  try {
+    const Q = transitionMatrix.map(row => row.slice(0, n));
+    const R = transitionMatrix.map(row => [row[n]]);
+    const B = math.multiply(math.inv(math.subtract(math.identity(n), Q)), R).toArray();
+    
+    openStages.forEach((stage, i) => {
+      winProbability[stage] = Math.min(1, Math.max(0, B[i][0]));
+    });
+  } catch (error) {
+    // A chain with no way out of a stage (e.g. every deal loops) has no absorption probabilities
+    openStages.forEach(stage => {
+      winProbability[stage] = null;
+    });
+  }
+  
+  return {
+    states: [...openStages, 'Won', 'Lost'],
+    transitionMatrix,
+    winProbability
+  };
+};
+
+/**
+ * Finds the current stage of each open opportunity and how long it has been there
+ * @param {Array} opportunities - Opportunity records
+ * @param {Array} history - OpportunityHistory records
+ * @param {Date} now - Reference time
+ * @returns {Array} The same opportunities with StageEnteredDate and DaysInStage set where known
+ */
+const attachStageAges = (opportunities, history, now = new Date()) => {
+  const paths = buildStagePaths(opportunities, history);
+  
+  return opportunities.map(opportunity => {
+    const visits = paths.get(opportunity.Id);
+    const current = visits && visits[visits.length - 1];
+    
+    if (!current || (opportunity.StageName && current.stage !== opportunity.StageName)) {
+      return opportunity;
+    }
+    
+    return {
+      ...opportunity,
+      StageEnteredDate: current.enteredAt,
+      DaysInStage: (now - new Date(current.enteredAt)) / MS_PER_DAY
+    };
+  });
+};
+
+/**
+ * Gets the number of days an opportunity has been in its current stage
+ * @param {Object} opportunity - Opportunity (DaysInStage, StageEnteredDate or LastStageChangeDate)
+ * @param {Date} now - Reference time
+ * @returns {Number|null} Days in stage, or null if unknown
+ */
+const getDaysInStage = (opportunity, now = new Date()) => {
+  if (opportunity.DaysInStage !== undefined && opportunity.DaysInStage !== null && !isNaN(Number(opportunity.DaysInStage))) {
+    return Math.max(0, Number(opportunity.DaysInStage));
+  }
+  
+  const entered = opportunity.StageEnteredDate || opportunity.LastStageChangeDate;
+  if (entered && !isNaN(new Date(entered))) {
+    return Math.max(0, (now - new Date(entered)) / MS_PER_DAY);
+  }
+  
+  return null;
+};
+
+/**
+ * Builds a stage-conditional win probability model
+ * Every stage visit of a closed opportunity is an observation of "a deal in stage S that has been
+ * there at least A days", for each age bucket A the visit lasted into. Rates per stage and bucket
+ * are shrunk toward the stage rate, which is shrunk toward the overall rate. Dimensions adjust the
+ * log-odds by how much more or less often deals with that value won than their stage predicted.
+ * @param {Array} opportunities - Closed opportunities (Id, StageName, IsClosed, IsWon and dimensions)
+ * @param {Array} history - OpportunityHistory records (OpportunityId, StageName, Probability, CreatedDate)
+ * @param {Object} options - Model options
+ * @param {Array} options.dimensions - Dimensions that adjust the stage probability
+ * @param {Array} options.fieldMetadata - Opportunity field metadata (for the stage order)
+ * @param {Array} options.ageBuckets - Lower bounds of the days-in-stage buckets
+ * @param {Number} options.priorStrength - Prior weight in pseudo-observations
+ * @param {Object} options.thresholds - High/Low category thresholds ({ high, low }), defaulting to the configured ones
+ * @returns {Object} Model, stage comparison and metrics ({ model, comparison, metrics })
+ */
+const buildStageModel = (opportunities, history, options = {}) => {
+  try {
+    const {
+      dimensions = [],
+      fieldMetadata = [],
+      ageBuckets = DEFAULT_AGE_BUCKETS,
+      priorStrength = DEFAULT_PRIOR_STRENGTH,
+      thresholds
+    } = options;
+    
+    const closed = opportunities.filter(opp => opp.IsClosed);
+    const stageOrder = getStageOrder(closed, history, fieldMetadata);
+    const { openStages } = stageOrder;
+    const paths = buildStagePaths(closed, history);
+    
+    // One observation per stage visit and age bucket reached
+    const observations = [];
+    
+    closed.forEach(opportunity => {
+      const visits = paths.get(opportunity.Id);
+      if (!visits) return;
+      
+      visits.forEach(visit => {
+        if (!openStages.includes(visit.stage)) return;
+        
+        const exited = visit.exitedAt || opportunity.CloseDate;
+        const days = exited ? Math.max(0, (new Date(exited) - new Date(visit.enteredAt)) / MS_PER_DAY) : 0;
+        const lastBucket = getAgeBucket(days, ageBuckets);
+        
+        for (let bucket = 0; bucket <= lastBucket; bucket++) {
+          observations.push({ opportunity, stage: visit.stage, bucket, won: opportunity.IsWon ? 1 : 0 });
+        }
+      });
+    });
+    
+    if (observations.length === 0) {
+      throw new Error('No stage history found for closed opportunities');
+    }
+    
+    const entryObservations = observations.filter(observation => observation.bucket === 0);
+    const overallRate = entryObservations.reduce((sum, observation) => sum + observation.won, 0) / entryObservations.length;
+    
+    // Stage rates, then stage-by-age rates
+    const tally = (filter) => {
+      const matching = observations.filter(filter);
+      return { wins: matching.reduce((sum, observation) => sum + observation.won, 0), total: matching.length };
+    };
+    
+    const stageRates = {};
+    openStages.forEach(stage => {
+      const entry = tally(observation => observation.stage === stage && observation.bucket === 0);
+      const stageRate = smoothRate(entry.wins, entry.total, overallRate, priorStrength);
+      
+      stageRates[stage] = {
+        probability: stageRate,
+        sampleSize: entry.total,
+        byAge: ageBuckets.map((lowerBound, bucket) => {
+          const aged = tally(observation => observation.stage === stage && observation.bucket === bucket);
+          return {
+            bucket: getAgeBucketLabel(bucket, ageBuckets),
+            minDays: lowerBound,
+            probability: smoothRate(aged.wins, aged.total, stageRate, priorStrength),
+            sampleSize: aged.total
+          };
+        })
+      };
+    });
+    
+    const baseProbability = (stage, bucket) => stageRates[stage].byAge[bucket].probability;
+    
+    // Dimension adjustments in log-odds, estimated on stage entries so long-lived deals aren't over-counted
+    const bins = buildDimensionBins(closed, dimensions);
+    const adjustments = {};
+    
+    dimensions.forEach(dimension => {
+      const levels = {};
+      
+      entryObservations.forEach(observation => {
+        const level = getDimensionLevel(observation.opportunity[dimension], bins[dimension]);
+        if (!levels[level]) levels[level] = { observed: 0, expected: 0, total: 0 };
+        
+        levels[level].observed += observation.won;
+        levels[level].expected += baseProbability(observation.stage, 0);
+        levels[level].total++;
+      });
+      
+      adjustments[dimension] = {};
+      Object.entries(levels).forEach(([level, { observed, expected, total }]) => {
+        const expectedRate = expected / total;
+        adjustments[dimension][level] = {
+          logOdds: logit(smoothRate(observed, total, expectedRate, priorStrength)) - logit(expectedRate),
+          sampleSize: total
+        };
+      });
+    });
+    
+    // Salesforce default probability per stage, from the probabilities recorded in the history
+    const salesforceProbability = {};
+    openStages.forEach(stage => {
+      const recorded = history
+        .filter(record => record.StageName === stage && typeof record.Probability === 'number')
+        .map(record => record.Probability / 100);
+      salesforceProbability[stage] = recorded.length > 0 ? math.median(recorded) : null;
+    });
+    
+    const markov = buildMarkovChain(
+      closed
+        .filter(opp => paths.has(opp.Id))
+        .map(opp => ({ stages: paths.get(opp.Id).map(visit => visit.stage), isWon: Boolean(opp.IsWon) })),
+      openStages
+    );
+    
+    const model = attachStagePredictor({
+      type: 'stage',
+      dimensions,
+      stages: openStages,
+      wonStages: stageOrder.wonStages,
+      lostStages: stageOrder.lostStages,
+      ageBuckets,
+      overallRate,
+      stageRates,
+      dimensionBins: bins,
+      adjustments,
+      markovWinProbability: markov.winProbability,
+      salesforceProbability,
+      thresholds: { ...getDefaultThresholds(), ...thresholds }
+    });
+    
+    // In-sample comparison on stage entries
+    const brier = (predictions) => computeBrierScore(predictions.map(({ won }) => won), predictions.map(({ p }) => p));
+    const logLoss = (predictions) => computeLogLoss(
+      predictions.map(({ won }) => won),
+      predictions.map(({ p }) => clampProbability(p))
+    );
+    
+    const scored = entryObservations.filter(observation => salesforceProbability[observation.stage] !== null);
+    const modelPredictions = scored.map(observation => ({
+      p: explainStagePrediction({ ...observation.opportunity, StageName: observation.stage, DaysInStage: 0 }, model).probability,
+      won: observation.won
+    }));
+    const salesforcePredictions = scored.map(observation => ({
+      p: salesforceProbability[observation.stage],
+      won: observation.won
+    }));
+    
+    const comparison = openStages.map(stage => ({
+      stage,
+      sampleSize: stageRates[stage].sampleSize,
+      salesforceProbability: salesforceProbability[stage],
+      modelProbability: stageRates[stage].probability,
+      markovProbability: markov.winProbability[stage],
+      difference: salesforceProbability[stage] !== null
+        ? stageRates[stage].probability - salesforceProbability[stage]
+        : null,
+      byAge: stageRates[stage].byAge
+    }));
+    
+    return {
+      model,
+      comparison,
+      markov,
+      metrics: {
+        inSample: true,
+        observationCount: scored.length,
+        opportunityCount: paths.size,
+        brierScore: {
+          model: scored.length > 0 ? brier(modelPredictions) : null,
+          salesforce: scored.length > 0 ? brier(salesforcePredictions) : null
+        },
+        logLoss: {
+          model: scored.length > 0 ? logLoss(modelPredictions) : null,
+          salesforce: scored.length > 0 ? logLoss(salesforcePredictions) : null
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Error building stage model:', error);
+    throw new Error(`Failed to build stage model: ${error.message}`);
+  }
+};
+
+/**
+ * Explains a stage model prediction
+ * @param {Object} opportunity - StageName, days in stage and dimension values
+ * @param {Object} model - Stage model
+ * @returns {Object} Probability, stage details and dimension contributions in log-odds
+ */
+const explainStagePrediction = (opportunity, model) => {
+  const stage = opportunity.StageName;
+  
+  // Closed deals are already decided
+  if (model.wonStages.includes(stage) || model.lostStages.includes(stage)) {
+    const probability = model.wonStages.includes(stage) ? 1 : 0;
+    
+    return {
+      probability,
+      stage,
+      daysInStage: null,
+      ageBucket: null,
+      stageProbability: probability,
+      baseline: logit(probability),
+      contributions: [],
+      knownStage: true
+    };
+  }
+  
+  const stageRate = model.stageRates[stage];
+  const daysInStage = getDaysInStage(opportunity);
+  const bucket = daysInStage === null ? null : getAgeBucket(daysInStage, model.ageBuckets);
+  
+  // Unknown stages and ages fall back to the stage or overall rate
+  const stageProbability = stageRate
+    ? (bucket === null ? stageRate.probability : stageRate.byAge[bucket].probability)
+    : model.overallRate;
+  
+  const contributions = model.dimensions.map(dimension => {
+    const level = getDimensionLevel(opportunity[dimension], model.dimensionBins[dimension]);
+    const adjustment = model.adjustments[dimension][level];
+    
+    return {
+      dimension,
+      value: opportunity[dimension],
+      level,
+      contribution: adjustment ? adjustment.logOdds : 0,
+      sampleSize: adjustment ? adjustment.sampleSize : 0
+    };
+  });
+  
+  const baseline = logit(stageProbability);
+  const probability = sigmoid(baseline + contributions.reduce((sum, item) => sum + item.contribution, 0));
+  
+  return {
+    probability,
+    stage,
+    daysInStage,
+    ageBucket: bucket === null ? null : getAgeBucketLabel(bucket, model.ageBuckets),
+    stageProbability,
+    baseline,
+    contributions,
+    knownStage: Boolean(stageRate)
+  };
+};
+
+/**
+ * Adds the predict function to a stage model (on training, or when it is loaded from plain JSON)
+ * @param {Object} model - Stage model without functions
+ * @returns {Object} Stage model with predict(features), taking StageName, days in stage and dimension values
+ */
+const attachStagePredictor = (model) => {
+  const restored = { ...model };
+  restored.predict = (features) => explainStagePrediction(features, restored).probability;
+  return restored;
+};
+
+/**
+ * Predicts the win probability of an opportunity with a stage model
+ * Returns the same shape as predictionService.predictWinRate, plus stage details; contributions
+ * are Shapley values in probability points starting from the stage's win rate, with each
+ * dimension's log-odds adjustment kept as logOdds.
+ * @param {Object} opportunity - Opportunity (StageName, DaysInStage/StageEnteredDate/LastStageChangeDate, dimensions)
+ * @param {Object} model - Stage model
+ * @param {Object} options - Prediction options ({ explain, seed }, as for predictWinRate)
+ * @returns {Object} Prediction results
+ */
+const predictStageWinRate = (opportunity, model, options = {}) => {
+  const { explain = true, seed } = options;
+  const explanation = explainStagePrediction(opportunity, model);
+  const { probability } = explanation;
+  const shapley = explain ? computeShapleyValues(
+    known => sigmoid(explanation.baseline + explanation.contributions.reduce(
+      (sum, item, j) => sum + (known[j] ? item.contribution : 0),
+      0
+    )),
+    explanation.contributions.length,
+    { seed }
+  ) : null;
+  
+  const contributions = shapley ? explanation.contributions
+    .map((item, j) => ({
+      ...item,
+      logOdds: item.contribution,
+      contribution: shapley.values[j] * 100,
+      absoluteContribution: Math.abs(shapley.values[j] * 100)
+    }))
+    .sort((a, b) => b.absoluteContribution - a.absoluteContribution) : null;
+  
+  // Calculate prediction category
+  const category = categorizeProbability(probability, model.thresholds);
+  
+  return {
+    opportunity: opportunity.Id || 'New Opportunity',
+    probability,
+    winProbabilityPercent: (probability * 100).toFixed(2),
+    category,
+    contributions,
+    baselineContribution: shapley ? explanation.stageProbability * 100 : null,
+    explanation: shapley ? {
+      method: shapley.method,
+      samples: shapley.samples,
+      baselineProbability: explanation.stageProbability,
+      units: 'probability points'
+    } : null,
+    topPositiveFactors: contributions ? contributions
+      .filter(c => c.contribution > 0)
+      .slice(0, 3) : null,
+    topNegativeFactors: contributions ? contributions
+      .filter(c => c.contribution < 0)
+      .slice(0, 3) : null,
+    stage: {
+      name: explanation.stage,
+      known: explanation.knownStage,
+      daysInStage: explanation.daysInStage,
+      ageBucket: explanation.ageBucket,
+      stageProbability: explanation.stageProbability,
+      markovProbability: model.markovWinProbability[explanation.stage] ?? null,
+      salesforceProbability: model.salesforceProbability[explanation.stage] ?? null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_AGE_BUCKETS,
+  attachStageAges,
+  getDaysInStage,
+  buildStageModel,
+  attachStagePredictor,
+  predictStageWinRate
+};
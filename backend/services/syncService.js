@@ -0,0 +1,317 @@
+/**
+ * Sync Service
+ * Keeps a local copy of each org's opportunities on disk, refreshed incrementally
+ * from SystemModstamp watermarks, so repeated analyses don't re-query Salesforce
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Field types that are never useful for analysis and are skipped when syncing
+const UNSYNCED_FIELD_TYPES = ['base64', 'address', 'location', 'textarea', 'encryptedstring'];
+
+// Fields needed to keep the store up to date
+const WATERMARK_FIELDS = ['LastModifiedDate', 'SystemModstamp'];
+
+// Loaded stores, keyed by store key
+const stores = {};
+
+// Store keys with a sync in progress
+const runningSyncs = {};
+
+/**
+ * Gets the file a store is persisted to
+ * @param {String} storeKey - Store key
+ * @returns {String} File path
+ */
+const getStorePath = (storeKey) => {
+  return path.join(config.app.syncStoreDir, `${storeKey.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+};
+
+/**
+ * Loads a store from memory or disk
+ * @param {String} storeKey - Store key
+ * @returns {Object|null} Store, or null if the store has never been synced
+ */
+const loadStore = (storeKey) => {
+  if (!stores[storeKey]) {
+    const storePath = getStorePath(storeKey);
+    
+    if (!fs.existsSync(storePath)) {
+      return null;
+    }
+    
+    stores[storeKey] = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  }
+  
+  return stores[storeKey];
+};
+
+/**
+ * Persists a store to disk (written to a temporary file first so a crash can't corrupt it)
+ * @param {Object} store - Store
+ * @returns {Promise<void>}
+ */
+const saveStore = async (store) => {
+  const storePath = getStorePath(store.storeKey);
+  const tempPath = `${storePath}.tmp`;
+  
+  await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify(store));
+  await fs.promises.rename(tempPath, storePath);
+  
+  stores[store.storeKey] = store;
+};
+
+/**
+ * Gets the modification timestamp of a record
+ * @param {Object} record - Opportunity record
+ * @returns {String|null} SystemModstamp, falling back to LastModifiedDate
+ */
+const getModstamp = (record) => record.SystemModstamp || record.LastModifiedDate || null;
+
+/**
+ * Finds the latest modification timestamp in a set of records
+ * @param {Array} records - Opportunity records
+ * @param {String|null} current - Current watermark
+ * @returns {String|null} New watermark
+ */
+const computeWatermark = (records, current = null) => {
+  return records.reduce((latest, record) => {
+    const modstamp = getModstamp(record);
+    
+    if (modstamp && (!latest || new Date(modstamp) > new Date(latest))) {
+      return modstamp;
+    }
+    
+    return latest;
+  }, current);
+};
+
+/**
+ * Determines which fields to keep in the store
+ * @param {Array} fieldMetadata - Opportunity field metadata from the data source
+ * @param {Array} extraFields - Additional fields requested (e.g. relationship fields)
+ * @returns {Array} Field names
+ */
+const selectSyncFields = (fieldMetadata, extraFields = []) => {
+  const metadataFields = fieldMetadata
+    .filter(field => !UNSYNCED_FIELD_TYPES.includes(field.type))
+    .map(field => field.name);
+  
+  return [...new Set([
+    ...config.app.defaultOpportunityFields,
+    ...WATERMARK_FIELDS,
+    ...metadataFields,
+    ...extraFields
+  ])];
+};
+
+/**
+ * Checks whether a store has been synced
+ * @param {String} storeKey - Store key
+ * @returns {Boolean} True if the store exists
+ */
+const hasSyncedStore = (storeKey) => Boolean(storeKey && loadStore(storeKey));
+
+/**
+ * Checks whether a sync is running for a store
+ * @param {String} storeKey - Store key
+ * @returns {Boolean} True if a sync is in progress
+ */
+const isSyncRunning = (storeKey) => Boolean(runningSyncs[storeKey]);
+
+/**
+ * Gets the synced records of a store
+ * @param {String} storeKey - Store key
+ * @returns {Array} Opportunity records (the stored array, not a copy)
+ */
+const getSyncedRecords = (storeKey) => {
+  const store = loadStore(storeKey);
+  if (!store) {
+    throw new Error(`No synced opportunities for ${storeKey}`);
+  }
+  
+  return store.records;
+};
+
+/**
+ * Gets the field names and metadata kept in a store
+ * @param {String} storeKey - Store key
+ * @returns {Object} Fields ({ fields, fieldMetadata })
+ */
+const getSyncedFields = (storeKey) => {
+  const store = loadStore(storeKey);
+  if (!store) {
+    throw new Error(`No synced opportunities for ${storeKey}`);
+  }
+  
+  return {
+    fields: store.fields,
+    fieldMetadata: store.fieldMetadata
+  };
+};
+
+/**
+ * Gets the currency rates captured with a store
+ * @param {String} storeKey - Store key
+ * @returns {Object|null} Rate table
+ */
+const getSyncedCurrencyRates = (storeKey) => {
+  const store = loadStore(storeKey);
+  if (!store) {
+    throw new Error(`No synced opportunities for ${storeKey}`);
+  }
+  
+  return store.currencyRates || null;
+};
+
+/**
+ * Gets the sync status of a store
+ * @param {String} storeKey - Store key
+ * @returns {Object} Sync status
+ */
+const getSyncStatus = (storeKey) => {
+  const store = loadStore(storeKey);
+  const running = runningSyncs[storeKey] || null;
+  
+  if (!store) {
+    return {
+      storeKey,
+      status: running ? 'running' : 'never-synced',
+      startedAt: running ? running.startedAt : null,
+      recordCount: 0
+    };
+  }
+  
+  const { records, fieldMetadata, currencyRates, ...summary } = store;
+  
+  return {
+    ...summary,
+    status: running ? 'running' : (store.lastError ? 'failed' : 'idle'),
+    startedAt: running ? running.startedAt : null,
+    recordCount: records.length
+  };
+};
+
+/**
+ * Syncs opportunities from a data source into the local store
+ * The first sync (or a full sync) copies every opportunity; later syncs only fetch
+ * records whose SystemModstamp is at or after the stored watermark and drop deleted ones.
+ * Records are fetched oldest-modified first so a sync cut short by maxQueryResults
+ * is picked up where it stopped by the next one.
+ * @param {Object} dataSource - Data source to sync from
+ * @param {String} storeKey - Store key
+ * @param {Object} options - Sync options
+ * @param {Boolean} options.full - Re-copy everything instead of syncing incrementally
+ * @param {Array} options.fields - Additional fields to keep (e.g. relationship fields)
+ * @returns {Promise<Object>} Sync status
+ */
+const syncOpportunities = async (dataSource, storeKey, options = {}) => {
+  const { full = false, fields: extraFields = [] } = options;
+  
+  if (runningSyncs[storeKey]) {
+    throw new Error(`A sync is already running for ${storeKey}`);
+  }
+  
+  const startedAt = new Date();
+  runningSyncs[storeKey] = { startedAt: startedAt.toISOString() };
+  
+  const existing = loadStore(storeKey);
+  
+  try {
+    const fieldMetadata = await dataSource.fetchOpportunityFields();
+    const currencyRates = await dataSource.fetchCurrencyRates();
+    const fields = selectSyncFields(fieldMetadata, [
+      ...(existing ? existing.fields : []),
+      ...extraFields
+    ]);
+    
+    // Incremental syncs need an existing store with the same fields and a watermark
+    const addedFields = existing ? fields.filter(field => !existing.fields.includes(field)) : fields;
+    const incremental = !full && existing && existing.watermark && addedFields.length === 0;
+    
+    const queryResult = await dataSource.fetchOpportunities({
+      fields,
+      includeCustomFields: false,
+      modifiedSince: incremental ? existing.watermark : undefined,
+      orderBy: 'SystemModstamp ASC'
+    });
+    
+    // Merge changed records into the store
+    const recordsById = new Map(incremental ? existing.records.map(record => [record.Id, record]) : []);
+    queryResult.records.forEach(record => recordsById.set(record.Id, record));
+    
+    // Drop records deleted since the last sync
+    let deletedCount = 0;
+    
+    if (incremental) {
+      try {
+        const deletedIds = await dataSource.fetchDeletedOpportunityIds(existing.lastSyncAt);
+        deletedIds.forEach(id => {
+          if (recordsById.delete(id)) {
+            deletedCount++;
+          }
+        });
+      } catch (error) {
+        console.warn('Could not fetch deleted opportunities:', error.message);
+        deletedCount = null;
+      }
+    }
+    
+    const records = [...recordsById.values()];
+    const finishedAt = new Date();
+    
+    const store = {
+      storeKey,
+      source: dataSource.type,
+      fields,
+      fieldMetadata,
+      currencyRates,
+      watermark: computeWatermark(queryResult.records, incremental ? existing.watermark : null),
+      lastSyncAt: startedAt.toISOString(),
+      lastFullSyncAt: incremental ? existing.lastFullSyncAt : startedAt.toISOString(),
+      lastSyncType: incremental ? 'incremental' : 'full',
+      lastSyncStats: {
+        fetchedCount: queryResult.fetchedCount,
+        availableCount: queryResult.totalSize,
+        complete: !queryResult.truncated,
+        deletedCount,
+        durationMs: finishedAt - startedAt
+      },
+      syncCount: existing ? (existing.syncCount || 0) + 1 : 1,
+      lastError: null,
+      records
+    };
+    
+    await saveStore(store);
+  } catch (error) {
+    console.error('Error syncing opportunities:', error);
+    
+    // Keep the previous data but record the failure
+    if (existing) {
+      existing.lastError = {
+        message: error.message,
+        occurredAt: new Date().toISOString()
+      };
+      await saveStore(existing).catch(saveError => console.error('Error saving sync store:', saveError));
+    }
+    
+    throw new Error(`Failed to sync opportunities: ${error.message}`);
+  } finally {
+    delete runningSyncs[storeKey];
+  }
+  
+  return getSyncStatus(storeKey);
+};
+
+module.exports = {
+  hasSyncedStore,
+  isSyncRunning,
+  getSyncedRecords,
+  getSyncedFields,
+  getSyncedCurrencyRates,
+  getSyncStatus,
+  syncOpportunities
+};
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsforce = require('jsforce');
+const config = require('../config/config');
+const { validateDataSourceRequest, getSyncStoreKey } = require('../services/dataSources');
+const { createFixtureDataSource } = require('../services/dataSources/fixtureDataSource');
+const { createDatasetDataSource } = require('../services/dataSources/datasetDataSource');
+const { registerDataset, getDatasetRecords, listDatasets } = require('../services/datasetService');
+const { createSnapshot, listSnapshots, findSnapshotByName } = require('../services/snapshotService');
+
+// Identities the stubbed identity service returns, keyed by access token
+const identities = {
+  'token-alice': { organization_id: '00D000000000001', user_id: '005000000000001', username: 'alice@example.com' },
+  'token-bob': { organization_id: '00D000000000001', user_id: '005000000000002', username: 'bob@example.com' },
+  'token-carol': { organization_id: '00D000000000002', user_id: '005000000000003', username: 'carol@example.org' }
+};
+
+const identityCalls = [];
+
+test.before(() => {
+  config.app.datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+  config.app.snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  
+  jsforce.Connection.prototype.identity = async function () {
+    identityCalls.push(this.instanceUrl);
+    
+    if (!identities[this.accessToken]) {
+      throw new Error('INVALID_SESSION_ID: Session expired or invalid');
+    }
+    return identities[this.accessToken];
+  };
+});
+
+test.after(() => {
+  fs.rmSync(config.app.datasetDir, { recursive: true, force: true });
+  fs.rmSync(config.app.snapshotDir, { recursive: true, force: true });
+});
+
+const createRequest = (cookies, body = { dataSource: 'salesforce' }) => ({
+  body,
+  query: {},
+  cookies
+});
+
+test('a forged session is rejected before any store is keyed', async () => {
+  const req = createRequest({
+    sf_access_token: 'garbage',
+    sf_instance_url: 'https://victim.my.salesforce.com'
+  });
+  
+  const error = await validateDataSourceRequest(req);
+  
+  assert.equal(error.status, 401);
+  assert.equal(getSyncStoreKey(req), null);
+});
+
+test('an instance URL outside Salesforce is rejected without calling it', async () => {
+  const callsBefore = identityCalls.length;
+  const req = createRequest({
+    sf_access_token: 'token-alice',
+    sf_instance_url: 'https://attacker.example.com'
+  });
+  
+  const error = await validateDataSourceRequest(req);
+  
+  assert.equal(error.status, 401);
+  assert.equal(identityCalls.length, callsBefore);
+});
+
+test('sync stores are keyed by the verified org and user', async () => {
+  const alice = createRequest({ sf_access_token: 'token-alice', sf_instance_url: 'https://acme.my.salesforce.com' });
+  const bob = createRequest({ sf_access_token: 'token-bob', sf_instance_url: 'https://acme.my.salesforce.com' });
+  
+  assert.equal(await validateDataSourceRequest(alice), null);
+  assert.equal(await validateDataSourceRequest(bob), null);
+  
+  assert.equal(getSyncStoreKey(alice), 'salesforce_00D000000000001_005000000000001');
+  assert.equal(getSyncStoreKey(bob), 'salesforce_00D000000000001_005000000000002');
+});
+
+test('the fixtures are public outside production only', async () => {
+  const environment = config.app.environment;
+  
+  try {
+    config.app.environment = 'development';
+    assert.equal(await validateDataSourceRequest(createRequest({}, { dataSource: 'fixture' })), null);
+    
+    config.app.environment = 'production';
+    const error = await validateDataSourceRequest(createRequest({}, { dataSource: 'fixture' }));
+    assert.equal(error.status, 401);
+  } finally {
+    config.app.environment = environment;
+  }
+});
+
+test('snapshots and datasets need a session', async () => {
+  const snapshotError = await validateDataSourceRequest(createRequest({}, { snapshotId: 'snap_anything' }));
+  const datasetError = await validateDataSourceRequest(createRequest({}, { datasetId: 'ds_anything' }));
+  
+  assert.equal(snapshotError.status, 401);
+  assert.equal(datasetError.status, 401);
+});
+
+test('the fixture source filters the bundled opportunities', async () => {
+  const dataSource = createFixtureDataSource(config.app.fixtureDir);
+  
+  const closed = await dataSource.fetchOpportunities({ isClosed: true });
+  const newCustomers = await dataSource.fetchOpportunities({
+    filters: { and: [{ field: 'Type', op: 'eq', value: 'New Customer' }] }
+  });
+  
+  assert.equal(closed.totalSize, 300);
+  assert.ok(closed.records.every(record => record.IsClosed));
+  assert.ok(newCustomers.totalSize > 0);
+  assert.ok(newCustomers.records.every(record => record.Type === 'New Customer'));
+});
+
+test('probabilities written to the fixtures stay on that data source', async () => {
+  const writer = createFixtureDataSource(config.app.fixtureDir);
+  const { records: [opportunity] } = await writer.fetchOpportunities({ limit: 1 });
+  
+  const result = await writer.updateOpportunityProbabilities(
+    [{ opportunityId: opportunity.Id, probability: 0.42 }, { opportunityId: 'missing', probability: 0.5 }],
+    'Predicted__c'
+  );
+  
+  assert.equal(result.successCount, 1);
+  assert.equal(result.errorCount, 1);
+  
+  const written = await writer.fetchOpportunities({ filters: { and: [{ field: 'Id', op: 'eq', value: opportunity.Id }] } });
+  const other = await createFixtureDataSource(config.app.fixtureDir).fetchOpportunities({ limit: 1 });
+  
+  assert.equal(written.records[0].Predicted__c, 0.42);
+  assert.equal(other.records[0].Predicted__c, undefined);
+  assert.equal(opportunity.Predicted__c, undefined);
+});
+
+test('probabilities written to a dataset are persisted without changing records already read', async () => {
+  const { id } = await registerDataset('Test', {
+    records: [{ Id: '006A', IsClosed: false, IsWon: false }, { Id: '006B', IsClosed: true, IsWon: true }],
+    fields: ['Id', 'IsClosed', 'IsWon'],
+    fieldTypes: { Id: 'string', IsClosed: 'boolean', IsWon: 'boolean' }
+  }, {}, '00D000000000001');
+  const recordsBefore = getDatasetRecords(id);
+  
+  await createDatasetDataSource(id).updateOpportunityProbabilities([{ opportunityId: '006A', probability: 0.7 }], 'Predicted__c');
+  
+  assert.equal(recordsBefore[0].Predicted__c, undefined);
+  assert.equal(getDatasetRecords(id)[0].Predicted__c, 0.7);
+  
+  const stored = JSON.parse(fs.readFileSync(path.join(config.app.datasetDir, `${id}.records.json`), 'utf8'));
+  assert.equal(stored[0].Predicted__c, 0.7);
+});
+
+test('snapshots are only visible to the org that created them', async () => {
+  const dataSource = createFixtureDataSource(config.app.fixtureDir);
+  const acme = await createSnapshot(dataSource, { name: 'Q1', isClosed: true, orgId: '00D000000000001' });
+  const other = await createSnapshot(dataSource, { name: 'Q1', isClosed: true, orgId: '00D000000000002' });
+  
+  assert.deepEqual(listSnapshots('00D000000000001').map(snapshot => snapshot.id), [acme.id]);
+  assert.equal(findSnapshotByName('Q1', '00D000000000002').id, other.id);
+  
+  const member = { sf_access_token: 'token-bob', sf_instance_url: 'https://acme.my.salesforce.com' };
+  const outsiders = { sf_access_token: 'token-carol', sf_instance_url: 'https://other.my.salesforce.com' };
+  
+  assert.equal(await validateDataSourceRequest(createRequest(member, { snapshotId: acme.id })), null);
+  assert.equal((await validateDataSourceRequest(createRequest(outsiders, { snapshotId: acme.id }))).status, 404);
+});
+
+test('datasets are only visible to the org that imported them', async () => {
+  const { id } = await registerDataset('Import', {
+    records: [{ Id: '006C', IsClosed: true, IsWon: false }],
+    fields: ['Id', 'IsClosed', 'IsWon'],
+    fieldTypes: { Id: 'string', IsClosed: 'boolean', IsWon: 'boolean' }
+  }, {}, '00D000000000002');
+  
+  const member = { sf_access_token: 'token-carol', sf_instance_url: 'https://other.my.salesforce.com' };
+  const outsider = { sf_access_token: 'token-alice', sf_instance_url: 'https://acme.my.salesforce.com' };
+  
+  assert.ok(listDatasets('00D000000000002').some(dataset => dataset.id === id));
+  assert.ok(!listDatasets('00D000000000001').some(dataset => dataset.id === id));
+  assert.equal(await validateDataSourceRequest(createRequest(member, { datasetId: id })), null);
+  assert.equal((await validateDataSourceRequest(createRequest(outsider, { datasetId: id }))).status, 404);
+});
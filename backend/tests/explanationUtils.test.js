@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeShapleyValues } = require('../utils/explanationUtils');
+
+// Additive value function with one interaction, over 12 dimensions (too many to enumerate)
+const weights = [0.05, -0.02, 0.03, 0.01, -0.04, 0.02, 0.06, -0.01, 0.02, 0.03, -0.03, 0.01];
+const valueOf = known => 0.3 + weights.reduce((sum, weight, j) => sum + (known[j] ? weight : 0), 0) +
+  (known[0] && known[1] ? 0.02 : 0);
+
+test('exact contributions add up to the prediction minus the baseline', () => {
+  const explanation = computeShapleyValues(valueOf, 4, { maxExactDimensions: 4 });
+  const total = explanation.values.reduce((sum, value) => sum + value, 0);
+  
+  assert.equal(explanation.method, 'exact');
+  assert.ok(Math.abs(total - (explanation.prediction - explanation.baseline)) < 1e-12);
+  assert.ok(Math.abs(explanation.values[0] - 0.06) < 1e-12);
+});
+
+test('sampled contributions are reproducible from the seed', () => {
+  const first = computeShapleyValues(valueOf, weights.length, { samples: 20, seed: 7 });
+  const second = computeShapleyValues(valueOf, weights.length, { samples: 20, seed: 7 });
+  const unseeded = computeShapleyValues(valueOf, weights.length, { samples: 20 });
+  
+  assert.equal(first.method, 'sampled');
+  assert.deepEqual(first.values, second.values);
+  assert.deepEqual(unseeded.values, computeShapleyValues(valueOf, weights.length, { samples: 20 }).values);
+});
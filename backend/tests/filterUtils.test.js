@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const {
+  normalizeFilters,
+  validateFilters,
+  resolveDateLiteral,
+  isValidFieldName,
+  isValidOrderBy,
+  escapeSoqlString,
+  buildSoqlCondition,
+  matchesFilters
+} = require('../utils/filterUtils');
+
+const FIELDS = [
+  { name: 'Name', type: 'string' },
+  { name: 'Type', type: 'picklist' },
+  { name: 'Amount', type: 'currency' },
+  { name: 'IsWon', type: 'boolean' },
+  { name: 'CloseDate', type: 'date' },
+  { name: 'CreatedDate', type: 'datetime' },
+  { name: 'Description', type: 'textarea', isFilterable: false }
+];
+
+const FIELD_TYPES = FIELDS.reduce((types, field) => ({ ...types, [field.name]: field.type }), {});
+
+const validate = filters => validateFilters(normalizeFilters(filters), FIELDS);
+
+test('quotes and backslashes are escaped inside SOQL literals', () => {
+  assert.equal(escapeSoqlString("O'Brien \\ Sons"), "O\\'Brien \\\\ Sons");
+  assert.equal(escapeSoqlString('say "hi"\n'), 'say \\"hi\\"\\n');
+  
+  const condition = buildSoqlCondition(
+    normalizeFilters({ field: 'Name', op: 'eq', value: "x' OR Name != '" }),
+    FIELD_TYPES
+  );
+  assert.equal(condition, "Name = 'x\\' OR Name != \\''");
+});
+
+test('field names and sort expressions are whitelisted', () => {
+  assert.ok(isValidFieldName('Account.Industry'));
+  assert.ok(!isValidFieldName('Name) OR (Id != null'));
+  assert.ok(!isValidFieldName('Name--'));
+  assert.ok(isValidOrderBy('CloseDate desc'));
+  assert.ok(!isValidOrderBy('CloseDate DESC, Id'));
+  
+  assert.throws(() => buildSoqlCondition({ field: 'Id = null OR Name', op: 'eq', value: 'x' }), /Invalid field name/);
+});
+
+test('unknown fields, unfilterable fields and unknown operators are rejected', () => {
+  const { valid, errors } = validate({
+    and: [
+      { field: 'Secret__c', op: 'eq', value: 'x' },
+      { field: 'Description', op: 'eq', value: 'x' },
+      { field: 'Type', op: 'like', value: '%' }
+    ]
+  });
+  
+  assert.equal(valid, false);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /unknown field "Secret__c"/);
+  assert.match(errors[1], /cannot be filtered on/);
+  assert.match(errors[2], /unknown operator "like"/);
+});
+
+test('values must suit the field type', () => {
+  assert.equal(validate({ field: 'Amount', op: 'gt', value: '1000' }).valid, false);
+  assert.equal(validate({ field: 'IsWon', op: 'eq', value: 'yes' }).valid, false);
+  assert.equal(validate({ field: 'CloseDate', op: 'eq', value: '2024-13-45' }).valid, false);
+  assert.equal(validate({ field: 'CloseDate', op: 'gte', value: '2024-01-01' }).valid, true);
+  assert.equal(validate({ field: 'Amount', op: 'range', min: 10, max: 20 }).valid, true);
+  assert.equal(validate({ field: 'Amount', op: 'range' }).valid, false);
+  assert.equal(validate({ not: 'a filter' }).valid, false);
+  assert.equal(validate('Amount > 0').valid, false);
+});
+
+test('IN lists are compiled with each value formatted for its type', () => {
+  const filters = normalizeFilters({ Type: ['New Customer', "Partner's"], Amount: [100, 200] });
+  
+  assert.equal(
+    buildSoqlCondition(filters, FIELD_TYPES),
+    "(Type IN ('New Customer', 'Partner\\'s') AND Amount IN (100, 200))"
+  );
+  assert.equal(validate({ field: 'Type', op: 'in', value: [] }).valid, false);
+  assert.equal(validate({ field: 'Type', op: 'in', value: ['A', { nested: true }] }).valid, false);
+  assert.equal(validate({ field: 'CloseDate', op: 'in', value: ['THIS_QUARTER'] }).valid, false);
+});
+
+test('date literals pass through to SOQL and resolve to periods in memory', () => {
+  const now = new Date(Date.UTC(2024, 4, 15));
+  
+  assert.equal(
+    buildSoqlCondition(normalizeFilters({ field: 'CloseDate', op: 'eq', value: 'LAST_N_QUARTERS:4' }), FIELD_TYPES),
+    'CloseDate = LAST_N_QUARTERS:4'
+  );
+  assert.equal(
+    buildSoqlCondition(normalizeFilters({ field: 'CreatedDate', op: 'gte', value: '2024-03-04T10:15:00.000+01:00' }), FIELD_TYPES),
+    'CreatedDate >= 2024-03-04T09:15:00Z'
+  );
+  
+  const quarter = resolveDateLiteral('THIS_QUARTER', now);
+  assert.equal(quarter.start.toISOString().slice(0, 10), '2024-04-01');
+  assert.equal(quarter.end.toISOString().slice(0, 10), '2024-07-01');
+  
+  const lastQuarters = resolveDateLiteral('LAST_N_QUARTERS:2', now);
+  assert.equal(lastQuarters.start.toISOString().slice(0, 10), '2023-10-01');
+  assert.equal(lastQuarters.end.toISOString().slice(0, 10), '2024-04-01');
+  
+  const filters = normalizeFilters({ field: 'CloseDate', op: 'eq', value: 'THIS_QUARTER' });
+  assert.ok(matchesFilters({ CloseDate: '2024-06-30' }, filters, FIELD_TYPES, now));
+  assert.ok(!matchesFilters({ CloseDate: '2024-07-01' }, filters, FIELD_TYPES, now));
+});
+
+test('fiscal literals follow the fiscal year start month', () => {
+  const startMonth = config.app.fiscalYearStartMonth;
+  
+  try {
+    config.app.fiscalYearStartMonth = 2;
+    const fiscalYear = resolveDateLiteral('THIS_FISCAL_YEAR', new Date(Date.UTC(2024, 0, 15)));
+    
+    assert.equal(fiscalYear.start.toISOString().slice(0, 10), '2023-02-01');
+    assert.equal(fiscalYear.end.toISOString().slice(0, 10), '2024-02-01');
+  } finally {
+    config.app.fiscalYearStartMonth = startMonth;
+  }
+});
+
+test('in-memory matching follows SOQL semantics', () => {
+  const record = { Name: 'Acme', Type: 'New Customer', Amount: 5000, IsWon: true, CloseDate: null };
+  
+  assert.ok(matchesFilters(record, normalizeFilters({ field: 'Type', op: 'eq', value: 'new customer' }), FIELD_TYPES));
+  assert.ok(matchesFilters(record, normalizeFilters({ CloseDate: null }), FIELD_TYPES));
+  assert.ok(!matchesFilters(record, normalizeFilters({ field: 'CloseDate', op: 'lt', value: '2024-01-01' }), FIELD_TYPES));
+  assert.ok(matchesFilters(record, normalizeFilters({ or: [
+    { field: 'Amount', op: 'range', min: 6000 },
+    { field: 'Type', op: 'notIn', value: ['Renewal'] }
+  ] }), FIELD_TYPES));
+});
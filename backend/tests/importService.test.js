@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, mapColumns, buildOpportunityRecords } = require('../services/importService');
+
+test('date-only ISO values keep their calendar day', () => {
+  assert.equal(parseDate('2024-03-04'), '2024-03-04');
+  assert.equal(parseDate('2024/03/04'), '2024-03-04');
+  assert.equal(parseDate('2024-12-31'), '2024-12-31');
+});
+
+test('numeric dates follow the date order, not the server locale', () => {
+  assert.equal(parseDate('03/04/2024', 'MDY'), '2024-03-04');
+  assert.equal(parseDate('03/04/2024', 'DMY'), '2024-04-03');
+  assert.equal(parseDate('31.12.2024', 'DMY'), '2024-12-31');
+  assert.equal(parseDate('31/12/2024', 'MDY'), null);
+});
+
+test('date-times are converted to UTC', () => {
+  assert.equal(parseDate('2024-03-04T23:30:00Z'), '2024-03-04T23:30:00.000Z');
+  assert.equal(parseDate('2024-03-04T23:30:00+02:00'), '2024-03-04T21:30:00.000Z');
+  assert.equal(parseDate('2024-03-04 10:15'), '2024-03-04T10:15:00.000Z');
+  assert.equal(parseDate('3/4/2024 1:05 PM', 'MDY'), '2024-03-04T13:05:00.000Z');
+});
+
+test('spreadsheet dates keep the day they show', () => {
+  assert.equal(parseDate(new Date(2024, 2, 4)), '2024-03-04');
+});
+
+test('impossible and unknown formats are not dates', () => {
+  assert.equal(parseDate('2024-02-30'), null);
+  assert.equal(parseDate('2024-03-04T25:00'), null);
+  assert.equal(parseDate('March 4, 2024'), null);
+  assert.equal(parseDate('12345'), null);
+});
+
+test('name columns are not mapped onto ID fields', () => {
+  const mapping = mapColumns(['Account Name', 'Opportunity Owner', 'Stage']);
+  
+  assert.equal(mapping['Account Name'], 'Account.Name');
+  assert.equal(mapping['Opportunity Owner'], 'Owner.Name');
+  assert.equal(mapping.Stage, 'StageName');
+});
+
+test('imported close dates are read with the requested date order', () => {
+  const rows = [
+    { 'Opportunity Name': 'A', Stage: 'Closed Won', 'Close Date': '03/04/2024' },
+    { 'Opportunity Name': 'B', Stage: 'Prospecting', 'Close Date': '25/04/2024' }
+  ];
+  
+  const { records } = buildOpportunityRecords(rows, { dateOrder: 'DMY' });
+  
+  assert.deepEqual(records.map(record => record.CloseDate), ['2024-04-03', '2024-04-25']);
+  assert.equal(records[0].IsWon, true);
+});
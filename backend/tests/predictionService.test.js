@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPredictionModel, batchPredictWinRates } = require('../services/predictionService');
+
+// Large deals are won and small ones lost, with Amount on its raw scale and a discount
+// that only loosely follows it
+const createSeparableOpportunities = () => Array.from({ length: 120 }, (_, i) => {
+  const amount = 5000 + i * 2500;
+  const isWon = amount > 150000;
+  
+  return {
+    Id: `006${String(i).padStart(3, '0')}`,
+    Amount: amount,
+    Discount_Percent__c: isWon ? 5 + (i % 7) : 10 + (i % 9),
+    Type: i % 2 === 0 ? 'New Business' : 'Existing Business',
+    CloseDate: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10),
+    IsWon: isWon
+  };
+});
+
+test('the logistic model ranks a separable raw-unit feature better than chance', () => {
+  const opportunities = createSeparableOpportunities();
+  const { model, metrics } = buildPredictionModel(opportunities, ['Amount'], 'IsWon', { seed: 1 });
+  
+  assert.ok(metrics.auc > 0.5, `AUC ${metrics.auc}`);
+  assert.ok(model.coefficients.every(Number.isFinite));
+  assert.ok(model.predictUncalibrated({ Amount: 290000 }) > model.predictUncalibrated({ Amount: 10000 }));
+});
+
+test('calibration keeps the ordering of the raw scores', () => {
+  const opportunities = createSeparableOpportunities();
+  const { model, metrics } = buildPredictionModel(opportunities, ['Amount', 'Discount_Percent__c'], 'IsWon', {
+    seed: 1,
+    calibration: 'platt'
+  });
+  
+  assert.ok(metrics.auc > 0.5, `AUC ${metrics.auc}`);
+  assert.ok(model.predict({ Amount: 290000, Discount_Percent__c: 6 }) > model.predict({ Amount: 10000, Discount_Percent__c: 14 }));
+});
+
+test('out-of-time validation scores later deals better than chance', () => {
+  const opportunities = createSeparableOpportunities();
+  // Interleave wins and losses in time so both sides of the cutoff have each outcome
+  const shuffled = opportunities.map((opp, i) => ({
+    ...opp,
+    CloseDate: new Date(Date.UTC(2024, 0, 1 + ((i * 37) % opportunities.length))).toISOString().slice(0, 10)
+  }));
+  const { metrics } = buildPredictionModel(shuffled, ['Amount'], 'IsWon', { seed: 1, validation: 'out-of-time' });
+  
+  assert.ok(metrics.auc > 0.5, `AUC ${metrics.auc}`);
+  assert.ok(metrics.logLoss < Math.log(2) * 2, `log loss ${metrics.logLoss}`);
+});
+
+test('batch predictions only explain the requested number of opportunities', () => {
+  const opportunities = createSeparableOpportunities();
+  const { model } = buildPredictionModel(opportunities, ['Amount', 'Discount_Percent__c'], 'IsWon', { seed: 1 });
+  
+  const unexplained = batchPredictWinRates(opportunities.slice(0, 10), model);
+  const explained = batchPredictWinRates(opportunities.slice(0, 10), model, { explainTop: 3 });
+  const highest = [...explained.predictions].sort((a, b) => b.probability - a.probability).slice(0, 3);
+  
+  assert.equal(unexplained.summary.explainedCount, 0);
+  assert.ok(unexplained.predictions.every(prediction => prediction.contributions === null));
+  assert.equal(explained.summary.explainedCount, 3);
+  assert.ok(highest.every(prediction => Array.isArray(prediction.contributions)));
+});
@@ -0,0 +1,194 @@
+/**
+ * Calibration Utilities
+ * Maps a model's predicted probabilities onto observed win rates (Platt scaling or isotonic
+ * regression), fitted on predictions for opportunities the model was not trained on
+ */
+
+const { createStratifiedFolds } = require('./crossValidationUtils');
+
+const CALIBRATION_METHODS = ['none', 'platt', 'isotonic'];
+
+// Keeps probabilities away from 0 and 1 so log-odds stay finite
+const clampProbability = p => Math.min(1 - 1e-6, Math.max(1e-6, p));
+const logit = p => Math.log(clampProbability(p) / (1 - clampProbability(p)));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Fits Platt scaling: a logistic regression of the outcome on the log-odds of the prediction
+ * Targets are smoothed as in Platt (1999) so a separable sample does not push the slope to infinity.
+ * @param {Array} probabilities - Uncalibrated predicted probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @param {Object} options - Newton iteration settings ({ maxIterations, tolerance })
+ * @returns {Object} Calibrator ({ method: 'platt', intercept, slope })
+ */
+const fitPlattScaling = (probabilities, y, { maxIterations = 50, tolerance = 1e-10 } = {}) => {
+  const positives = y.filter(value => value === 1).length;
+  const negatives = y.length - positives;
+  const highTarget = (positives + 1) / (positives + 2);
+  const lowTarget = 1 / (negatives + 2);
+  const targets = y.map(value => (value === 1 ? highTarget : lowTarget));
+  const scores = probabilities.map(logit);
+  
+  let intercept = 0;
+  let slope = 1;
+  
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    // Gradient and Hessian of the log-likelihood in (intercept, slope)
+    let g0 = 0;
+    let g1 = 0;
+    let h00 = 0;
+    let h01 = 0;
+    let h11 = 0;
+    
+    scores.forEach((score, i) => {
+      const p = sigmoid(intercept + slope * score);
+      const weight = Math.max(p * (1 - p), 1e-12);
+      const residual = targets[i] - p;
+      g0 += residual;
+      g1 += residual * score;
+      h00 += weight;
+      h01 += weight * score;
+      h11 += weight * score * score;
+    });
+    
+    const determinant = h00 * h11 - h01 * h01;
+    if (Math.abs(determinant) < 1e-12) break;
+    
+    const step0 = (h11 * g0 - h01 * g1) / determinant;
+    const step1 = (h00 * g1 - h01 * g0) / determinant;
+    intercept += step0;
+    slope += step1;
+    
+    if (Math.abs(step0) + Math.abs(step1) < tolerance) break;
+  }
+  
+  return { method: 'platt', intercept, slope };
+};
+
+/**
+ * Fits isotonic regression by pool-adjacent-violators: the best non-decreasing step function
+ * of the predicted probability
+ * @param {Array} probabilities - Uncalibrated predicted probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @returns {Object} Calibrator ({ method: 'isotonic', steps: [{ lower, upper, value, count }] })
+ */
+const fitIsotonicCalibration = (probabilities, y) => {
+  const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[a] - probabilities[b]);
+  const blocks = [];
+  
+  order.forEach(i => {
+    const last = blocks[blocks.length - 1];
+    
+    // Tied predictions must get the same calibrated value
+    if (last && last.upper === probabilities[i]) {
+      last.sum += y[i];
+      last.count++;
+    } else {
+      blocks.push({ lower: probabilities[i], upper: probabilities[i], sum: y[i], count: 1 });
+    }
+    
+    // Merge backwards while the means decrease
+    while (blocks.length > 1) {
+      const current = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      
+      if (previous.sum / previous.count < current.sum / current.count) break;
+      
+      previous.upper = current.upper;
+      previous.sum += current.sum;
+      previous.count += current.count;
+      blocks.pop();
+    }
+  });
+  
+  return {
+    method: 'isotonic',
+    steps: blocks.map(block => ({
+      lower: block.lower,
+      upper: block.upper,
+      value: block.sum / block.count,
+      count: block.count
+    }))
+  };
+};
+
+/**
+ * Fits a calibrator
+ * @param {String} method - 'platt', 'isotonic' or 'none'
+ * @param {Array} probabilities - Uncalibrated predicted probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @returns {Object|null} Calibrator, or null for 'none'
+ */
+const fitCalibration = (method, probabilities, y) => {
+  if (method === 'platt') return fitPlattScaling(probabilities, y);
+  if (method === 'isotonic') return fitIsotonicCalibration(probabilities, y);
+  return null;
+};
+
+/**
+ * Applies a calibrator to a predicted probability
+ * Isotonic steps are joined linearly between their midpoints, so calibrated probabilities keep
+ * ranking deals within a step instead of tying them.
+ * @param {Object|null} calibration - Calibrator from fitCalibration (null leaves the probability unchanged)
+ * @param {Number} probability - Uncalibrated probability
+ * @returns {Number} Calibrated probability
+ */
+const applyCalibration = (calibration, probability) => {
+  if (!calibration) return probability;
+  
+  if (calibration.method === 'platt') {
+    return sigmoid(calibration.intercept + calibration.slope * logit(probability));
+  }
+  
+  const steps = calibration.steps;
+  const midpoint = step => (step.lower + step.upper) / 2;
+  
+  if (probability <= midpoint(steps[0])) return steps[0].value;
+  if (probability >= midpoint(steps[steps.length - 1])) return steps[steps.length - 1].value;
+  
+  const next = steps.findIndex(step => midpoint(step) >= probability);
+  const left = steps[next - 1];
+  const right = steps[next];
+  const share = (probability - midpoint(left)) / (midpoint(right) - midpoint(left));
+  
+  return left.value + share * (right.value - left.value);
+};
+
+/**
+ * Calibrates each prediction with a calibrator fitted on the other folds, so the effect of
+ * calibration can be measured on predictions it was not fitted to
+ * @param {String} method - 'platt' or 'isotonic'
+ * @param {Array} probabilities - Uncalibrated predicted probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @param {Number} folds - Number of folds
+ * @param {Function} random - Random number generator
+ * @returns {Array} Cross-fitted calibrated probabilities
+ */
+const crossFitCalibration = (method, probabilities, y, folds, random) => {
+  const calibrated = [...probabilities];
+  
+  createStratifiedFolds(y, folds, random).forEach(testIndices => {
+    const held = new Set(testIndices);
+    const trainIndices = y.map((_, i) => i).filter(i => !held.has(i));
+    const calibrator = fitCalibration(
+      method,
+      trainIndices.map(i => probabilities[i]),
+      trainIndices.map(i => y[i])
+    );
+    
+    testIndices.forEach(i => {
+      calibrated[i] = applyCalibration(calibrator, probabilities[i]);
+    });
+  });
+  
+  return calibrated;
+};
+
+module.exports = {
+  CALIBRATION_METHODS,
+  fitPlattScaling,
+  fitIsotonicCalibration,
+  fitCalibration,
+  applyCalibration,
+  crossFitCalibration
+};
@@ -0,0 +1,120 @@
+/**
+ * Cross-Validation Utilities
+ * Fold assignment and out-of-sample scoring for choosing model settings
+ */
+
+const { bernoulliLogLikelihood } = require('./regressionUtils');
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), so folds can be reproduced
+ * @param {Number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffles a copy of an array (Fisher-Yates)
+ * @param {Array} array - Items to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} Shuffled copy
+ */
+const shuffle = (array, random = Math.random) => {
+  const shuffled = [...array];
+  
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  
+  return shuffled;
+};
+
+/**
+ * Splits record indices into folds that each keep the overall win/loss ratio
+ * Wins and losses are shuffled separately and dealt round-robin, losses continuing where
+ * the wins left off so fold sizes stay balanced.
+ * @param {Array} y - 0/1 outcomes
+ * @param {Number} folds - Number of folds
+ * @param {Function} random - Random number generator
+ * @returns {Array} Folds, each an array of record indices
+ */
+const createStratifiedFolds = (y, folds, random = Math.random) => {
+  const indices = y.map((_, i) => i);
+  const ordered = [
+    ...shuffle(indices.filter(i => y[i] === 1), random),
+    ...shuffle(indices.filter(i => y[i] !== 1), random)
+  ];
+  
+  return Array.from({ length: folds }, (_, k) => ordered.filter((_, position) => position % folds === k));
+};
+
+/**
+ * Splits records into those before and from a cutoff date
+ * Records without a date are kept for training.
+ * @param {Array} dates - Date of each record (ISO strings, or null)
+ * @param {String} cutoffDate - Cutoff; defaults to the date 80% of the dated records fall before
+ * @returns {Object} Split ({ cutoffDate, trainIndices, testIndices })
+ */
+const splitOutOfTime = (dates, cutoffDate) => {
+  const times = dates.map(date => (date ? new Date(date).getTime() : NaN));
+  let cutoff = cutoffDate ? new Date(cutoffDate).getTime() : null;
+  
+  if (cutoff === null) {
+    const sorted = times.filter(time => !Number.isNaN(time)).sort((a, b) => a - b);
+    cutoff = sorted[Math.floor(sorted.length * 0.8)];
+  }
+  
+  const indices = times.map((_, i) => i);
+  
+  return {
+    cutoffDate: new Date(cutoff).toISOString().slice(0, 10),
+    trainIndices: indices.filter(i => Number.isNaN(times[i]) || times[i] < cutoff),
+    testIndices: indices.filter(i => times[i] >= cutoff)
+  };
+};
+
+/**
+ * Summarizes a metric across folds
+ * @param {Array} values - Metric value of each fold
+ * @returns {Object} Summary ({ mean, standardDeviation, min, max })
+ */
+const summarizeFolds = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (values.length - 1)
+    : 0;
+  
+  return {
+    mean,
+    standardDeviation: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+};
+
+/**
+ * Computes the mean binomial deviance of predicted probabilities (lower is better)
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Number} Deviance per record
+ */
+const binomialDeviance = (y, probabilities) => -2 * bernoulliLogLikelihood(y, probabilities) / y.length;
+
+module.exports = {
+  createRandom,
+  shuffle,
+  createStratifiedFolds,
+  splitOutOfTime,
+  summarizeFolds,
+  binomialDeviance
+};
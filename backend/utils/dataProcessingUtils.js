@@ -3,6 +3,125 @@
  * These utilities help with data cleansing, transformation, and preparation for analytics
  */
 
+const config = require('../config/config');
+const { normalizeFilters, matchesFilters } = require('./filterUtils');
+const { findCollinearColumns } = require('./regressionUtils');
+const { shuffle } = require('./crossValidationUtils');
+
+// Deal-size categories, one more than the number of band thresholds
+const DEAL_SIZE_CATEGORIES = ['Small', 'Medium', 'Large', 'Enterprise'];
+
+// Features computed by createDerivedFeatures and the fields they are computed from
+const DERIVED_FEATURE_FIELDS = {
+  OpportunityAgeInDays: ['CreatedDate'],
+  DealSizeCategory: ['Amount'],
+  DiscountPercentage: ['Amount', 'ExpectedAmount']
+};
+
+/**
+ * Normalizes raw opportunity records into flat objects ready for analysis
+ * Strips API metadata, flattens relationship objects into dotted field names
+ * and makes sure every requested field is present on each record
+ * @param {Array} records - Raw records from Salesforce or an imported file
+ * @param {Array} fields - Field names expected on each record
+ * @returns {Array} Prepared opportunity records
+ */
+const prepareOpportunityData = (records, fields = []) => {
+  if (!records || !Array.isArray(records)) {
+    return [];
+  }
+  
+  // Flattens nested relationship objects (e.g. Account.Name)
+  const flatten = (source, prefix, target) => {
+    Object.entries(source).forEach(([key, value]) => {
+      if (key === 'attributes') return;
+      
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        flatten(value, name, target);
+      } else {
+        target[name] = value;
+      }
+    });
+    return target;
+  };
+  
+  return records.map(record => {
+    const prepared = flatten(record, '', {});
+    
+    fields.forEach(field => {
+      if (prepared[field] === undefined) {
+        prepared[field] = null;
+      }
+    });
+    
+    return prepared;
+  });
+};
+
+/**
+ * Queries in-memory opportunity records with the same options as a Salesforce query
+ * Used by the local data sources (imported datasets, fixtures)
+ * @param {Array} records - Opportunity records
+ * @param {Object} options - Query options
+ * @param {Array} options.fields - Fields to include on each record (all when omitted)
+ * @param {Object} options.filters - Filters (see filterUtils)
+ * @param {Object} options.fieldTypes - Field name to Salesforce type, used to compare filter values
+ * @param {Boolean} options.isClosed - Restrict to closed (true) or open (false) opportunities
+ * @param {String} options.orderBy - Sort expression, e.g. 'CreatedDate DESC'
+ * @param {Number} options.limit - Maximum number of records
+ * @returns {Array} Matching records
+ */
+const queryOpportunityRecords = (records, options = {}) => {
+  if (!records || !Array.isArray(records)) {
+    return [];
+  }
+  
+  const { fields, filters, fieldTypes = {}, isClosed, orderBy, limit } = options;
+  
+  const filterTree = normalizeFilters(filters);
+  const now = new Date();
+  
+  let results = records.filter(record => {
+    if (isClosed !== undefined && Boolean(record.IsClosed) !== isClosed) {
+      return false;
+    }
+    
+    return matchesFilters(record, filterTree, fieldTypes, now);
+  });
+  
+  if (orderBy) {
+    const [sortField, direction = 'ASC'] = orderBy.trim().split(/\s+/);
+    const multiplier = direction.toUpperCase() === 'DESC' ? -1 : 1;
+    
+    results = [...results].sort((a, b) => {
+      if (a[sortField] === b[sortField]) return 0;
+      if (a[sortField] === null || a[sortField] === undefined) return 1;
+      if (b[sortField] === null || b[sortField] === undefined) return -1;
+      return (a[sortField] > b[sortField] ? 1 : -1) * multiplier;
+    });
+  }
+  
+  if (limit) {
+    results = results.slice(0, limit);
+  }
+  
+  if (fields && fields.length > 0) {
+    results = results.map(record => {
+      const selected = {};
+      fields.forEach(field => {
+        selected[field] = record[field] !== undefined ? record[field] : null;
+      });
+      return selected;
+    });
+  } else {
+    // Copy so callers can't mutate the stored records
+    results = results.map(record => ({ ...record }));
+  }
+  
+  return results;
+};
+
 /**
  * Identifies and handles missing values in the dataset
  * @param {Array} data - Array of opportunity objects
@@ -150,16 +269,374 @@ const encodeCategoricalVariables = (data, categoricalFields, encodingType = 'one
   }
 };
 
+// Level that rare categorical values are pooled into
+const OTHER_LEVEL = 'Other';
+
+// Level used for missing categorical values
+const MISSING_LEVEL = '(Missing)';
+
+/**
+ * Gets the categorical level of a value
+ * @param {*} value - Raw field value
+ * @returns {String} Level label
+ */
+const getCategoryLevel = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return MISSING_LEVEL;
+  }
+  
+  return String(value);
+};
+
+/**
+ * Checks whether a dimension holds numbers (or booleans) rather than categories
+ * @param {Array} data - Array of opportunity objects
+ * @param {String} dimension - Dimension name
+ * @returns {Boolean} True if every present value is a number or boolean
+ */
+const isNumericDimension = (data, dimension) => {
+  const values = data
+    .map(record => record[dimension])
+    .filter(value => value !== null && value !== undefined && value !== '');
+  
+  return values.length > 0 && values.every(value => typeof value === 'number' || typeof value === 'boolean');
+};
+
+/**
+ * Works out how a categorical dimension is encoded: which levels are kept, which rare
+ * levels are pooled into "Other", and which level is the reference (left out of the design)
+ * @param {Array} data - Array of opportunity objects
+ * @param {String} dimension - Dimension name
+ * @param {Object} options - Encoding options
+ * @param {String} options.referenceLevel - Reference level (defaults to the most frequent level)
+ * @param {Number} options.minLevelCount - Levels seen on fewer records are pooled into "Other"
+ * @returns {Object} Encoding of the dimension
+ */
+const buildCategoricalEncoding = (data, dimension, options = {}) => {
+  const { referenceLevel, minLevelCount } = options;
+  
+  const counts = {};
+  data.forEach(record => {
+    const level = getCategoryLevel(record[dimension]);
+    counts[level] = (counts[level] || 0) + 1;
+  });
+  
+  const sortedLevels = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  
+  // A level the user picked as reference is never pooled away
+  const keptLevels = sortedLevels
+    .filter(([level, count]) => count >= minLevelCount || level === referenceLevel)
+    .map(([level]) => level);
+  const collapsedLevels = sortedLevels
+    .filter(([level]) => !keptLevels.includes(level))
+    .map(([level]) => level);
+  
+  // Pooling a single rare level into "Other" would only rename it
+  const levels = collapsedLevels.length > 1
+    ? [...keptLevels, OTHER_LEVEL]
+    : [...keptLevels, ...collapsedLevels];
+  const pooledLevels = collapsedLevels.length > 1 ? collapsedLevels : [];
+  
+  if (referenceLevel !== undefined && referenceLevel !== null && !levels.includes(String(referenceLevel))) {
+    throw new Error(`Reference level "${referenceLevel}" does not occur in ${dimension}`);
+  }
+  
+  const reference = referenceLevel !== undefined && referenceLevel !== null
+    ? String(referenceLevel)
+    : levels[0];
+  
+  const levelCounts = {};
+  levels.forEach(level => {
+    levelCounts[level] = level === OTHER_LEVEL && pooledLevels.length > 0
+      ? pooledLevels.reduce((sum, pooled) => sum + counts[pooled], 0)
+      : counts[level];
+  });
+  
+  return {
+    type: 'categorical',
+    referenceLevel: reference,
+    levels,
+    levelCounts,
+    pooledLevels,
+    columns: levels
+      .filter(level => level !== reference)
+      .map(level => ({ feature: `${dimension}_${level}`, level }))
+  };
+};
+
+/**
+ * Maps a raw value onto the levels of a categorical encoding
+ * Values not seen when the encoding was built fall into "Other" if there is one, and
+ * otherwise into the reference level.
+ * @param {*} value - Raw field value
+ * @param {Object} encoding - Categorical encoding (see buildCategoricalEncoding)
+ * @returns {String} Encoded level
+ */
+const getEncodedLevel = (value, encoding) => {
+  const level = getCategoryLevel(value);
+  
+  if (encoding.levels.includes(level)) {
+    return level;
+  }
+  
+  return encoding.levels.includes(OTHER_LEVEL) ? OTHER_LEVEL : encoding.referenceLevel;
+};
+
+/**
+ * Gets the name of the interaction term between two dimensions
+ * @param {Array} pair - The two dimensions
+ * @returns {String} Interaction name, e.g. 'Type:DealSizeCategory'
+ */
+const getInteractionName = (pair) => pair.join(':');
+
+/**
+ * Encodes a single record into a feature vector using encodings from preprocessData
+ * @param {Object} record - Opportunity (or feature object keyed by dimension)
+ * @param {Array} dimensions - Dimensions (and interaction terms) in model order
+ * @param {Object} encodingInfo - Encodings keyed by dimension (from preprocessData)
+ * @returns {Array} Feature values in the same column order as the training matrix
+ */
+const encodeCategories = (record, dimensions, encodingInfo) => {
+  return dimensions.flatMap(dimension => {
+    const encoding = encodingInfo[dimension];
+    const value = record[dimension];
+    
+    // Interaction columns are products of one column of each dimension (including columns
+    // dropped from the main effects as collinear)
+    if (encoding.type === 'interaction') {
+      const values = {};
+      encoding.dimensions.forEach(name => {
+        const component = encodingInfo[name];
+        const columns = [...component.columns, ...(component.droppedColumns || [])];
+        
+        encodeCategories(record, [name], { [name]: { ...component, columns } }).forEach((componentValue, k) => {
+          values[columns[k].feature] = componentValue;
+        });
+      });
+      
+      return encoding.columns.map(column => column.components.reduce((product, feature) => product * values[feature], 1));
+    }
+    
+    if (encoding.type === 'numeric') {
+      const number = typeof value === 'boolean' ? Number(value) : parseFloat(value);
+      return encoding.columns.map(() => (Number.isFinite(number) ? number : encoding.mean));
+    }
+    
+    const level = getEncodedLevel(value, encoding);
+    return encoding.columns.map(column => (column.level === level ? 1 : 0));
+  });
+};
+
+/**
+ * Turns opportunities into a numeric design matrix for regression and clustering
+ * Numeric and boolean dimensions become one column each (missing values take the mean).
+ * Categorical dimensions are dummy-encoded: rare levels are pooled into "Other", the
+ * reference level (most frequent unless chosen) is left out, and every other level gets
+ * its own 0/1 column, so each level's coefficient is its effect relative to the reference.
+ * Each requested interaction adds the products of the two dimensions' columns after the
+ * main effects, leaving out level combinations no record has (they can't be estimated).
+ * With dropCollinear, columns that are constant or exact linear combinations of earlier
+ * columns are removed from the design and the encodings, and listed in collinearColumns.
+ * @param {Array} data - Array of opportunity objects
+ * @param {Array} dimensions - Dimensions to encode
+ * @param {String} targetVariable - Outcome field (usually 'IsWon')
+ * @param {Object} options - Preprocessing options
+ * @param {Object} options.referenceLevels - Reference level per categorical dimension
+ * @param {Number} options.minLevelCount - Levels seen on fewer records are pooled into "Other"
+ * @param {Array} options.interactions - Pairs of dimensions to interact, e.g. [['Type', 'DealSizeCategory']]
+ * @param {Boolean} options.dropCollinear - Remove constant and perfectly collinear columns
+ * @returns {Object} Design matrix and encodings ({ X, y, featureNames, featureGroups, encodingInfo, collinearColumns })
+ */
+const preprocessData = (data, dimensions, targetVariable = 'IsWon', options = {}) => {
+  const {
+    referenceLevels = {},
+    minLevelCount = config.analytics.minCategoryLevelCount,
+    interactions = [],
+    dropCollinear = false
+  } = options;
+  
+  if (!data || data.length === 0) {
+    throw new Error('No records to preprocess');
+  }
+  
+  const encodingInfo = {};
+  
+  dimensions.forEach(dimension => {
+    if (isNumericDimension(data, dimension)) {
+      const values = data
+        .map(record => record[dimension])
+        .filter(value => typeof value === 'number' || typeof value === 'boolean')
+        .map(Number);
+      
+      encodingInfo[dimension] = {
+        type: 'numeric',
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        columns: [{ feature: dimension }]
+      };
+    } else {
+      encodingInfo[dimension] = buildCategoricalEncoding(data, dimension, {
+        referenceLevel: referenceLevels[dimension],
+        minLevelCount
+      });
+    }
+  });
+  
+  // Dummy columns come from the one-hot encoder after mapping values onto the kept levels
+  const categoricalDimensions = dimensions.filter(dimension => encodingInfo[dimension].type === 'categorical');
+  const leveled = data.map(record => {
+    const leveledRecord = { ...record };
+    categoricalDimensions.forEach(dimension => {
+      leveledRecord[dimension] = getEncodedLevel(record[dimension], encodingInfo[dimension]);
+    });
+    return leveledRecord;
+  });
+  const encoded = encodeCategoricalVariables(leveled, categoricalDimensions, 'one-hot');
+  
+  const baseRows = encoded.map(record => dimensions.flatMap(dimension => {
+    const encoding = encodingInfo[dimension];
+    
+    if (encoding.type === 'numeric') {
+      const value = record[dimension];
+      return [typeof value === 'number' || typeof value === 'boolean' ? Number(value) : encoding.mean];
+    }
+    
+    return encoding.columns.map(column => record[column.feature] || 0);
+  }));
+  
+  const baseFeatures = dimensions.flatMap(dimension => encodingInfo[dimension].columns.map(column => column.feature));
+  const getProduct = (row, components) => components.reduce((product, feature) => product * row[baseFeatures.indexOf(feature)], 1);
+  
+  const interactionNames = interactions.map(pair => {
+    const name = getInteractionName(pair);
+    const [first, second] = pair.map(dimension => encodingInfo[dimension]);
+    const candidates = first.columns.flatMap(a => second.columns.map(b => ({
+      feature: `${a.feature}:${b.feature}`,
+      components: [a.feature, b.feature],
+      levels: { [pair[0]]: a.level || null, [pair[1]]: b.level || null }
+    })));
+    const columns = candidates.filter(column => baseRows.some(row => getProduct(row, column.components) !== 0));
+    
+    encodingInfo[name] = {
+      type: 'interaction',
+      dimensions: pair,
+      columns,
+      emptyCells: candidates.filter(column => !columns.includes(column)).map(column => column.feature)
+    };
+    
+    return name;
+  });
+  
+  let X = baseRows.map(row => [
+    ...row,
+    ...interactionNames.flatMap(name => encodingInfo[name].columns.map(column => getProduct(row, column.components)))
+  ]);
+  
+  const terms = [...dimensions, ...interactionNames];
+  const allFeatures = terms.flatMap(term => encodingInfo[term].columns.map(column => ({ term, feature: column.feature })));
+  
+  // Drop columns the design can't identify; a column aliased with a single other column is
+  // an exact (scaled) duplicate, so that column's coefficient stands for both
+  const collinearColumns = (dropCollinear ? findCollinearColumns(X.map(row => [1, ...row])) : []).map(column => {
+    const aliasedWith = column.aliasedWith.map(index => (index === 0 ? 'intercept' : allFeatures[index - 1].feature));
+    
+    return {
+      feature: allFeatures[column.index - 1].feature,
+      dimension: allFeatures[column.index - 1].term,
+      type: column.type,
+      aliasedWith,
+      action: column.type === 'collinear' && aliasedWith.length === 1 && aliasedWith[0] !== 'intercept' ? 'merged' : 'dropped'
+    };
+  });
+  
+  if (collinearColumns.length > 0) {
+    const droppedFeatures = collinearColumns.map(column => column.feature);
+    
+    terms.forEach(term => {
+      const encoding = encodingInfo[term];
+      encoding.droppedColumns = encoding.columns.filter(column => droppedFeatures.includes(column.feature));
+      encoding.columns = encoding.columns.filter(column => !droppedFeatures.includes(column.feature));
+    });
+    
+    const keptIndices = allFeatures
+      .map((column, j) => (droppedFeatures.includes(column.feature) ? -1 : j))
+      .filter(j => j >= 0);
+    X = X.map(row => keptIndices.map(j => row[j]));
+  }
+  
+  const featureGroups = [];
+  let columnIndex = 0;
+  
+  // Terms left without columns are out of the model
+  terms.filter(term => encodingInfo[term].columns.length > 0).forEach(dimension => {
+    const encoding = encodingInfo[dimension];
+    const features = encoding.columns.map(column => column.feature);
+    
+    featureGroups.push({
+      dimension,
+      type: encoding.type,
+      referenceLevel: encoding.type === 'categorical' ? encoding.referenceLevel : null,
+      dimensions: encoding.type === 'interaction' ? encoding.dimensions : undefined,
+      features,
+      columnIndices: features.map((_, i) => columnIndex + i)
+    });
+    
+    columnIndex += features.length;
+  });
+  
+  const featureNames = featureGroups.flatMap(group => group.features);
+  
+  const y = data.map(record => (record[targetVariable] ? 1 : 0));
+  
+  return {
+    X,
+    y,
+    featureNames,
+    featureGroups,
+    encodingInfo,
+    collinearColumns
+  };
+};
+
+/**
+ * Replaces derived features in a field list with the fields they are computed from
+ * @param {Array} fields - Requested fields, possibly including derived features such as DealSizeCategory
+ * @returns {Array} Fields to fetch from a data source
+ */
+const getSourceFields = (fields = []) => {
+  return [...new Set(fields.flatMap(field => DERIVED_FEATURE_FIELDS[field] || [field]))];
+};
+
+/**
+ * Gets the deal-size category of an amount
+ * @param {Number} amount - Opportunity amount
+ * @param {Array} thresholds - Ascending upper bounds of the Small, Medium and Large bands
+ * @returns {String} Deal-size category
+ */
+const getDealSizeCategory = (amount, thresholds) => {
+  const band = thresholds.findIndex(threshold => amount < threshold);
+  return DEAL_SIZE_CATEGORIES[band === -1 ? thresholds.length : band];
+};
+
 /**
  * Creates derived features from existing opportunity data
+ * Amounts should already be in one currency (see currencyService.normalizeAmounts);
+ * deal-size bands are picked by each record's CurrencyIsoCode
  * @param {Array} data - Array of opportunity objects
+ * @param {Object} options - Feature options
+ * @param {String} options.currency - Currency of records without a CurrencyIsoCode
+ * @param {Object} options.dealSizeBands - Band thresholds keyed by currency, with a 'default' entry
  * @returns {Array} Data with additional derived features
  */
-const createDerivedFeatures = (data) => {
+const createDerivedFeatures = (data, options = {}) => {
   if (!data || !Array.isArray(data)) {
     return [];
   }
   
+  const {
+    currency = config.app.corporateCurrency,
+    dealSizeBands = config.app.dealSizeBands
+  } = options;
+  
   return data.map(record => {
     const derivedRecord = { ...record };
     
@@ -170,17 +647,10 @@ const createDerivedFeatures = (data) => {
       derivedRecord.OpportunityAgeInDays = Math.floor((today - createdDate) / (1000 * 60 * 60 * 24));
     }
     
-    // Calculate deal size category
+    // Calculate deal size category using the bands of the amount's currency
     if (typeof record.Amount === 'number') {
-      if (record.Amount < 10000) {
-        derivedRecord.DealSizeCategory = 'Small';
-      } else if (record.Amount < 50000) {
-        derivedRecord.DealSizeCategory = 'Medium';
-      } else if (record.Amount < 100000) {
-        derivedRecord.DealSizeCategory = 'Large';
-      } else {
-        derivedRecord.DealSizeCategory = 'Enterprise';
-      }
+      const thresholds = dealSizeBands[record.CurrencyIsoCode || currency] || dealSizeBands.default;
+      derivedRecord.DealSizeCategory = getDealSizeCategory(record.Amount, thresholds);
     }
     
     // Calculate discount percentage if both Amount and Expected Amount exist
@@ -239,9 +709,10 @@ const balanceWinLossData = (data, outcomeField = 'IsWon', method = 'undersample'
  * @param {number} testRatio - Ratio of data to use for testing (0-1)
  * @param {boolean} stratified - Whether to maintain the same win/loss ratio in both sets
  * @param {string} outcomeField - Field name indicating win/loss status
+ * @param {Function} random - Random number generator (seeded for a reproducible split)
  * @returns {Object} Object containing training and testing datasets
  */
-const splitTrainingTestingData = (data, testRatio = 0.2, stratified = true, outcomeField = 'IsWon') => {
+const splitTrainingTestingData = (data, testRatio = 0.2, stratified = true, outcomeField = 'IsWon', random = Math.random) => {
   if (!data || !Array.isArray(data) || data.length === 0) {
     return { training: [], testing: [] };
   }
@@ -252,8 +723,8 @@ const splitTrainingTestingData = (data, testRatio = 0.2, stratified = true, outc
     const losses = data.filter(record => record[outcomeField] === false);
     
     // Shuffle each set
-    const shuffledWins = [...wins].sort(() => 0.5 - Math.random());
-    const shuffledLosses = [...losses].sort(() => 0.5 - Math.random());
+    const shuffledWins = shuffle(wins, random);
+    const shuffledLosses = shuffle(losses, random);
     
     // Calculate split points
     const winsTestCount = Math.floor(shuffledWins.length * testRatio);
@@ -271,7 +742,7 @@ const splitTrainingTestingData = (data, testRatio = 0.2, stratified = true, outc
     };
   } else {
     // Simple random split
-    const shuffled = [...data].sort(() => 0.5 - Math.random());
+    const shuffled = shuffle(data, random);
     const testSize = Math.floor(data.length * testRatio);
     
     return {
@@ -439,9 +910,19 @@ const aggregateByDimensions = (data, dimensions, metrics) => {
 };
 
 module.exports = {
+  prepareOpportunityData,
+  queryOpportunityRecords,
   handleMissingValues,
   normalizeNumericValues,
   encodeCategoricalVariables,
+  OTHER_LEVEL,
+  getCategoryLevel,
+  isNumericDimension,
+  getInteractionName,
+  preprocessData,
+  encodeCategories,
+  DEAL_SIZE_CATEGORIES,
+  getSourceFields,
   createDerivedFeatures,
   balanceWinLossData,
   splitTrainingTestingData,
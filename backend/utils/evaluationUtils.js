@@ -0,0 +1,476 @@
+/**
+ * Evaluation Utilities
+ * Threshold-free scoring of predicted win probabilities: ROC and precision-recall curves,
+ * log loss, Brier score, lift by decile and calibration (reliability diagram), permutation
+ * importance of a model's dimensions, and paired tests of two models scored on the same records
+ */
+
+const jStat = require('jStat').jStat;
+const { shuffle, summarizeFolds } = require('./crossValidationUtils');
+
+// Curves sent to the client are thinned to at most this many points
+const MAX_CURVE_POINTS = 200;
+
+// Keeps probabilities away from 0 and 1 so log loss stays finite
+const clampProbability = p => Math.min(1 - 1e-15, Math.max(1e-15, p));
+
+/**
+ * Orders records by predicted probability (highest first) and groups tied probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Array} Groups ({ threshold, positives, negatives }), highest threshold first
+ */
+const groupByThreshold = (y, probabilities) => {
+  const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[b] - probabilities[a]);
+  const groups = [];
+  
+  order.forEach(i => {
+    const last = groups[groups.length - 1];
+    
+    if (!last || last.threshold !== probabilities[i]) {
+      groups.push({ threshold: probabilities[i], positives: 0, negatives: 0 });
+    }
+    
+    groups[groups.length - 1][y[i] === 1 ? 'positives' : 'negatives']++;
+  });
+  
+  return groups;
+};
+
+/**
+ * Keeps evenly spaced points of a curve, always including both ends
+ * @param {Array} points - Curve points
+ * @param {Number} maxPoints - Maximum number of points
+ * @returns {Array} Thinned points
+ */
+const thinCurve = (points, maxPoints = MAX_CURVE_POINTS) => {
+  if (points.length <= maxPoints) return points;
+  
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, k) => points[Math.round(k * step)]);
+};
+
+/**
+ * Computes the ROC curve and the area under it
+ * Tied probabilities form one step, so the area equals the Mann-Whitney probability that a
+ * random win scores above a random loss (ties counting half).
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Object} ROC curve ({ points: [{ threshold, falsePositiveRate, truePositiveRate }], auc }),
+ *   auc is null when the outcomes are all wins or all losses
+ */
+const computeRocCurve = (y, probabilities) => {
+  const positives = y.filter(value => value === 1).length;
+  const negatives = y.length - positives;
+  
+  if (positives === 0 || negatives === 0) {
+    return { points: [], auc: null };
+  }
+  
+  const points = [{ threshold: null, falsePositiveRate: 0, truePositiveRate: 0 }];
+  let truePositives = 0;
+  let falsePositives = 0;
+  let auc = 0;
+  
+  groupByThreshold(y, probabilities).forEach(group => {
+    const previous = points[points.length - 1];
+    truePositives += group.positives;
+    falsePositives += group.negatives;
+    
+    const point = {
+      threshold: group.threshold,
+      falsePositiveRate: falsePositives / negatives,
+      truePositiveRate: truePositives / positives
+    };
+    
+    auc += (point.falsePositiveRate - previous.falsePositiveRate) * (point.truePositiveRate + previous.truePositiveRate) / 2;
+    points.push(point);
+  });
+  
+  return { points: thinCurve(points), auc };
+};
+
+/**
+ * Computes the precision-recall curve and average precision
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Object} Precision-recall curve ({ points: [{ threshold, recall, precision }], averagePrecision,
+ *   baseline }), baseline being the win rate a random ranking would achieve
+ */
+const computePrecisionRecallCurve = (y, probabilities) => {
+  const positives = y.filter(value => value === 1).length;
+  
+  if (positives === 0) {
+    return { points: [], averagePrecision: null, baseline: 0 };
+  }
+  
+  const points = [];
+  let truePositives = 0;
+  let predictedPositives = 0;
+  let averagePrecision = 0;
+  
+  groupByThreshold(y, probabilities).forEach(group => {
+    const previousRecall = truePositives / positives;
+    truePositives += group.positives;
+    predictedPositives += group.positives + group.negatives;
+    
+    const point = {
+      threshold: group.threshold,
+      recall: truePositives / positives,
+      precision: truePositives / predictedPositives
+    };
+    
+    // Step-wise area: precision at each threshold weighted by the recall it adds
+    averagePrecision += (point.recall - previousRecall) * point.precision;
+    points.push(point);
+  });
+  
+  return { points: thinCurve(points), averagePrecision, baseline: positives / y.length };
+};
+
+/**
+ * Computes the mean log loss (cross-entropy) of predicted probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Number} Log loss (lower is better)
+ */
+const computeLogLoss = (y, probabilities) => -y.reduce((sum, actual, i) => {
+  const p = clampProbability(probabilities[i]);
+  return sum + actual * Math.log(p) + (1 - actual) * Math.log(1 - p);
+}, 0) / y.length;
+
+/**
+ * Computes the Brier score (mean squared error) of predicted probabilities
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Number} Brier score (lower is better)
+ */
+const computeBrierScore = (y, probabilities) =>
+  y.reduce((sum, actual, i) => sum + (probabilities[i] - actual) ** 2, 0) / y.length;
+
+/**
+ * Builds the lift and cumulative gain table, ranking records by predicted probability
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @param {Number} groups - Number of bins (10 for deciles)
+ * @returns {Array} One row per bin, highest probabilities first
+ */
+const computeLiftTable = (y, probabilities, groups = 10) => {
+  const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[b] - probabilities[a]);
+  const totalWins = y.reduce((sum, value) => sum + value, 0);
+  const baseRate = totalWins / y.length;
+  let cumulativeCount = 0;
+  let cumulativeWins = 0;
+  
+  return Array.from({ length: groups }, (_, k) => {
+    const members = order.slice(Math.round(k * order.length / groups), Math.round((k + 1) * order.length / groups));
+    const wins = members.reduce((sum, i) => sum + y[i], 0);
+    const memberProbabilities = members.map(i => probabilities[i]);
+    cumulativeCount += members.length;
+    cumulativeWins += wins;
+    
+    const winRate = members.length > 0 ? wins / members.length : null;
+    
+    return {
+      group: k + 1,
+      count: members.length,
+      minProbability: members.length > 0 ? Math.min(...memberProbabilities) : null,
+      maxProbability: members.length > 0 ? Math.max(...memberProbabilities) : null,
+      meanProbability: members.length > 0
+        ? memberProbabilities.reduce((sum, p) => sum + p, 0) / members.length
+        : null,
+      wins,
+      winRate,
+      lift: winRate !== null && baseRate > 0 ? winRate / baseRate : null,
+      cumulativeShare: cumulativeCount / y.length,
+      cumulativeGain: totalWins > 0 ? cumulativeWins / totalWins : null,
+      cumulativeLift: baseRate > 0 ? (cumulativeWins / cumulativeCount) / baseRate : null
+    };
+  }).filter(row => row.count > 0);
+};
+
+/**
+ * Builds a reliability diagram: predicted vs observed win rate in equal-width probability bins
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @param {Number} bins - Number of bins
+ * @returns {Array} Non-empty bins ({ lower, upper, count, meanPredicted, observedWinRate, gap })
+ */
+const computeReliabilityDiagram = (y, probabilities, bins = 10) => {
+  const rows = Array.from({ length: bins }, (_, k) => ({
+    lower: k / bins,
+    upper: (k + 1) / bins,
+    count: 0,
+    predictedSum: 0,
+    wins: 0
+  }));
+  
+  probabilities.forEach((p, i) => {
+    const row = rows[Math.min(bins - 1, Math.floor(p * bins))];
+    row.count++;
+    row.predictedSum += p;
+    row.wins += y[i];
+  });
+  
+  return rows
+    .filter(row => row.count > 0)
+    .map(({ lower, upper, count, predictedSum, wins }) => ({
+      lower,
+      upper,
+      count,
+      meanPredicted: predictedSum / count,
+      observedWinRate: wins / count,
+      gap: wins / count - predictedSum / count
+    }));
+};
+
+/**
+ * Computes the expected calibration error: the count-weighted mean gap between predicted and
+ * observed win rates over the reliability bins
+ * @param {Array} reliability - Reliability diagram bins
+ * @returns {Number} Expected calibration error (0 = perfectly calibrated)
+ */
+const computeExpectedCalibrationError = (reliability) => {
+  const total = reliability.reduce((sum, row) => sum + row.count, 0);
+  return reliability.reduce((sum, row) => sum + row.count * Math.abs(row.gap), 0) / total;
+};
+
+/**
+ * Scores predicted probabilities without choosing a threshold
+ * The baseline always predicts the observed win rate; skill scores compare against it
+ * (0 = no better than the base rate, 1 = perfect).
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Object} Evaluation (auc, averagePrecision, logLoss, brierScore, skill scores, calibration error,
+ *   curves, lift table and reliability diagram)
+ */
+const evaluateProbabilities = (y, probabilities) => {
+  const baseRate = y.reduce((sum, value) => sum + value, 0) / y.length;
+  const baselineProbabilities = y.map(() => baseRate);
+  const roc = computeRocCurve(y, probabilities);
+  const precisionRecall = computePrecisionRecallCurve(y, probabilities);
+  const logLoss = computeLogLoss(y, probabilities);
+  const brierScore = computeBrierScore(y, probabilities);
+  const reliability = computeReliabilityDiagram(y, probabilities);
+  const baseline = {
+    probability: baseRate,
+    logLoss: computeLogLoss(y, baselineProbabilities),
+    brierScore: computeBrierScore(y, baselineProbabilities)
+  };
+  
+  return {
+    count: y.length,
+    baseRate,
+    auc: roc.auc,
+    averagePrecision: precisionRecall.averagePrecision,
+    logLoss,
+    brierScore,
+    baseline,
+    logLossSkill: baseline.logLoss > 0 ? 1 - logLoss / baseline.logLoss : null,
+    brierSkillScore: baseline.brierScore > 0 ? 1 - brierScore / baseline.brierScore : null,
+    expectedCalibrationError: computeExpectedCalibrationError(reliability),
+    maximumCalibrationError: Math.max(...reliability.map(row => Math.abs(row.gap))),
+    roc: roc.points,
+    precisionRecall: precisionRecall.points,
+    lift: computeLiftTable(y, probabilities),
+    reliability
+  };
+};
+
+/**
+ * Measures how much a model relies on each dimension by shuffling that dimension's values across
+ * the records and scoring the predictions again; a dimension the model ignores loses nothing
+ * @param {Function} predict - Predicts a win probability from a row of dimension values
+ * @param {Array} rows - Dimension values of each record (held-out records, not the training set)
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} dimensions - Dimension names, in row order
+ * @param {Object} options - Permutation settings
+ * @param {Number} options.repeats - Number of shuffles per dimension (averaged)
+ * @param {Function} options.random - Random number generator
+ * @returns {Array} Importance of each dimension ({ dimension, aucDecrease, logLossIncrease }), in
+ *   dimension order; aucDecrease is null when the outcomes are all wins or all losses
+ */
+const computePermutationImportance = (predict, rows, y, dimensions, { repeats = 3, random = Math.random } = {}) => {
+  const baseProbabilities = rows.map(predict);
+  const baseAuc = computeRocCurve(y, baseProbabilities).auc;
+  const baseLogLoss = computeLogLoss(y, baseProbabilities);
+  
+  return dimensions.map((dimension, j) => {
+    const aucDecreases = [];
+    const logLossIncreases = [];
+    
+    for (let repeat = 0; repeat < repeats; repeat++) {
+      const permuted = shuffle(rows.map(row => row[j]), random);
+      const probabilities = rows.map((row, i) => predict(row.map((value, k) => (k === j ? permuted[i] : value))));
+      
+      if (baseAuc !== null) {
+        aucDecreases.push(baseAuc - computeRocCurve(y, probabilities).auc);
+      }
+      logLossIncreases.push(computeLogLoss(y, probabilities) - baseLogLoss);
+    }
+    
+    return {
+      dimension,
+      aucDecrease: aucDecreases.length > 0 ? summarizeFolds(aucDecreases).mean : null,
+      logLossIncrease: summarizeFolds(logLossIncreases).mean
+    };
+  });
+};
+
+/**
+ * Counts the values of an ascending array below a value and equal to it
+ * @param {Array} sorted - Ascending numbers
+ * @param {Number} value - Value to place
+ * @returns {Object} Counts ({ below, equal })
+ */
+const countBelowAndEqual = (sorted, value) => {
+  const bound = (strict) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (strict ? sorted[middle] < value : sorted[middle] <= value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  };
+  
+  const below = bound(true);
+  return { below, equal: bound(false) - below };
+};
+
+/**
+ * Computes DeLong's structural components of the AUC: for each win, the share of losses it
+ * outscores, and for each loss, the share of wins that outscore it (ties counting half)
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @returns {Object} Components ({ auc, positive, negative })
+ */
+const computeAucComponents = (y, probabilities) => {
+  const positiveScores = probabilities.filter((_, i) => y[i] === 1);
+  const negativeScores = probabilities.filter((_, i) => y[i] !== 1);
+  const sortedPositives = [...positiveScores].sort((a, b) => a - b);
+  const sortedNegatives = [...negativeScores].sort((a, b) => a - b);
+  
+  const positive = positiveScores.map(score => {
+    const { below, equal } = countBelowAndEqual(sortedNegatives, score);
+    return (below + equal / 2) / negativeScores.length;
+  });
+  const negative = negativeScores.map(score => {
+    const { below, equal } = countBelowAndEqual(sortedPositives, score);
+    return (positiveScores.length - below - equal / 2) / positiveScores.length;
+  });
+  
+  return { auc: positive.reduce((sum, value) => sum + value, 0) / positive.length, positive, negative };
+};
+
+/**
+ * Tests whether two models' AUCs on the same records differ (DeLong, DeLong and Clarke-Pearson, 1988)
+ * Both models rank the same wins and losses, so their AUCs are correlated; the variance of the
+ * difference comes from the covariance of their structural components.
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilitiesA - Predictions of the reference model
+ * @param {Array} probabilitiesB - Predictions of the compared model
+ * @returns {Object|null} Test ({ aucA, aucB, difference, standardError, z, pValue }), difference
+ *   being B minus A; null when the outcomes are all wins or all losses
+ */
+const computeDeLongTest = (y, probabilitiesA, probabilitiesB) => {
+  const positives = y.filter(value => value === 1).length;
+  const negatives = y.length - positives;
+  
+  if (positives < 2 || negatives < 2) {
+    return null;
+  }
+  
+  const a = computeAucComponents(y, probabilitiesA);
+  const b = computeAucComponents(y, probabilitiesB);
+  
+  // Variance of (component of A - component of B) over wins and over losses
+  const differenceVariance = (componentsA, componentsB, meanDifference) => componentsA.reduce(
+    (sum, value, i) => sum + (value - componentsB[i] - meanDifference) ** 2, 0
+  ) / (componentsA.length - 1);
+  
+  const difference = b.auc - a.auc;
+  const variance = differenceVariance(a.positive, b.positive, a.auc - b.auc) / positives +
+    differenceVariance(a.negative, b.negative, a.auc - b.auc) / negatives;
+  const standardError = Math.sqrt(variance);
+  
+  // Identical rankings have no variance: the AUCs can't differ
+  const z = standardError > 0 ? difference / standardError : null;
+  
+  return {
+    aucA: a.auc,
+    aucB: b.auc,
+    difference,
+    standardError,
+    z,
+    pValue: z === null ? 1 : 2 * (1 - jStat.normal.cdf(Math.abs(z), 0, 1))
+  };
+};
+
+/**
+ * Bootstraps the difference of a metric between two models scored on the same records: the records
+ * are resampled with replacement and both models are scored on every resample
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilitiesA - Predictions of the reference model
+ * @param {Array} probabilitiesB - Predictions of the compared model
+ * @param {Function} metric - Scores predictions ((y, probabilities) => Number)
+ * @param {Object} options - Bootstrap settings
+ * @param {Number} options.samples - Number of resamples
+ * @param {Number} options.confidenceLevel - Coverage of the percentile interval
+ * @param {Function} options.random - Random number generator
+ * @returns {Object} Test ({ valueA, valueB, difference, confidenceInterval: { level, lower, upper },
+ *   pValue, samples }), difference being B minus A on all records; the two-sided p-value is the
+ *   share of resamples on either side of zero
+ */
+const bootstrapMetricDifference = (y, probabilitiesA, probabilitiesB, metric, options = {}) => {
+  const { samples = 1000, confidenceLevel = 0.95, random = Math.random } = options;
+  const valueA = metric(y, probabilitiesA);
+  const valueB = metric(y, probabilitiesB);
+  const differences = [];
+  
+  for (let sample = 0; sample < samples; sample++) {
+    const indices = y.map(() => Math.floor(random() * y.length));
+    const resampledY = indices.map(i => y[i]);
+    differences.push(
+      metric(resampledY, indices.map(i => probabilitiesB[i])) - metric(resampledY, indices.map(i => probabilitiesA[i]))
+    );
+  }
+  
+  differences.sort((x, z) => x - z);
+  const quantile = q => differences[Math.min(samples - 1, Math.max(0, Math.floor(q * samples)))];
+  const atOrBelowZero = differences.filter(difference => difference <= 0).length;
+  const atOrAboveZero = differences.filter(difference => difference >= 0).length;
+  
+  return {
+    valueA,
+    valueB,
+    difference: valueB - valueA,
+    confidenceInterval: {
+      level: confidenceLevel,
+      lower: quantile((1 - confidenceLevel) / 2),
+      upper: quantile(1 - (1 - confidenceLevel) / 2)
+    },
+    pValue: Math.min(1, 2 * Math.min(atOrBelowZero + 1, atOrAboveZero + 1) / (samples + 1)),
+    samples
+  };
+};
+
+module.exports = {
+  groupByThreshold,
+  thinCurve,
+  computeRocCurve,
+  computePrecisionRecallCurve,
+  computeLogLoss,
+  computeBrierScore,
+  computeLiftTable,
+  computeReliabilityDiagram,
+  computeExpectedCalibrationError,
+  evaluateProbabilities,
+  computePermutationImportance,
+  computeDeLongTest,
+  bootstrapMetricDifference
+};
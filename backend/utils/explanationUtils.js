@@ -0,0 +1,124 @@
+/**
+ * Explanation Utilities
+ * Shapley attributions of a single prediction to its dimensions: each dimension is credited with
+ * its average effect on the prediction over every order in which the dimensions could be revealed,
+ * starting from the average opportunity, so the contributions add up to the prediction minus the baseline
+ */
+
+const { createRandom, shuffle } = require('./crossValidationUtils');
+
+// Up to this many dimensions every coalition is evaluated; beyond it orders are sampled
+const MAX_EXACT_DIMENSIONS = 10;
+
+// Number of sampled orders when there are too many dimensions to enumerate
+const DEFAULT_SAMPLES = 200;
+
+// Seed of the sampled orders when the caller gives none, so an explanation is reproducible
+const DEFAULT_SEED = 1;
+
+/**
+ * Computes Shapley values of a value function over dimensions
+ * @param {Function} valueOf - Prediction when only some dimensions are known ((known: Array of Booleans) => Number)
+ * @param {Number} dimensionCount - Number of dimensions
+ * @param {Object} options - Settings
+ * @param {Number} options.maxExactDimensions - Largest dimension count evaluated exactly
+ * @param {Number} options.samples - Number of sampled orders otherwise
+ * @param {Number} options.seed - Integer seed of the sampled orders
+ * @returns {Object} Attributions ({ method: 'exact' or 'sampled', samples, baseline, prediction, values }),
+ *   values summing to prediction - baseline
+ */
+const computeShapleyValues = (valueOf, dimensionCount, options = {}) => {
+  const {
+    maxExactDimensions = MAX_EXACT_DIMENSIONS,
+    samples = DEFAULT_SAMPLES,
+    seed = DEFAULT_SEED
+  } = options;
+  
+  // Coalitions are evaluated once each
+  const cache = new Map();
+  const value = (known) => {
+    const key = known.map(flag => (flag ? '1' : '0')).join('');
+    if (!cache.has(key)) {
+      cache.set(key, valueOf(known));
+    }
+    return cache.get(key);
+  };
+  
+  const nobody = new Array(dimensionCount).fill(false);
+  const everybody = new Array(dimensionCount).fill(true);
+  const baseline = value(nobody);
+  const prediction = value(everybody);
+  const values = new Array(dimensionCount).fill(0);
+  
+  if (dimensionCount <= maxExactDimensions) {
+    // Weight of a coalition of size s: s! (d - s - 1)! / d!
+    const factorials = [1];
+    for (let k = 1; k <= dimensionCount; k++) {
+      factorials.push(factorials[k - 1] * k);
+    }
+    
+    for (let mask = 0; mask < 2 ** dimensionCount; mask++) {
+      const known = nobody.map((_, j) => (mask & (1 << j)) !== 0);
+      const size = known.filter(Boolean).length;
+      if (size === dimensionCount) continue;
+      
+      const weight = factorials[size] * factorials[dimensionCount - size - 1] / factorials[dimensionCount];
+      const without = value(known);
+      
+      known.forEach((isKnown, j) => {
+        if (isKnown) return;
+        const withJ = [...known];
+        withJ[j] = true;
+        values[j] += weight * (value(withJ) - without);
+      });
+    }
+    
+    return { method: 'exact', samples: null, baseline, prediction, values };
+  }
+  
+  // Sampled orders: reveal the dimensions one at a time and credit each with the change it causes
+  const random = createRandom(seed);
+  const order = nobody.map((_, j) => j);
+  for (let sample = 0; sample < samples; sample++) {
+    const known = [...nobody];
+    let previous = baseline;
+    
+    shuffle(order, random).forEach(j => {
+      known[j] = true;
+      const current = value(known);
+      values[j] += current - previous;
+      previous = current;
+    });
+  }
+  
+  return {
+    method: 'sampled',
+    samples,
+    baseline,
+    prediction,
+    values: values.map(total => total / samples)
+  };
+};
+
+/**
+ * Lists Shapley contributions in probability points, largest first
+ * @param {Array} dimensions - Dimension names
+ * @param {Object} opportunity - Explained opportunity (for the dimension values)
+ * @param {Object} shapley - Result of computeShapleyValues on probabilities
+ * @returns {Array} Contributions ({ dimension, value, contribution, absoluteContribution }), in
+ *   percentage points of win probability
+ */
+const describeContributions = (dimensions, opportunity, shapley) => dimensions
+  .map((dimension, j) => ({
+    dimension,
+    value: opportunity[dimension] === undefined ? null : opportunity[dimension],
+    contribution: shapley.values[j] * 100,
+    absoluteContribution: Math.abs(shapley.values[j] * 100)
+  }))
+  .sort((a, b) => b.absoluteContribution - a.absoluteContribution);
+
+module.exports = {
+  MAX_EXACT_DIMENSIONS,
+  computeShapleyValues,
+  describeContributions
+};
@@ -0,0 +1,646 @@
+/**
+ * Utilities for opportunity filters
+ * A small filter language shared by every data source: it is validated against
+ * field metadata, compiled to escaped SOQL for Salesforce and evaluated in memory
+ * for local sources (fixtures, datasets, sync store, snapshots).
+ *
+ * A filter is either a condition or a group:
+ *   { field: 'StageName', op: 'eq', value: 'Closed Won' }
+ *   { field: 'Type', op: 'in', value: ['New Customer', 'Existing Customer - Upgrade'] }
+ *   { field: 'Amount', op: 'range', min: 10000, max: 50000 }
+ *   { field: 'CloseDate', op: 'eq', value: 'LAST_N_QUARTERS:4' }
+ *   { field: 'LeadSource', op: 'isNull' }
+ *   { and: [...] } / { or: [...] }
+ * The legacy { Field: value | [values] } shape is still accepted and means an AND of eq/in conditions.
+ */
+
+const config = require('../config/config');
+
+// Supported condition operators
+const FILTER_OPERATORS = ['eq', 'ne', 'in', 'notIn', 'lt', 'lte', 'gt', 'gte', 'range', 'isNull', 'notNull'];
+
+// SOQL comparison operators
+const SOQL_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>='
+};
+
+// Salesforce field types grouped by how their values are compared
+const NUMERIC_TYPES = ['int', 'double', 'currency', 'percent', 'long'];
+const DATE_TYPES = ['date'];
+const DATETIME_TYPES = ['datetime'];
+const BOOLEAN_TYPES = ['boolean'];
+
+// Relative date literals without a parameter, as [unit, offset from the current period]
+const FIXED_DATE_LITERALS = {
+  TODAY: ['day', 0],
+  YESTERDAY: ['day', -1],
+  TOMORROW: ['day', 1],
+  THIS_WEEK: ['week', 0],
+  LAST_WEEK: ['week', -1],
+  NEXT_WEEK: ['week', 1],
+  THIS_MONTH: ['month', 0],
+  LAST_MONTH: ['month', -1],
+  NEXT_MONTH: ['month', 1],
+  THIS_QUARTER: ['quarter', 0],
+  LAST_QUARTER: ['quarter', -1],
+  NEXT_QUARTER: ['quarter', 1],
+  THIS_YEAR: ['year', 0],
+  LAST_YEAR: ['year', -1],
+  NEXT_YEAR: ['year', 1],
+  THIS_FISCAL_QUARTER: ['fiscalQuarter', 0],
+  LAST_FISCAL_QUARTER: ['fiscalQuarter', -1],
+  NEXT_FISCAL_QUARTER: ['fiscalQuarter', 1],
+  THIS_FISCAL_YEAR: ['fiscalYear', 0],
+  LAST_FISCAL_YEAR: ['fiscalYear', -1],
+  NEXT_FISCAL_YEAR: ['fiscalYear', 1]
+};
+
+// Units used by the parameterized literals (LAST_N_QUARTERS:4, N_DAYS_AGO:3, ...)
+const LITERAL_UNITS = {
+  DAYS: 'day',
+  WEEKS: 'week',
+  MONTHS: 'month',
+  QUARTERS: 'quarter',
+  YEARS: 'year',
+  FISCAL_QUARTERS: 'fiscalQuarter',
+  FISCAL_YEARS: 'fiscalYear'
+};
+
+const UNIT_PATTERN = Object.keys(LITERAL_UNITS).join('|');
+const RANGE_LITERAL_PATTERN = new RegExp(`^(LAST|NEXT)_N_(${UNIT_PATTERN}):(\\d+)$`);
+const AGO_LITERAL_PATTERN = new RegExp(`^N_(${UNIT_PATTERN})_AGO:(\\d+)$`);
+
+// Field names, including relationship paths such as Account.Industry
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/;
+
+// Sort expressions: a field name with an optional direction, e.g. 'CloseDate DESC'
+const ORDER_BY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*(\s+(ASC|DESC))?$/i;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Converts any accepted filter shape into a filter tree
+ * @param {Object|Array} filters - Filters in the DSL or the legacy { Field: value } shape
+ * @returns {Object|null} Filter tree, or null when there is nothing to filter on
+ */
+const normalizeFilters = (filters) => {
+  if (filters === undefined || filters === null) {
+    return null;
+  }
+  
+  if (Array.isArray(filters)) {
+    return filters.length > 0 ? { and: filters.map(normalizeFilters) } : null;
+  }
+  
+  if (typeof filters !== 'object') {
+    return { invalid: filters };
+  }
+  
+  if (filters.and || filters.or) {
+    const operator = filters.and ? 'and' : 'or';
+    const children = filters[operator];
+    return { [operator]: Array.isArray(children) ? children.map(normalizeFilters) : children };
+  }
+  
+  if (filters.field !== undefined) {
+    const condition = { ...filters, op: filters.op || (Array.isArray(filters.value) ? 'in' : 'eq') };
+    
+    if (condition.op === 'eq' && condition.value === null) {
+      return { field: condition.field, op: 'isNull' };
+    }
+    return condition;
+  }
+  
+  // Legacy shape: { Field: value | [values] }
+  const conditions = Object.entries(filters).map(([field, value]) => {
+    if (Array.isArray(value)) {
+      return { field, op: 'in', value };
+    }
+    return value === null ? { field, op: 'isNull' } : { field, op: 'eq', value };
+  });
+  
+  return conditions.length > 0 ? { and: conditions } : null;
+};
+
+/**
+ * Parses a relative date literal
+ * @param {*} value - Candidate literal, e.g. 'LAST_N_QUARTERS:4'
+ * @returns {Object|null} Parsed literal ({ unit, from, to } in periods relative to the current one), or null
+ */
+const parseDateLiteral = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  
+  if (FIXED_DATE_LITERALS[value]) {
+    const [unit, offset] = FIXED_DATE_LITERALS[value];
+    return { unit, from: offset, to: offset + 1 };
+  }
+  
+  // LAST_90_DAYS and LAST_N_DAYS include today; NEXT_90_DAYS and NEXT_N_DAYS start tomorrow
+  if (value === 'LAST_90_DAYS') return { unit: 'day', from: -90, to: 1 };
+  if (value === 'NEXT_90_DAYS') return { unit: 'day', from: 1, to: 91 };
+  
+  const rangeMatch = value.match(RANGE_LITERAL_PATTERN);
+  if (rangeMatch) {
+    const unit = LITERAL_UNITS[rangeMatch[2]];
+    const n = parseInt(rangeMatch[3], 10);
+    
+    if (rangeMatch[1] === 'LAST') {
+      return unit === 'day' ? { unit, from: -n, to: 1 } : { unit, from: -n, to: 0 };
+    }
+    return { unit, from: 1, to: n + 1 };
+  }
+  
+  const agoMatch = value.match(AGO_LITERAL_PATTERN);
+  if (agoMatch) {
+    const n = parseInt(agoMatch[2], 10);
+    return { unit: LITERAL_UNITS[agoMatch[1]], from: -n, to: -n + 1 };
+  }
+  
+  return null;
+};
+
+/**
+ * Gets the start of the period containing a date (UTC)
+ * @param {Date} date - Date
+ * @param {String} unit - Period unit
+ * @returns {Date} Period start
+ */
+const getPeriodStart = (date, unit) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const fiscalStartMonth = config.app.fiscalYearStartMonth - 1;
+  
+  switch (unit) {
+    case 'day':
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+    case 'week':
+      // Weeks start on Sunday, as in Salesforce's default locale
+      return new Date(Date.UTC(year, month, date.getUTCDate() - date.getUTCDay()));
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    case 'fiscalQuarter': {
+      const monthsIntoYear = (month - fiscalStartMonth + 12) % 12;
+      return new Date(Date.UTC(year, month - (monthsIntoYear % 3), 1));
+    }
+    case 'fiscalYear': {
+      const monthsIntoYear = (month - fiscalStartMonth + 12) % 12;
+      return new Date(Date.UTC(year, month - monthsIntoYear, 1));
+    }
+    default:
+      throw new Error(`Unknown period unit: ${unit}`);
+  }
+};
+
+/**
+ * Moves a period start by a number of periods
+ * @param {Date} start - Period start
+ * @param {String} unit - Period unit
+ * @param {Number} count - Number of periods (may be negative)
+ * @returns {Date} Shifted period start
+ */
+const addPeriods = (start, unit, count) => {
+  const shifted = new Date(start.getTime());
+  
+  switch (unit) {
+    case 'day':
+      shifted.setUTCDate(shifted.getUTCDate() + count);
+      break;
+    case 'week':
+      shifted.setUTCDate(shifted.getUTCDate() + count * 7);
+      break;
+    case 'month':
+      shifted.setUTCMonth(shifted.getUTCMonth() + count);
+      break;
+    case 'quarter':
+    case 'fiscalQuarter':
+      shifted.setUTCMonth(shifted.getUTCMonth() + count * 3);
+      break;
+    case 'year':
+    case 'fiscalYear':
+      shifted.setUTCMonth(shifted.getUTCMonth() + count * 12);
+      break;
+    default:
+      throw new Error(`Unknown period unit: ${unit}`);
+  }
+  
+  return shifted;
+};
+
+/**
+ * Resolves a relative date literal to a concrete date range
+ * Ranges are computed in UTC; Salesforce evaluates them in the running user's time zone
+ * @param {String} literal - Date literal, e.g. 'THIS_FISCAL_QUARTER'
+ * @param {Date} now - Reference date
+ * @returns {Object|null} Range ({ start, end }) with an exclusive end, or null if not a literal
+ */
+const resolveDateLiteral = (literal, now = new Date()) => {
+  const parsed = parseDateLiteral(literal);
+  if (!parsed) return null;
+  
+  const currentStart = getPeriodStart(now, parsed.unit);
+  
+  return {
+    start: addPeriods(currentStart, parsed.unit, parsed.from),
+    end: addPeriods(currentStart, parsed.unit, parsed.to)
+  };
+};
+
+/**
+ * Checks that a field name is safe to place in a query
+ * @param {String} field - Field name or relationship path
+ * @returns {Boolean} True if the name is well formed
+ */
+const isValidFieldName = (field) => typeof field === 'string' && FIELD_NAME_PATTERN.test(field);
+
+/**
+ * Checks that a sort expression is a single field with an optional direction
+ * @param {String} orderBy - Sort expression
+ * @returns {Boolean} True if the expression is well formed
+ */
+const isValidOrderBy = (orderBy) => typeof orderBy === 'string' && ORDER_BY_PATTERN.test(orderBy.trim());
+
+/**
+ * Builds a field name to type map from field metadata
+ * @param {Array} fieldMetadata - Opportunity field metadata
+ * @returns {Object} Field types
+ */
+const getFieldTypes = (fieldMetadata = []) => {
+  return fieldMetadata.reduce((types, field) => {
+    types[field.name] = field.type;
+    return types;
+  }, {});
+};
+
+/**
+ * Checks that a filter value suits a field type
+ * @param {*} value - Filter value
+ * @param {String} type - Salesforce field type (undefined for relationship paths)
+ * @param {Boolean} allowDateLiteral - Whether relative date literals are accepted
+ * @returns {Boolean} True if the value is acceptable
+ */
+const isValidValue = (value, type, allowDateLiteral = true) => {
+  if (value === null) return true;
+  
+  if (NUMERIC_TYPES.includes(type)) {
+    return typeof value === 'number' && isFinite(value);
+  }
+  
+  if (BOOLEAN_TYPES.includes(type)) {
+    return typeof value === 'boolean';
+  }
+  
+  if (DATE_TYPES.includes(type)) {
+    return (allowDateLiteral && Boolean(parseDateLiteral(value))) ||
+      (typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime()));
+  }
+  
+  if (DATETIME_TYPES.includes(type)) {
+    return (allowDateLiteral && Boolean(parseDateLiteral(value))) ||
+      (typeof value === 'string' && DATETIME_PATTERN.test(value) && !isNaN(new Date(value).getTime()));
+  }
+  
+  // Text-like fields and relationship paths
+  return ['string', 'number', 'boolean'].includes(typeof value);
+};
+
+/**
+ * Validates a filter tree against field metadata
+ * @param {Object|null} filters - Filter tree from normalizeFilters
+ * @param {Array} fieldMetadata - Opportunity field metadata from the data source
+ * @returns {Object} Validation result ({ valid, errors })
+ */
+const validateFilters = (filters, fieldMetadata = []) => {
+  const errors = [];
+  const fieldsByName = fieldMetadata.reduce((byName, field) => {
+    byName[field.name] = field;
+    return byName;
+  }, {});
+  
+  const validateNode = (node, path) => {
+    if (!node || typeof node !== 'object' || node.invalid !== undefined) {
+      errors.push(`${path}: expected a condition or an and/or group`);
+      return;
+    }
+    
+    if (node.and !== undefined || node.or !== undefined) {
+      const operator = node.and !== undefined ? 'and' : 'or';
+      const children = node[operator];
+      
+      if (!Array.isArray(children) || children.length === 0) {
+        errors.push(`${path}: "${operator}" must be a non-empty array`);
+        return;
+      }
+      
+      children.forEach((child, index) => validateNode(child, `${path}.${operator}[${index}]`));
+      return;
+    }
+    
+    const { field, op } = node;
+    
+    if (!isValidFieldName(field)) {
+      errors.push(`${path}: invalid field name ${JSON.stringify(field)}`);
+      return;
+    }
+    
+    // Relationship paths (Account.Industry) aren't described by Opportunity metadata
+    const isRelationshipPath = field.includes('.');
+    const metadata = fieldsByName[field];
+    
+    if (!isRelationshipPath && !metadata) {
+      errors.push(`${path}: unknown field "${field}"`);
+      return;
+    }
+    
+    if (metadata && metadata.isFilterable === false) {
+      errors.push(`${path}: field "${field}" cannot be filtered on`);
+      return;
+    }
+    
+    if (!FILTER_OPERATORS.includes(op)) {
+      errors.push(`${path}: unknown operator "${op}". Expected one of: ${FILTER_OPERATORS.join(', ')}`);
+      return;
+    }
+    
+    const type = metadata ? metadata.type : undefined;
+    const describe = value => `${path}: invalid value ${JSON.stringify(value)} for ${type || 'field'} "${field}"`;
+    
+    switch (op) {
+      case 'isNull':
+      case 'notNull':
+        break;
+      case 'in':
+      case 'notIn':
+        if (!Array.isArray(node.value) || node.value.length === 0) {
+          errors.push(`${path}: "${op}" needs a non-empty array of values`);
+        } else {
+          node.value.filter(value => !isValidValue(value, type, false)).forEach(value => errors.push(describe(value)));
+        }
+        break;
+      case 'range':
+        if (node.min === undefined && node.max === undefined) {
+          errors.push(`${path}: "range" needs a min, a max or both`);
+        }
+        [node.min, node.max]
+          .filter(value => value !== undefined && (value === null || !isValidValue(value, type, false)))
+          .forEach(value => errors.push(describe(value)));
+        break;
+      default:
+        if (node.value === undefined || (node.value === null && op !== 'eq' && op !== 'ne')) {
+          errors.push(`${path}: "${op}" needs a value`);
+        } else if (!isValidValue(node.value, type)) {
+          errors.push(describe(node.value));
+        }
+    }
+  };
+  
+  if (filters) {
+    validateNode(filters, 'filters');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Escapes a string for use inside a quoted SOQL literal
+ * @param {String} value - Raw string
+ * @returns {String} Escaped string (without quotes)
+ */
+const escapeSoqlString = (value) => {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, character => ({
+    '\\': '\\\\',
+    "'": "\\'",
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f'
+  })[character]);
+};
+
+/**
+ * Formats a value as a SOQL literal
+ * @param {*} value - Filter value
+ * @param {String} type - Salesforce field type
+ * @returns {String} SOQL literal
+ */
+const formatSoqlValue = (value, type) => {
+  if (value === null) return 'null';
+  
+  if (typeof value === 'number') {
+    if (!isFinite(value)) {
+      throw new Error(`Invalid numeric filter value: ${value}`);
+    }
+    return String(value);
+  }
+  
+  if (typeof value === 'boolean') return String(value);
+  
+  if (parseDateLiteral(value) && (DATE_TYPES.includes(type) || DATETIME_TYPES.includes(type))) {
+    return value;
+  }
+  
+  if (DATE_TYPES.includes(type) && DATE_PATTERN.test(value)) {
+    return value;
+  }
+  
+  if (DATETIME_TYPES.includes(type) && DATETIME_PATTERN.test(value)) {
+    return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  
+  return `'${escapeSoqlString(value)}'`;
+};
+
+/**
+ * Compiles a filter tree to a SOQL condition
+ * Field names must have been validated with validateFilters first
+ * @param {Object|null} filters - Filter tree from normalizeFilters
+ * @param {Object} fieldTypes - Field name to Salesforce type
+ * @returns {String} SOQL condition (empty when there are no filters)
+ */
+const buildSoqlCondition = (filters, fieldTypes = {}) => {
+  if (!filters) return '';
+  
+  const compile = (node) => {
+    if (node.and || node.or) {
+      const operator = node.and ? 'AND' : 'OR';
+      const parts = (node.and || node.or).map(compile).filter(Boolean);
+      return parts.length > 1 ? `(${parts.join(` ${operator} `)})` : (parts[0] || '');
+    }
+    
+    const { field, op } = node;
+    
+    if (!isValidFieldName(field)) {
+      throw new Error(`Invalid field name: ${field}`);
+    }
+    
+    const type = fieldTypes[field];
+    const format = value => formatSoqlValue(value, type);
+    
+    switch (op) {
+      case 'isNull':
+        return `${field} = null`;
+      case 'notNull':
+        return `${field} != null`;
+      case 'in':
+        return `${field} IN (${node.value.map(format).join(', ')})`;
+      case 'notIn':
+        return `${field} NOT IN (${node.value.map(format).join(', ')})`;
+      case 'range': {
+        const bounds = [];
+        if (node.min !== undefined) bounds.push(`${field} >= ${format(node.min)}`);
+        if (node.max !== undefined) bounds.push(`${field} <= ${format(node.max)}`);
+        return bounds.length > 1 ? `(${bounds.join(' AND ')})` : bounds[0];
+      }
+      default:
+        if (!SOQL_OPERATORS[op]) {
+          throw new Error(`Unknown filter operator: ${op}`);
+        }
+        return `${field} ${SOQL_OPERATORS[op]} ${format(node.value)}`;
+    }
+  };
+  
+  return compile(filters);
+};
+
+/**
+ * Converts a record value and a filter value to comparable forms
+ * @param {*} value - Value
+ * @param {String} type - Salesforce field type
+ * @returns {*} Comparable value (number for dates/numbers, lower-cased string for text)
+ */
+const toComparable = (value, type) => {
+  if (value === null || value === undefined) return null;
+  
+  if (DATE_TYPES.includes(type)) {
+    return new Date(String(value).slice(0, 10)).getTime();
+  }
+  
+  if (DATETIME_TYPES.includes(type)) {
+    return new Date(value).getTime();
+  }
+  
+  if (NUMERIC_TYPES.includes(type) || typeof value === 'number') {
+    return Number(value);
+  }
+  
+  if (BOOLEAN_TYPES.includes(type) || typeof value === 'boolean') {
+    return value === true || value === 'true';
+  }
+  
+  // SOQL text comparisons are case-insensitive
+  return String(value).toLowerCase();
+};
+
+/**
+ * Evaluates a filter tree against an in-memory record, following SOQL semantics
+ * @param {Object} record - Opportunity record
+ * @param {Object|null} filters - Filter tree from normalizeFilters
+ * @param {Object} fieldTypes - Field name to Salesforce type
+ * @param {Date} now - Reference date for relative date literals
+ * @returns {Boolean} True if the record matches
+ */
+const matchesFilters = (record, filters, fieldTypes = {}, now = new Date()) => {
+  if (!filters) return true;
+  
+  if (filters.and) {
+    return filters.and.every(child => matchesFilters(record, child, fieldTypes, now));
+  }
+  
+  if (filters.or) {
+    return filters.or.some(child => matchesFilters(record, child, fieldTypes, now));
+  }
+  
+  const { field, op } = filters;
+  const rawValue = record[field];
+  
+  // Infer date handling for fields without metadata
+  let type = fieldTypes[field];
+  if (!type && typeof rawValue === 'string' && DATETIME_PATTERN.test(rawValue)) {
+    type = 'datetime';
+  } else if (!type && typeof rawValue === 'string' && DATE_PATTERN.test(rawValue)) {
+    type = 'date';
+  }
+  
+  const actual = toComparable(rawValue, type);
+  
+  if (op === 'isNull') return actual === null;
+  if (op === 'notNull') return actual !== null;
+  
+  // A relative date literal compares against the period it denotes
+  const literalRange = (value) => {
+    const range = resolveDateLiteral(value, now);
+    return range ? { start: range.start.getTime(), end: range.end.getTime() } : null;
+  };
+  
+  const equals = (value) => {
+    const range = literalRange(value);
+    if (range) {
+      return actual !== null && actual >= range.start && actual < range.end;
+    }
+    return actual === toComparable(value, type);
+  };
+  
+  switch (op) {
+    case 'eq':
+      return equals(filters.value);
+    case 'ne':
+      return !equals(filters.value);
+    case 'in':
+      return filters.value.some(equals);
+    case 'notIn':
+      return !filters.value.some(equals);
+    case 'range':
+      return actual !== null &&
+        (filters.min === undefined || actual >= toComparable(filters.min, type)) &&
+        (filters.max === undefined || actual <= toComparable(filters.max, type));
+    default: {
+      if (actual === null) return false;
+      
+      const range = literalRange(filters.value);
+      const expected = toComparable(filters.value, type);
+      
+      switch (op) {
+        case 'lt':
+          return actual < (range ? range.start : expected);
+        case 'lte':
+          return range ? actual < range.end : actual <= expected;
+        case 'gt':
+          return range ? actual >= range.end : actual > expected;
+        case 'gte':
+          return actual >= (range ? range.start : expected);
+        default:
+          throw new Error(`Unknown filter operator: ${op}`);
+      }
+    }
+  }
+};
+
+module.exports = {
+  FILTER_OPERATORS,
+  normalizeFilters,
+  validateFilters,
+  parseDateLiteral,
+  resolveDateLiteral,
+  isValidFieldName,
+  isValidOrderBy,
+  getFieldTypes,
+  escapeSoqlString,
+  buildSoqlCondition,
+  matchesFilters
+};
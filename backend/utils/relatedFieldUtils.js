@@ -0,0 +1,217 @@
+/**
+ * Utilities for related-object fields
+ * Opportunities can be enriched with fields from related records so they can be used as dimensions:
+ *   - parent fields through relationship queries, flattened to dotted names (Account.Industry, Campaign.Type)
+ *   - derived fields computed from child subqueries (ProductFamilyCount, ContactRoleCount, ...)
+ */
+
+/**
+ * Gets the product family of a line item
+ * @param {Object} item - OpportunityLineItem record
+ * @returns {String|null} Product family
+ */
+const getProductFamily = (item) => {
+  if (item.Product2 && item.Product2.Family) return item.Product2.Family;
+  return item['Product2.Family'] || null;
+};
+
+// Derived fields, computed from the child records of each opportunity
+const DERIVED_FIELDS = {
+  ProductCount: {
+    label: 'Product Count',
+    type: 'int',
+    group: 'Products',
+    relationship: 'OpportunityLineItems',
+    fields: ['Id'],
+    compute: items => items.length
+  },
+  ProductFamilyCount: {
+    label: 'Product Family Count',
+    type: 'int',
+    group: 'Products',
+    relationship: 'OpportunityLineItems',
+    fields: ['Product2.Family'],
+    compute: items => new Set(items.map(getProductFamily).filter(Boolean)).size
+  },
+  PrimaryProductFamily: {
+    label: 'Primary Product Family',
+    type: 'string',
+    group: 'Products',
+    relationship: 'OpportunityLineItems',
+    fields: ['Product2.Family', 'TotalPrice'],
+    compute: items => {
+      // The family with the largest total line value
+      const totals = items.reduce((acc, item) => {
+        const family = getProductFamily(item);
+        if (family) {
+          acc[family] = (acc[family] || 0) + (Number(item.TotalPrice) || 0);
+        }
+        return acc;
+      }, {});
+      
+      const families = Object.keys(totals);
+      return families.length > 0
+        ? families.reduce((best, family) => (totals[family] > totals[best] ? family : best))
+        : null;
+    }
+  },
+  ContactRoleCount: {
+    label: 'Contact Role Count',
+    type: 'int',
+    group: 'Contact Roles',
+    relationship: 'OpportunityContactRoles',
+    fields: ['Id'],
+    compute: roles => roles.length
+  },
+  HasPrimaryContactRole: {
+    label: 'Has Primary Contact',
+    type: 'boolean',
+    group: 'Contact Roles',
+    relationship: 'OpportunityContactRoles',
+    fields: ['IsPrimary'],
+    compute: roles => roles.some(role => role.IsPrimary === true)
+  },
+  PrimaryContactRole: {
+    label: 'Primary Contact Role',
+    type: 'string',
+    group: 'Contact Roles',
+    relationship: 'OpportunityContactRoles',
+    fields: ['IsPrimary', 'Role'],
+    compute: roles => {
+      const primary = roles.find(role => role.IsPrimary === true);
+      return primary && primary.Role ? primary.Role : null;
+    }
+  }
+};
+
+/**
+ * Checks whether a field is derived from child records
+ * @param {String} field - Field name
+ * @returns {Boolean} True for derived fields
+ */
+const isDerivedField = (field) => Object.prototype.hasOwnProperty.call(DERIVED_FIELDS, field);
+
+/**
+ * Checks whether a field is read through a parent relationship (e.g. Account.Industry)
+ * @param {String} field - Field name
+ * @returns {Boolean} True for relationship paths
+ */
+const isRelationshipField = (field) => field.includes('.');
+
+/**
+ * Splits requested fields into the ones selected directly and the ones derived from child records
+ * @param {Array} fields - Requested field names
+ * @returns {Object} Fields ({ selectFields, derivedFields })
+ */
+const splitRelatedFields = (fields = []) => ({
+  selectFields: fields.filter(field => !isDerivedField(field)),
+  derivedFields: fields.filter(isDerivedField)
+});
+
+/**
+ * Builds the child subqueries needed to compute derived fields, one per child relationship
+ * @param {Array} derivedFields - Derived field names
+ * @returns {Array} SOQL subqueries, e.g. '(SELECT Id FROM OpportunityContactRoles)'
+ */
+const buildChildSubqueries = (derivedFields = []) => {
+  const fieldsByRelationship = derivedFields.reduce((acc, field) => {
+    const { relationship, fields } = DERIVED_FIELDS[field];
+    acc[relationship] = [...new Set([...(acc[relationship] || ['Id']), ...fields])];
+    return acc;
+  }, {});
+  
+  return Object.entries(fieldsByRelationship)
+    .map(([relationship, fields]) => `(SELECT ${fields.join(', ')} FROM ${relationship})`);
+};
+
+/**
+ * Reads every child record of a subquery result, following queryMore locators
+ * when Salesforce returns the children in more than one batch
+ * @param {Object} conn - jsforce connection
+ * @param {Object} subquery - Subquery result ({ records, done, nextRecordsUrl })
+ * @returns {Promise<Array>} All child records
+ */
+const fetchChildRecords = async (conn, subquery) => {
+  if (!subquery || !Array.isArray(subquery.records)) {
+    return [];
+  }
+  
+  const children = [...subquery.records];
+  let page = subquery;
+  
+  while (!page.done && page.nextRecordsUrl) {
+    page = await conn.queryMore(page.nextRecordsUrl);
+    children.push(...page.records);
+  }
+  
+  return children;
+};
+
+/**
+ * Computes derived fields from the child records returned by subqueries and drops the child records
+ * Salesforce returns the first batch of child rows inline; the rest are fetched with queryMore
+ * @param {Object} conn - jsforce connection
+ * @param {Array} records - Raw opportunity records
+ * @param {Array} derivedFields - Derived field names
+ * @returns {Promise<Array>} The same records with derived fields set
+ */
+const applyDerivedFields = async (conn, records, derivedFields = []) => {
+  if (derivedFields.length === 0) {
+    return records;
+  }
+  
+  const relationships = [...new Set(derivedFields.map(field => DERIVED_FIELDS[field].relationship))];
+  
+  for (const record of records) {
+    const childrenByRelationship = {};
+    
+    for (const relationship of relationships) {
+      childrenByRelationship[relationship] = await fetchChildRecords(conn, record[relationship]);
+      delete record[relationship];
+    }
+    
+    derivedFields.forEach(field => {
+      const { relationship, compute } = DERIVED_FIELDS[field];
+      record[field] = compute(childrenByRelationship[relationship]);
+    });
+  }
+  
+  return records;
+};
+
+/**
+ * Builds field metadata for derived fields, in the shape returned by fetchOpportunityFields
+ * @param {Array} derivedFields - Derived field names
+ * @returns {Array} Field metadata
+ */
+const getDerivedFieldMetadata = (derivedFields = []) => {
+  return derivedFields.filter(isDerivedField).map(field => {
+    const { label, type, group, relationship } = DERIVED_FIELDS[field];
+    
+    return {
+      name: field,
+      label,
+      type,
+      isCustom: false,
+      isCalculated: true,
+      picklistValues: [],
+      // Derived values only exist after the query, so they can't be filtered or sorted on in SOQL
+      isFilterable: false,
+      isSortable: false,
+      isNillable: true,
+      isRelated: true,
+      relationship,
+      group
+    };
+  });
+};
+
+module.exports = {
+  DERIVED_FIELDS,
+  isDerivedField,
+  isRelationshipField,
+  splitRelatedFields,
+  buildChildSubqueries,
+  applyDerivedFields,
+  getDerivedFieldMetadata
+};
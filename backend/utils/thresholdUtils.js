@@ -0,0 +1,117 @@
+/**
+ * Threshold Utilities
+ * High/Medium/Low categories for predicted win probabilities, and choice of the High cutoff
+ * for a business objective
+ */
+
+const config = require('../config/config');
+const { groupByThreshold, thinCurve } = require('./evaluationUtils');
+
+const THRESHOLD_OBJECTIVES = ['none', 'f1', 'precision', 'expected-value'];
+
+/**
+ * Gets the configured category thresholds
+ * @returns {Object} Thresholds ({ high, low })
+ */
+const getDefaultThresholds = () => ({ ...config.analytics.predictionThresholds });
+
+/**
+ * Categorizes a win probability: High at or above the high threshold, Low below the low threshold
+ * @param {Number} probability - Win probability
+ * @param {Object} thresholds - Thresholds ({ high, low }); defaults to the configured ones
+ * @returns {String} 'High', 'Medium' or 'Low'
+ */
+const categorizeProbability = (probability, thresholds = getDefaultThresholds()) => {
+  if (probability >= thresholds.high) return 'High';
+  if (probability < thresholds.low) return 'Low';
+  return 'Medium';
+};
+
+/**
+ * Scores every candidate threshold (each distinct predicted probability), treating
+ * opportunities at or above it as pursued
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities
+ * @param {Object} economics - Value of a won deal and cost of pursuing one ({ dealValue, pursuitCost })
+ * @returns {Array} Candidates ({ threshold, pursued, precision, recall, f1Score, expectedValue }),
+ *   highest threshold first; expectedValue is null without a deal value
+ */
+const scoreThresholds = (y, probabilities, { dealValue, pursuitCost = 0 } = {}) => {
+  const positives = y.filter(value => value === 1).length;
+  let truePositives = 0;
+  let pursued = 0;
+  
+  return groupByThreshold(y, probabilities).map(group => {
+    truePositives += group.positives;
+    pursued += group.positives + group.negatives;
+    
+    const precision = truePositives / pursued;
+    const recall = positives > 0 ? truePositives / positives : 0;
+    
+    return {
+      threshold: group.threshold,
+      pursued,
+      pursuedShare: pursued / y.length,
+      precision,
+      recall,
+      f1Score: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+      expectedValue: dealValue === undefined ? null : truePositives * dealValue - pursued * pursuitCost
+    };
+  });
+};
+
+/**
+ * Chooses the decision threshold that best meets an objective
+ * - 'f1': highest F1 score
+ * - 'precision': lowest threshold (most recall) whose precision reaches targetPrecision
+ * - 'expected-value': highest won value minus pursuit cost; pursuing nothing (threshold 1) is
+ *   chosen when every threshold loses money
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} probabilities - Predicted probabilities (as the model will report them)
+ * @param {Object} options - Objective settings
+ * @param {String} options.objective - 'f1', 'precision' or 'expected-value'
+ * @param {Number} options.targetPrecision - Required precision for 'precision'
+ * @param {Number} options.dealValue - Value of a won deal for 'expected-value'
+ * @param {Number} options.pursuitCost - Cost of pursuing a deal for 'expected-value'
+ * @returns {Object} Chosen threshold, whether the objective was met, its scores and the threshold curve
+ */
+const optimizeThreshold = (y, probabilities, options) => {
+  const { objective, targetPrecision, dealValue, pursuitCost } = options;
+  const candidates = scoreThresholds(y, probabilities, { dealValue, pursuitCost });
+  const best = (score) => candidates.reduce((top, candidate) => (score(candidate) > score(top) ? candidate : top));
+  let chosen;
+  let targetMet = true;
+  
+  if (objective === 'f1') {
+    chosen = best(candidate => candidate.f1Score);
+  } else if (objective === 'precision') {
+    const meeting = candidates.filter(candidate => candidate.precision >= targetPrecision);
+    targetMet = meeting.length > 0;
+    chosen = targetMet ? meeting[meeting.length - 1] : best(candidate => candidate.precision);
+  } else {
+    chosen = best(candidate => candidate.expectedValue);
+    
+    if (chosen.expectedValue < 0) {
+      chosen = { threshold: 1, pursued: 0, pursuedShare: 0, precision: 0, recall: 0, f1Score: 0, expectedValue: 0 };
+    }
+  }
+  
+  return {
+    objective,
+    threshold: chosen.threshold,
+    targetMet,
+    targetPrecision: objective === 'precision' ? targetPrecision : null,
+    dealValue: objective === 'expected-value' ? dealValue : null,
+    pursuitCost: objective === 'expected-value' ? pursuitCost : null,
+    scores: chosen,
+    curve: thinCurve(candidates)
+  };
+};
+
+module.exports = {
+  THRESHOLD_OBJECTIVES,
+  getDefaultThresholds,
+  categorizeProbability,
+  scoreThresholds,
+  optimizeThreshold
+};
@@ -0,0 +1,427 @@
+/**
+ * Tree Ensemble Utilities
+ * Random forests and gradient-boosted trees for win prediction. Trees split numeric dimensions on
+ * quantile bins and categorical dimensions on groups of levels (ordered by their win rate or
+ * gradient, which finds the best binary grouping), and learn at every split which side missing
+ * values go to, so neither dummy encoding nor imputation is needed.
+ */
+
+const { shuffle } = require('./crossValidationUtils');
+
+const TREE_MODEL_TYPES = ['randomForest', 'gradientBoosting'];
+
+const FOREST_DEFAULTS = {
+  trees: 100,
+  maxDepth: 8,
+  minLeafSize: 5,
+  maxBins: 32
+};
+
+const BOOSTING_DEFAULTS = {
+  trees: 100,
+  maxDepth: 3,
+  minLeafSize: 5,
+  learningRate: 0.1,
+  subsample: 0.8,
+  l2Penalty: 1,
+  maxBins: 32
+};
+
+// Splits must improve the objective by more than this
+const MIN_SPLIT_GAIN = 1e-10;
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Checks whether a dimension value is missing
+ * @param {*} value - Dimension value
+ * @returns {Boolean} True for null, undefined, empty strings and NaN
+ */
+const isMissing = value => value === null || value === undefined || value === '' ||
+  (typeof value === 'number' && Number.isNaN(value));
+
+/**
+ * Describes each dimension for splitting: numeric dimensions get quantile bin edges, others
+ * their levels (most frequent first)
+ * @param {Array} rows - Dimension values of each record (one array per record)
+ * @param {Array} dimensions - Dimension names, in row order
+ * @param {Number} maxBins - Maximum number of bins per numeric dimension
+ * @returns {Array} Features ({ dimension, type: 'numeric', edges } or { dimension, type: 'categorical', levels })
+ */
+const describeFeatures = (rows, dimensions, maxBins) => dimensions.map((dimension, j) => {
+  const values = rows.map(row => row[j]).filter(value => !isMissing(value));
+  const numeric = values.length > 0 && values.every(value => typeof value === 'number' || typeof value === 'boolean');
+  
+  if (numeric) {
+    const unique = [...new Set(values.map(Number))].sort((a, b) => a - b);
+    const edges = unique.length <= maxBins
+      ? unique
+      : [...new Set(Array.from({ length: maxBins }, (_, k) => unique[Math.floor((k + 1) * (unique.length - 1) / maxBins)]))];
+    
+    return { dimension, type: 'numeric', edges };
+  }
+  
+  const counts = {};
+  values.forEach(value => {
+    counts[String(value)] = (counts[String(value)] || 0) + 1;
+  });
+  
+  return {
+    dimension,
+    type: 'categorical',
+    levels: Object.keys(counts).sort((a, b) => counts[b] - counts[a])
+  };
+});
+
+/**
+ * Maps a value to its bin: the first numeric edge at or above it, or the level's position
+ * @param {Object} feature - Feature description
+ * @param {*} value - Dimension value
+ * @returns {Number} Bin index, -1 when missing or an unseen level
+ */
+const binValue = (feature, value) => {
+  if (isMissing(value)) return -1;
+  
+  if (feature.type === 'categorical') {
+    return feature.levels.indexOf(String(value));
+  }
+  
+  // Binary search for the first edge >= value
+  const number = Number(value);
+  let low = 0;
+  let high = feature.edges.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (feature.edges[middle] >= number) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  
+  return low;
+};
+
+/**
+ * Grows a regression tree on gradients and Hessians (second-order boosting; a forest tree
+ * grows on -y with unit Hessians, so its leaves are win rates)
+ * @param {Array} bins - Binned feature values of each record
+ * @param {Array} features - Feature descriptions
+ * @param {Array} indices - Records to grow on
+ * @param {Array} gradients - Gradient of each record
+ * @param {Array} hessians - Hessian of each record
+ * @param {Object} options - Tree settings ({ maxDepth, minLeafSize, l2Penalty, featureCount, leafScale })
+ * @param {Function} random - Random number generator (for feature sampling)
+ * @returns {Object} Tree root; internal nodes hold the split, every node its value and record count
+ */
+const growTree = (bins, features, indices, gradients, hessians, options, random) => {
+  const { maxDepth, minLeafSize, l2Penalty = 0, featureCount = features.length, leafScale = 1 } = options;
+  const score = (G, H) => (G * G) / (H + l2Penalty);
+  
+  const grow = (members, depth) => {
+    let G = 0;
+    let H = 0;
+    members.forEach(i => {
+      G += gradients[i];
+      H += hessians[i];
+    });
+    
+    const node = { value: leafScale * (-G / (H + l2Penalty)), count: members.length };
+    
+    if (depth >= maxDepth || members.length < 2 * minLeafSize) {
+      return node;
+    }
+    
+    // Features considered at this split (a random subset for forests)
+    const candidates = featureCount < features.length
+      ? shuffle(features.map((_, j) => j), random).slice(0, featureCount)
+      : features.map((_, j) => j);
+    
+    let best = null;
+    
+    candidates.forEach(j => {
+      const feature = features[j];
+      const binCount = feature.type === 'numeric' ? feature.edges.length : feature.levels.length;
+      const binG = new Array(binCount).fill(0);
+      const binH = new Array(binCount).fill(0);
+      const binN = new Array(binCount).fill(0);
+      let missingG = 0;
+      let missingH = 0;
+      let missingN = 0;
+      
+      members.forEach(i => {
+        const bin = bins[i][j];
+        if (bin < 0) {
+          missingG += gradients[i];
+          missingH += hessians[i];
+          missingN++;
+        } else {
+          binG[bin] += gradients[i];
+          binH[bin] += hessians[i];
+          binN[bin]++;
+        }
+      });
+      
+      // Numeric bins keep their order; levels are ordered by their leaf value
+      let order = Array.from({ length: binCount }, (_, bin) => bin).filter(bin => binN[bin] > 0);
+      if (feature.type === 'categorical') {
+        order = order.sort((a, b) => (binG[b] / (binH[b] + l2Penalty)) - (binG[a] / (binH[a] + l2Penalty)));
+      }
+      
+      let leftG = 0;
+      let leftH = 0;
+      let leftN = 0;
+      
+      order.slice(0, -1).forEach((bin, position) => {
+        leftG += binG[bin];
+        leftH += binH[bin];
+        leftN += binN[bin];
+        
+        [true, false].forEach(missingLeft => {
+          const gL = leftG + (missingLeft ? missingG : 0);
+          const hL = leftH + (missingLeft ? missingH : 0);
+          const nL = leftN + (missingLeft ? missingN : 0);
+          const nR = members.length - nL;
+          
+          if (nL < minLeafSize || nR < minLeafSize) return;
+          
+          const gain = score(gL, hL) + score(G - gL, H - hL) - score(G, H);
+          if (gain > MIN_SPLIT_GAIN && (!best || gain > best.gain)) {
+            best = { feature: j, gain, missingLeft, leftBins: new Set(order.slice(0, position + 1)), lastBin: bin };
+          }
+        });
+      });
+    });
+    
+    if (!best) {
+      return node;
+    }
+    
+    const feature = features[best.feature];
+    const left = [];
+    const right = [];
+    members.forEach(i => {
+      const bin = bins[i][best.feature];
+      const goesLeft = bin < 0 ? best.missingLeft : best.leftBins.has(bin);
+      (goesLeft ? left : right).push(i);
+    });
+    
+    return {
+      ...node,
+      feature: best.feature,
+      dimension: feature.dimension,
+      type: feature.type,
+      ...(feature.type === 'numeric'
+        ? { threshold: feature.edges[best.lastBin] }
+        : { leftLevels: [...best.leftBins].map(bin => feature.levels[bin]) }),
+      missingLeft: best.missingLeft,
+      gain: best.gain,
+      left: grow(left, depth + 1),
+      right: grow(right, depth + 1)
+    };
+  };
+  
+  return grow(indices, 0);
+};
+
+/**
+ * Finds the branch a value takes at a split
+ * Missing values and levels the split has not seen follow the split's missing-value direction.
+ * @param {Object} node - Internal tree node
+ * @param {*} value - Dimension value
+ * @returns {Boolean} True to go left
+ */
+const goesLeft = (node, value) => {
+  if (isMissing(value)) return node.missingLeft;
+  
+  if (node.type === 'numeric') {
+    return Number(value) <= node.threshold;
+  }
+  
+  const level = String(value);
+  if (node.leftLevels.includes(level)) return true;
+  return node.seenLevels && !node.seenLevels.includes(level) ? node.missingLeft : false;
+};
+
+/**
+ * Follows a record down a tree
+ * @param {Object} tree - Tree root
+ * @param {Array} row - Dimension values of the record
+ * @returns {Number} Leaf value
+ */
+const predictTree = (tree, row) => {
+  let node = tree;
+  while (node.left) {
+    node = goesLeft(node, row[node.feature]) ? node.left : node.right;
+  }
+  return node.value;
+};
+
+/**
+ * Records which levels each categorical split saw in training, so unseen levels are treated as missing
+ * @param {Object} node - Tree node
+ * @param {Array} features - Feature descriptions
+ */
+const markSeenLevels = (node, features) => {
+  if (!node.left) return;
+  
+  if (node.type === 'categorical') {
+    node.seenLevels = features[node.feature].levels;
+  }
+  markSeenLevels(node.left, features);
+  markSeenLevels(node.right, features);
+};
+
+/**
+ * Fits a random forest: trees grown on bootstrap samples, each split choosing among a random
+ * subset of about sqrt(dimensions) dimensions; the prediction is the mean leaf win rate
+ * @param {Array} rows - Dimension values of each training record
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} dimensions - Dimension names, in row order
+ * @param {Object} options - Forest settings (see FOREST_DEFAULTS)
+ * @param {Function} random - Random number generator
+ * @returns {Object} Ensemble ({ type: 'randomForest', features, trees, settings })
+ */
+const fitRandomForest = (rows, y, dimensions, options = {}, random = Math.random) => {
+  const settings = { ...FOREST_DEFAULTS, ...options };
+  const features = describeFeatures(rows, dimensions, settings.maxBins);
+  const bins = rows.map(row => features.map((feature, j) => binValue(feature, row[j])));
+  const gradients = y.map(outcome => -outcome);
+  const hessians = y.map(() => 1);
+  const featureCount = Math.max(1, Math.round(Math.sqrt(features.length)));
+  
+  const trees = Array.from({ length: settings.trees }, () => {
+    const sample = Array.from({ length: rows.length }, () => Math.floor(random() * rows.length));
+    const tree = growTree(bins, features, sample, gradients, hessians, { ...settings, featureCount }, random);
+    markSeenLevels(tree, features);
+    return tree;
+  });
+  
+  return { type: 'randomForest', features, trees, settings };
+};
+
+/**
+ * Fits gradient-boosted trees on the logistic loss: each tree is a Newton step on a random
+ * subsample, shrunk by the learning rate, starting from the log-odds of the win rate
+ * @param {Array} rows - Dimension values of each training record
+ * @param {Array} y - 0/1 outcomes
+ * @param {Array} dimensions - Dimension names, in row order
+ * @param {Object} options - Boosting settings (see BOOSTING_DEFAULTS)
+ * @param {Function} random - Random number generator
+ * @returns {Object} Ensemble ({ type: 'gradientBoosting', features, baseScore, trees, settings })
+ */
+const fitGradientBoosting = (rows, y, dimensions, options = {}, random = Math.random) => {
+  const settings = { ...BOOSTING_DEFAULTS, ...options };
+  const features = describeFeatures(rows, dimensions, settings.maxBins);
+  const bins = rows.map(row => features.map((feature, j) => binValue(feature, row[j])));
+  const winRate = Math.min(1 - 1e-6, Math.max(1e-6, y.reduce((sum, outcome) => sum + outcome, 0) / y.length));
+  const baseScore = Math.log(winRate / (1 - winRate));
+  const scores = y.map(() => baseScore);
+  const sampleSize = Math.max(1, Math.round(settings.subsample * rows.length));
+  
+  const trees = Array.from({ length: settings.trees }, () => {
+    const probabilities = scores.map(sigmoid);
+    const gradients = probabilities.map((p, i) => p - y[i]);
+    const hessians = probabilities.map(p => Math.max(p * (1 - p), 1e-6));
+    
+    // Subsample without replacement
+    const sample = shuffle(rows.map((_, i) => i), random).slice(0, sampleSize);
+    const tree = growTree(bins, features, sample, gradients, hessians, {
+      ...settings,
+      leafScale: settings.learningRate
+    }, random);
+    markSeenLevels(tree, features);
+    
+    rows.forEach((row, i) => {
+      scores[i] += predictTree(tree, row);
+    });
+    
+    return tree;
+  });
+  
+  return { type: 'gradientBoosting', features, baseScore, trees, settings };
+};
+
+/**
+ * Predicts the win probability of a record with a tree ensemble
+ * @param {Object} ensemble - Result of fitRandomForest or fitGradientBoosting
+ * @param {Array} row - Dimension values, in the ensemble's dimension order
+ * @returns {Number} Win probability
+ */
+const predictTreeEnsemble = (ensemble, row) => {
+  if (ensemble.type === 'randomForest') {
+    return ensemble.trees.reduce((sum, tree) => sum + predictTree(tree, row), 0) / ensemble.trees.length;
+  }
+  
+  return sigmoid(ensemble.trees.reduce((sum, tree) => sum + predictTree(tree, row), ensemble.baseScore));
+};
+
+/**
+ * Expected leaf value of a tree when only some dimensions are known: known dimensions follow the
+ * record's branch, unknown ones average both branches weighted by their training counts (the
+ * path-dependent expectation used by TreeSHAP)
+ * @param {Object} node - Tree node
+ * @param {Array} row - Dimension values of the record
+ * @param {Array} known - Whether each dimension is known (booleans, in row order)
+ * @returns {Number} Expected leaf value
+ */
+const expectTree = (node, row, known) => {
+  if (!node.left) return node.value;
+  
+  if (known[node.feature]) {
+    return expectTree(goesLeft(node, row[node.feature]) ? node.left : node.right, row, known);
+  }
+  
+  return (node.left.count * expectTree(node.left, row, known) + node.right.count * expectTree(node.right, row, known)) /
+    (node.left.count + node.right.count);
+};
+
+/**
+ * Predicts the win probability of a record with a tree ensemble when only some dimensions are known
+ * With no dimension known this is the prediction for the average training opportunity.
+ * @param {Object} ensemble - Tree ensemble
+ * @param {Array} row - Dimension values of the record
+ * @param {Array} known - Whether each dimension is known (booleans, in row order)
+ * @returns {Number} Expected win probability
+ */
+const expectTreeEnsemble = (ensemble, row, known) => {
+  const total = ensemble.trees.reduce((sum, tree) => sum + expectTree(tree, row, known), 0);
+  
+  return ensemble.type === 'randomForest'
+    ? total / ensemble.trees.length
+    : sigmoid(ensemble.baseScore + total);
+};
+
+/**
+ * Counts the leaves and measures the depth of an ensemble's trees
+ * @param {Object} ensemble - Tree ensemble
+ * @returns {Object} Size ({ trees, meanLeaves, maxDepth })
+ */
+const summarizeEnsemble = (ensemble) => {
+  const measure = (node, depth) => (node.left
+    ? [measure(node.left, depth + 1), measure(node.right, depth + 1)].reduce((a, b) => ({
+      leaves: a.leaves + b.leaves,
+      depth: Math.max(a.depth, b.depth)
+    }))
+    : { leaves: 1, depth });
+  const sizes = ensemble.trees.map(tree => measure(tree, 0));
+  
+  return {
+    trees: ensemble.trees.length,
+    meanLeaves: sizes.reduce((sum, size) => sum + size.leaves, 0) / sizes.length,
+    maxDepth: Math.max(...sizes.map(size => size.depth))
+  };
+};
+
+module.exports = {
+  TREE_MODEL_TYPES,
+  FOREST_DEFAULTS,
+  BOOSTING_DEFAULTS,
+  isMissing,
+  fitRandomForest,
+  fitGradientBoosting,
+  predictTree,
+  predictTreeEnsemble,
+  expectTreeEnsemble,
+  summarizeEnsemble
+};
@@ -208,11 +208,15 @@ const AuthAPI = {
 const DataAPI = {
   /**
    * Fetches opportunity data
-   * @param {Object} filters - Filters to apply to the data
+   * @param {Object} params - Query parameters (fields, orderBy, limit, ...)
+   * @param {Object} filters - Filter DSL conditions or and/or groups
    * @returns {Promise<Object>} Promise resolving to opportunity data
    */
-  getOpportunities: async (filters = {}) => {
-    return API.get(CONFIG.API.DATA.OPPORTUNITIES, filters);
+  getOpportunities: async (params = {}, filters = null) => {
+    return API.get(CONFIG.API.DATA.OPPORTUNITIES, filters ? {
+      ...params,
+      filters: JSON.stringify(filters)
+    } : params);
   },
   
   /**
@@ -237,6 +241,109 @@ const DataAPI = {
    */
   refreshData: async () => {
     return API.post(CONFIG.API.DATA.REFRESH);
+  },
+  
+  /**
+   * Uploads a CSV or XLSX opportunity export and registers it as a dataset
+   * @param {File} file - File selected by the user
+   * @param {Object} options - Import options
+   * @param {string} options.name - Dataset name
+   * @param {string} options.sheetName - Worksheet to read from XLSX files
+   * @param {Object} options.columnMapping - Column header to field name overrides
+   * @returns {Promise<Object>} Promise resolving to the registered dataset
+   */
+  importOpportunities: async (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    
+    if (options.name) formData.append('name', options.name);
+    if (options.sheetName) formData.append('sheetName', options.sheetName);
+    if (options.columnMapping) formData.append('columnMapping', JSON.stringify(options.columnMapping));
+    
+    try {
+      // Let the browser set the multipart content type
+      const response = await fetch(`${CONFIG.API.BASE_URL}${CONFIG.API.DATA.IMPORT}`, {
+        method: 'POST',
+        body: formData,
+        credentials: 'include'
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        const error = new Error(data.message || response.statusText || 'API Error');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('API Import Error:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Fetches the registered datasets
+   * @returns {Promise<Object>} Promise resolving to dataset summaries
+   */
+  getDatasets: async () => {
+    return API.get(CONFIG.API.DATA.DATASETS);
+  },
+  
+  /**
+   * Deletes a registered dataset
+   * @param {string} datasetId - Dataset ID
+   * @returns {Promise<Object>} Promise resolving to deletion result
+   */
+  deleteDataset: async (datasetId) => {
+    return API.delete(`${CONFIG.API.DATA.DATASETS}/${encodeURIComponent(datasetId)}`);
+  },
+  
+  /**
+   * Syncs opportunities into the local sync store
+   * @param {Object} options - Sync options
+   * @param {boolean} options.full - Re-copy everything instead of syncing incrementally
+   * @param {boolean} options.background - Return immediately and poll getSyncStatus
+   * @returns {Promise<Object>} Promise resolving to the sync status
+   */
+  syncOpportunities: async (options = {}) => {
+    return API.post(CONFIG.API.DATA.SYNC, options);
+  },
+  
+  /**
+   * Fetches the status of the local sync store
+   * @returns {Promise<Object>} Promise resolving to the sync status
+   */
+  getSyncStatus: async () => {
+    return API.get(CONFIG.API.DATA.SYNC_STATUS);
+  },
+  
+  /**
+   * Freezes the current data into a named snapshot
+   * @param {Object} params - Snapshot parameters (name, description, fields, filters, isClosed)
+   * @returns {Promise<Object>} Promise resolving to the snapshot summary
+   */
+  createSnapshot: async (params) => {
+    return API.post(CONFIG.API.DATA.SNAPSHOTS, params);
+  },
+  
+  /**
+   * Fetches the saved snapshots
+   * @returns {Promise<Object>} Promise resolving to snapshot summaries
+   */
+  getSnapshots: async () => {
+    return API.get(CONFIG.API.DATA.SNAPSHOTS);
+  },
+  
+  /**
+   * Compares two snapshots
+   * @param {string} snapshotId - Earlier snapshot ID
+   * @param {string} compareSnapshotId - Later snapshot ID
+   * @returns {Promise<Object>} Promise resolving to added, removed and changed opportunities
+   */
+  diffSnapshots: async (snapshotId, compareSnapshotId) => {
+    return API.get(`${CONFIG.API.DATA.SNAPSHOTS}/${encodeURIComponent(snapshotId)}/diff/${encodeURIComponent(compareSnapshotId)}`);
   }
 };
 
@@ -246,11 +353,12 @@ const DataAPI = {
 const AnalyticsAPI = {
   /**
    * Performs dimension impact analysis
+   * Amounts are reported in the display currency unless params.currency is set
    * @param {Object} params - Analysis parameters
    * @returns {Promise<Object>} Promise resolving to analysis results
    */
   analyzeDimensionImpact: async (params) => {
-    return API.post(CONFIG.API.ANALYTICS.DIMENSION_IMPACT, params);
+    return API.post(CONFIG.API.ANALYTICS.DIMENSION_IMPACT, { currency: CONFIG.LOCALE.CURRENCY, ...params });
   },
   
   /**
@@ -259,7 +367,7 @@ const AnalyticsAPI = {
    * @returns {Promise<Object>} Promise resolving to clustering results
    */
   clusterDimensions: async (params) => {
-    return API.post(CONFIG.API.ANALYTICS.CLUSTERING, params);
+    return API.post(CONFIG.API.ANALYTICS.CLUSTERING, { currency: CONFIG.LOCALE.CURRENCY, ...params });
   },
   
   /**
@@ -299,6 +407,95 @@ const AnalyticsAPI = {
      */
     getFactorImportance: async (opportunity) => {
       return API.post(CONFIG.API.ANALYTICS.PREDICTION.IMPORTANCE, opportunity);
+    },
+    
+    /**
+     * Builds and validates a prediction model on the server
+     * @param {Object} params - Model parameters (modelId, dimensions, validation options)
+     * @returns {Promise<Object>} Promise resolving to the model, validation metrics and evaluation curves
+     */
+    buildModel: async (params) => {
+      return API.post(CONFIG.API.ANALYTICS.PREDICTION.BUILD, { currency: CONFIG.LOCALE.CURRENCY, ...params });
+    },
+    
+    /**
+     * Predicts an opportunity's win probability with a server model, explained by dimension
+     * @param {Object} params - Prediction parameters (modelId, opportunity)
+     * @returns {Promise<Object>} Promise resolving to the probability and its Shapley contributions
+     */
+    explain: async (params) => {
+      return API.post(CONFIG.API.ANALYTICS.PREDICTION.EXPLAIN, params);
+    },
+    
+    /**
+     * Finds the smallest changes to an open opportunity's actionable dimensions that reach a target win probability
+     * @param {Object} params - Search parameters (modelId, opportunityId, actions, targetProbability, maxChanges)
+     * @returns {Promise<Object>} Promise resolving to the recommended changes
+     */
+    recommendActions: async (params) => {
+      return API.post(CONFIG.API.ANALYTICS.PREDICTION.COUNTERFACTUALS, { currency: CONFIG.LOCALE.CURRENCY, ...params });
+    }
+  },
+  
+  /**
+   * Model registry API methods
+   */
+  models: {
+    /**
+     * Fetches the registered models
+     * @returns {Promise<Object>} Promise resolving to model summaries
+     */
+    list: async () => {
+      return API.get(CONFIG.API.ANALYTICS.MODELS);
+    },
+    
+    /**
+     * Fetches the versions of a registered model
+     * @param {string} modelId - Model ID
+     * @returns {Promise<Object>} Promise resolving to version entries, newest first
+     */
+    getVersions: async (modelId) => {
+      return API.get(`${CONFIG.API.ANALYTICS.MODELS}/${encodeURIComponent(modelId)}`);
+    },
+    
+    /**
+     * Promotes a model version to production
+     * @param {string} modelId - Model ID
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} Promise resolving to the promoted version
+     */
+    promote: async (modelId, version) => {
+      return API.post(`${CONFIG.API.ANALYTICS.MODELS}/${encodeURIComponent(modelId)}/versions/${version}/promote`);
+    },
+    
+    /**
+     * Archives a model version
+     * @param {string} modelId - Model ID
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} Promise resolving to the archived version
+     */
+    archive: async (modelId, version) => {
+      return API.post(`${CONFIG.API.ANALYTICS.MODELS}/${encodeURIComponent(modelId)}/versions/${version}/archive`);
+    },
+    
+    /**
+     * Deletes a model version, or every version of a model when no version is given
+     * @param {string} modelId - Model ID
+     * @param {number} version - Version number (optional)
+     * @returns {Promise<Object>} Promise resolving to deletion result
+     */
+    delete: async (modelId, version) => {
+      const path = `${CONFIG.API.ANALYTICS.MODELS}/${encodeURIComponent(modelId)}`;
+      return API.delete(version === undefined ? path : `${path}/versions/${version}`);
+    },
+    
+    /**
+     * Compares registered models on the same closed opportunities, the first being the champion
+     * @param {Object} params - Comparison parameters (models, filters, segmentBy, closedAfter, ...)
+     * @returns {Promise<Object>} Promise resolving to per-model scores, paired tests and segment breakdowns
+     */
+    compare: async (params) => {
+      return API.post(CONFIG.API.ANALYTICS.COMPARE_MODELS, params);
     }
   },
   
@@ -308,6 +505,25 @@ const AnalyticsAPI = {
    * @returns {Promise<Object>} Promise resolving to lookup table data
    */
   generateLookupTable: async (params) => {
-    return API.post(CONFIG.API.ANALYTICS.LOOKUP, params);
+    return API.post(CONFIG.API.ANALYTICS.LOOKUP, { currency: CONFIG.LOCALE.CURRENCY, ...params });
+  },
+  
+  /**
+   * Analyzes stage-to-stage conversion from opportunity stage history
+   * @param {Object} params - Funnel parameters (filters, segmentBy, maxSegments)
+   * @returns {Promise<Object>} Promise resolving to funnel metrics
+   */
+  analyzeStageFunnel: async (params = {}) => {
+    return API.post(CONFIG.API.ANALYTICS.STAGE_FUNNEL, { currency: CONFIG.LOCALE.CURRENCY, ...params });
+  },
+  
+  /**
+   * Reports drift of open opportunities from a registered model's training data, and realized
+   * versus predicted win rates of deals closed since
+   * @param {Object} params - Drift parameters (modelId, version, filters, closedSince, thresholds)
+   * @returns {Promise<Object>} Promise resolving to the drift report with its alerts
+   */
+  getDriftReport: async (params) => {
+    return API.post(CONFIG.API.ANALYTICS.DRIFT_REPORT, params);
   }
 };
@@ -10,6 +10,7 @@ import Clustering from './clustering.js';
 import Prediction from './prediction.js';
 import Dashboard from './dashboard.js';
 import LookupTable from './lookup.js';
+import StageFunnel from './funnel.js';
 import Settings from './settings.js';
 import Utils from './utils.js';
 
@@ -38,6 +39,7 @@ const App = (function() {
         clustering: Clustering,
         prediction: Prediction,
         lookup: LookupTable,
+        funnel: StageFunnel,
         settings: Settings
     };
     
@@ -58,6 +60,7 @@ const App = (function() {
             .then(() => {
                 // Initialize global settings
                 Settings.init(document.getElementById('settings-container'));
+                Settings.bindControls(document.getElementById('analyticsConfigForm'));
                 
                 // Apply settings
                 _applyGlobalSettings();
@@ -168,17 +168,21 @@ const Clustering = (function() {
             <div class="dimension-selection-grid">
         `;
         
-        // Add checkbox for each dimension
-        clusteringData.dimensions.forEach(dimension => {
-            html += `
-                <div class="dimension-checkbox-container">
-                    <input type="checkbox" class="dimension-clustering-checkbox" 
-                        id="cluster-${dimension.id}" value="${dimension.id}" 
-                        ${dimension.recommended ? 'checked' : ''}>
-                    <label for="cluster-${dimension.id}">${formatDimensionName(dimension.name)}</label>
-                    ${dimension.recommended ? '<span class="recommended-badge">Recommended</span>' : ''}
-                </div>
-            `;
+        // Add checkbox for each dimension, grouped by related object (Account, Products, ...)
+        Utils.groupDimensions(clusteringData.dimensions).forEach(group => {
+            html += `<h5 class="dimension-group-title">${group.group}</h5>`;
+            
+            group.dimensions.forEach(dimension => {
+                html += `
+                    <div class="dimension-checkbox-container">
+                        <input type="checkbox" class="dimension-clustering-checkbox" 
+                            id="cluster-${dimension.id}" value="${dimension.id}" 
+                            ${dimension.recommended ? 'checked' : ''}>
+                        <label for="cluster-${dimension.id}">${dimension.label || formatDimensionName(dimension.name)}</label>
+                        ${dimension.recommended ? '<span class="recommended-badge">Recommended</span>' : ''}
+                    </div>
+                `;
+            });
         });
         
         html += `
@@ -20,7 +20,12 @@ const CONFIG = {
       OPPORTUNITIES: '/data/opportunities',
       FIELDS: '/data/fields',
       DIMENSIONS: '/data/dimensions',
-      REFRESH: '/data/refresh'
+      REFRESH: '/data/refresh',
+      IMPORT: '/data/import',
+      DATASETS: '/data/datasets',
+      SYNC: '/data/sync',
+      SYNC_STATUS: '/data/sync/status',
+      SNAPSHOTS: '/data/snapshots'
     },
     ANALYTICS: {
       DIMENSION_IMPACT: '/analytics/dimension-impact',
@@ -29,9 +34,16 @@ const CONFIG = {
         MODEL: '/analytics/prediction/model',
         PREDICT: '/analytics/prediction/predict',
         FORMULA: '/analytics/prediction/formula',
-        IMPORTANCE: '/analytics/prediction/importance'
+        IMPORTANCE: '/analytics/prediction/importance',
+        BUILD: '/analytics/build-prediction-model',
+        EXPLAIN: '/analytics/predict-win-rate',
+        COUNTERFACTUALS: '/analytics/counterfactuals'
       },
-      LOOKUP: '/analytics/lookup-table'
+      MODELS: '/analytics/models',
+      COMPARE_MODELS: '/analytics/models/compare',
+      LOOKUP: '/analytics/lookup-table',
+      STAGE_FUNNEL: '/analytics/stage-funnel',
+      DRIFT_REPORT: '/analytics/drift-report'
     }
   },
   
@@ -94,8 +106,14 @@ const CONFIG = {
      */
     MODEL_TYPES: {
       LOGISTIC: 'logistic',
-      RANDOM_FOREST: 'randomForest'
-    }
+      RANDOM_FOREST: 'randomForest',
+      GRADIENT_BOOSTING: 'gradientBoosting'
+    },
+    
+    /**
+     * Dimensions reps can change, searched for "what would it take to win" recommendations
+     */
+    ACTIONABLE_DIMENSIONS: ['Discount_Percent__c', 'ContactRoleCount', 'ProductCount', 'PrimaryProductFamily', 'Amount']
   },
   
   /**
@@ -9,6 +9,7 @@ const Dashboard = (function() {
     let selectedTimePeriod = 'last_90_days';
     let selectedDimensions = [];
     let charts = {};
+    let driftModelId = null;
     
     /**
      * Initialize the dashboard
@@ -118,6 +119,9 @@ const Dashboard = (function() {
         if (dashboardData.dimensionImpact) {
             renderDimensionImpactSection();
         }
+        
+        // Drift of the pipeline from the monitored model's training data
+        loadModelDrift();
     }
     
     /**
@@ -365,6 +369,204 @@ const Dashboard = (function() {
         });
     }
     
+    /**
+     * Load the drift report of a registered model: the production model when there is one,
+     * otherwise the most recently trained, unless another model has been picked
+     */
+    function loadModelDrift() {
+        const container = document.getElementById('model-drift');
+        
+        AnalyticsAPI.models.list()
+            .then(function(response) {
+                // Stage models score stage paths, so their drift isn't monitored
+                const models = response.data.filter(model => model.type !== 'stage');
+                
+                if (models.length === 0) {
+                    container.innerHTML = '<p>No prediction model is registered yet. Build one to monitor drift.</p>';
+                    return null;
+                }
+                
+                if (!models.some(model => model.modelId === driftModelId)) {
+                    const production = models.find(model => model.productionVersion !== null);
+                    driftModelId = (production || models[0]).modelId;
+                }
+                
+                container.innerHTML = `
+                    <div class="mb-3">
+                        <label for="drift-model-select" class="form-label">Model</label>
+                        <select id="drift-model-select" class="form-select">
+                            ${models.map(model => `
+                                <option value="${model.modelId}" ${model.modelId === driftModelId ? 'selected' : ''}>
+                                    ${model.modelId} (${model.productionVersion !== null ? `production v${model.productionVersion}` : `latest v${model.latestVersion}`})
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div id="model-drift-report"><p>Loading drift report...</p></div>
+                `;
+                
+                document.getElementById('drift-model-select').addEventListener('change', function(e) {
+                    driftModelId = e.target.value;
+                    loadModelDrift();
+                });
+                
+                return AnalyticsAPI.getDriftReport({ modelId: driftModelId })
+                    .then(function(report) {
+                        renderModelDrift(report);
+                    });
+            })
+            .catch(function(error) {
+                console.error('Error loading drift report:', error);
+                container.innerHTML = `<div class="alert alert-warning">${error.message || 'Failed to load the drift report.'}</div>`;
+            });
+    }
+    
+    /**
+     * Render the drift report: alerts, drift of predicted probabilities and of each dimension,
+     * and realized versus predicted win rates of deals closed since training
+     * @param {Object} report - Drift report response
+     */
+    function renderModelDrift(report) {
+        const container = document.getElementById('model-drift-report');
+        const { model, drift, realized, alerts, thresholds } = report.data;
+        const formatRate = value => (value === null ? 'N/A' : Utils.formatPercentage(value * 100));
+        const getStatus = psi => (psi >= thresholds.psiAlert
+            ? '<span class="badge bg-danger">Shifted</span>'
+            : psi >= thresholds.psiWarning ? '<span class="badge bg-warning text-dark">Moderate</span>' : '<span class="badge bg-success">Stable</span>');
+        
+        container.innerHTML = `
+            <p class="text-muted">
+                Version ${report.version} (${model.status}), trained ${Utils.formatDate(model.createdAt)} on
+                ${Utils.formatNumber(model.trainingOpportunityCount)} closed opportunities;
+                compared with ${Utils.formatNumber(drift.opportunityCount)} open opportunities
+            </p>
+            ${alerts.length === 0 ? '<div class="alert alert-success">No drift alerts.</div>' : alerts.map(alert => `
+                <div class="alert ${alert.severity === 'alert' ? 'alert-danger' : 'alert-warning'}">${alert.message}</div>
+            `).join('')}
+            <div class="row">
+                <div class="col-md-4">
+                    <div class="metric-card">
+                        <h3>Predicted Probability PSI</h3>
+                        <p class="metric-value">${drift.opportunityCount > 0 ? drift.score.psi.toFixed(3) : 'N/A'}</p>
+                        <p class="metric-secondary">
+                            Mean ${formatRate(drift.score.expectedMean)} in training, ${formatRate(drift.score.actualMean)} now
+                        </p>
+                    </div>
+                </div>
+                <div class="col-md-4">
+                    <div class="metric-card">
+                        <h3>Realized Win Rate</h3>
+                        <p class="metric-value">${formatRate(realized.realizedWinRate)}</p>
+                        <p class="metric-secondary">
+                            Predicted ${formatRate(realized.predictedWinRate)} for ${Utils.formatNumber(realized.count)}
+                            deals closed since ${Utils.formatDate(realized.closedSince)}
+                        </p>
+                    </div>
+                </div>
+                <div class="col-md-4">
+                    <div class="metric-card">
+                        <h3>Scored at Write-back</h3>
+                        <p class="metric-value">${Utils.formatNumber(realized.storedCount)}</p>
+                        <p class="metric-secondary">Closed deals without a stored probability are scored by the model</p>
+                    </div>
+                </div>
+            </div>
+            <table class="table table-sm table-striped mt-3">
+                <thead>
+                    <tr>
+                        <th>Dimension</th>
+                        <th>PSI</th>
+                        <th>Status</th>
+                        <th>Largest Shift</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${drift.dimensions.map(dimension => {
+                        const largest = dimension.bins.reduce((best, bin) =>
+                            (Math.abs(bin.actual - bin.expected) > Math.abs(best.actual - best.expected) ? bin : best));
+                        return `
+                            <tr>
+                                <td>${formatDimensionName(dimension.dimension)}</td>
+                                <td>${dimension.psi.toFixed(3)}</td>
+                                <td>${getStatus(dimension.psi)}</td>
+                                <td>${largest.label}: ${formatRate(largest.expected)} &rarr; ${formatRate(largest.actual)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${realized.byMonth.length > 0 ? `
+                <div style="height: 250px;">
+                    <canvas id="drift-realized-chart"></canvas>
+                </div>
+            ` : ''}
+        `;
+        
+        if (realized.byMonth.length > 0) {
+            createRealizedWinRateChart(realized.byMonth);
+        }
+    }
+    
+    /**
+     * Create realized versus predicted win rate chart by close month
+     * @param {Array} months - Monthly predicted and realized win rates
+     */
+    function createRealizedWinRateChart(months) {
+        if (charts['driftRealized']) {
+            charts['driftRealized'].destroy();
+        }
+        
+        const ctx = document.getElementById('drift-realized-chart').getContext('2d');
+        charts['driftRealized'] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: months.map(month => month.month),
+                datasets: [
+                    {
+                        label: 'Realized Win Rate (%)',
+                        data: months.map(month => month.realizedWinRate * 100),
+                        backgroundColor: 'rgba(54, 162, 235, 0.2)',
+                        borderColor: 'rgba(54, 162, 235, 1)',
+                        borderWidth: 2,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'Predicted Win Rate (%)',
+                        data: months.map(month => month.predictedWinRate * 100),
+                        backgroundColor: 'rgba(255, 159, 64, 0.2)',
+                        borderColor: 'rgba(255, 159, 64, 1)',
+                        borderWidth: 2,
+                        borderDash: [5, 5],
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        min: 0,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Win Rate (%)'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            afterLabel: function(context) {
+                                return `${months[context.dataIndex].count} deals closed`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
     /**
      * Render top opportunities section
      */
@@ -559,6 +761,7 @@ const Dashboard = (function() {
         document.getElementById('win-rate-trend').innerHTML = '';
         document.getElementById('top-opportunities').innerHTML = '';
         document.getElementById('dimension-impact').innerHTML = '';
+        document.getElementById('model-drift').innerHTML = '';
     }
     
     /**
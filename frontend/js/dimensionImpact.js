@@ -156,6 +156,9 @@ const DimensionImpact = (function() {
             return;
         }
         
+        // Default to the regression type chosen in the settings
+        const regressionType = Settings.getSetting('analysis.regressionType', 'linear');
+        
         // Create HTML for dimension selection
         let html = `
             <h3>Select Dimensions for Analysis</h3>
@@ -163,17 +166,22 @@ const DimensionImpact = (function() {
             <div class="dimension-selection-grid">
         `;
         
-        // Add checkbox for each dimension
-        dimensionImpactData.dimensions.forEach(dimension => {
-            html += `
-                <div class="dimension-checkbox-container">
-                    <input type="checkbox" class="dimension-regression-checkbox" 
-                        id="dim-${dimension.id}" value="${dimension.id}" 
-                        ${dimension.recommended ? 'checked' : ''}>
-                    <label for="dim-${dimension.id}">${formatDimensionName(dimension.name)}</label>
-                    ${dimension.recommended ? '<span class="recommended-badge">Recommended</span>' : ''}
-                </div>
-            `;
+        // Add checkbox for each dimension, grouped by related object (Account, Products, ...)
+        Utils.groupDimensions(dimensionImpactData.dimensions).forEach(group => {
+            html += `<h5 class="dimension-group-title">${group.group}</h5>`;
+            
+            group.dimensions.forEach(dimension => {
+                html += `
+                    <div class="dimension-checkbox-container">
+                        <input type="checkbox" class="dimension-regression-checkbox" 
+                            id="dim-${dimension.id}" value="${dimension.id}" 
+                            ${dimension.recommended ? 'checked' : ''}>
+                        <label for="dim-${dimension.id}">${dimension.label || formatDimensionName(dimension.name)}</label>
+                        ${dimension.recommended ? '<span class="recommended-badge">Recommended</span>' : ''}
+                        <span class="badge bg-warning text-dark collinear-badge d-none">Collinear</span>
+                    </div>
+                `;
+            });
         });
         
         html += `
@@ -192,8 +200,15 @@ const DimensionImpact = (function() {
                     <div class="form-group">
                         <label for="regression-method">Regression Method</label>
                         <select id="regression-method" class="form-control">
-                            <option value="linear">Linear Regression</option>
-                            <option value="logistic">Logistic Regression</option>
+                            <option value="linear" ${regressionType === 'linear' ? 'selected' : ''}>Linear Regression</option>
+                            <option value="logistic" ${regressionType === 'logistic' ? 'selected' : ''}>Logistic Regression</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="interaction-mode">Interactions</label>
+                        <select id="interaction-mode" class="form-control">
+                            <option value="none" selected>Main effects only</option>
+                            <option value="auto">Screen dimension pairs</option>
                         </select>
                     </div>
                     <button type="submit" class="btn btn-primary" id="run-regression-analysis">
@@ -218,26 +233,14 @@ const DimensionImpact = (function() {
         }
         
         const model = dimensionImpactData.model;
+        const isLogistic = model.regressionType === 'logistic';
         
         // Create header section
         let html = `
             <div class="model-summary">
                 <h3>Regression Model Results</h3>
-                <div class="model-metrics">
-                    <div class="metric-card">
-                        <h4>R-Squared</h4>
-                        <p class="metric-value">${model.rSquared.toFixed(3)}</p>
-                    </div>
-                    <div class="metric-card">
-                        <h4>Adjusted R-Squared</h4>
-                        <p class="metric-value">${model.adjustedRSquared.toFixed(3)}</p>
-                    </div>
-                    <div class="metric-card">
-                        <h4>Model Significance</h4>
-                        <p class="metric-value">${model.fStat.pValue < 0.05 ? 'Significant' : 'Not Significant'}</p>
-                        <p class="metric-secondary">p-value: ${model.fStat.pValue.toExponential(2)}</p>
-                    </div>
-                </div>
+                ${renderModelWarnings(model)}
+                ${renderModelMetrics(model)}
             </div>
             
             <div class="impact-chart-container">
@@ -252,7 +255,8 @@ const DimensionImpact = (function() {
                         <tr>
                             <th>Dimension</th>
                             <th>Coefficient</th>
-                            <th>Impact</th>
+                            ${isLogistic ? '<th>Odds Ratio</th>' : ''}
+                            <th>${isLogistic ? 'Marginal Effect' : 'Impact'}</th>
                             <th>p-value</th>
                             <th>Significant</th>
                             <th>Confidence Interval</th>
@@ -272,19 +276,25 @@ const DimensionImpact = (function() {
                 <tr>
                     <td>${formatDimensionName(coef.dimension)}</td>
                     <td>${coef.coefficient.toFixed(4)}</td>
+                    ${isLogistic ? `
+                        <td>
+                            ${coef.oddsRatio.toFixed(3)}
+                            <small>${formatInterval(coef.oddsRatioInterval, 3)}</small>
+                        </td>
+                    ` : ''}
                     <td>
                         <div class="impact-indicator ${coef.coefficient > 0 ? 'positive' : 'negative'}">
                             ${coef.coefficient > 0 ? '+' : '-'}${Math.abs(coef.impact * 100).toFixed(2)}%
                         </div>
                     </td>
-                    <td>${coef.pValue.toExponential(2)}</td>
+                    <td>${formatPValue(coef.pValue)}</td>
                     <td>
-                        <span class="significance-indicator ${coef.pValue < 0.05 ? 'significant' : 'not-significant'}">
-                            ${coef.pValue < 0.05 ? 'Yes' : 'No'}
+                        <span class="significance-indicator ${isSignificantCoefficient(coef) ? 'significant' : 'not-significant'}">
+                            ${isSignificantCoefficient(coef) ? 'Yes' : 'No'}
                         </span>
                     </td>
                     <td>
-                        [${coef.confidenceInterval[0].toFixed(4)}, ${coef.confidenceInterval[1].toFixed(4)}]
+                        ${formatInterval(coef.confidenceInterval, 4)}
                     </td>
                 </tr>
             `;
@@ -295,28 +305,21 @@ const DimensionImpact = (function() {
                 </table>
             </div>
             
+            ${renderDimensionTests(model)}
+            
+            ${renderInteractions(model)}
+            
             <div class="model-interpretation">
                 <h3>Interpretation</h3>
                 <div class="interpretation-content">
-                    <p>The model explains <strong>${(model.rSquared * 100).toFixed(1)}%</strong> of the variation in win rates.</p>
+                    <p>${describeModelFit(model)}</p>
                     <p>Key factors influencing win rates:</p>
                     <ul>
         `;
         
         // Add interpretations for top coefficients
         sortedCoefficients.slice(0, 5).forEach(coef => {
-            if (coef.dimension === 'intercept') {
-                html += `<li>The baseline win rate (intercept) is <strong>${(coef.coefficient * 100).toFixed(1)}%</strong>.</li>`;
-            } else if (coef.pValue < 0.05) {
-                const impact = coef.coefficient > 0 ? 'increases' : 'decreases';
-                html += `
-                    <li>
-                        <strong>${formatDimensionName(coef.dimension)}</strong> ${impact} win rate by 
-                        <strong>${Math.abs(coef.impact * 100).toFixed(2)}%</strong> 
-                        (p-value: ${coef.pValue.toExponential(2)}).
-                    </li>
-                `;
-            }
+            html += describeCoefficient(coef, isLogistic);
         });
         
         html += `
@@ -336,6 +339,11 @@ const DimensionImpact = (function() {
         
         // Create coefficient chart
         createCoefficientChart(sortedCoefficients);
+        
+        // Create one plot per interaction
+        (model.interactions || []).forEach((interaction, i) => {
+            createInteractionChart(interaction, i);
+        });
     }
     
     /**
@@ -414,6 +422,24 @@ const DimensionImpact = (function() {
         // Get regression options
         const confidenceLevel = parseFloat(document.getElementById('confidence-level').value);
         const regressionMethod = document.getElementById('regression-method').value;
+        const interactionMode = document.getElementById('interaction-mode').value;
+        
+        // Logistic regression and interaction screening are run by the server on the opportunities themselves
+        if (regressionMethod === 'logistic' || interactionMode === 'auto') {
+            AnalyticsAPI.analyzeDimensionImpact({
+                dimensions: selectedDimensions,
+                regressionType: regressionMethod,
+                confidenceLevel,
+                ...(interactionMode === 'auto' ? { interactions: 'auto' } : {})
+            })
+                .then(response => handleRegressionResult(response.data))
+                .catch(error => {
+                    console.error('Error running regression on the server:', error);
+                    showError(error.message || 'Failed to run the regression analysis. Please try again.');
+                    showLoading(false);
+                });
+            return;
+        }
         
         // Prepare data for regression
         const regressionData = prepareRegressionData(selectedDimensions);
@@ -506,8 +532,25 @@ const DimensionImpact = (function() {
      * @param {Object} result - Regression result
      */
     function updateUIWithRegressionResults(result) {
+        // Server-side results are already in the display format
+        if (result.regressionType) {
+            dimensionImpactData.model = {
+                ...result,
+                coefficients: result.coefficients.map(coef => ({
+                    ...coef,
+                    impact: coef.marginalEffect === null ? coef.coefficient : coef.marginalEffect
+                })),
+                ...(result.fStatistic ? { fStat: result.fStatistic } : {})
+            };
+            
+            renderFactorsOverview();
+            flagCollinearDimensions(result.collinearity);
+            return;
+        }
+        
         // Format results for UI
         const formattedModel = {
+            regressionType: 'linear',
             rSquared: result.rSquared,
             adjustedRSquared: result.adjustedRSquared,
             coefficients: result.coefficients.map(coef => ({
@@ -529,8 +572,339 @@ const DimensionImpact = (function() {
         // Update dimension impact data
         dimensionImpactData.model = formattedModel;
         
-        // Render results
+        // Render results (the worker doesn't diagnose collinearity)
         renderFactorsOverview();
+        flagCollinearDimensions(null);
+    }
+    
+    /**
+     * Render the model fit metrics
+     * @param {Object} model - Regression model
+     * @returns {string} HTML for the metric cards
+     */
+    function renderModelMetrics(model) {
+        if (model.regressionType === 'logistic') {
+            return `
+                <div class="model-metrics">
+                    <div class="metric-card">
+                        <h4>McFadden Pseudo R-Squared</h4>
+                        <p class="metric-value">${model.pseudoRSquared.mcFadden.toFixed(3)}</p>
+                    </div>
+                    <div class="metric-card">
+                        <h4>Tjur Pseudo R-Squared</h4>
+                        <p class="metric-value">${model.pseudoRSquared.tjur.toFixed(3)}</p>
+                    </div>
+                    <div class="metric-card">
+                        <h4>Model Significance</h4>
+                        <p class="metric-value">${model.likelihoodRatioTest.pValue < 0.05 ? 'Significant' : 'Not Significant'}</p>
+                        <p class="metric-secondary">LR test p-value: ${model.likelihoodRatioTest.pValue.toExponential(2)}</p>
+                    </div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="model-metrics">
+                <div class="metric-card">
+                    <h4>R-Squared</h4>
+                    <p class="metric-value">${model.rSquared.toFixed(3)}</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Adjusted R-Squared</h4>
+                    <p class="metric-value">${model.adjustedRSquared.toFixed(3)}</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Model Significance</h4>
+                    <p class="metric-value">${model.fStat.pValue < 0.05 ? 'Significant' : 'Not Significant'}</p>
+                    <p class="metric-secondary">p-value: ${model.fStat.pValue.toExponential(2)}</p>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the warnings raised while fitting (dropped or collinear columns)
+     * @param {Object} model - Regression model
+     * @returns {string} HTML for the warnings, or an empty string
+     */
+    function renderModelWarnings(model) {
+        if (!model.warnings || model.warnings.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="alert alert-warning">
+                <ul class="mb-0">
+                    ${model.warnings.map(warning => `<li>${warning}</li>`).join('')}
+                </ul>
+                ${model.collinearity ? `<small>Condition number: ${model.collinearity.conditionNumber.toFixed(1)}</small>` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Describe a dimension's collinearity with the others for the dimension tests table
+     * @param {Object} model - Regression model
+     * @param {string} dimension - Dimension name
+     * @returns {string} GVIF^(1/2df), marked when the dimension is collinear
+     */
+    function describeCollinearity(model, dimension) {
+        const diagnostic = model.collinearity
+            ? model.collinearity.dimensions.find(item => item.dimension === dimension)
+            : null;
+        
+        if (!diagnostic || diagnostic.adjustedGvif === null) {
+            return '-';
+        }
+        
+        return `
+            ${diagnostic.adjustedGvif.toFixed(2)}
+            ${diagnostic.isCollinear ? '<span class="badge bg-warning text-dark">Collinear</span>' : ''}
+        `;
+    }
+    
+    /**
+     * Flag the dimensions the last model found collinear in the selection list
+     * @param {Object} collinearity - Collinearity diagnostics of the model, if any
+     */
+    function flagCollinearDimensions(collinearity) {
+        document.querySelectorAll('.dimension-regression-checkbox').forEach(checkbox => {
+            const badge = checkbox.parentElement.querySelector('.collinear-badge');
+            const diagnostic = collinearity
+                ? collinearity.dimensions.find(dimension => dimension.dimension === checkbox.value)
+                : null;
+            
+            if (!badge) return;
+            
+            if (!diagnostic || !diagnostic.isCollinear) {
+                badge.classList.add('d-none');
+                return;
+            }
+            
+            badge.classList.remove('d-none');
+            badge.title = diagnostic.droppedColumns.length > 0
+                ? `Dropped from the model: ${diagnostic.droppedColumns.join(', ')}`
+                : `GVIF^(1/2df) = ${diagnostic.adjustedGvif.toFixed(2)}`;
+        });
+    }
+    
+    /**
+     * Render the joint significance test of each dimension's levels
+     * @param {Object} model - Regression model
+     * @returns {string} HTML for the dimension tests table, or an empty string
+     */
+    function renderDimensionTests(model) {
+        if (!model.dimensionGroups) {
+            return '';
+        }
+        
+        return `
+            <div class="dimension-tests-container">
+                <h3>Dimension Significance</h3>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Dimension</th>
+                            <th>Reference Level</th>
+                            <th>Levels</th>
+                            <th>Joint Test</th>
+                            <th>p-value</th>
+                            <th title="Generalized variance inflation factor, GVIF^(1/2df)">Collinearity</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${model.dimensionGroups.map(group => `
+                            <tr>
+                                <td>${formatDimensionName(group.dimension)}</td>
+                                <td>${group.referenceLevel || '-'}</td>
+                                <td>
+                                    ${group.coefficients.length}
+                                    ${group.pooledLevels.length > 0 ? `<small>(${group.pooledLevels.length} rare levels pooled into Other)</small>` : ''}
+                                </td>
+                                <td>${group.jointTest ? `${group.jointTest.method} ${group.jointTest.statistic.toFixed(2)} (df ${group.jointTest.degreesOfFreedom})` : '-'}</td>
+                                <td>${formatPValue(group.jointTest && group.jointTest.pValue)}</td>
+                                <td>${describeCollinearity(model, group.dimension)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the interaction plots and the pair screening table
+     * @param {Object} model - Regression model
+     * @returns {string} HTML for the interactions section, or an empty string
+     */
+    function renderInteractions(model) {
+        const interactions = model.interactions || [];
+        const screening = model.interactionScreening || [];
+        
+        if (interactions.length === 0 && screening.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="interactions-container">
+                <h3>Interactions</h3>
+                ${interactions.length === 0 ? '<p>No pair of dimensions interacts significantly.</p>' : ''}
+                ${interactions.map((interaction, i) => `
+                    <div class="interaction-plot">
+                        <h4>
+                            ${interaction.dimensions.map(formatDimensionName).join(' &times; ')}
+                            <small>(p-value: ${formatPValue(interaction.jointTest && interaction.jointTest.pValue)})</small>
+                        </h4>
+                        <canvas id="interaction-chart-${i}"></canvas>
+                    </div>
+                `).join('')}
+                ${screening.length > 0 ? `
+                    <h4>Screened Pairs</h4>
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Dimensions</th>
+                                <th>Test</th>
+                                <th>p-value</th>
+                                <th>Included</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${screening.map(candidate => `
+                                <tr>
+                                    <td>${candidate.dimensions.map(formatDimensionName).join(' &times; ')}</td>
+                                    <td>${candidate.pValue === null ? (candidate.error ? 'Not estimable' : '-') : `${candidate.method} ${candidate.statistic.toFixed(2)} (df ${candidate.degreesOfFreedom})`}</td>
+                                    <td>${candidate.pValue === null ? '-' : candidate.pValue.toExponential(2)}</td>
+                                    <td>${candidate.selected ? 'Yes' : 'No'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Create an interaction plot: predicted win rate across one dimension, one line per
+     * value of the other, with shaded confidence bands
+     * @param {Object} interaction - Interaction result with its prediction grid
+     * @param {number} index - Interaction index (used for the canvas id)
+     */
+    function createInteractionChart(interaction, index) {
+        const ctx = document.getElementById(`interaction-chart-${index}`).getContext('2d');
+        const grid = interaction.grid;
+        const colors = ['0, 112, 210', '4, 132, 75', '255, 99, 132', '255, 159, 64', '153, 102, 255'];
+        const formatValue = value => typeof value === 'number' ? Utils.formatNumber(value) : String(value);
+        
+        // Each series is a lower bound, an upper bound filled down to it, then the prediction line
+        const datasets = grid.series.flatMap((series, i) => {
+            const color = colors[i % colors.length];
+            
+            return [
+                {
+                    label: `${series.value} lower`,
+                    data: series.points.map(point => (point.confidenceInterval ? point.confidenceInterval[0] * 100 : null)),
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: `${series.value} upper`,
+                    data: series.points.map(point => (point.confidenceInterval ? point.confidenceInterval[1] * 100 : null)),
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    backgroundColor: `rgba(${color}, 0.15)`,
+                    fill: '-1'
+                },
+                {
+                    label: `${formatDimensionName(grid.seriesDimension)}: ${formatValue(series.value)}`,
+                    data: series.points.map(point => point.winRate * 100),
+                    borderColor: `rgba(${color}, 1)`,
+                    backgroundColor: `rgba(${color}, 1)`,
+                    fill: false
+                }
+            ];
+        });
+        
+        charts[`interaction-${index}`] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: grid.xValues.map(formatValue),
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: formatDimensionName(grid.xDimension)
+                        }
+                    },
+                    y: {
+                        min: 0,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Predicted Win Rate (%)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            // Hide the band bounds from the legend
+                            filter: item => !/ (lower|upper)$/.test(item.text)
+                        }
+                    },
+                    tooltip: {
+                        filter: item => !/ (lower|upper)$/.test(item.dataset.label)
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Describe how well the model fits
+     * @param {Object} model - Regression model
+     * @returns {string} Fit summary
+     */
+    function describeModelFit(model) {
+        if (model.regressionType === 'logistic') {
+            return `The model improves the log-likelihood over a constant win rate by <strong>${(model.pseudoRSquared.mcFadden * 100).toFixed(1)}%</strong> (McFadden), and predicts won deals <strong>${(model.pseudoRSquared.tjur * 100).toFixed(1)}</strong> points higher than lost ones on average (Tjur).`;
+        }
+        
+        return `The model explains <strong>${(model.rSquared * 100).toFixed(1)}%</strong> of the variation in win rates.`;
+    }
+    
+    /**
+     * Describe a coefficient for the interpretation list
+     * @param {Object} coef - Formatted coefficient
+     * @param {boolean} isLogistic - Whether the coefficient is on the log-odds scale
+     * @returns {string} HTML list item, or an empty string for insignificant factors
+     */
+    function describeCoefficient(coef, isLogistic) {
+        if (coef.dimension === 'intercept') {
+            // The logistic intercept is the log-odds of winning at the baseline
+            const baseline = isLogistic ? 1 / (1 + Math.exp(-coef.coefficient)) : coef.coefficient;
+            return `<li>The baseline win rate (intercept) is <strong>${(baseline * 100).toFixed(1)}%</strong>.</li>`;
+        }
+        
+        if (!isSignificantCoefficient(coef)) {
+            return '';
+        }
+        
+        const impact = coef.coefficient > 0 ? 'increases' : 'decreases';
+        return `
+            <li>
+                <strong>${formatDimensionName(coef.dimension)}</strong> ${impact} win rate by 
+                <strong>${Math.abs(coef.impact * 100).toFixed(2)}%</strong>
+                ${isLogistic ? `(odds ratio ${coef.oddsRatio.toFixed(2)}, ` : '('}p-value: ${coef.pValue.toExponential(2)}).
+            </li>
+        `;
     }
     
     /**
@@ -601,6 +975,7 @@ const DimensionImpact = (function() {
      */
     function generateReportContent() {
         const model = dimensionImpactData.model;
+        const isLogistic = model.regressionType === 'logistic';
         
         // Create HTML report
         return `
@@ -630,21 +1005,7 @@ const DimensionImpact = (function() {
                     <p>Generated: ${new Date().toLocaleString()}</p>
                 </div>
                 
-                <div class="metrics">
-                    <div class="metric">
-                        <h3>R-Squared</h3>
-                        <p>${model.rSquared.toFixed(3)}</p>
-                    </div>
-                    <div class="metric">
-                        <h3>Adjusted R-Squared</h3>
-                        <p>${model.adjustedRSquared.toFixed(3)}</p>
-                    </div>
-                    <div class="metric">
-                        <h3>Model Significance</h3>
-                        <p>${model.fStat.pValue < 0.05 ? 'Significant' : 'Not Significant'}</p>
-                        <p>p-value: ${model.fStat.pValue.toExponential(2)}</p>
-                    </div>
-                </div>
+                ${renderModelMetrics(model)}
                 
                 <h2>Coefficient Analysis</h2>
                 <table>
@@ -652,7 +1013,8 @@ const DimensionImpact = (function() {
                         <tr>
                             <th>Dimension</th>
                             <th>Coefficient</th>
-                            <th>Impact</th>
+                            ${isLogistic ? '<th>Odds Ratio</th>' : ''}
+                            <th>${isLogistic ? 'Marginal Effect' : 'Impact'}</th>
                             <th>p-value</th>
                             <th>Significant</th>
                             <th>Confidence Interval</th>
@@ -664,15 +1026,16 @@ const DimensionImpact = (function() {
                                 <tr>
                                     <td>${formatDimensionName(coef.dimension)}</td>
                                     <td>${coef.coefficient.toFixed(4)}</td>
+                                    ${isLogistic ? `<td>${coef.oddsRatio.toFixed(3)} ${formatInterval(coef.oddsRatioInterval, 3)}</td>` : ''}
                                     <td class="${coef.coefficient > 0 ? 'positive' : 'negative'}">
                                         ${coef.coefficient > 0 ? '+' : '-'}${Math.abs(coef.impact * 100).toFixed(2)}%
                                     </td>
-                                    <td>${coef.pValue.toExponential(2)}</td>
-                                    <td class="${coef.pValue < 0.05 ? 'significant' : 'not-significant'}">
-                                        ${coef.pValue < 0.05 ? 'Yes' : 'No'}
+                                    <td>${formatPValue(coef.pValue)}</td>
+                                    <td class="${isSignificantCoefficient(coef) ? 'significant' : 'not-significant'}">
+                                        ${isSignificantCoefficient(coef) ? 'Yes' : 'No'}
                                     </td>
                                     <td>
-                                        [${coef.confidenceInterval[0].toFixed(4)}, ${coef.confidenceInterval[1].toFixed(4)}]
+                                        ${formatInterval(coef.confidenceInterval, 4)}
                                     </td>
                                 </tr>
                             `).join('')
@@ -682,27 +1045,14 @@ const DimensionImpact = (function() {
                 
                 <h2>Interpretation</h2>
                 <div class="interpretation">
-                    <p>The model explains <strong>${(model.rSquared * 100).toFixed(1)}%</strong> of the variation in win rates.</p>
+                    <p>${describeModelFit(model)}</p>
                     <p>Key factors influencing win rates:</p>
                     <ul>
                         ${model.coefficients
                             .sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient))
                             .slice(0, 5)
-                            .map(coef => {
-                                if (coef.dimension === 'intercept') {
-                                    return `<li>The baseline win rate (intercept) is <strong>${(coef.coefficient * 100).toFixed(1)}%</strong>.</li>`;
-                                } else if (coef.pValue < 0.05) {
-                                    const impact = coef.coefficient > 0 ? 'increases' : 'decreases';
-                                    return `
-                                        <li>
-                                            <strong>${formatDimensionName(coef.dimension)}</strong> ${impact} win rate by 
-                                            <strong>${Math.abs(coef.impact * 100).toFixed(2)}%</strong> 
-                                            (p-value: ${coef.pValue.toExponential(2)}).
-                                        </li>
-                                    `;
-                                }
-                                return '';
-                            }).join('')
+                            .map(coef => describeCoefficient(coef, isLogistic))
+                            .join('')
                         }
                     </ul>
                     <p>
@@ -735,6 +1085,35 @@ const DimensionImpact = (function() {
             .replace(/^./, str => str.toUpperCase());
     }
     
+    /**
+     * Check whether a coefficient is significant at the 5% level
+     * Coefficients without a p-value (the fit did not converge) are never significant
+     * @param {Object} coef - Coefficient
+     * @returns {boolean} True if significant
+     */
+    function isSignificantCoefficient(coef) {
+        return coef.pValue !== null && coef.pValue < 0.05;
+    }
+    
+    /**
+     * Format a p-value for display
+     * @param {number|null} pValue - p-value
+     * @returns {string} Formatted p-value, or a dash when it was not estimated
+     */
+    function formatPValue(pValue) {
+        return pValue === null || pValue === undefined ? '-' : pValue.toExponential(2);
+    }
+    
+    /**
+     * Format an interval for display
+     * @param {Array|null} interval - Lower and upper bound
+     * @param {number} digits - Decimal places
+     * @returns {string} Formatted interval, or a dash when it was not estimated
+     */
+    function formatInterval(interval, digits) {
+        return interval ? `[${interval[0].toFixed(digits)}, ${interval[1].toFixed(digits)}]` : '-';
+    }
+    
     /**
      * Show or hide loading indicator
      * @param {boolean} show - Whether to show loading indicator
@@ -0,0 +1,366 @@
+/**
+ * Stage Funnel Module
+ *
+ * Shows how opportunities move through the sales stages: how many reach each stage,
+ * stage-to-stage conversion, where deals drop off, time spent in each stage, the win
+ * rate from each stage, and stage skips and regressions. The funnel can be segmented
+ * by any dimension.
+ */
+
+const StageFunnel = (function() {
+    // Private members
+    let funnelData = null;
+    let containerElement = null;
+    let isLoading = false;
+    let charts = {};
+    
+    /**
+     * Initializes the stage funnel module
+     * @param {HTMLElement} container - The container element for the funnel view
+     */
+    function init(container) {
+        containerElement = container;
+        
+        // Build the controls and result areas
+        _initControls();
+        
+        // Set up event listeners
+        _setupEventListeners();
+        
+        // Load the dimensions the funnel can be segmented by
+        _loadSegmentDimensions();
+    }
+    
+    /**
+     * Initializes the funnel controls
+     * @private
+     */
+    function _initControls() {
+        containerElement.innerHTML = `
+            <div class="row">
+                <div class="col-md-4">
+                    <div class="card shadow mb-4">
+                        <div class="card-header bg-primary text-white">
+                            <h5>Funnel Options</h5>
+                        </div>
+                        <div class="card-body">
+                            <form id="funnelForm">
+                                <div class="mb-3">
+                                    <label for="funnelSegmentSelect" class="form-label">Segment By</label>
+                                    <select id="funnelSegmentSelect" class="form-select">
+                                        <option value="">No segmentation</option>
+                                    </select>
+                                    <div class="form-text">Compare the funnel across the values of a dimension</div>
+                                </div>
+                                <button type="submit" class="btn btn-primary w-100">Analyze Funnel</button>
+                            </form>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-md-8">
+                    <div class="card shadow mb-4">
+                        <div class="card-header bg-primary text-white">
+                            <h5>Stage Funnel</h5>
+                        </div>
+                        <div class="card-body">
+                            <div id="funnelResults">
+                                <p class="text-center text-muted">Run the analysis to see the stage funnel</p>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="card shadow mb-4">
+                        <div class="card-header bg-primary text-white">
+                            <h5>Skips and Regressions</h5>
+                        </div>
+                        <div class="card-body">
+                            <div id="funnelPatterns">
+                                <p class="text-center text-muted">Run the analysis to see stage patterns</p>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="card shadow mb-4 d-none" id="funnelSegmentsCard">
+                        <div class="card-header bg-primary text-white">
+                            <h5>Win Rate from Stage by Segment</h5>
+                        </div>
+                        <div class="card-body">
+                            <div id="funnelSegments" class="table-responsive"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Sets up event listeners for the module
+     * @private
+     */
+    function _setupEventListeners() {
+        containerElement.querySelector('#funnelForm').addEventListener('submit', function(e) {
+            e.preventDefault();
+            _analyzeFunnel();
+        });
+        
+        // Window resize event for responsive charts
+        window.addEventListener('resize', Utils.debounce(function() {
+            Object.values(charts).forEach(chart => chart.resize());
+        }, 250));
+    }
+    
+    /**
+     * Loads the dimensions available for segmentation
+     * @private
+     */
+    function _loadSegmentDimensions() {
+        DataAPI.getDimensions()
+            .then(response => {
+                const select = containerElement.querySelector('#funnelSegmentSelect');
+                
+                Utils.groupDimensions(response.data).forEach(group => {
+                    const optgroup = document.createElement('optgroup');
+                    optgroup.label = group.group;
+                    
+                    group.dimensions.forEach(dimension => {
+                        const option = document.createElement('option');
+                        option.value = dimension.id;
+                        option.textContent = dimension.label || dimension.name;
+                        optgroup.appendChild(option);
+                    });
+                    
+                    select.appendChild(optgroup);
+                });
+            })
+            .catch(error => {
+                console.error('Error loading dimensions:', error);
+            });
+    }
+    
+    /**
+     * Requests the funnel analysis from the API
+     * @private
+     */
+    function _analyzeFunnel() {
+        if (isLoading) return;
+        isLoading = true;
+        
+        const segmentBy = containerElement.querySelector('#funnelSegmentSelect').value;
+        const resultsElement = containerElement.querySelector('#funnelResults');
+        
+        resultsElement.innerHTML = `
+            <div class="text-center p-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">Loading...</span>
+                </div>
+                <p class="mt-2">Reconstructing stage history...</p>
+            </div>
+        `;
+        
+        AnalyticsAPI.analyzeStageFunnel(segmentBy ? { segmentBy } : {})
+            .then(response => {
+                funnelData = response.data;
+                _renderFunnel(funnelData);
+                _renderPatterns(funnelData);
+                _renderSegments(funnelData);
+                isLoading = false;
+            })
+            .catch(error => {
+                console.error('Error analyzing stage funnel:', error);
+                resultsElement.innerHTML = `
+                    <div class="alert alert-danger">
+                        <p>${error.message || 'Failed to analyze the stage funnel. Please try again.'}</p>
+                    </div>
+                `;
+                isLoading = false;
+            });
+    }
+    
+    /**
+     * Renders the funnel chart and stage table
+     * @param {Object} data - Funnel analysis
+     * @private
+     */
+    function _renderFunnel(data) {
+        const resultsElement = containerElement.querySelector('#funnelResults');
+        
+        resultsElement.innerHTML = `
+            <div class="mb-3">
+                <strong>${Utils.formatNumber(data.opportunityCount)}</strong> opportunities with stage history,
+                overall win rate <strong>${Utils.formatPercentage(data.overall.winRate)}</strong>
+                ${data.withoutHistoryCount > 0 ? `<span class="text-muted">(${Utils.formatNumber(data.withoutHistoryCount)} without history excluded)</span>` : ''}
+            </div>
+            <div style="width: 100%; height: 300px;">
+                <canvas id="funnelChart"></canvas>
+            </div>
+            <div class="table-responsive mt-3">
+                <table class="table table-sm table-striped">
+                    <thead>
+                        <tr>
+                            <th>Stage</th>
+                            <th>Reached</th>
+                            <th>Converted</th>
+                            <th>Dropped Off</th>
+                            <th>Median Days</th>
+                            <th>Win Rate from Stage</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.funnel.map(stage => `
+                            <tr>
+                                <td>${stage.stage}</td>
+                                <td>${Utils.formatNumber(stage.reachedCount)} <small class="text-muted">(${Utils.formatPercentage(stage.reachedRate)})</small></td>
+                                <td>${Utils.formatPercentage(stage.conversionRate)}</td>
+                                <td>${Utils.formatNumber(stage.droppedOffCount)} <small class="text-muted">(${Utils.formatPercentage(stage.dropOffRate)})</small></td>
+                                <td>${Utils.formatNumber(stage.medianDaysInStage, 1)}</td>
+                                <td>
+                                    ${Utils.formatPercentage(stage.winRateFromStage.winRate)}
+                                    <small class="text-muted">n=${stage.winRateFromStage.sampleSize}</small>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        if (charts.funnel) {
+            charts.funnel.destroy();
+        }
+        
+        const ctx = resultsElement.querySelector('#funnelChart').getContext('2d');
+        charts.funnel = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: data.funnel.map(stage => stage.stage),
+                datasets: [
+                    {
+                        label: 'Reached',
+                        data: data.funnel.map(stage => stage.reachedCount),
+                        backgroundColor: 'rgba(0, 112, 210, 0.7)',
+                        xAxisID: 'x'
+                    },
+                    {
+                        label: 'Win Rate from Stage (%)',
+                        data: data.funnel.map(stage => stage.winRateFromStage.winRate),
+                        type: 'line',
+                        borderColor: 'rgba(4, 132, 75, 1)',
+                        backgroundColor: 'rgba(4, 132, 75, 0.2)',
+                        xAxisID: 'rate'
+                    }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        position: 'bottom',
+                        title: { display: true, text: 'Opportunities' }
+                    },
+                    rate: {
+                        position: 'top',
+                        min: 0,
+                        max: 100,
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'Win Rate (%)' }
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Renders skip and regression patterns and the most common paths
+     * @param {Object} data - Funnel analysis
+     * @private
+     */
+    function _renderPatterns(data) {
+        const patternsElement = containerElement.querySelector('#funnelPatterns');
+        const notable = data.transitions.filter(transition => transition.type === 'skip' || transition.type === 'regression');
+        
+        const describePattern = (label, pattern) => `
+            <div class="col-md-6">
+                <h6>${label}</h6>
+                <p class="mb-1">${Utils.formatNumber(pattern.opportunityCount)} opportunities (${Utils.formatNumber(pattern.transitionCount)} moves)</p>
+                <p class="mb-0 text-muted">
+                    Win rate ${Utils.formatPercentage(pattern.winRateWith.winRate)} with vs.
+                    ${Utils.formatPercentage(pattern.winRateWithout.winRate)} without
+                </p>
+            </div>
+        `;
+        
+        patternsElement.innerHTML = `
+            <div class="row mb-3">
+                ${describePattern('Stage Skips', data.patterns.skips)}
+                ${describePattern('Stage Regressions', data.patterns.regressions)}
+            </div>
+            ${notable.length > 0 ? `
+                <h6>Skipped and Reversed Moves</h6>
+                <ul>
+                    ${notable.map(transition => `
+                        <li>${transition.from} &rarr; ${transition.to}
+                            <span class="badge ${transition.type === 'skip' ? 'bg-info' : 'bg-warning text-dark'}">${transition.type}</span>
+                            ${Utils.formatNumber(transition.count)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <h6>Most Common Paths</h6>
+            <ol class="small">
+                ${data.topPaths.map(path => `
+                    <li>${path.path.join(' &rarr; ')}
+                        <span class="text-muted">(${Utils.formatNumber(path.count)}, win rate ${Utils.formatPercentage(path.winRate)})</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+    
+    /**
+     * Renders the win rate from each stage for each segment
+     * @param {Object} data - Funnel analysis
+     * @private
+     */
+    function _renderSegments(data) {
+        const card = containerElement.querySelector('#funnelSegmentsCard');
+        
+        if (!data.segments) {
+            card.classList.add('d-none');
+            return;
+        }
+        
+        card.classList.remove('d-none');
+        containerElement.querySelector('#funnelSegments').innerHTML = `
+            <table class="table table-sm table-bordered">
+                <thead>
+                    <tr>
+                        <th>${data.segmentBy}</th>
+                        <th>Opportunities</th>
+                        ${data.stages.map(stage => `<th>${stage}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.segments.map(segment => `
+                        <tr>
+                            <th>${segment.value}</th>
+                            <td>${Utils.formatNumber(segment.opportunityCount)}</td>
+                            ${segment.funnel.map(stage => `
+                                <td title="Conversion ${Utils.formatPercentage(stage.conversionRate)}, n=${stage.winRateFromStage.sampleSize}">
+                                    ${Utils.formatPercentage(stage.winRateFromStage.winRate)}
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    // Public API
+    return {
+        init: init
+    };
+})();
+
+// Export the module
+export default StageFunnel;
@@ -108,10 +108,9 @@ const LookupTable = (function() {
      * @private
      */
     function _loadAvailableDimensions() {
-        fetch('/api/dimensions')
-            .then(response => response.json())
-            .then(dimensions => {
-                _renderDimensionCheckboxes(dimensions);
+        DataAPI.getDimensions()
+            .then(response => {
+                _renderDimensionCheckboxes(response.data);
             })
             .catch(error => {
                 console.error('Error loading dimensions:', error);
@@ -148,17 +147,24 @@ const LookupTable = (function() {
         // Clear loading indicator
         checkboxesContainer.innerHTML = '';
         
-        // Create checkbox for each dimension
-        dimensions.forEach(dimension => {
-            const col = document.createElement('div');
-            col.className = 'col-md-4 col-sm-6 mb-2';
-            col.innerHTML = `
-                <div class="custom-control custom-checkbox dimension-checkbox">
-                    <input type="checkbox" class="custom-control-input" id="dim-${dimension.id}" data-dimension-id="${dimension.id}" data-dimension-name="${dimension.name}">
-                    <label class="custom-control-label" for="dim-${dimension.id}">${dimension.name}</label>
-                </div>
-            `;
-            checkboxesContainer.appendChild(col);
+        // Create checkbox for each dimension, grouped by related object (Account, Products, ...)
+        Utils.groupDimensions(dimensions).forEach(group => {
+            const heading = document.createElement('div');
+            heading.className = 'col-12 mt-2';
+            heading.innerHTML = `<h6 class="dimension-group-title">${group.group}</h6>`;
+            checkboxesContainer.appendChild(heading);
+            
+            group.dimensions.forEach(dimension => {
+                const col = document.createElement('div');
+                col.className = 'col-md-4 col-sm-6 mb-2';
+                col.innerHTML = `
+                    <div class="custom-control custom-checkbox dimension-checkbox">
+                        <input type="checkbox" class="custom-control-input" id="dim-${dimension.id}" data-dimension-id="${dimension.id}" data-dimension-name="${dimension.label || dimension.name}">
+                        <label class="custom-control-label" for="dim-${dimension.id}">${dimension.label || dimension.name}</label>
+                    </div>
+                `;
+                checkboxesContainer.appendChild(col);
+            });
         });
     }
     
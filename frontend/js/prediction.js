@@ -11,6 +11,12 @@ const Prediction = (function() {
     let predictionWorker = null;
     let charts = {};
     
+    // Server model built by the evaluation, which also explains predictions
+    const EVALUATION_MODEL_ID = 'prediction-evaluation';
+    
+    // One color per compared version (a champion and up to four challengers)
+    const COMPARISON_COLORS = [CONFIG.COLORS.PRIMARY, CONFIG.COLORS.SUCCESS, CONFIG.COLORS.DANGER, CONFIG.COLORS.WARNING, CONFIG.COLORS.INFO];
+    
     /**
      * Initialize the module
      */
@@ -195,9 +201,15 @@ const Prediction = (function() {
                     <button id="train-model-button" class="btn btn-outline-primary">Retrain Model</button>
                     <button id="generate-formula-button" class="btn btn-outline-primary">Generate Formula</button>
                     <button id="calculate-feature-importance" class="btn btn-outline-primary">Feature Importance</button>
+                    <button id="evaluate-model-button" class="btn btn-outline-primary">Evaluate Model</button>
+                    <button id="compare-models-button" class="btn btn-outline-primary">Compare Versions</button>
                 </div>
             </div>
             
+            <div id="model-evaluation-container" class="model-evaluation-container"></div>
+            
+            <div id="model-comparison-container" class="model-comparison-container"></div>
+            
             <div id="formula-container" class="formula-container ${predictionModel.formula ? '' : 'hidden'}">
                 <h3>Win Rate Formula</h3>
                 <div class="formula-display">
@@ -220,6 +232,731 @@ const Prediction = (function() {
         if (predictionModel.featureImportance) {
             createFeatureImportanceChart(predictionModel.featureImportance);
         }
+        
+        document.getElementById('evaluate-model-button').addEventListener('click', function() {
+            evaluateModel();
+        });
+        
+        document.getElementById('compare-models-button').addEventListener('click', function() {
+            loadComparisonVersions();
+        });
+        
+        if (predictionData.evaluation) {
+            renderModelEvaluation(predictionData);
+        }
+    }
+    
+    /**
+     * Builds the model on the server to get out-of-sample evaluation metrics
+     */
+    function evaluateModel() {
+        const dimensions = predictionModel.dimensions || predictionData.dimensions;
+        
+        if (!dimensions || dimensions.length === 0) {
+            showError('The model does not list its dimensions, so it cannot be evaluated.');
+            return;
+        }
+        
+        const modelType = Settings.getSetting('analysis.predictionModelType', CONFIG.DEFAULTS.ANALYTICS.PREDICTION_MODEL_TYPE);
+        
+        showLoading(true);
+        
+        AnalyticsAPI.prediction.buildModel({ modelId: EVALUATION_MODEL_ID, dimensions, modelType })
+            .then(function(response) {
+                // Explanations use the version just built, even if another version is in production
+                predictionData.evaluationVersion = response.version;
+                predictionData.evaluation = response.data.evaluation;
+                predictionData.validation = response.data.validation;
+                predictionData.calibration = response.data.calibration;
+                predictionData.thresholds = response.data.thresholds;
+                
+                // Categorize with the thresholds stored with the evaluated model
+                predictionModel.thresholds = {
+                    high: response.data.thresholds.high,
+                    low: response.data.thresholds.low
+                };
+                renderModelEvaluation(response.data, response.modelType);
+                showLoading(false);
+            })
+            .catch(function(error) {
+                console.error('Error evaluating prediction model:', error);
+                showError(error.message || 'Failed to evaluate the prediction model.');
+                showLoading(false);
+            });
+    }
+    
+    /**
+     * Render out-of-sample evaluation: threshold-free scores, ROC, precision-recall and lift charts
+     * @param {Object} results - Build results with evaluation and validation
+     * @param {string} modelType - Type of the evaluated model
+     */
+    function renderModelEvaluation(results, modelType) {
+        const container = document.getElementById('model-evaluation-container');
+        const evaluation = results.evaluation;
+        const calibration = results.calibration;
+        const formatScore = value => (value === null || value === undefined ? 'N/A' : value.toFixed(3));
+        const modelTypeLabels = {
+            [CONFIG.PREDICTION.MODEL_TYPES.LOGISTIC]: 'Logistic regression',
+            [CONFIG.PREDICTION.MODEL_TYPES.RANDOM_FOREST]: 'Random forest',
+            [CONFIG.PREDICTION.MODEL_TYPES.GRADIENT_BOOSTING]: 'Gradient boosting'
+        };
+        
+        container.innerHTML = `
+            <h3>Model Evaluation</h3>
+            <p class="text-muted">
+                ${modelTypeLabels[modelType] || 'Logistic regression'}:
+                ${Utils.formatNumber(evaluation.count)} out-of-sample predictions
+                ${results.validation ? `(${results.validation.scheme}, ${results.validation.folds} ${results.validation.folds === 1 ? 'split' : 'folds'})` : ''},
+                base win rate ${Utils.formatPercentage(evaluation.baseRate * 100)}
+            </p>
+            <div class="model-metrics">
+                <div class="metric-card">
+                    <h4>ROC AUC</h4>
+                    <p class="metric-value">${formatScore(evaluation.auc)}</p>
+                    <p class="metric-label">0.5 = random ranking</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Average Precision</h4>
+                    <p class="metric-value">${formatScore(evaluation.averagePrecision)}</p>
+                    <p class="metric-label">Random: ${formatScore(evaluation.baseRate)}</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Log Loss</h4>
+                    <p class="metric-value">${formatScore(evaluation.logLoss)}</p>
+                    <p class="metric-label">Base rate: ${formatScore(evaluation.baseline.logLoss)}</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Brier Score</h4>
+                    <p class="metric-value">${formatScore(evaluation.brierScore)}</p>
+                    <p class="metric-label">Base rate: ${formatScore(evaluation.baseline.brierScore)}, skill ${formatScore(evaluation.brierSkillScore)}</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Calibration Error</h4>
+                    <p class="metric-value">${formatScore(calibration ? calibration.calibrated.expectedCalibrationError : evaluation.expectedCalibrationError)}</p>
+                    <p class="metric-label">${calibration ? `${calibration.method}; uncalibrated ${formatScore(calibration.uncalibrated.expectedCalibrationError)}` : 'Uncalibrated'}</p>
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6" style="height: 300px;">
+                    <canvas id="roc-curve-chart"></canvas>
+                </div>
+                <div class="col-md-6" style="height: 300px;">
+                    <canvas id="precision-recall-chart"></canvas>
+                </div>
+            </div>
+            <h4 class="mt-3">Lift and Gain by Decile</h4>
+            <div style="height: 300px;">
+                <canvas id="lift-chart"></canvas>
+            </div>
+            <div class="table-responsive mt-3">
+                <table class="table table-sm table-striped">
+                    <thead>
+                        <tr>
+                            <th>Decile</th>
+                            <th>Predicted</th>
+                            <th>Actual Win Rate</th>
+                            <th>Lift</th>
+                            <th>Cumulative Gain</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${evaluation.lift.map(row => `
+                            <tr>
+                                <td>${row.group}</td>
+                                <td>${Utils.formatPercentage(row.minProbability * 100)} &ndash; ${Utils.formatPercentage(row.maxProbability * 100)}</td>
+                                <td>${Utils.formatPercentage(row.winRate * 100)} <small class="text-muted">(${row.wins}/${row.count})</small></td>
+                                <td>${formatScore(row.lift)}</td>
+                                <td>${Utils.formatPercentage(row.cumulativeGain * 100)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${results.thresholds ? renderThresholds(results.thresholds) : ''}
+            <h4 class="mt-3">Reliability Diagram</h4>
+            <p class="text-muted">Predicted vs. observed win rate; a calibrated model follows the diagonal</p>
+            <div style="height: 300px;">
+                <canvas id="reliability-chart"></canvas>
+            </div>
+            ${results.featureImportance && results.featureImportance.length > 0 && results.featureImportance[0].method === 'permutation'
+                ? renderPermutationImportance(results.featureImportance)
+                : ''}
+        `;
+        
+        createRocChart(evaluation);
+        createPrecisionRecallChart(evaluation);
+        createLiftChart(evaluation);
+        createReliabilityChart(evaluation, calibration);
+    }
+    
+    /**
+     * Render permutation feature importance: how much held-out AUC and log loss worsen when a
+     * dimension's values are shuffled
+     * @param {Array} featureImportance - Feature importance from a tree model build
+     * @returns {string} HTML
+     */
+    function renderPermutationImportance(featureImportance) {
+        const formatChange = summary => (summary
+            ? `${summary.mean.toFixed(4)} <small class="text-muted">&plusmn; ${summary.standardDeviation.toFixed(4)}</small>`
+            : 'N/A');
+        
+        return `
+            <h4 class="mt-3">Permutation Importance</h4>
+            <p class="text-muted">Worsening of held-out scores when a dimension is shuffled (mean &plusmn; SD over folds); zero or below means the model does not rely on it</p>
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Dimension</th>
+                        <th>AUC Decrease</th>
+                        <th>Log Loss Increase</th>
+                        <th>Share</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${featureImportance.map(feature => `
+                        <tr>
+                            <td>${formatFeatureName(feature.dimension)}</td>
+                            <td>${formatChange(feature.aucDecrease)}</td>
+                            <td>${formatChange(feature.logLossIncrease)}</td>
+                            <td>${Utils.formatPercentage(feature.normalizedImportance * 100)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Render the category thresholds and how held-out opportunities fall into each category
+     * @param {Object} thresholds - Threshold summary from the model build
+     * @returns {string} HTML
+     */
+    function renderThresholds(thresholds) {
+        const optimization = thresholds.optimization;
+        const objectiveLabels = {
+            'f1': 'maximum F1',
+            'precision': `precision of at least ${optimization && optimization.targetPrecision !== null ? (optimization.targetPrecision * 100).toFixed(0) : ''}%`,
+            'expected-value': 'maximum expected value'
+        };
+        
+        return `
+            <h4 class="mt-3">Probability Categories</h4>
+            <p>
+                High at or above <strong>${(thresholds.high * 100).toFixed(1)}%</strong>,
+                Low below <strong>${(thresholds.low * 100).toFixed(1)}%</strong>
+                <span class="text-muted">(${optimization ? `optimized for ${objectiveLabels[optimization.objective]}` : thresholds.source} thresholds)</span>
+            </p>
+            ${optimization && !optimization.targetMet ? `
+                <div class="alert alert-warning">No threshold reaches the target precision; the most precise one is used.</div>
+            ` : ''}
+            ${optimization && optimization.scores.expectedValue !== null ? `
+                <p class="text-muted">
+                    Pursuing High deals: expected value ${Utils.formatCurrency(optimization.scores.expectedValue)}
+                    (won deal ${Utils.formatCurrency(optimization.dealValue)}, pursuit cost ${Utils.formatCurrency(optimization.pursuitCost)})
+                </p>
+            ` : ''}
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Category</th>
+                        <th>Held-out Opportunities</th>
+                        <th>Actual Win Rate</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${thresholds.categories.map(category => `
+                        <tr>
+                            <td>${category.category}</td>
+                            <td>${Utils.formatNumber(category.count)}</td>
+                            <td>${category.winRate === null ? 'N/A' : Utils.formatPercentage(category.winRate * 100)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Lists the evaluated model's versions so a champion and challengers can be picked for comparison
+     */
+    function loadComparisonVersions() {
+        const container = document.getElementById('model-comparison-container');
+        
+        showLoading(true);
+        
+        AnalyticsAPI.models.getVersions(EVALUATION_MODEL_ID)
+            .then(function(response) {
+                // Stage models can't score closed opportunities and archived versions aren't served
+                const versions = response.data.filter(entry => entry.status !== 'archived' && entry.type !== 'stage');
+                showLoading(false);
+                
+                if (versions.length < 2) {
+                    container.innerHTML = `
+                        <h3>Champion / Challenger</h3>
+                        <p class="text-muted">Evaluate the model at least twice to have versions to compare.</p>
+                    `;
+                    return;
+                }
+                
+                // Production (or the previous version) defends against the latest version
+                const champion = versions.find(entry => entry.status === 'production') || versions[1];
+                const challenger = versions.find(entry => entry.id !== champion.id);
+                
+                container.innerHTML = `
+                    <h3>Champion / Challenger</h3>
+                    <div class="form-group">
+                        <label for="comparison-champion">Champion</label>
+                        <select id="comparison-champion" class="form-control">
+                            ${versions.map(entry => `
+                                <option value="${entry.version}" ${entry.id === champion.id ? 'selected' : ''}>
+                                    Version ${entry.version} (${entry.type}, ${entry.status}, ${Utils.formatDate(entry.createdAt)})
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Challengers</label>
+                        ${versions.map(entry => `
+                            <div class="form-check">
+                                <input type="checkbox" class="form-check-input comparison-challenger" id="comparison-challenger-${entry.version}"
+                                    value="${entry.version}" ${entry.id === challenger.id ? 'checked' : ''}>
+                                <label class="form-check-label" for="comparison-challenger-${entry.version}">
+                                    Version ${entry.version} (${entry.type}, ${entry.status})
+                                </label>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="form-group">
+                        <label for="comparison-closed-after">Closed on or after</label>
+                        <input type="date" id="comparison-closed-after" class="form-control">
+                        <small class="form-text text-muted">Leave empty to compare on every closed opportunity, including ones the models were trained on.</small>
+                    </div>
+                    <button id="run-comparison-button" class="btn btn-primary">Run Comparison</button>
+                    <div id="model-comparison-results"></div>
+                `;
+                
+                document.getElementById('run-comparison-button').addEventListener('click', function() {
+                    compareModelVersions();
+                });
+            })
+            .catch(function(error) {
+                console.error('Error loading model versions:', error);
+                showError(error.message || 'Failed to load the model versions.');
+                showLoading(false);
+            });
+    }
+    
+    /**
+     * Compares the selected champion and challenger versions on the same closed opportunities
+     */
+    function compareModelVersions() {
+        const championVersion = Number(document.getElementById('comparison-champion').value);
+        const challengerVersions = Array.from(document.querySelectorAll('.comparison-challenger:checked'))
+            .map(input => Number(input.value))
+            .filter(version => version !== championVersion);
+        const closedAfter = document.getElementById('comparison-closed-after').value;
+        
+        if (challengerVersions.length === 0) {
+            showError('Select at least one challenger other than the champion.');
+            return;
+        }
+        
+        showLoading(true);
+        
+        AnalyticsAPI.models.compare({
+            models: [championVersion, ...challengerVersions].map(version => ({ modelId: EVALUATION_MODEL_ID, version })),
+            closedAfter: closedAfter || undefined
+        })
+            .then(function(response) {
+                renderModelComparison(response);
+                showLoading(false);
+            })
+            .catch(function(error) {
+                console.error('Error comparing model versions:', error);
+                showError(error.message || 'Failed to compare the model versions.');
+                showLoading(false);
+            });
+    }
+    
+    /**
+     * Render a champion/challenger comparison: scores of each version, paired tests against the
+     * champion, overlaid reliability and gain curves, and the segments each version wins
+     * @param {Object} response - Comparison response (data, warnings)
+     */
+    function renderModelComparison(response) {
+        const container = document.getElementById('model-comparison-results');
+        const comparison = response.data;
+        const formatScore = value => (value === null || value === undefined ? 'N/A' : value.toFixed(3));
+        const formatPValue = value => (value === null || value === undefined ? 'N/A' : value < 0.001 ? '< 0.001' : value.toFixed(3));
+        const versionLabel = label => `v${label.version}`;
+        const verdictLabels = {
+            'challenger-better': 'Challenger better',
+            'champion-better': 'Champion better',
+            'mixed': 'Mixed (tests disagree)',
+            'no-significant-difference': 'No significant difference'
+        };
+        
+        container.innerHTML = `
+            ${(response.warnings || []).map(warning => `<div class="alert alert-warning">${warning}</div>`).join('')}
+            <p class="text-muted">
+                ${Utils.formatNumber(comparison.opportunityCount)} closed opportunities,
+                win rate ${Utils.formatPercentage(comparison.winRate * 100)};
+                differences are significant below p = ${comparison.significanceLevel}
+            </p>
+            <table class="table table-sm table-striped">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Role</th>
+                        <th>ROC AUC</th>
+                        <th>Log Loss</th>
+                        <th>Brier Score</th>
+                        <th>Calibration Error</th>
+                        <th>Top Decile Lift</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${comparison.models.map(model => `
+                        <tr>
+                            <td>${versionLabel(model)} (${model.type}, ${model.status})</td>
+                            <td>${model.role}</td>
+                            <td>${formatScore(model.evaluation.auc)}</td>
+                            <td>${formatScore(model.evaluation.logLoss)}</td>
+                            <td>${formatScore(model.evaluation.brierScore)}</td>
+                            <td>${formatScore(model.evaluation.expectedCalibrationError)}</td>
+                            <td>${model.evaluation.lift.length > 0 ? `${model.evaluation.lift[0].lift.toFixed(2)}x` : 'N/A'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <h4>Paired Tests Against the Champion</h4>
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Challenger</th>
+                        <th>AUC Difference (DeLong p)</th>
+                        <th>Log Loss Difference [${Math.round(100 * (1 - comparison.significanceLevel))}% CI] (bootstrap p)</th>
+                        <th>Verdict</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${comparison.comparisons.map(test => `
+                        <tr>
+                            <td>${versionLabel(test.challenger)}</td>
+                            <td>${test.auc ? `${test.auc.difference >= 0 ? '+' : ''}${test.auc.difference.toFixed(3)} (${formatPValue(test.auc.pValue)})` : 'N/A'}</td>
+                            <td>
+                                ${test.logLoss.difference >= 0 ? '+' : ''}${test.logLoss.difference.toFixed(3)}
+                                [${test.logLoss.confidenceInterval.lower.toFixed(3)}, ${test.logLoss.confidenceInterval.upper.toFixed(3)}]
+                                (${formatPValue(test.logLoss.pValue)})
+                            </td>
+                            <td>${test.verdict === null ? 'No verdict (overlaps training data)' : verdictLabels[test.verdict]}</td>
+                            <td>
+                                ${test.verdict === 'challenger-better' ? `
+                                    <button class="btn btn-sm btn-outline-primary promote-challenger-button" data-version="${test.challenger.version}">Promote</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="row">
+                <div class="col-md-6" style="height: 300px;">
+                    <canvas id="comparison-reliability-chart"></canvas>
+                </div>
+                <div class="col-md-6" style="height: 300px;">
+                    <canvas id="comparison-gain-chart"></canvas>
+                </div>
+            </div>
+            ${comparison.segments.map(segment => `
+                <h4>By ${segment.field}</h4>
+                <p class="text-muted">
+                    Segments won by log loss:
+                    ${segment.wins.map(win => `${versionLabel(win)} ${win.byLogLoss}`).join(', ')}
+                </p>
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>${segment.field}</th>
+                            <th>Opportunities</th>
+                            <th>Win Rate</th>
+                            ${comparison.models.map(model => `<th>${versionLabel(model)} Log Loss</th>`).join('')}
+                            <th>Best by Log Loss</th>
+                            <th>Best by AUC</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${segment.levels.map(level => `
+                            <tr>
+                                <td>${level.value}</td>
+                                <td>${Utils.formatNumber(level.count)}</td>
+                                <td>${Utils.formatPercentage(level.winRate * 100)}</td>
+                                ${level.scores.map(score => `<td>${formatScore(score.logLoss)}</td>`).join('')}
+                                <td>${versionLabel(level.bestByLogLoss)}</td>
+                                <td>${level.bestByAuc ? versionLabel(level.bestByAuc) : 'N/A'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `).join('')}
+        `;
+        
+        createComparisonReliabilityChart(comparison.models);
+        createComparisonGainChart(comparison.models);
+        
+        container.querySelectorAll('.promote-challenger-button').forEach(button => {
+            button.addEventListener('click', function() {
+                promoteModelVersion(Number(button.dataset.version));
+            });
+        });
+    }
+    
+    /**
+     * Promotes a version of the evaluated model to production
+     * @param {number} version - Version number
+     */
+    function promoteModelVersion(version) {
+        showLoading(true);
+        
+        AnalyticsAPI.models.promote(EVALUATION_MODEL_ID, version)
+            .then(function() {
+                showSuccess(`Version ${version} is now in production.`);
+                showLoading(false);
+                loadComparisonVersions();
+            })
+            .catch(function(error) {
+                console.error('Error promoting model version:', error);
+                showError(error.message || 'Failed to promote the model version.');
+                showLoading(false);
+            });
+    }
+    
+    /**
+     * Create reliability diagram with a curve per compared version
+     * @param {Array} models - Compared models with their evaluations
+     */
+    function createComparisonReliabilityChart(models) {
+        if (charts['comparisonReliability']) {
+            charts['comparisonReliability'].destroy();
+        }
+        
+        const ctx = document.getElementById('comparison-reliability-chart').getContext('2d');
+        
+        charts['comparisonReliability'] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    ...models.map((model, index) => ({
+                        label: `v${model.version} (${model.role})`,
+                        data: model.evaluation.reliability.map(bin => ({ x: bin.meanPredicted, y: bin.observedWinRate })),
+                        showLine: true,
+                        borderColor: COMPARISON_COLORS[index],
+                        backgroundColor: COMPARISON_COLORS[index]
+                    })),
+                    {
+                        label: 'Perfect calibration',
+                        data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                        showLine: true,
+                        pointRadius: 0,
+                        borderDash: [5, 5],
+                        borderColor: 'rgba(150, 150, 150, 1)'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { min: 0, max: 1, title: { display: true, text: 'Mean Predicted Probability' } },
+                    y: { min: 0, max: 1, title: { display: true, text: 'Observed Win Rate' } }
+                },
+                plugins: {
+                    title: { display: true, text: 'Calibration' }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Create cumulative gain chart with a curve per compared version
+     * @param {Array} models - Compared models with their evaluations
+     */
+    function createComparisonGainChart(models) {
+        if (charts['comparisonGain']) {
+            charts['comparisonGain'].destroy();
+        }
+        
+        const ctx = document.getElementById('comparison-gain-chart').getContext('2d');
+        
+        charts['comparisonGain'] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: models[0].evaluation.lift.map(row => `D${row.group}`),
+                datasets: models.map((model, index) => ({
+                    label: `v${model.version} (${model.role})`,
+                    data: model.evaluation.lift.map(row => row.cumulativeGain * 100),
+                    borderColor: COMPARISON_COLORS[index],
+                    backgroundColor: 'transparent'
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: { min: 0, max: 100, title: { display: true, text: 'Share of Wins Captured (%)' } }
+                },
+                plugins: {
+                    title: { display: true, text: 'Cumulative Gain' }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Create ROC curve chart
+     * @param {Object} evaluation - Model evaluation
+     */
+    function createRocChart(evaluation) {
+        if (charts['rocCurve']) {
+            charts['rocCurve'].destroy();
+        }
+        
+        const ctx = document.getElementById('roc-curve-chart').getContext('2d');
+        
+        charts['rocCurve'] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: `Model (AUC ${evaluation.auc === null ? 'N/A' : evaluation.auc.toFixed(3)})`,
+                        data: evaluation.roc.map(point => ({ x: point.falsePositiveRate, y: point.truePositiveRate })),
+                        showLine: true,
+                        pointRadius: 0,
+                        borderColor: 'rgba(54, 162, 235, 1)',
+                        backgroundColor: 'rgba(54, 162, 235, 0.2)'
+                    },
+                    {
+                        label: 'Random',
+                        data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                        showLine: true,
+                        pointRadius: 0,
+                        borderDash: [5, 5],
+                        borderColor: 'rgba(150, 150, 150, 1)'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { min: 0, max: 1, title: { display: true, text: 'False Positive Rate' } },
+                    y: { min: 0, max: 1, title: { display: true, text: 'True Positive Rate' } }
+                },
+                plugins: {
+                    title: { display: true, text: 'ROC Curve' }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Create precision-recall curve chart
+     * @param {Object} evaluation - Model evaluation
+     */
+    function createPrecisionRecallChart(evaluation) {
+        if (charts['precisionRecall']) {
+            charts['precisionRecall'].destroy();
+        }
+        
+        const ctx = document.getElementById('precision-recall-chart').getContext('2d');
+        
+        charts['precisionRecall'] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Model',
+                        data: evaluation.precisionRecall.map(point => ({ x: point.recall, y: point.precision })),
+                        showLine: true,
+                        pointRadius: 0,
+                        borderColor: 'rgba(4, 132, 75, 1)',
+                        backgroundColor: 'rgba(4, 132, 75, 0.2)'
+                    },
+                    {
+                        label: 'Random (base win rate)',
+                        data: [{ x: 0, y: evaluation.baseRate }, { x: 1, y: evaluation.baseRate }],
+                        showLine: true,
+                        pointRadius: 0,
+                        borderDash: [5, 5],
+                        borderColor: 'rgba(150, 150, 150, 1)'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { min: 0, max: 1, title: { display: true, text: 'Recall' } },
+                    y: { min: 0, max: 1, title: { display: true, text: 'Precision' } }
+                },
+                plugins: {
+                    title: { display: true, text: 'Precision-Recall Curve' }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Create lift and cumulative gain chart
+     * @param {Object} evaluation - Model evaluation
+     */
+    function createLiftChart(evaluation) {
+        if (charts['lift']) {
+            charts['lift'].destroy();
+        }
+        
+        const ctx = document.getElementById('lift-chart').getContext('2d');
+        
+        charts['lift'] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: evaluation.lift.map(row => `D${row.group}`),
+                datasets: [
+                    {
+                        label: 'Lift',
+                        data: evaluation.lift.map(row => row.lift),
+                        backgroundColor: 'rgba(54, 162, 235, 0.7)',
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Cumulative Gain (%)',
+                        data: evaluation.lift.map(row => row.cumulativeGain * 100),
+                        type: 'line',
+                        borderColor: 'rgba(4, 132, 75, 1)',
+                        backgroundColor: 'rgba(4, 132, 75, 0.2)',
+                        yAxisID: 'gain'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        position: 'left',
+                        beginAtZero: true,
+                        title: { display: true, text: 'Lift (x base rate)' }
+                    },
+                    gain: {
+                        position: 'right',
+                        min: 0,
+                        max: 100,
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'Share of Wins Captured (%)' }
+                    }
+                }
+            }
+        });
     }
     
     /**
@@ -495,7 +1232,8 @@ const Prediction = (function() {
             id: 'predict_win_rate',
             data: {
                 model: predictionModel,
-                features: features
+                features: features,
+                thresholds: getThresholds()
             }
         });
         
@@ -565,15 +1303,208 @@ const Prediction = (function() {
                 </div>
             </div>
             
+            <div id="prediction-explanation" class="prediction-explanation"></div>
+            
             <div class="prediction-actions">
                 <button id="clear-prediction-form" class="btn btn-outline-secondary">Clear Form</button>
             </div>
         `;
         
+        // Loaded opportunities are explained by the evaluated server model
+        if (currentOpportunity && predictionData.evaluation) {
+            explainOpportunity(currentOpportunity);
+        }
+        
         // Scroll to results
         resultContainer.scrollIntoView({ behavior: 'smooth' });
     }
     
+    /**
+     * Explain an opportunity's prediction with the evaluated server model
+     * @param {Object} opportunity - Opportunity record
+     */
+    function explainOpportunity(opportunity) {
+        AnalyticsAPI.prediction.explain({ modelId: EVALUATION_MODEL_ID, version: predictionData.evaluationVersion, opportunity })
+            .then(function(response) {
+                renderExplanation(response.data);
+                
+                if (opportunity.Id) {
+                    recommendActions(opportunity.Id);
+                }
+            })
+            .catch(function(error) {
+                console.error('Error explaining prediction:', error);
+                document.getElementById('prediction-explanation').innerHTML = `
+                    <p class="text-muted">The prediction could not be explained: ${error.message || 'server error'}</p>
+                `;
+            });
+    }
+    
+    /**
+     * Render a prediction explanation: the factor list and a waterfall from the average opportunity
+     * @param {Object} prediction - Server prediction with Shapley contributions (probability points)
+     */
+    function renderExplanation(prediction) {
+        const container = document.getElementById('prediction-explanation');
+        const formatPoints = points => `${points >= 0 ? '+' : ''}${points.toFixed(1)} pts`;
+        
+        container.innerHTML = `
+            <h4>Why This Prediction</h4>
+            <p class="text-muted">
+                Starting from ${Utils.formatPercentage(prediction.baselineContribution)} for the average opportunity
+                ${prediction.explanation && prediction.explanation.method === 'sampled' ? `(estimated from ${prediction.explanation.samples} sampled orderings)` : ''}
+            </p>
+            <ul class="factors-list">
+                ${prediction.contributions.slice(0, 5).map(contribution => `
+                    <li class="factor-item">
+                        <span class="factor-name">${formatContributionLabel(contribution)}</span>:
+                        <span class="factor-impact ${contribution.contribution > 0 ? 'positive' : 'negative'}">${formatPoints(contribution.contribution)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <div style="height: ${Math.max(200, 40 * (prediction.contributions.length + 2))}px;">
+                <canvas id="explanation-waterfall-chart"></canvas>
+            </div>
+            <div id="prediction-recommendations"></div>
+        `;
+        
+        createWaterfallChart(prediction);
+    }
+    
+    /**
+     * Search for the smallest changes that would raise an opportunity to the High category
+     * @param {string} opportunityId - Open opportunity ID
+     */
+    function recommendActions(opportunityId) {
+        const modelDimensions = predictionModel.dimensions || predictionData.dimensions || [];
+        const actions = CONFIG.PREDICTION.ACTIONABLE_DIMENSIONS.filter(dimension =>
+            modelDimensions.includes(dimension) || (dimension === 'Amount' && modelDimensions.includes('DealSizeCategory'))
+        );
+        
+        if (actions.length === 0) {
+            return;
+        }
+        
+        AnalyticsAPI.prediction.recommendActions({
+            modelId: EVALUATION_MODEL_ID,
+            version: predictionData.evaluationVersion,
+            opportunityId,
+            actions
+        })
+            .then(function(response) {
+                renderRecommendations(response.data);
+            })
+            .catch(function(error) {
+                console.error('Error recommending actions:', error);
+            });
+    }
+    
+    /**
+     * Render "what would it take to win" recommendations
+     * @param {Object} result - Counterfactual search result
+     */
+    function renderRecommendations(result) {
+        const container = document.getElementById('prediction-recommendations');
+        const formatValue = value => (value === null ? '(missing)' : (typeof value === 'number' ? Utils.formatNumber(value) : value));
+        const renderList = suggestions => `
+            <ul class="recommendations-list">
+                ${suggestions.map(suggestion => `
+                    <li>
+                        ${suggestion.changes.map(change => `${formatFeatureName(change.dimension)}: ${formatValue(change.from)} &rarr; <strong>${formatValue(change.to)}</strong>`).join('; ')}
+                        <span class="text-muted">(${Utils.formatPercentage(suggestion.probability * 100)}, +${suggestion.uplift.toFixed(1)} pts)</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        
+        if (result.alreadyAtTarget) {
+            container.innerHTML = `<p class="text-muted">Already at or above the ${Utils.formatPercentage(result.targetProbability * 100)} target.</p>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <h4>What Would It Take to Win</h4>
+            ${result.reachable
+                ? `<p class="text-muted">Smallest changes that reach ${Utils.formatPercentage(result.targetProbability * 100)}:</p>${renderList(result.recommendations)}`
+                : `<p class="text-muted">No change reaches ${Utils.formatPercentage(result.targetProbability * 100)}; these come closest:</p>${renderList(result.closest)}`}
+            ${result.complete === false ? `<p class="text-muted">The search stopped after ${result.evaluations} predictions; narrow the actions to search every change.</p>` : ''}
+        `;
+    }
+    
+    /**
+     * Format a contribution label, e.g. "Lead Source = Partner"
+     * @param {Object} contribution - Contribution ({ dimension, value })
+     * @returns {string} Label
+     */
+    function formatContributionLabel(contribution) {
+        const value = contribution.value === null || contribution.value === ''
+            ? '(missing)'
+            : (typeof contribution.value === 'number' ? Utils.formatNumber(contribution.value) : contribution.value);
+        
+        return `${formatFeatureName(contribution.dimension)} = ${value}`;
+    }
+    
+    /**
+     * Create the explanation waterfall: each dimension moves the win probability from the
+     * average opportunity's to the predicted one
+     * @param {Object} prediction - Server prediction with Shapley contributions
+     */
+    function createWaterfallChart(prediction) {
+        if (charts['explanationWaterfall']) {
+            charts['explanationWaterfall'].destroy();
+        }
+        
+        const ctx = document.getElementById('explanation-waterfall-chart').getContext('2d');
+        const labels = ['Average opportunity'];
+        const bars = [[0, prediction.baselineContribution]];
+        const colors = ['rgba(150, 150, 150, 0.7)'];
+        let running = prediction.baselineContribution;
+        
+        prediction.contributions.forEach(contribution => {
+            labels.push(formatContributionLabel(contribution));
+            bars.push([running, running + contribution.contribution]);
+            colors.push(contribution.contribution >= 0 ? 'rgba(75, 192, 192, 0.7)' : 'rgba(255, 99, 132, 0.7)');
+            running += contribution.contribution;
+        });
+        
+        labels.push('Prediction');
+        bars.push([0, prediction.probability * 100]);
+        colors.push('rgba(54, 162, 235, 0.7)');
+        
+        charts['explanationWaterfall'] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Win probability (%)',
+                    data: bars,
+                    backgroundColor: colors,
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                indexAxis: 'y',
+                scales: {
+                    x: { min: 0, max: 100, title: { display: true, text: 'Win Probability (%)' } }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const [start, end] = context.raw;
+                                const isTotal = context.dataIndex === 0 || context.dataIndex === bars.length - 1;
+                                return isTotal ? `${end.toFixed(1)}%` : `${end - start >= 0 ? '+' : ''}${(end - start).toFixed(1)} pts`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
     /**
      * Handle batch prediction result from worker
      * @param {Object} result - Batch prediction result
@@ -729,15 +1660,32 @@ const Prediction = (function() {
             .replace(/^./, str => str.toUpperCase());
     }
     
+    /**
+     * Get the High/Low category thresholds: the model's own, or the configured defaults
+     * @returns {Object} Thresholds ({ high, low })
+     */
+    function getThresholds() {
+        if (predictionModel && predictionModel.thresholds) {
+            return predictionModel.thresholds;
+        }
+        
+        return {
+            high: CONFIG.PREDICTION.THRESHOLDS.HIGH,
+            low: CONFIG.PREDICTION.THRESHOLDS.MEDIUM
+        };
+    }
+    
     /**
      * Get CSS class based on probability value
      * @param {number} probability - Probability value
      * @returns {string} CSS class
      */
     function getProbabilityClass(probability) {
-        if (probability >= 0.7) {
+        const thresholds = getThresholds();
+        
+        if (probability >= thresholds.high) {
             return 'high-probability';
-        } else if (probability >= 0.4) {
+        } else if (probability >= thresholds.low) {
             return 'medium-probability';
         } else {
             return 'low-probability';
@@ -820,6 +1768,77 @@ const Prediction = (function() {
         });
     }
     
+    /**
+     * Create reliability diagram, before and after calibration
+     * @param {Object} evaluation - Model evaluation
+     * @param {Object|null} calibration - Calibration summary
+     */
+    function createReliabilityChart(evaluation, calibration) {
+        if (charts['reliability']) {
+            charts['reliability'].destroy();
+        }
+        
+        const ctx = document.getElementById('reliability-chart').getContext('2d');
+        const toPoints = reliability => reliability.map(bin => ({
+            x: bin.meanPredicted,
+            y: bin.observedWinRate,
+            count: bin.count
+        }));
+        
+        const datasets = [
+            {
+                label: calibration ? 'Uncalibrated' : 'Model',
+                data: toPoints(evaluation.reliability),
+                showLine: true,
+                borderColor: 'rgba(255, 159, 64, 1)',
+                backgroundColor: 'rgba(255, 159, 64, 0.7)'
+            },
+            {
+                label: 'Perfect calibration',
+                data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                showLine: true,
+                pointRadius: 0,
+                borderDash: [5, 5],
+                borderColor: 'rgba(150, 150, 150, 1)'
+            }
+        ];
+        
+        if (calibration) {
+            datasets.splice(1, 0, {
+                label: `Calibrated (${calibration.method})`,
+                data: toPoints(calibration.calibrated.reliability),
+                showLine: true,
+                borderColor: 'rgba(54, 162, 235, 1)',
+                backgroundColor: 'rgba(54, 162, 235, 0.7)'
+            });
+        }
+        
+        charts['reliability'] = new Chart(ctx, {
+            type: 'scatter',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { min: 0, max: 1, title: { display: true, text: 'Mean Predicted Probability' } },
+                    y: { min: 0, max: 1, title: { display: true, text: 'Observed Win Rate' } }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const point = context.raw;
+                                return point.count === undefined
+                                    ? context.dataset.label
+                                    : `${context.dataset.label}: predicted ${(point.x * 100).toFixed(1)}%, observed ${(point.y * 100).toFixed(1)}% (n=${point.count})`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
     // Public API
     return {
         initialize,
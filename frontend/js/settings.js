@@ -20,6 +20,7 @@ const Settings = (function() {
             minSampleSize: 10,
             outlierDetection: true,
             regressionType: 'linear',
+            predictionModelType: 'logistic',
             significanceThreshold: 0.05
         },
         // UI settings
@@ -487,6 +488,31 @@ const Settings = (function() {
         _notifySettingsChanged();
     }
     
+    /**
+     * Binds controls outside the settings panel to settings
+     * Each [data-setting] element in the root shows the current value and saves changes immediately.
+     * @param {HTMLElement} root - Element containing the controls
+     */
+    function bindControls(root) {
+        if (!root) return;
+        
+        root.querySelectorAll('[data-setting]').forEach(element => {
+            const value = getSetting(element.dataset.setting);
+            
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(value);
+            } else if (value !== undefined) {
+                element.value = String(value);
+            }
+            
+            element.addEventListener('change', () => {
+                _updateSettingFromElement(element);
+                _saveSettings();
+                _notifySettingsChanged();
+            });
+        });
+    }
+    
     /**
      * Registers a callback for settings changes
      * @param {Function} callback - Function to call when settings change
@@ -514,6 +540,7 @@ const Settings = (function() {
         getSettings: getSettings,
         getSetting: getSetting,
         updateSetting: updateSetting,
+        bindControls: bindControls,
         onSettingsChange: onSettingsChange,
         offSettingsChange: offSettingsChange
     };
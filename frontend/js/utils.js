@@ -393,6 +393,29 @@ const Utils = (() => {
     ];
   };
 
+  /**
+   * Groups dimensions by the object they come from, Opportunity fields first
+   * @param {Array} dimensions - Dimensions from the dimensions endpoint
+   * @returns {Array} Groups ({ group, dimensions }) in display order
+   */
+  const groupDimensions = (dimensions = []) => {
+    const groups = [];
+    
+    dimensions.forEach(dimension => {
+      const groupName = dimension.group || 'Opportunity';
+      let group = groups.find(item => item.group === groupName);
+      
+      if (!group) {
+        group = { group: groupName, dimensions: [] };
+        groups.push(group);
+      }
+      
+      group.dimensions.push(dimension);
+    });
+    
+    return groups.sort((a, b) => (a.group === 'Opportunity' ? -1 : b.group === 'Opportunity' ? 1 : 0));
+  };
+  
   // Public interface
   return {
     debounce,
@@ -412,6 +435,7 @@ const Utils = (() => {
     truncateText,
     createWorker,
     isStatisticallySignificant,
-    calculateConfidenceInterval
+    calculateConfidenceInterval,
+    groupDimensions
   };
 })();
@@ -6,6 +6,9 @@
 // Import required libraries
 importScripts('../libs/jstat.min.js');
 
+// Category thresholds when none are given (CONFIG.PREDICTION.THRESHOLDS, which workers cannot read)
+const DEFAULT_THRESHOLDS = { high: 0.7, low: 0.3 };
+
 // Handle messages from the main thread
 self.onmessage = function(e) {
     const { action, data, id } = e.data;
@@ -180,10 +183,11 @@ function trainPredictionModel(data) {
  * @param {Object} data - Prediction data
  * @param {Object} data.model - Trained prediction model
  * @param {Array} data.features - Feature values for the opportunity
+ * @param {Object} data.thresholds - High/Low category thresholds ({ high, low })
  * @returns {Object} Prediction results
  */
 function predictWinRate(data) {
-    const { model, features } = data;
+    const { model, features, thresholds = DEFAULT_THRESHOLDS } = data;
     
     if (!model || !features) {
         throw new Error('Missing model or features for prediction');
@@ -201,9 +205,9 @@ function predictWinRate(data) {
         
         // Determine win probability category
         let category;
-        if (probability >= 0.7) {
+        if (probability >= thresholds.high) {
             category = 'high';
-        } else if (probability >= 0.4) {
+        } else if (probability >= thresholds.low) {
             category = 'medium';
         } else {
             category = 'low';
@@ -224,10 +228,11 @@ function predictWinRate(data) {
  * @param {Object} data - Batch prediction data
  * @param {Object} data.model - Trained prediction model
  * @param {Array} data.featuresList - Array of feature sets for opportunities
+ * @param {Object} data.thresholds - High/Low category thresholds ({ high, low })
  * @returns {Array} Array of prediction results
  */
 function batchPrediction(data) {
-    const { model, featuresList } = data;
+    const { model, featuresList, thresholds = DEFAULT_THRESHOLDS } = data;
     
     if (!model || !featuresList || !Array.isArray(featuresList)) {
         throw new Error('Invalid input for batch prediction');
@@ -236,13 +241,14 @@ function batchPrediction(data) {
     try {
         // Process each set of features
         const results = featuresList.map(features => {
-            return predictWinRate({ model, features });
+            return predictWinRate({ model, features, thresholds });
         });
         
         return {
             predictions: results,
             summary: {
                 count: results.length,
+                thresholds,
                 averageProbability: results.reduce((sum, r) => sum + r.probability, 0) / results.length,
                 categoryBreakdown: {
                     high: results.filter(r => r.category === 'high').length,